@@ -0,0 +1,365 @@
+// src/archive.js - Persistent JSON archive of every cartoon ever scraped
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { identityKeys, matchesOnKey, canonicalId, guidFor } = require('./identity');
+const { hammingDistance } = require('./image-hash');
+
+// Version 2 added canonical ids and GUIDs, version 3 leaves descriptions of cartoons
+// without a caption to the feeds, which write them in their own language
+const ARCHIVE_VERSION = 3;
+
+// Descriptions that older versions generated in English when a post had no caption
+const GENERATED_DESCRIPTION = /^(Educational cartoon by .+ featuring .+\. Making complex scientific and mathematical concepts accessible|Cartoon by .+: )/;
+
+class CartoonArchive {
+    constructor(options = {}) {
+        this.file = options.file || 'docs/archive.json';
+        this.guidPrefix = options.guidPrefix;
+        // Scores how well a cartoon's title names the drawing, see removeSimilarImages()
+        this.rankTitle = options.rankTitle || (() => 0);
+        this.log = options.log || (() => {});
+        this.cartoons = new Map();
+        this.index = new Map();
+        // Page a backfill stopped at before it reached the end, the next backfill continues there
+        this.backfillFrom = null;
+        // False until load() read an archive file, a new archive may be seeded from the published feed
+        this.exists = false;
+        this.dirty = false;
+    }
+
+    // Finds the archived record sharing any identity key with `cartoon`
+    find(cartoon) {
+        for (const key of identityKeys(cartoon)) {
+            const record = this.index.get(key);
+            if (record && matchesOnKey(key, cartoon, record)) {
+                return record;
+            }
+        }
+        return null;
+    }
+
+    add(record) {
+        this.cartoons.set(record.id, record);
+        this.reindex(record);
+    }
+
+    reindex(record) {
+        for (const key of identityKeys(record)) {
+            if (!this.index.has(key)) {
+                this.index.set(key, record);
+            }
+        }
+    }
+
+    async load() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.log(`No archive found at ${this.file}, starting a new one`);
+                return this;
+            }
+            throw error;
+        }
+
+        const data = JSON.parse(raw);
+        this.exists = true;
+        this.backfillFrom = data.backfillFrom || null;
+        for (const record of data.cartoons || []) {
+            const cartoon = this.revive(record, data.version || 1);
+            const existing = this.find(cartoon);
+            if (existing) {
+                this.absorb(existing, cartoon);
+            } else {
+                this.add(cartoon);
+            }
+        }
+        if ((data.version || 1) < ARCHIVE_VERSION) {
+            this.log(`Migrated ${this.file} from version ${data.version || 1} to ${ARCHIVE_VERSION}`);
+            this.dirty = true;
+        }
+
+        this.log(`Loaded ${this.cartoons.size} cartoons from ${this.file}`);
+        return this;
+    }
+
+    revive(record, version = ARCHIVE_VERSION) {
+        const description = version < 3 && GENERATED_DESCRIPTION.test(record.description || '') ? null : record.description;
+        return {
+            // Items published before canonical ids keep the image URL as permalink GUID,
+            // so readers do not see them again
+            id: record.id || canonicalId(record),
+            guid: record.guid || record.url,
+            guidIsPermaLink: record.guid ? Boolean(record.guidIsPermaLink) : true,
+            ...record,
+            description,
+            date: new Date(record.date),
+            firstSeen: new Date(record.firstSeen || record.date),
+            lastSeen: new Date(record.lastSeen || record.firstSeen || record.date)
+        };
+    }
+
+    // Items of an RSS feed published before there was an archive, e.g. by a version that only wrote
+    // feed.xml. They keep their GUIDs, usually the image URL as permalink, so readers do not see
+    // them again once the scraped cartoons are merged into them. Returns the number of items added
+    seedFromRss(xml) {
+        const document = new XMLParser({ ignoreAttributes: false, parseTagValue: false }).parse(xml);
+        const items = (document.rss && document.rss.channel && document.rss.channel.item) || [];
+        const text = value => (value && typeof value === 'object' ? value['#text'] : value) || '';
+        let seeded = 0;
+
+        for (const item of Array.isArray(items) ? items : [items]) {
+            const guid = text(item.guid).trim();
+            const isPermaLink = !(item.guid && item.guid['@_isPermaLink'] === 'false');
+            const url = (item.enclosure && item.enclosure['@_url']) || (isPermaLink && guid) || text(item.link).trim();
+            const date = new Date(text(item.pubDate));
+            if (!guid || !url || isNaN(date)) {
+                continue;
+            }
+
+            const record = this.revive({
+                url,
+                title: text(item.title).trim(),
+                date,
+                filename: path.posix.basename(url.split(/[?#]/)[0]),
+                guid,
+                guidIsPermaLink: isPermaLink
+            });
+            if (!this.find(record)) {
+                record.id = this.uniqueId(record.id);
+                this.add(record);
+                seeded++;
+            }
+        }
+
+        if (seeded > 0) {
+            this.dirty = true;
+        }
+        return seeded;
+    }
+
+    merge(cartoons, now = new Date()) {
+        const added = [];
+        let updated = 0;
+
+        for (const cartoon of cartoons) {
+            const existing = this.find(cartoon);
+
+            if (!existing) {
+                const record = {
+                    ...cartoon,
+                    id: this.uniqueId(canonicalId(cartoon)),
+                    guid: guidFor(cartoon, this.guidPrefix),
+                    guidIsPermaLink: false,
+                    firstSeen: now,
+                    lastSeen: now
+                };
+                this.add(record);
+                added.push(record);
+                continue;
+            }
+
+            // A re-upload folded into an earlier cartoon only keeps that cartoon alive, the
+            // earlier cartoon's image, title and date stay
+            if (this.isAlias(existing, cartoon)) {
+                existing.lastSeen = now;
+                continue;
+            }
+
+            // Refresh scraped fields but keep the published date unless the post page provided one.
+            // Cartoons folded together with their look-alikes keep the earliest date of them all,
+            // and the title picked then until a better one turns up
+            const postDate = cartoon.dateSource === 'post' && existing.dateSource !== 'duplicates';
+            const keepTitle = existing.titleRank !== undefined && existing.titleRank >= this.rankTitle(cartoon);
+            const before = this.fingerprint(existing);
+            Object.assign(existing, cartoon, {
+                id: existing.id,
+                guid: existing.guid,
+                guidIsPermaLink: existing.guidIsPermaLink,
+                aliases: existing.aliases,
+                postId: cartoon.postId || existing.postId,
+                title: keepTitle ? existing.title : cartoon.title,
+                titleRank: keepTitle ? existing.titleRank : undefined,
+                date: postDate ? cartoon.date : existing.date,
+                dateSource: postDate ? 'post' : existing.dateSource,
+                firstSeen: existing.firstSeen,
+                lastSeen: now
+            });
+            if (existing.titleRank === undefined) {
+                delete existing.titleRank;
+            }
+            this.reindex(existing);
+            if (this.fingerprint(existing) !== before) {
+                updated++;
+            }
+        }
+
+        if (added.length > 0 || updated > 0) {
+            this.dirty = true;
+        }
+
+        this.log(`Archive merge: ${added.length} new, ${updated} updated, ${this.cartoons.size} total`);
+        return { added, updated };
+    }
+
+    // True when `cartoon` was recognized by a key `record` took over from a merged duplicate
+    isAlias(record, cartoon) {
+        if (!record.aliases) {
+            return false;
+        }
+        const ownKeys = identityKeys({ ...record, aliases: [] });
+        return identityKeys(cartoon).every(key => !ownKeys.includes(key));
+    }
+
+    // Different posts may use the same filename, their ids must still differ
+    uniqueId(id) {
+        let unique = id;
+        for (let suffix = 2; this.cartoons.has(unique); suffix++) {
+            unique = `${id}-${suffix}`;
+        }
+        return unique;
+    }
+
+    // Folds a duplicate into the record that was published first; the survivor keeps
+    // its GUID and remembers the duplicate's keys so it is recognized next time
+    absorb(record, duplicate) {
+        const [keep, drop] = duplicate.firstSeen < record.firstSeen ? [duplicate, record] : [record, duplicate];
+
+        const ownKeys = identityKeys({ ...keep, aliases: [] });
+        keep.aliases = [...new Set([...(keep.aliases || []), ...identityKeys(drop)])]
+            .filter(key => !ownKeys.includes(key));
+        if (keep.aliases.length === 0) {
+            delete keep.aliases;
+        }
+
+        this.cartoons.delete(drop.id);
+        this.cartoons.set(keep.id, keep);
+
+        for (const key of identityKeys(drop)) {
+            this.index.set(key, keep);
+        }
+        this.reindex(keep);
+        this.dirty = true;
+
+        this.log(`Merged duplicate ${drop.url} into ${keep.url} (${keep.guid})`);
+        return keep;
+    }
+
+    // Re-uploads under a new name are only recognizable by their content once probed
+    removeContentDuplicates() {
+        const byHash = new Map();
+        let removed = 0;
+
+        for (const record of this.getCartoons().reverse()) {
+            const hash = record.image && record.image.hash;
+            if (!hash || !this.cartoons.has(record.id)) {
+                continue;
+            }
+
+            const first = byHash.get(hash);
+            if (first && first !== record) {
+                byHash.set(hash, this.absorb(first, record));
+                removed++;
+            } else {
+                byHash.set(hash, record);
+            }
+        }
+
+        return removed;
+    }
+
+    // Re-uploads that were resized, recompressed or converted have another content hash but a
+    // perceptual hash within `threshold` bits. Each is folded into the first published of them,
+    // which takes the earliest of their dates and the title `rankTitle` scores highest; both are
+    // marked (dateSource 'duplicates', titleRank) so merge() keeps them. Returns the merged pairs
+    // for the run report
+    removeSimilarImages(threshold, rankTitle = this.rankTitle) {
+        const survivors = [];
+        const merged = [];
+
+        // Oldest first, so every group is folded into its earliest cartoon
+        for (const record of this.getCartoons().reverse()) {
+            if (!record.phash || !record.phash.hash) {
+                continue;
+            }
+
+            const index = survivors.findIndex(survivor => hammingDistance(survivor.phash.hash, record.phash.hash) <= threshold);
+            if (index === -1) {
+                survivors.push(record);
+                continue;
+            }
+
+            const match = survivors[index];
+            const distance = hammingDistance(match.phash.hash, record.phash.hash);
+            const candidates = [match, record];
+            const date = new Date(Math.min(...candidates.map(candidate => candidate.date)));
+            // A cartoon folded before carries the rank of the title it took over
+            const rank = candidate => Math.max(rankTitle(candidate), candidate.titleRank ?? -Infinity);
+            const titled = candidates.reduce((best, candidate) => (rank(candidate) > rank(best) ? candidate : best));
+
+            const keep = this.absorb(match, record);
+            const drop = keep === match ? record : match;
+            Object.assign(keep, { date, dateSource: 'duplicates', title: titled.title, titleRank: rank(titled) });
+            survivors[index] = keep;
+            merged.push({
+                kept: { id: keep.id, url: keep.url, title: keep.title },
+                merged: { id: drop.id, url: drop.url, title: drop.title },
+                distance
+            });
+        }
+
+        return merged;
+    }
+
+    // Everything except the last-seen timestamp, which changes on every run
+    fingerprint(record) {
+        return JSON.stringify({ ...record, lastSeen: null });
+    }
+
+    // Remembers where an unfinished backfill continues, null once it reached the end
+    setBackfillFrom(url) {
+        if (this.backfillFrom !== url) {
+            this.backfillFrom = url;
+            this.dirty = true;
+        }
+    }
+
+    markDirty() {
+        this.dirty = true;
+    }
+
+    has(cartoon) {
+        return this.find(cartoon) !== null;
+    }
+
+    get(cartoon) {
+        return this.find(cartoon) || undefined;
+    }
+
+    get size() {
+        return this.cartoons.size;
+    }
+
+    getCartoons() {
+        return Array.from(this.cartoons.values()).sort((a, b) => b.date - a.date);
+    }
+
+    async save(now = new Date()) {
+        const data = {
+            version: ARCHIVE_VERSION,
+            updated: now.toISOString(),
+            count: this.cartoons.size,
+            ...(this.backfillFrom ? { backfillFrom: this.backfillFrom } : {}),
+            cartoons: this.getCartoons()
+        };
+
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(this.file, JSON.stringify(data, null, 2) + '\n', 'utf8');
+        this.dirty = false;
+        this.log(`Archive written to ${this.file} (${this.cartoons.size} cartoons)`);
+    }
+}
+
+module.exports = CartoonArchive;
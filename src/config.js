@@ -0,0 +1,579 @@
+// src/config.js - Configuration defaults, config file, environment and CLI handling
+const fs = require('fs');
+const path = require('path');
+const { formats } = require('./formats');
+const { sources } = require('./sources');
+const { catalogs } = require('./locales');
+const EvertKwokSource = require('./sources/evert-kwok');
+const { WEBHOOK_FORMATS, parseWebhook } = require('./notify');
+const { parseFeedRules, parseFeedSpec } = require('./feed-rules');
+
+const DEFAULT_CONFIG_FILE = 'evert-kwok-rss.config.json';
+const ENV_PREFIX = 'EKR_';
+
+class ConfigError extends Error {
+    constructor(errors, source) {
+        super(`Invalid configuration${source ? ` in ${source}` : ''}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// Every scalar option can be set in the config file, as EKR_<KEY> environment
+// variable and on the command line; later sources override earlier ones. Options with
+// `besideOutput` default to that name in the directory of --output
+const OPTIONS = [
+    { key: 'outputFile', flag: '--output', type: 'string', default: 'docs/feed.xml', arg: 'FILE', help: 'Specify output file' },
+    { key: 'formats', flag: '--formats', type: 'list', default: ['rss'], arg: 'LIST', help: `Comma-separated feed formats: ${Object.keys(formats).join(', ')}; extra formats are written next to the output file` },
+    { key: 'archiveFile', flag: '--archive', type: 'string', besideOutput: 'archive.json', arg: 'FILE', help: 'Cartoon archive to load and update' },
+    { key: 'httpCacheFile', flag: '--http-cache', type: 'string', besideOutput: 'http-cache.json', arg: 'FILE', help: 'ETag/Last-Modified validators of the listing page' },
+    { key: 'conditional', flag: '--no-conditional', type: 'boolean', negate: true, default: true, help: 'Always download the listing page instead of sending If-None-Match/If-Modified-Since' },
+    { key: 'maxItems', flag: '--max-items', type: 'integer', default: 1000, arg: 'N', help: 'Maximum number of items in the feed, 0 for all' },
+    { key: 'maxAgeDays', flag: '--max-age', type: 'integer', default: 0, arg: 'DAYS', help: 'Only publish cartoons from the last DAYS days, 0 for no limit' },
+    { key: 'feedRules', flag: '--feed-rules', type: 'rules', default: null, arg: 'RULES', help: 'Rules choosing the cartoons of the feed, e.g. "exclude=reclame&min-width=400"' },
+    { key: 'feeds', flag: '--feeds', type: 'feeds', default: null, arg: 'LIST', help: 'Named feeds written next to the output, separated by spaces, each a file name with rules, e.g. "latest.xml?max-items=20 full.xml"' },
+    { key: 'source', flag: '--source', type: 'string', default: 'evert-kwok', arg: 'NAME', help: `Source adapter: ${Object.keys(sources).join(', ')}` },
+    { key: 'locales', flag: '--locale', type: 'list', default: ['nl'], arg: 'LIST', env: 'EKR_LOCALE', help: `Languages of the feeds and site: ${Object.keys(catalogs).join(', ')}; locales after the first get their own feeds, e.g. feed.en.xml` },
+    { key: 'baseUrl', flag: '--base-url', type: 'url', default: EvertKwokSource.defaults.baseUrl, arg: 'URL', help: 'Cartoon listing to scrape' },
+    { key: 'pagesUrl', flag: '--pages-url', type: 'url', default: null, arg: 'URL', env: 'GITHUB_PAGES_URL', help: 'Public URL the feeds are published under (default: derived from GITHUB_REPOSITORY)' },
+    { key: 'userAgent', flag: '--user-agent', type: 'string', default: 'Mozilla/5.0 (compatible; EvertKwokRSSBot/1.0; +https://github.com/yourusername/evert-kwok-rss)', arg: 'UA', help: 'User-Agent header sent with every request' },
+    { key: 'maxRetries', flag: '--max-retries', type: 'integer', default: 3, arg: 'N', help: 'Attempts per request before giving up; only timeouts, dropped connections, 429 and 5xx responses are retried', min: 1 },
+    { key: 'retryDelay', flag: '--retry-delay', type: 'integer', default: 2000, arg: 'MS', help: 'Delay before the first retry, doubled for every further one, with jitter' },
+    { key: 'maxRetryDelay', flag: '--max-retry-delay', type: 'integer', default: 60000, arg: 'MS', help: 'Longest wait before a retry; a longer Retry-After gives up instead' },
+    { key: 'robots', flag: '--no-robots', type: 'boolean', negate: true, default: true, help: 'Ignore robots.txt, only for servers of your own' },
+    { key: 'hostDelay', flag: '--host-delay', type: 'integer', default: 1000, arg: 'MS', help: 'Minimum time between two requests to the same host; a longer Crawl-delay in robots.txt wins' },
+    { key: 'maxRequests', flag: '--max-requests', type: 'integer', default: 1000, arg: 'N', help: 'Requests per source and run, 0 for no limit; images left unprobed, unhashed or unmirrored wait for the next run' },
+    { key: 'backfill', flag: '--backfill', type: 'boolean', default: false, help: 'Follow pagination to collect older cartoons into the archive' },
+    { key: 'maxPages', flag: '--max-pages', type: 'integer', default: 20, arg: 'N', help: 'Maximum number of pages to visit when backfilling', min: 1 },
+    { key: 'pageDelay', flag: '--page-delay', type: 'integer', default: 3000, arg: 'MS', help: 'Delay between page requests when backfilling' },
+    { key: 'stopOnKnown', flag: '--no-stop-on-known', type: 'boolean', negate: true, default: true, help: 'Keep backfilling past pages that contain only known cartoons' },
+    { key: 'fetchPosts', flag: '--no-posts', type: 'boolean', negate: true, default: true, help: 'Do not follow cartoons to their post pages for title, date and caption' },
+    { key: 'postDelay', flag: '--post-delay', type: 'integer', default: 1000, arg: 'MS', help: 'Delay between post page requests' },
+    { key: 'probeImages', flag: '--no-probe', type: 'boolean', negate: true, default: true, help: 'Do not request images for their size, type and dimensions' },
+    { key: 'probeDelay', flag: '--probe-delay', type: 'integer', default: 500, arg: 'MS', help: 'Delay between image requests' },
+    { key: 'mirror', flag: '--mirror', type: 'boolean', default: false, help: 'Serve cartoon images and thumbnails from a local copy instead of hotlinking the site' },
+    { key: 'mirrorDir', flag: '--mirror-dir', type: 'string', besideOutput: 'images', arg: 'DIR', help: 'Where mirrored images are stored, inside the directory of --output' },
+    { key: 'thumbnailWidth', flag: '--thumbnail-width', type: 'integer', default: 320, arg: 'PX', help: 'Width of generated thumbnails', min: 16 },
+    { key: 'dedupeImages', flag: '--dedupe-images', type: 'boolean', default: false, help: 'Merge re-uploads whose images look the same after resizing or recompression (needs sharp)' },
+    { key: 'dedupeThreshold', flag: '--dedupe-threshold', type: 'integer', default: 6, arg: 'BITS', help: 'Bits out of 64 in which the image hashes of duplicates may differ', min: 0, max: 32 },
+    { key: 'ocr', flag: '--ocr', type: 'boolean', default: false, help: 'Read the text in each cartoon with a local tesseract for transcripts, alt text and missing titles' },
+    { key: 'ocrLanguages', flag: '--ocr-languages', type: 'string', default: 'nld+eng', arg: 'LANGS', help: 'Tesseract languages to read, joined with "+"; each needs its trained data installed' },
+    { key: 'ocrCommand', flag: '--ocr-command', type: 'string', default: 'tesseract', arg: 'PATH', help: 'The tesseract executable to run' },
+    { key: 'site', flag: '--site', type: 'boolean', default: false, help: 'Also generate the gallery, archive and per-cartoon pages next to the feeds' },
+    { key: 'siteRecent', flag: '--site-recent', type: 'integer', default: 24, arg: 'N', help: 'Number of cartoons in the gallery on the landing page', min: 1 },
+    { key: 'topicFeeds', flag: '--topic-feeds', type: 'boolean', default: false, help: 'Also write one feed per topic, e.g. feeds/wiskunde.xml' },
+    { key: 'topicsDir', flag: '--topics-dir', type: 'string', besideOutput: 'feeds', arg: 'DIR', help: 'Where topic feeds are written, inside the directory of --output' },
+    { key: 'topicMinItems', flag: '--topic-min-items', type: 'integer', default: 3, arg: 'N', help: 'Only write feeds for topics with at least this many cartoons', min: 1 },
+    { key: 'combinedOutput', flag: '--combined-output', type: 'string', default: null, arg: 'FILE', help: 'With several sources configured, also write a feed combining all of them' },
+    { key: 'demo', flag: '--demo', type: 'boolean', default: false, help: 'Publish fabricated demo data instead of scraping (local development only)' },
+    { key: 'port', flag: '--port', type: 'integer', default: 8080, arg: 'PORT', help: 'serve: port of the preview server, 0 for any free port' },
+    { key: 'fixtures', flag: '--fixtures', type: 'string', default: null, arg: 'DIR', help: 'serve: scrape saved pages in DIR instead of the real site, writing to --preview-dir' },
+    { key: 'previewDir', flag: '--preview-dir', type: 'string', default: 'preview', arg: 'DIR', help: 'serve: where the feeds built from --fixtures are written' },
+    { key: 'watch', flag: '--no-watch', type: 'boolean', negate: true, default: true, help: 'serve: do not regenerate when the fixtures or the config file change' },
+    { key: 'maxDrop', flag: '--max-drop', type: 'fraction', default: 0.5, arg: 'FRACTION', help: 'Refuse to write a feed with this much fewer items than the published one' },
+    { key: 'validate', flag: '--validate', type: 'boolean', default: false, help: 'Check the generated feeds and fail instead of publishing a broken file' },
+    { key: 'force', flag: '--force', type: 'boolean', default: false, help: 'Write the feed even if the item count dropped drastically or health checks failed' },
+    { key: 'selectors', flag: '--selectors', type: 'list', arg: 'LIST', help: 'CSS selectors used to find cartoon images', default: EvertKwokSource.defaults.selectors },
+    { key: 'excludePatterns', flag: '--exclude', type: 'list', arg: 'LIST', help: 'Image URLs containing any of these strings are not cartoons', default: EvertKwokSource.defaults.excludePatterns },
+    { key: 'health', flag: '--health', type: 'boolean', default: false, help: 'Compare each run with recent runs and fail when the site layout seems to have changed' },
+    { key: 'healthFile', flag: '--health-file', type: 'string', besideOutput: 'health.json', arg: 'FILE', help: 'Measurements of recent runs the health checks compare against' },
+    { key: 'healthHistory', flag: '--health-history', type: 'integer', default: 30, arg: 'N', help: 'Number of recent runs to keep and compare against', min: 1 },
+    { key: 'healthDumpDir', flag: '--health-dump-dir', type: 'string', default: 'health-dumps', arg: 'DIR', help: 'Where the structure of the listing page is written when a health check does not pass' },
+    { key: 'staleDays', flag: '--stale-days', type: 'integer', default: 30, arg: 'DAYS', help: 'Warn when the newest cartoon is older than this', min: 1 },
+    { key: 'hub', flag: '--hub', type: 'url', default: null, arg: 'URL', help: 'WebSub hub advertised in the feeds and pinged when a run adds cartoons' },
+    { key: 'webhooks', flag: '--webhook', type: 'webhooks', default: null, arg: 'LIST', help: `Webhook URLs to post new cartoons to, optionally prefixed with their format (${WEBHOOK_FORMATS.join(', ')}), e.g. discord:https://...` },
+    { key: 'notify', flag: '--no-notify', type: 'boolean', negate: true, default: true, help: 'Do not ping the hub or post to webhooks now; send them later with the notify command' },
+    { key: 'report', flag: '--report', type: 'string', default: null, arg: 'FILE', help: 'Write a JSON report of the run: items, skipped images, guessed dates, requests and outputs' },
+    { key: 'logFormat', flag: '--log-format', type: 'string', choices: ['text', 'json'], default: 'text', arg: 'FORMAT', help: 'Log as text or as one JSON object per line' },
+    { key: 'verbose', flag: '--verbose', alias: '-v', type: 'boolean', default: false, help: 'Enable verbose logging' }
+];
+
+// Channel metadata is structured, so it can only be set in the config file
+const DEFAULT_CHANNEL = EvertKwokSource.defaults.channel;
+
+// Topics of cartoons whose post has no tags or categories, matched against title and caption.
+// Like the channel the mapping is structured, so it can only be set in the config file
+const DEFAULT_TOPICS = {
+    keywords: {
+        Wiskunde: ['wiskunde', 'reken*', 'som', 'sommen', 'getal', 'getallen', 'breuk*', 'formule*', 'vergelijking*', 'meetkunde', 'driehoek*', 'cirkel*', 'pi', 'procent', 'kans', 'statistiek', 'grafiek*', 'algebra', 'math*', 'calculus'],
+        Natuurkunde: ['natuurkunde', 'zwaartekracht', 'energie', 'snelheid', 'kracht*', 'licht', 'elektri*', 'magneet*', 'atoom', 'atomen', 'kwantum*', 'quantum', 'physics'],
+        Scheikunde: ['scheikunde', 'chemie', 'chemi*', 'molecu*', 'reactie*', 'zuur', 'zuren'],
+        Biologie: ['biologie', 'biolog*', 'evolutie', 'dna', 'cel', 'cellen', 'virus*', 'bacterie*'],
+        Natuur: ['natuur', 'bos', 'bossen', 'boom', 'bomen', 'dier*', 'plant*', 'wolf', 'vogel*'],
+        Sterrenkunde: ['sterrenkunde', 'ster', 'sterren', 'planeet', 'planeten', 'maan', 'heelal', 'komeet', 'astronom*']
+    },
+    // Tags and categories every post has say nothing about its topic
+    ignore: ['Cartoon', 'Cartoons', 'Uncategorized', 'Geen categorie']
+};
+
+// Defaults for a feed written to `outputFile`; the archive, cache, health history, mirrored images
+// and topic feeds are kept next to it
+function getDefaults(outputFile) {
+    const defaults = {};
+    for (const option of OPTIONS) {
+        defaults[option.key] = Array.isArray(option.default) ? [...option.default] : option.default;
+    }
+    const dir = path.dirname(typeof outputFile === 'string' && outputFile ? outputFile : defaults.outputFile);
+    for (const option of OPTIONS.filter(candidate => candidate.besideOutput)) {
+        defaults[option.key] = path.join(dir, option.besideOutput);
+    }
+    defaults.channel = JSON.parse(JSON.stringify(DEFAULT_CHANNEL));
+    defaults.topics = { keywords: { ...DEFAULT_TOPICS.keywords }, ignore: [...DEFAULT_TOPICS.ignore] };
+    return defaults;
+}
+
+function envName(option) {
+    return option.env || ENV_PREFIX + option.key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+// Converts a string from the command line or environment to the option's type
+function parseValue(option, value) {
+    switch (option.type) {
+        case 'boolean':
+            if (/^(1|true|yes)$/i.test(value)) return true;
+            if (/^(0|false|no)$/i.test(value)) return false;
+            return value;
+        case 'integer':
+            return /^-?\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+        case 'fraction':
+            return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+        case 'list':
+        case 'webhooks':
+            return value.split(',').map(item => item.trim()).filter(Boolean);
+        case 'feeds':
+            // Commas are common in regular expressions, a space is written %20 inside rules
+            return value.split(/\s+/).filter(Boolean);
+        default:
+            return value;
+    }
+}
+
+function validateOption(option, value) {
+    if (value === null && option.default === null) {
+        return null;
+    }
+
+    switch (option.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'integer': {
+            const min = option.min !== undefined ? option.min : 0;
+            if (option.max !== undefined) {
+                return Number.isInteger(value) && value >= min && value <= option.max ? null : `must be a whole number from ${min} to ${option.max}`;
+            }
+            return Number.isInteger(value) && value >= min ? null : `must be a whole number of at least ${min}`;
+        }
+        case 'fraction':
+            return typeof value === 'number' && value >= 0 && value <= 1 ? null : 'must be a number between 0 and 1';
+        case 'list':
+            return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.length > 0) ?
+                   null :
+                   'must be a non-empty list of strings';
+        case 'webhooks':
+            return Array.isArray(value) && value.length > 0 && value.every(entry => parseWebhook(entry)) ?
+                   null :
+                   `must be a list of http(s) URLs, each optionally prefixed with ${WEBHOOK_FORMATS.map(format => `${format}:`).join(', ')}, or of { "url", "format" } objects`;
+        case 'rules':
+            return ruleError(() => parseFeedRules(value), 'must be rules like "max-items=20&exclude=reclame"');
+        case 'feeds':
+            if (!Array.isArray(value) || value.length === 0) {
+                return 'must be a list of file names with rules like "latest.xml?max-items=20"';
+            }
+            return value.map(spec => ruleError(() => parseFeedSpec(spec), `has an invalid feed ${JSON.stringify(spec)}`)).find(Boolean) || null;
+        case 'url':
+            return isHttpUrl(value) ? null : 'must be an absolute http(s) URL';
+        default:
+            if (option.choices) {
+                return option.choices.includes(value) ? null : `must be one of ${option.choices.join(', ')}`;
+            }
+            return typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string';
+    }
+}
+
+// Null when `parse` accepts the value, otherwise `message` with the reason
+function ruleError(parse, message) {
+    try {
+        parse();
+        return null;
+    } catch (error) {
+        return `${message}: ${error.message}`;
+    }
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Title, description and categories can differ per locale: { "nl": "...", "en": "..." }
+function isLocalized(value, check) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const entries = Object.entries(value);
+        return entries.length > 0 && entries.every(([code, text]) => catalogs[code] && check(text));
+    }
+    return check(value);
+}
+
+function validateChannel(channel, errors) {
+    const isText = value => typeof value === 'string' && value.length > 0;
+    for (const key of ['title', 'description']) {
+        if (!isLocalized(channel[key], isText)) {
+            errors.push(`channel.${key} must be a non-empty string or an object of them per locale (${Object.keys(catalogs).join(', ')})`);
+        }
+    }
+    if (!isText(channel.language)) {
+        errors.push('channel.language must be a non-empty string');
+    }
+    for (const key of ['link', 'homeUrl', 'icon']) {
+        if (!isHttpUrl(channel[key])) {
+            errors.push(`channel.${key} must be an absolute http(s) URL`);
+        }
+    }
+    if (!channel.author || typeof channel.author.name !== 'string' || !/^[^@\s]+@[^@\s]+$/.test(channel.author.email || '')) {
+        errors.push('channel.author must have a name and a valid email');
+    }
+    if (!isLocalized(channel.categories, value => Array.isArray(value) && value.every(category => typeof category === 'string'))) {
+        errors.push('channel.categories must be a list of strings or an object of them per locale');
+    }
+    const unknown = Object.keys(channel).filter(key => !(key in DEFAULT_CHANNEL));
+    if (unknown.length > 0) {
+        errors.push(`channel has unknown keys: ${unknown.join(', ')}`);
+    }
+}
+
+function validateTopics(topics, errors) {
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+
+    if (!topics || typeof topics !== 'object' || Array.isArray(topics)) {
+        errors.push('topics must be an object with keywords and ignore');
+        return;
+    }
+    if (!topics.keywords || typeof topics.keywords !== 'object' || Array.isArray(topics.keywords) ||
+        !Object.values(topics.keywords).every(isStringList)) {
+        errors.push('topics.keywords must map each topic to a list of keywords');
+    }
+    if (!isStringList(topics.ignore)) {
+        errors.push('topics.ignore must be a list of strings');
+    }
+    const unknown = Object.keys(topics).filter(key => !(key in DEFAULT_TOPICS));
+    if (unknown.length > 0) {
+        errors.push(`topics has unknown keys: ${unknown.join(', ')}`);
+    }
+}
+
+function validateConfig(config) {
+    const errors = [];
+
+    for (const option of OPTIONS) {
+        const error = validateOption(option, config[option.key]);
+        if (error) {
+            errors.push(`${option.key} (${option.flag}, ${envName(option)}) ${error}, got ${JSON.stringify(config[option.key])}`);
+        }
+    }
+
+    if (typeof config.source === 'string' && !sources[config.source]) {
+        errors.push(`source (--source) must be one of ${Object.keys(sources).join(', ')}, got ${JSON.stringify(config.source)}`);
+    }
+
+    if (Array.isArray(config.locales)) {
+        const unknown = config.locales.filter(code => !catalogs[code]);
+        if (unknown.length > 0) {
+            errors.push(`locales contains unknown locales: ${unknown.join(', ')} (available: ${Object.keys(catalogs).join(', ')})`);
+        }
+    }
+
+    if (Array.isArray(config.formats)) {
+        const unknown = config.formats.filter(name => !formats[name]);
+        if (unknown.length > 0) {
+            errors.push(`formats contains unknown formats: ${unknown.join(', ')} (available: ${Object.keys(formats).join(', ')})`);
+        }
+    }
+
+    // Mirrored images and topic feeds are published next to the feeds, so they must live below the output directory
+    const published = [['mirror', 'mirrorDir', '--mirror-dir'], ['topicFeeds', 'topicsDir', '--topics-dir']];
+    for (const [enabled, key, flag] of published) {
+        if (config[enabled] && typeof config[key] === 'string' && typeof config.outputFile === 'string') {
+            const relative = path.relative(path.dirname(path.resolve(config.outputFile)), path.resolve(config[key]));
+            if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+                errors.push(`${key} (${flag}) must be a directory inside ${path.dirname(config.outputFile)}, got ${JSON.stringify(config[key])}`);
+            }
+        }
+    }
+
+    // Named feeds are written next to the main feed and must not overwrite it or each other
+    if (Array.isArray(config.feeds) && typeof config.outputFile === 'string') {
+        const taken = new Set([path.basename(config.outputFile), ...Object.values(formats).map(format => format.fileName)]);
+        // Invalid entries were reported above
+        const files = config.feeds.map(spec => ruleError(() => parseFeedSpec(spec), '') ? null : parseFeedSpec(spec).file).filter(Boolean);
+        for (const file of files) {
+            if (taken.has(file)) {
+                errors.push(`feeds (--feeds) would overwrite ${file}, give the feed another name`);
+            }
+            taken.add(file);
+        }
+    }
+
+    // Passed to tesseract as one argument, e.g. "nld+eng"
+    if (typeof config.ocrLanguages === 'string' && !/^[a-z_]+(\+[a-z_]+)*$/i.test(config.ocrLanguages)) {
+        errors.push(`ocrLanguages (--ocr-languages) must be tesseract languages like "nld+eng", got ${JSON.stringify(config.ocrLanguages)}`);
+    }
+
+    validateChannel(config.channel, errors);
+    validateTopics(config.topics, errors);
+    return errors;
+}
+
+// Settings that describe one site; every entry of `sources` brings its own, the rest is shared
+const SOURCE_KEYS = ['source', 'baseUrl', 'selectors', 'excludePatterns', 'channel'];
+
+// Options for each configured source, or just the top-level options when `sources` is empty.
+// Entries look like { "name": "evert-kwok" } or { "name": "kat", "adapter": "wordpress",
+// "baseUrl": "...", "channel": { ... } } and publish below <output dir>/<name>/ by default
+function resolveSources(config) {
+    if (!Array.isArray(config.sources) || config.sources.length === 0) {
+        return [config];
+    }
+
+    const shared = { ...config };
+    for (const key of [...SOURCE_KEYS, 'sources', 'combinedOutput']) {
+        delete shared[key];
+    }
+    const publishDir = path.dirname(config.outputFile);
+    const names = new Set();
+    const errors = [];
+
+    const resolved = config.sources.map((entry, index) => {
+        const label = `sources[${index}]${entry && entry.name ? ` (${entry.name})` : ''}`;
+        if (!entry || typeof entry !== 'object' || !/^[a-z0-9][a-z0-9-]*$/.test(entry.name || '')) {
+            errors.push(`${label} must be an object with a name of lowercase letters, digits and dashes`);
+            return null;
+        }
+        if (names.has(entry.name)) {
+            errors.push(`${label} has the same name as an earlier source`);
+        }
+        names.add(entry.name);
+
+        const adapter = entry.adapter || entry.name;
+        if (!sources[adapter]) {
+            errors.push(`${label}.adapter must be one of ${Object.keys(sources).join(', ')}, got ${JSON.stringify(adapter)}`);
+            return null;
+        }
+        const known = new Set([...OPTIONS.map(option => option.key), 'name', 'adapter', 'channel', 'topics', 'guidPrefix']);
+        const unknown = Object.keys(entry).filter(key => !known.has(key) || key === 'combinedOutput');
+        if (unknown.length > 0) {
+            errors.push(`${label} has unknown keys: ${unknown.join(', ')}`);
+        }
+
+        const { name } = entry;
+        const options = { ...entry };
+        delete options.name;
+        delete options.adapter;
+        const defaults = sources[adapter].defaults;
+        const dir = path.join(publishDir, name);
+        const channel = { ...(defaults.channel || {}), ...(entry.channel || {}) };
+        channel.author = { ...((defaults.channel || {}).author || {}), ...((entry.channel || {}).author || {}) };
+
+        const source = {
+            ...shared,
+            outputFile: path.join(dir, 'feed.xml'),
+            archiveFile: path.join(dir, 'archive.json'),
+            httpCacheFile: path.join(dir, 'http-cache.json'),
+            healthFile: path.join(dir, 'health.json'),
+            mirrorDir: path.join(dir, 'images'),
+            topicsDir: path.join(dir, 'feeds'),
+            baseUrl: defaults.baseUrl,
+            selectors: defaults.selectors,
+            excludePatterns: defaults.excludePatterns,
+            guidPrefix: defaults.guidPrefix,
+            ...options,
+            name,
+            source: adapter,
+            combinedOutput: null,
+            channel,
+            topics: { ...config.topics, ...(entry.topics || {}) }
+        };
+        if (source.guidPrefix !== undefined && (typeof source.guidPrefix !== 'string' || source.guidPrefix.length === 0)) {
+            errors.push(`${label}.guidPrefix must be a non-empty string`);
+        }
+        errors.push(...validateConfig(source).map(error => `${label}: ${error}`));
+        return source;
+    });
+
+    const outputs = resolved.filter(Boolean).map(source => path.resolve(source.outputFile));
+    if (config.combinedOutput && outputs.includes(path.resolve(config.combinedOutput))) {
+        errors.push(`combinedOutput (--combined-output) must differ from the feeds of the sources, got ${JSON.stringify(config.combinedOutput)}`);
+    }
+    if (new Set(outputs).size < outputs.length) {
+        errors.push('sources must not share an outputFile');
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return resolved;
+}
+
+function readConfigFile(file, required) {
+    let raw;
+    try {
+        raw = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT' && !required) {
+            return {};
+        }
+        throw new ConfigError([`cannot read config file: ${error.message}`], file);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        throw new ConfigError([`not valid JSON: ${error.message}`], file);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ConfigError(['must contain a JSON object'], file);
+    }
+
+    const known = new Set([...OPTIONS.map(option => option.key), 'channel', 'topics', 'sources', '$schema']);
+    const unknown = Object.keys(data).filter(key => !known.has(key));
+    if (unknown.length > 0) {
+        throw new ConfigError([`unknown keys: ${unknown.join(', ')}`], file);
+    }
+
+    delete data.$schema;
+    return data;
+}
+
+function parseArgs(args) {
+    const parsed = { options: {}, configFile: null, help: false, positionals: [], errors: [] };
+
+    for (const arg of args) {
+        if (arg === '--help' || arg === '-h') {
+            parsed.help = true;
+            continue;
+        }
+
+        // Commands and file names, e.g. `validate docs/feed.xml`
+        if (!arg.startsWith('-')) {
+            parsed.positionals.push(arg);
+            continue;
+        }
+
+        const [flag, ...rest] = arg.split('=');
+        const value = rest.length > 0 ? rest.join('=') : undefined;
+
+        if (flag === '--config') {
+            parsed.configFile = value;
+            continue;
+        }
+
+        const option = OPTIONS.find(candidate => candidate.flag === flag || candidate.alias === flag);
+        if (!option) {
+            parsed.errors.push(`unknown option ${flag}`);
+        } else if (option.type === 'boolean') {
+            parsed.options[option.key] = value === undefined ?
+                                         !option.negate :
+                                         parseValue(option, value);
+        } else if (value === undefined) {
+            parsed.errors.push(`${flag} needs a value (${flag}=${option.arg})`);
+        } else {
+            parsed.options[option.key] = parseValue(option, value);
+        }
+    }
+
+    return parsed;
+}
+
+function readEnv(env) {
+    const options = {};
+    for (const option of OPTIONS) {
+        const value = env[envName(option)];
+        if (value !== undefined && value !== '') {
+            options[option.key] = parseValue(option, value);
+        }
+    }
+    return options;
+}
+
+// Merges defaults < config file < environment < command line and validates the result
+function loadConfig({ args = [], env = process.env, cwd = process.cwd() } = {}) {
+    const parsed = parseArgs(args);
+    if (parsed.errors.length > 0) {
+        throw new ConfigError(parsed.errors, 'command line');
+    }
+
+    const explicitFile = parsed.configFile || env[`${ENV_PREFIX}CONFIG`];
+    const configFile = path.resolve(cwd, explicitFile || DEFAULT_CONFIG_FILE);
+    const fileOptions = readConfigFile(configFile, Boolean(explicitFile));
+
+    const overrides = { ...fileOptions, ...readEnv(env), ...parsed.options };
+    const defaults = getDefaults(overrides.outputFile);
+    const config = {
+        ...defaults,
+        ...overrides,
+        channel: {
+            ...defaults.channel,
+            ...(fileOptions.channel || {}),
+            author: { ...defaults.channel.author, ...((fileOptions.channel || {}).author || {}) }
+        },
+        // A mapping in the config file replaces the default one, so topics can also be removed
+        topics: { ...defaults.topics, ...(fileOptions.topics || {}) }
+    };
+
+    const errors = validateConfig(config);
+    if (config.sources !== undefined && !Array.isArray(config.sources)) {
+        errors.push('sources must be a list of sources');
+    }
+    if (errors.length > 0) {
+        throw new ConfigError(errors, Object.keys(fileOptions).length > 0 ? configFile : null);
+    }
+
+    let resolved;
+    try {
+        resolved = resolveSources(config);
+    } catch (error) {
+        throw new ConfigError(error.errors, Object.keys(fileOptions).length > 0 ? configFile : null);
+    }
+
+    return {
+        config,
+        sources: resolved,
+        configFile: Object.keys(fileOptions).length > 0 ? configFile : null,
+        help: parsed.help,
+        positionals: parsed.positionals
+    };
+}
+
+function formatHelp() {
+    const describe = option => {
+        const defaultValue = Array.isArray(option.default) ? option.default.join(',') : option.default;
+        const usage = [option.flag + (option.arg ? `=${option.arg}` : ''), option.alias].filter(Boolean).join(', ');
+        let suffix = option.type === 'boolean' || option.default === null || Array.isArray(option.default) && option.default.length > 3 ?
+                     '' :
+                     ` (default: ${defaultValue})`;
+        if (option.besideOutput) {
+            suffix = ` (default: ${option.besideOutput} next to --output)`;
+        }
+        return `  ${usage.padEnd(24)} ${option.help}${suffix}`;
+    };
+
+    return OPTIONS.map(describe).join('\n');
+}
+
+module.exports = {
+    ConfigError,
+    OPTIONS,
+    DEFAULT_CONFIG_FILE,
+    DEFAULT_TOPICS,
+    getDefaults,
+    envName,
+    parseArgs,
+    validateConfig,
+    resolveSources,
+    loadConfig,
+    formatHelp
+};
@@ -0,0 +1,143 @@
+// src/feed-rules.js - Query-style rules that choose the cartoons of a feed, e.g. "max-items=20&exclude=reclame"
+const { classify, topicSlug } = require('./topics');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rule names as they appear in the query, with the property they set and how their value is read
+const RULES = {
+    'max-items': { key: 'maxItems', type: 'integer' },
+    'max-age': { key: 'maxAgeDays', type: 'integer' },
+    include: { key: 'include', type: 'regexp' },
+    exclude: { key: 'exclude', type: 'regexp' },
+    topic: { key: 'topics', type: 'topics' },
+    'exclude-topic': { key: 'excludeTopics', type: 'topics' },
+    'min-width': { key: 'minWidth', type: 'integer' },
+    'min-height': { key: 'minHeight', type: 'integer' },
+    title: { key: 'title', type: 'text' }
+};
+
+class FeedRulesError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FeedRulesError';
+    }
+}
+
+function readRule(rule, value) {
+    switch (rule.type) {
+        case 'integer':
+            if (!/^\d+$/.test(value)) {
+                throw new FeedRulesError(`"${value}" is not a whole number`);
+            }
+            return parseInt(value, 10);
+        case 'regexp':
+            // Case-insensitive; ^ and $ also match at the start and end of the title and of the caption
+            try {
+                return new RegExp(value, 'im');
+            } catch (error) {
+                throw new FeedRulesError(`"${value}" is not a regular expression (${error.message})`);
+            }
+        case 'topics':
+            return value.split('|').map(topicSlug).filter(Boolean);
+        default:
+            return value;
+    }
+}
+
+// "max-items=20&topic=Wiskunde|Natuurkunde&exclude=reclame" → { maxItems: 20, topics: [...], exclude: /reclame/im }.
+// Values are percent-decoded, so a "&" or "=" in a regular expression is written %26 or %3D; unlike in
+// URLs a "+" stays a plus
+function parseFeedRules(query) {
+    const rules = {};
+    const text = String(query || '').replace(/^\?/, '');
+
+    for (const pair of text.split('&').filter(Boolean)) {
+        const separator = pair.indexOf('=');
+        const name = separator === -1 ? pair : pair.slice(0, separator);
+        const rule = RULES[name];
+        if (!rule) {
+            throw new FeedRulesError(`unknown rule "${name}" (known: ${Object.keys(RULES).join(', ')})`);
+        }
+        if (rule.key in rules) {
+            throw new FeedRulesError(`"${name}" is given twice`);
+        }
+        let value;
+        try {
+            value = decodeURIComponent(separator === -1 ? '' : pair.slice(separator + 1));
+        } catch {
+            throw new FeedRulesError(`the value of "${name}" is not properly percent-encoded`);
+        }
+        if (value === '') {
+            throw new FeedRulesError(`"${name}" has no value`);
+        }
+        rules[rule.key] = readRule(rule, value);
+    }
+    return rules;
+}
+
+// A named feed from the config: "latest.xml?max-items=20" is written as latest.xml, its other
+// formats as latest.atom.xml and latest.feed.json next to the main feed
+function parseFeedSpec(spec) {
+    const text = String(spec || '');
+    const separator = text.indexOf('?');
+    const file = separator === -1 ? text : text.slice(0, separator);
+    if (!/^[a-z0-9][a-z0-9_-]*\.xml$/i.test(file)) {
+        throw new FeedRulesError(`"${file}" is not a file name like latest.xml`);
+    }
+    const rules = parseFeedRules(separator === -1 ? '' : text.slice(separator + 1));
+    const name = file.slice(0, -'.xml'.length);
+    return { name, slug: name, file, title: rules.title || null, rules };
+}
+
+// Rules with the --max-items and --max-age limits on top; 0 means no limit, otherwise the smaller one wins
+function withLimits(rules, limits) {
+    const stricter = (a, b) => (a > 0 && b > 0 ? Math.min(a, b) : a || b || 0);
+    return {
+        ...rules,
+        maxItems: stricter(rules.maxItems, limits.maxItems),
+        maxAgeDays: stricter(rules.maxAgeDays, limits.maxAgeDays)
+    };
+}
+
+function usesImageSize(rules) {
+    return Boolean(rules.minWidth || rules.minHeight);
+}
+
+// The cartoons the rules let through, in the order given, at most rules.maxItems. Images that were
+// not probed (yet) have no known size and pass the size rules
+function applyFeedRules(cartoons, rules, { topics = {}, now = new Date() } = {}) {
+    const cutoff = rules.maxAgeDays > 0 ? now.getTime() - rules.maxAgeDays * DAY : null;
+    const selected = cartoons.filter(cartoon => {
+        if (cutoff !== null && cartoon.date.getTime() < cutoff) {
+            return false;
+        }
+        const text = `${cartoon.title || ''}\n${cartoon.description || ''}`;
+        if ((rules.include && !rules.include.test(text)) || (rules.exclude && rules.exclude.test(text))) {
+            return false;
+        }
+        if (rules.topics || rules.excludeTopics) {
+            const slugs = classify(cartoon, topics).map(topicSlug);
+            if ((rules.topics && !rules.topics.some(slug => slugs.includes(slug))) ||
+                (rules.excludeTopics && rules.excludeTopics.some(slug => slugs.includes(slug)))) {
+                return false;
+            }
+        }
+        const image = cartoon.image || {};
+        if ((rules.minWidth && image.width && image.width < rules.minWidth) ||
+            (rules.minHeight && image.height && image.height < rules.minHeight)) {
+            return false;
+        }
+        return true;
+    });
+    return rules.maxItems > 0 ? selected.slice(0, rules.maxItems) : selected;
+}
+
+module.exports = {
+    RULES,
+    FeedRulesError,
+    parseFeedRules,
+    parseFeedSpec,
+    withLimits,
+    usesImageSize,
+    applyFeedRules
+};
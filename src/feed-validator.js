@@ -0,0 +1,458 @@
+// src/feed-validator.js - Checks generated RSS, Atom and JSON feeds before they are published
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+
+// Characters outside the XML 1.0 Char production, including lone surrogates
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+const RFC_822_DATE = /^(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun), )?\d{1,2} (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{2}(?:\d{2})? \d{2}:\d{2}(?::\d{2})? (?:UT|GMT|[ECMP][SD]T|[A-IK-Z]|[+-]\d{4})$/;
+const RFC_3339_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/i;
+const MIME_TYPE = /^[a-z]+\/[a-z0-9.+-]+$/i;
+const RSS_EMAIL = /^[^\s@]+@[^\s@]+(?: \(.+\))?$/;
+const MEDIA_MEDIUMS = ['image', 'audio', 'video', 'document', 'executable'];
+
+// Elements that may repeat; everything else is parsed as a single value
+const REPEATING = new Set(['item', 'entry', 'category', 'link', 'enclosure', 'guid', 'atom:link', 'media:content', 'media:thumbnail']);
+
+// Longer reports are cut off, the first problems are usually the interesting ones
+const MAX_LISTED = 20;
+
+const FORMAT_NAMES = {
+    rss: 'RSS 2.0',
+    atom: 'Atom 1.0',
+    json: 'JSON Feed 1.1'
+};
+
+class FeedValidationError extends Error {
+    constructor(reports) {
+        super(`Feed validation failed:\n${reports.filter(report => report.errors.length > 0).map(formatReport).join('\n')}`);
+        this.name = 'FeedValidationError';
+        this.reports = reports;
+    }
+}
+
+function text(node) {
+    if (node === undefined || node === null) return '';
+    if (Array.isArray(node)) return text(node[0]);
+    if (typeof node === 'object') return String(node['#text'] ?? '').trim();
+    return String(node).trim();
+}
+
+function isAbsoluteUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+function isRfc822Date(value) {
+    return RFC_822_DATE.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isRfc3339Date(value) {
+    return RFC_3339_DATE.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isNonNegativeInteger(value) {
+    return /^\d+$/.test(String(value));
+}
+
+function detectFormat(content) {
+    const start = content.replace(/^\uFEFF/, '').trimStart();
+    if (start.startsWith('{')) return 'json';
+
+    const root = start.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, '').trimStart().match(/^<([\w:-]+)/);
+    if (root && root[1] === 'rss') return 'rss';
+    if (root && root[1] === 'feed') return 'atom';
+    return null;
+}
+
+function lineAndColumn(content, index) {
+    const before = content.slice(0, index).split('\n');
+    return `line ${before.length}, column ${before[before.length - 1].length + 1}`;
+}
+
+// Collects problems with a location prefix, e.g. 'item 3 ("Title"): ...'
+function createCollector(report) {
+    return {
+        error: (where, message) => report.errors.push(where ? `${where}: ${message}` : message),
+        warning: (where, message) => report.warnings.push(where ? `${where}: ${message}` : message)
+    };
+}
+
+function describeItem(kind, index, node) {
+    const title = text(node.title);
+    return `${kind} ${index + 1}${title ? ` ("${title.length > 40 ? `${title.slice(0, 40)}…` : title}")` : ''}`;
+}
+
+function checkUrl(problems, where, name, value, required = true) {
+    if (!value) {
+        if (required) problems.error(where, `${name} is missing`);
+    } else if (!isAbsoluteUrl(value)) {
+        problems.error(where, `${name} "${value}" is not an absolute http(s) URL`);
+    }
+}
+
+function checkInvalidCharacters(content, problems) {
+    const matches = [...content.matchAll(INVALID_XML_CHARS)];
+    matches.slice(0, 10).forEach(match => {
+        const code = match[0].charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
+        problems.error(lineAndColumn(content, match.index), `invalid XML character U+${code}`);
+    });
+    if (matches.length > 10) {
+        problems.error(null, `${matches.length - 10} more invalid XML characters`);
+    }
+    return matches.length === 0;
+}
+
+function checkNamespaces(content, problems) {
+    const declared = new Set([...content.matchAll(/xmlns:([\w-]+)=/g)].map(match => match[1]));
+    const used = new Set([...content.matchAll(/<\/?([\w-]+):[\w-]+/g)].map(match => match[1]));
+    for (const prefix of used) {
+        if (prefix !== 'xml' && !declared.has(prefix)) {
+            problems.error(null, `namespace prefix "${prefix}" is used but never declared`);
+        }
+    }
+}
+
+function checkMediaContent(node, where, problems) {
+    for (const media of node['media:content'] || []) {
+        checkUrl(problems, where, 'media:content url', media['@_url']);
+        if (media['@_medium'] && !MEDIA_MEDIUMS.includes(media['@_medium'])) {
+            problems.error(where, `media:content medium "${media['@_medium']}" must be one of ${MEDIA_MEDIUMS.join(', ')}`);
+        }
+        if (media['@_type'] && !MIME_TYPE.test(media['@_type'])) {
+            problems.error(where, `media:content type "${media['@_type']}" is not a MIME type`);
+        }
+        for (const attribute of ['fileSize', 'width', 'height']) {
+            if (media[`@_${attribute}`] !== undefined && !isNonNegativeInteger(media[`@_${attribute}`])) {
+                problems.error(where, `media:content ${attribute} "${media[`@_${attribute}`]}" is not a whole number`);
+            }
+        }
+
+        for (const thumbnail of media['media:thumbnail'] || []) {
+            checkUrl(problems, where, 'media:thumbnail url', thumbnail['@_url']);
+        }
+    }
+}
+
+function validateRss(document, problems, report) {
+    const rss = document.rss;
+    if (!rss || typeof rss !== 'object') {
+        problems.error(null, 'root element must be <rss>');
+        return;
+    }
+    if (rss['@_version'] !== '2.0') {
+        problems.error('rss', `version must be "2.0", found "${rss['@_version'] || ''}"`);
+    }
+
+    const channel = rss.channel;
+    if (!channel || typeof channel !== 'object' || Array.isArray(channel)) {
+        problems.error('rss', 'needs exactly one <channel>');
+        return;
+    }
+
+    for (const name of ['title', 'link', 'description']) {
+        if (!text(channel[name])) {
+            problems.error('channel', `required element <${name}> is missing or empty`);
+        }
+    }
+    checkUrl(problems, 'channel', 'link', text(channel.link), false);
+
+    for (const name of ['pubDate', 'lastBuildDate']) {
+        if (channel[name] !== undefined && !isRfc822Date(text(channel[name]))) {
+            problems.error('channel', `${name} "${text(channel[name])}" is not an RFC 822 date`);
+        }
+    }
+    for (const name of ['managingEditor', 'webMaster']) {
+        if (channel[name] !== undefined && !RSS_EMAIL.test(text(channel[name]))) {
+            problems.error('channel', `${name} "${text(channel[name])}" must be an email address, optionally followed by (name)`);
+        }
+    }
+    if (channel.ttl !== undefined && !isNonNegativeInteger(text(channel.ttl))) {
+        problems.error('channel', `ttl "${text(channel.ttl)}" is not a whole number of minutes`);
+    }
+
+    if (channel.image) {
+        for (const name of ['url', 'title', 'link']) {
+            if (!text(channel.image[name])) {
+                problems.error('channel image', `required element <${name}> is missing`);
+            }
+        }
+        checkUrl(problems, 'channel image', 'url', text(channel.image.url), false);
+        if (Number(text(channel.image.width)) > 144 || Number(text(channel.image.height)) > 400) {
+            problems.error('channel image', 'may be at most 144 pixels wide and 400 pixels high');
+        }
+    }
+
+    const selfLinks = (channel['atom:link'] || []).filter(link => link['@_rel'] === 'self');
+    if (selfLinks.length === 0) {
+        problems.warning('channel', 'no <atom:link rel="self">, readers cannot tell where the feed lives');
+    }
+    for (const link of channel['atom:link'] || []) {
+        checkUrl(problems, 'channel', 'atom:link href', link['@_href']);
+    }
+
+    const items = channel.item || [];
+    report.items = items.length;
+    if (items.length === 0) {
+        problems.warning('channel', 'contains no items');
+    }
+
+    const guids = new Map();
+    let unknownLengths = 0;
+    items.forEach((item, index) => {
+        const where = describeItem('item', index, item);
+
+        if (!text(item.title) && !text(item.description)) {
+            problems.error(where, 'needs a <title> or a <description>');
+        }
+        checkUrl(problems, where, 'link', text(item.link), false);
+
+        if (item.pubDate !== undefined && !isRfc822Date(text(item.pubDate))) {
+            problems.error(where, `pubDate "${text(item.pubDate)}" is not an RFC 822 date`);
+        }
+        if (item.author !== undefined && !RSS_EMAIL.test(text(item.author))) {
+            problems.error(where, `author "${text(item.author)}" must be an email address, optionally followed by (name)`);
+        }
+
+        const guid = (item.guid || [])[0];
+        if (!guid) {
+            problems.warning(where, 'has no <guid>, readers may show it twice');
+        } else {
+            const value = text(guid);
+            if (!value) {
+                problems.error(where, 'guid is empty');
+            } else if (guids.has(value)) {
+                problems.error(where, `guid "${value}" is also used by item ${guids.get(value) + 1}`);
+            } else {
+                guids.set(value, index);
+            }
+            if (guid['@_isPermaLink'] !== 'false' && value && !isAbsoluteUrl(value)) {
+                problems.error(where, `guid "${value}" is a permalink but not an absolute URL; use isPermaLink="false"`);
+            }
+        }
+
+        const enclosures = item.enclosure || [];
+        if (enclosures.length > 1) {
+            problems.warning(where, 'has more than one <enclosure>, most readers only use the first');
+        }
+        for (const enclosure of enclosures) {
+            checkUrl(problems, where, 'enclosure url', enclosure['@_url']);
+            if (!MIME_TYPE.test(enclosure['@_type'] || '')) {
+                problems.error(where, `enclosure type "${enclosure['@_type'] || ''}" is not a MIME type`);
+            }
+            if (!isNonNegativeInteger(enclosure['@_length'] ?? '')) {
+                problems.error(where, `enclosure length "${enclosure['@_length'] ?? ''}" is not a whole number of bytes`);
+            } else if (Number(enclosure['@_length']) === 0) {
+                unknownLengths++;
+            }
+        }
+
+        if (item.source !== undefined) {
+            checkUrl(problems, where, 'source url', item.source['@_url']);
+        }
+
+        checkMediaContent(item, where, problems);
+    });
+
+    if (unknownLengths > 0) {
+        problems.warning('channel', `${unknownLengths} enclosure(s) have length 0, their real size is unknown`);
+    }
+}
+
+function validateAtom(document, problems, report) {
+    const feed = document.feed;
+    if (!feed || typeof feed !== 'object') {
+        problems.error(null, 'root element must be <feed>');
+        return;
+    }
+    if (feed['@_xmlns'] !== 'http://www.w3.org/2005/Atom') {
+        problems.error('feed', 'must be in the http://www.w3.org/2005/Atom namespace');
+    }
+
+    for (const name of ['id', 'title', 'updated']) {
+        if (!text(feed[name])) {
+            problems.error('feed', `required element <${name}> is missing or empty`);
+        }
+    }
+    if (feed.updated !== undefined && !isRfc3339Date(text(feed.updated))) {
+        problems.error('feed', `updated "${text(feed.updated)}" is not an RFC 3339 date`);
+    }
+
+    const checkLinks = (links, where) => {
+        for (const link of links || []) {
+            checkUrl(problems, where, `link${link['@_rel'] ? ` rel="${link['@_rel']}"` : ''} href`, link['@_href']);
+            if (link['@_type'] && !MIME_TYPE.test(link['@_type'])) {
+                problems.error(where, `link type "${link['@_type']}" is not a MIME type`);
+            }
+            if (link['@_length'] !== undefined && !isNonNegativeInteger(link['@_length'])) {
+                problems.error(where, `link length "${link['@_length']}" is not a whole number of bytes`);
+            }
+        }
+    };
+
+    checkLinks(feed.link, 'feed');
+    if (!(feed.link || []).some(link => link['@_rel'] === 'self')) {
+        problems.warning('feed', 'no <link rel="self">, readers cannot tell where the feed lives');
+    }
+
+    const entries = feed.entry || [];
+    report.items = entries.length;
+    if (entries.length === 0) {
+        problems.warning('feed', 'contains no entries');
+    }
+
+    const ids = new Map();
+    entries.forEach((entry, index) => {
+        const where = describeItem('entry', index, entry);
+
+        for (const name of ['id', 'title', 'updated']) {
+            if (!text(entry[name])) {
+                problems.error(where, `required element <${name}> is missing or empty`);
+            }
+        }
+        for (const name of ['updated', 'published']) {
+            if (entry[name] !== undefined && !isRfc3339Date(text(entry[name]))) {
+                problems.error(where, `${name} "${text(entry[name])}" is not an RFC 3339 date`);
+            }
+        }
+
+        const id = text(entry.id);
+        if (id && ids.has(id)) {
+            problems.error(where, `id "${id}" is also used by entry ${ids.get(id) + 1}`);
+        } else if (id) {
+            ids.set(id, index);
+        }
+
+        if (!feed.author && !entry.author) {
+            problems.error(where, 'has no <author> and the feed has none either');
+        }
+        if (entry.content === undefined && !(entry.link || []).some(link => (link['@_rel'] || 'alternate') === 'alternate')) {
+            problems.error(where, 'needs <content> or a <link rel="alternate">');
+        }
+
+        checkLinks(entry.link, where);
+        checkMediaContent(entry, where, problems);
+    });
+}
+
+function validateJsonFeed(content, problems, report) {
+    let document;
+    try {
+        document = JSON.parse(content);
+    } catch (error) {
+        problems.error(null, `not valid JSON: ${error.message}`);
+        return;
+    }
+
+    if (!String(document.version || '').startsWith('https://jsonfeed.org/version/')) {
+        problems.error(null, `version "${document.version || ''}" is not a JSON Feed version URL`);
+    }
+    if (!document.title) {
+        problems.error(null, 'required field title is missing');
+    }
+    checkUrl(problems, null, 'home_page_url', document.home_page_url, false);
+    checkUrl(problems, null, 'feed_url', document.feed_url, false);
+
+    if (!Array.isArray(document.items)) {
+        problems.error(null, 'required field items must be an array');
+        return;
+    }
+    report.items = document.items.length;
+
+    const ids = new Map();
+    document.items.forEach((item, index) => {
+        const where = describeItem('item', index, item);
+
+        if (item.id === undefined || item.id === null || item.id === '') {
+            problems.error(where, 'required field id is missing');
+        } else if (ids.has(String(item.id))) {
+            problems.error(where, `id "${item.id}" is also used by item ${ids.get(String(item.id)) + 1}`);
+        } else {
+            ids.set(String(item.id), index);
+        }
+        if (item.content_html === undefined && item.content_text === undefined) {
+            problems.error(where, 'needs content_html or content_text');
+        }
+
+        checkUrl(problems, where, 'url', item.url, false);
+        checkUrl(problems, where, 'image', item.image, false);
+        for (const name of ['date_published', 'date_modified']) {
+            if (item[name] !== undefined && !isRfc3339Date(item[name])) {
+                problems.error(where, `${name} "${item[name]}" is not an RFC 3339 date`);
+            }
+        }
+        for (const attachment of item.attachments || []) {
+            checkUrl(problems, where, 'attachment url', attachment.url);
+            if (!MIME_TYPE.test(attachment.mime_type || '')) {
+                problems.error(where, `attachment mime_type "${attachment.mime_type || ''}" is not a MIME type`);
+            }
+        }
+    });
+}
+
+// Returns { file, format, items, errors, warnings } for a rendered feed;
+// the format is detected from the content when it is not given
+function validateFeed(content, { format = detectFormat(content), file = null } = {}) {
+    const report = { file, format, items: 0, errors: [], warnings: [] };
+    const problems = createCollector(report);
+
+    if (format === 'json') {
+        validateJsonFeed(content, problems, report);
+        return report;
+    }
+    if (format !== 'rss' && format !== 'atom') {
+        problems.error(null, 'not an RSS, Atom or JSON feed');
+        return report;
+    }
+
+    // A parser stops at the first broken character, report all of them instead
+    if (!checkInvalidCharacters(content, problems)) {
+        return report;
+    }
+
+    const wellFormed = XMLValidator.validate(content);
+    if (wellFormed !== true) {
+        problems.error(`line ${wellFormed.err.line}, column ${wellFormed.err.col}`, `not well-formed XML: ${wellFormed.err.msg}`);
+        return report;
+    }
+    checkNamespaces(content, problems);
+
+    const document = new XMLParser({
+        ignoreAttributes: false,
+        parseTagValue: false,
+        isArray: name => REPEATING.has(name)
+    }).parse(content);
+
+    if (format === 'rss') {
+        validateRss(document, problems, report);
+    } else {
+        validateAtom(document, problems, report);
+    }
+    return report;
+}
+
+function formatReport(report) {
+    const name = report.file || FORMAT_NAMES[report.format] || 'feed';
+    const lines = report.errors.length > 0 ?
+                  [`❌ ${name}: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`] :
+                  [`✅ ${name}: valid ${FORMAT_NAMES[report.format]} feed with ${report.items} item(s)${report.warnings.length > 0 ? `, ${report.warnings.length} warning(s)` : ''}`];
+
+    const list = (problems, bullet) => {
+        problems.slice(0, MAX_LISTED).forEach(problem => lines.push(`   ${bullet} ${problem}`));
+        if (problems.length > MAX_LISTED) {
+            lines.push(`   ${bullet} ... and ${problems.length - MAX_LISTED} more`);
+        }
+    };
+    list(report.errors, '-');
+    list(report.warnings, '⚠️ ');
+    return lines.join('\n');
+}
+
+module.exports = {
+    FeedValidationError,
+    detectFormat,
+    validateFeed,
+    formatReport
+};
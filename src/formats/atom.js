@@ -0,0 +1,56 @@
+// src/formats/atom.js - Atom 1.0 (RFC 4287)
+const { escapeXml, itemLink, itemGuid, itemOrigin, itemDescription, itemCategories, imageUrls, imageInfo, contentHtml } = require('./common');
+
+function renderEntry(cartoon, feed) {
+    const image = imageInfo(cartoon);
+    const urls = imageUrls(cartoon, feed);
+    const length = image.length ? ` length="${image.length}"` : '';
+    const dimensions = image.width && image.height ? ` width="${image.width}" height="${image.height}"` : '';
+
+    return `    <entry>
+        <id>${escapeXml(itemGuid(cartoon, feed).value)}</id>
+        <title>${escapeXml(cartoon.title)}</title>
+        <link rel="alternate" type="text/html" href="${escapeXml(itemLink(cartoon))}"/>
+        <link rel="enclosure" type="${image.type}" href="${escapeXml(urls.image)}"${length}/>
+        <published>${cartoon.date.toISOString()}</published>
+        <updated>${cartoon.date.toISOString()}</updated>
+        <author>
+            <name>${escapeXml(itemOrigin(cartoon, feed).author.name)}</name>
+        </author>
+        <summary type="text">${escapeXml(itemDescription(cartoon, feed))}</summary>${itemCategories(cartoon, feed).map(category => `
+        <category term="${escapeXml(category)}"/>`).join('')}
+        <content type="html">${escapeXml(contentHtml(cartoon, feed))}</content>
+        <media:content url="${escapeXml(urls.image)}" type="${image.type}" medium="image"${dimensions}/>
+    </entry>`;
+}
+
+module.exports = {
+    name: 'atom',
+    fileName: 'atom.xml',
+    contentType: 'application/atom+xml',
+    title: 'Atom 1.0',
+
+    render(cartoons, feed) {
+        const updated = cartoons.length > 0 ? cartoons[0].date : feed.now;
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xml:lang="${feed.language}">
+    <id>${escapeXml(feed.links.atom)}</id>
+    <title>${escapeXml(feed.title)}</title>
+    <subtitle>${escapeXml(feed.description)}</subtitle>
+    <updated>${updated.toISOString()}</updated>
+    <link rel="self" type="application/atom+xml" href="${escapeXml(feed.links.atom)}"/>${feed.hub ? `
+    <link rel="hub" href="${escapeXml(feed.hub)}"/>` : ''}
+    <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>
+    <author>
+        <name>${escapeXml(feed.author.name)}</name>
+        <email>${escapeXml(feed.author.email)}</email>
+        <uri>${escapeXml(feed.homeUrl)}</uri>
+    </author>
+    <generator>${escapeXml(feed.generator)}</generator>
+    <icon>${escapeXml(feed.icon)}</icon>
+    <rights>${escapeXml(feed.locale.t('feed.copyright', { year: feed.now.getFullYear(), author: feed.author.name }))}</rights>
+${cartoons.map(cartoon => renderEntry(cartoon, feed)).join('\n')}
+</feed>`;
+    }
+};
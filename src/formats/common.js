@@ -0,0 +1,184 @@
+// src/formats/common.js - Helpers shared by all feed formats
+const ImageProbe = require('../image-probe');
+const { guidFor } = require('../identity');
+const { classify } = require('../topics');
+const { excerpt, transcriptTitle } = require('../ocr');
+
+// Characters of the cartoon's text quoted in descriptions and alt text
+const QUOTE_LENGTH = 200;
+const ALT_LENGTH = 250;
+
+function escapeXml(str) {
+    if (!str) return '';
+    return str.toString()
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function itemLink(cartoon) {
+    return cartoon.postUrl || cartoon.url;
+}
+
+// Archived cartoons carry their GUID; older items keep the image URL as permalink
+function itemGuid(cartoon, feed) {
+    if (cartoon.guid) {
+        return { value: cartoon.guid, isPermaLink: Boolean(cartoon.guidIsPermaLink) };
+    }
+    return { value: guidFor(cartoon, feed.guidPrefix), isPermaLink: false };
+}
+
+// Artist and feed an item comes from; items of a combined feed carry their own
+function itemOrigin(cartoon, feed) {
+    if (cartoon.origin) {
+        return { ...cartoon.origin, title: feed.locale.localize(cartoon.origin.title) };
+    }
+    return { author: feed.author, homeUrl: feed.homeUrl, title: feed.title, feedUrl: feed.links.rss };
+}
+
+// The text read from the cartoon's current image, '' without a transcript
+function transcriptText(cartoon) {
+    const transcript = cartoon.transcript;
+    return transcript && transcript.source === cartoon.url ? transcript.text || '' : '';
+}
+
+// The caption of the post, or a sentence in the language of the feed for cartoons without one that
+// quotes the text in the cartoon if it was read. Pass quote: false where the transcript is shown anyway
+function itemDescription(cartoon, feed, { quote = true } = {}) {
+    if (cartoon.description) {
+        return cartoon.description;
+    }
+    const values = { author: itemOrigin(cartoon, feed).author.name, title: cartoon.title };
+    const text = quote ? transcriptText(cartoon) : '';
+    return text ?
+           feed.locale.t('item.quote', { ...values, text: excerpt(text, QUOTE_LENGTH) }) :
+           feed.locale.t('item.description', values);
+}
+
+// Alt text of the image: the title, followed by what the characters say when it was read
+function imageAlt(cartoon) {
+    const text = transcriptText(cartoon);
+    if (!text) {
+        return cartoon.title;
+    }
+    // A title taken from the text would only be read twice
+    return cartoon.title === transcriptTitle(text) ? excerpt(text, ALT_LENGTH) : `${cartoon.title}: ${excerpt(text, ALT_LENGTH)}`;
+}
+
+// HTML section with the text read from the image, one paragraph per speech bubble
+function transcriptSection(cartoon, feed) {
+    const text = transcriptText(cartoon);
+    if (!text) {
+        return '';
+    }
+    const bubbles = text.split('\n').map(line => `
+                        <p style="font-size: 16px; line-height: 1.6; color: #333; margin: 0 0 8px 0;">${escapeXml(line)}</p>`).join('');
+    return `
+                    <section style="padding: 20px 25px; border-radius: 12px; margin: 30px 0; border: 1px solid #e9ecef;">
+                        <h2 style="font-size: 16px; color: #007cba; margin: 0 0 12px 0;">${escapeXml(feed.locale.t('item.transcript'))}</h2>${bubbles}
+                        <p style="font-size: 12px; color: #888; margin: 10px 0 0 0;">${escapeXml(feed.locale.t('item.transcriptNote'))}</p>
+                    </section>
+                    `;
+}
+
+// Post tags and categories, or topics found by the keyword mapping
+function itemCategories(cartoon, feed) {
+    return classify(cartoon, feed.topics);
+}
+
+// With --mirror the local copy replaces the hotlinked image; the original stays available for credits
+function imageUrls(cartoon, feed) {
+    const mirror = feed.mirror && cartoon.mirror && cartoon.mirror.source === cartoon.url ? cartoon.mirror : null;
+    const thumbnail = mirror && mirror.thumbnail;
+
+    return {
+        image: mirror ? `${feed.pagesUrl}/${mirror.path}` : cartoon.url,
+        original: cartoon.url,
+        mirrored: Boolean(mirror),
+        thumbnail: thumbnail ? { url: `${feed.pagesUrl}/${thumbnail.path}`, width: thumbnail.width, height: thumbnail.height } : null
+    };
+}
+
+// HTML credit below mirrored images, linking the original upload
+function originalCredit(urls, feed) {
+    if (!urls.mirrored) {
+        return '';
+    }
+    const host = `<a href="${escapeXml(urls.original)}" style="color: #888;">${escapeXml(new URL(urls.original).hostname)}</a>`;
+    return `
+                        <p style="font-size: 12px; color: #888; margin: 10px 0 0 0;">${feed.locale.html('item.original', { host })}</p>`;
+}
+
+// Probed image metadata with the file extension as fallback for the MIME type
+function imageInfo(cartoon) {
+    const image = cartoon.image || {};
+    return {
+        type: image.type || ImageProbe.typeFromUrl(cartoon.url),
+        length: image.length || 0,
+        width: image.width || null,
+        height: image.height || null
+    };
+}
+
+function formatLongDate(date, locale) {
+    return locale.formatDate(date, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Full HTML body of an item, used for content:encoded, Atom content and JSON Feed content_html
+function contentHtml(cartoon, feed) {
+    const urls = imageUrls(cartoon, feed);
+    const origin = itemOrigin(cartoon, feed);
+    const { locale } = feed;
+    const author = `<a href="${origin.homeUrl}" style="color: #007cba; text-decoration: none;">${escapeXml(origin.author.name)}</a>`;
+
+    return `
+                <div style="max-width: 800px; margin: 0 auto; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+                    <header style="text-align: center; margin-bottom: 30px; padding: 20px; background: linear-gradient(135deg, #f8f9fa, #e9ecef); border-radius: 12px;">
+                        <h1 style="color: #007cba; margin: 0 0 10px 0; font-size: 24px;">${escapeXml(cartoon.title)}</h1>
+                        <p style="color: #666; margin: 0; font-size: 16px;">📅 ${formatLongDate(cartoon.date, locale)}</p>
+                    </header>
+                    
+                    <div style="text-align: center; margin: 30px 0;">
+                        <img src="${escapeXml(urls.image)}" 
+                             alt="${escapeXml(imageAlt(cartoon))}" 
+                             style="max-width: 100%; height: auto; border-radius: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.12); transition: transform 0.3s ease;" 
+                             onmouseover="this.style.transform='scale(1.02)'" 
+                             onmouseout="this.style.transform='scale(1)'"
+                             loading="lazy" />${originalCredit(urls, feed)}
+                    </div>
+                    
+                    <div style="background: #f8f9fa; padding: 25px; border-radius: 12px; margin: 30px 0; border-left: 4px solid #007cba;">
+                        <p style="font-size: 16px; line-height: 1.8; color: #333; margin: 0;">
+                            ${escapeXml(itemDescription(cartoon, feed, { quote: false }))}
+                        </p>
+                    </div>
+                    ${transcriptSection(cartoon, feed)}
+                    <footer style="text-align: center; margin-top: 40px; padding: 20px; background: #f1f3f4; border-radius: 12px;">
+                        <p style="margin: 0; font-size: 14px; color: #666;">
+                            🎓 <strong>${escapeXml(locale.t('item.aboutLabel'))}</strong> ${locale.html('item.about', { author })}
+                        </p>
+                        <p style="margin: 10px 0 0 0; font-size: 12px; color: #888;">
+                            ${escapeXml(locale.t('item.delivered'))} <a href="${feed.pagesUrl}" style="color: #007cba;">${escapeXml(locale.t('item.learnMore'))}</a>
+                        </p>
+                    </footer>
+                </div>
+            `;
+}
+
+module.exports = {
+    escapeXml,
+    itemLink,
+    itemGuid,
+    itemOrigin,
+    transcriptText,
+    itemDescription,
+    imageAlt,
+    itemCategories,
+    imageUrls,
+    originalCredit,
+    imageInfo,
+    formatLongDate,
+    contentHtml
+};
@@ -0,0 +1,25 @@
+// src/formats/index.js - Registry of output formats, keyed by --formats name
+const rss = require('./rss');
+const atom = require('./atom');
+const jsonFeed = require('./json-feed');
+
+// Each format exposes { name, fileName, contentType, title, render(cartoons, feed) };
+// register additional formats here to make them available on the command line
+const formats = {
+    [rss.name]: rss,
+    [atom.name]: atom,
+    [jsonFeed.name]: jsonFeed
+};
+
+function getFormat(name) {
+    const format = formats[name];
+    if (!format) {
+        throw new Error(`Unknown feed format "${name}" (available: ${Object.keys(formats).join(', ')})`);
+    }
+    return format;
+}
+
+module.exports = {
+    formats,
+    getFormat
+};
@@ -0,0 +1,57 @@
+// src/formats/json-feed.js - JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/)
+const { itemLink, itemGuid, itemOrigin, itemDescription, itemCategories, imageUrls, imageInfo, contentHtml } = require('./common');
+
+function renderItem(cartoon, feed) {
+    const image = imageInfo(cartoon);
+    const urls = imageUrls(cartoon, feed);
+    const origin = itemOrigin(cartoon, feed);
+    const attachment = { url: urls.image, mime_type: image.type };
+    if (image.length) {
+        attachment.size_in_bytes = image.length;
+    }
+
+    const item = {
+        id: itemGuid(cartoon, feed).value,
+        url: itemLink(cartoon),
+        title: cartoon.title,
+        content_html: contentHtml(cartoon, feed).trim(),
+        summary: itemDescription(cartoon, feed),
+        image: urls.image,
+        date_published: cartoon.date.toISOString(),
+        authors: [{ name: origin.author.name, url: origin.homeUrl }],
+        attachments: [attachment]
+    };
+
+    const tags = itemCategories(cartoon, feed);
+    if (tags.length > 0) {
+        item.tags = tags;
+    }
+
+    return item;
+}
+
+module.exports = {
+    name: 'json',
+    fileName: 'feed.json',
+    contentType: 'application/feed+json',
+    title: 'JSON Feed 1.1',
+
+    render(cartoons, feed) {
+        const document = {
+            version: 'https://jsonfeed.org/version/1.1',
+            title: feed.title,
+            home_page_url: feed.siteUrl,
+            feed_url: feed.links.json,
+            description: feed.description,
+            icon: feed.icon,
+            favicon: feed.icon,
+            language: feed.language,
+            authors: [{ name: feed.author.name, url: feed.homeUrl }],
+            // Readers subscribe to WebSub hubs listed here for push updates
+            ...(feed.hub ? { hubs: [{ type: 'WebSub', url: feed.hub }] } : {}),
+            items: cartoons.map(cartoon => renderItem(cartoon, feed))
+        };
+
+        return JSON.stringify(document, null, 2) + '\n';
+    }
+};
@@ -0,0 +1,109 @@
+// src/formats/rss.js - RSS 2.0 with Media RSS, content and Dublin Core extensions
+const { escapeXml, itemLink, itemGuid, itemOrigin, itemDescription, imageAlt, itemCategories, imageUrls, originalCredit, imageInfo, contentHtml } = require('./common');
+
+function renderThumbnail(urls, dimensions) {
+    if (urls.thumbnail) {
+        return `
+                <media:thumbnail url="${escapeXml(urls.thumbnail.url)}" width="${urls.thumbnail.width}" height="${urls.thumbnail.height}"/>`;
+    }
+    return dimensions ? `
+                <media:thumbnail url="${escapeXml(urls.image)}"${dimensions}/>` : '';
+}
+
+function renderMedia(cartoon, feed) {
+    const image = imageInfo(cartoon);
+    const urls = imageUrls(cartoon, feed);
+    const dimensions = image.width && image.height ? ` width="${image.width}" height="${image.height}"` : '';
+    const fileSize = image.length ? ` fileSize="${image.length}"` : '';
+    const categories = itemCategories(cartoon, feed);
+    const keywords = categories.length > 0 ? `
+                <media:keywords>${escapeXml(categories.join(', ').toLowerCase())}</media:keywords>` : '';
+    const credit = urls.mirrored ? `
+                <media:credit role="author">${escapeXml(itemOrigin(cartoon, feed).author.name)}</media:credit>
+                <media:backLinks>
+                    <media:backLink>${escapeXml(urls.original)}</media:backLink>
+                </media:backLinks>` : '';
+
+    return `            <enclosure url="${escapeXml(urls.image)}" type="${image.type}" length="${image.length}"/>
+            <media:content url="${escapeXml(urls.image)}" type="${image.type}" medium="image"${fileSize}${dimensions}>
+                <media:title>${escapeXml(cartoon.title)}</media:title>
+                <media:description>${escapeXml(itemDescription(cartoon, feed))}</media:description>${keywords}${renderThumbnail(urls, dimensions)}${credit}
+            </media:content>`;
+}
+
+function renderItem(cartoon, feed) {
+    const guid = itemGuid(cartoon, feed);
+    const urls = imageUrls(cartoon, feed);
+    const origin = itemOrigin(cartoon, feed);
+
+    return `        <item>
+            <title>${escapeXml(cartoon.title)}</title>
+            <link>${escapeXml(itemLink(cartoon))}</link>
+            <description><![CDATA[
+                <div style="max-width: 600px; margin: 0 auto; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6;">
+                    <p style="font-size: 16px; color: #333; margin-bottom: 20px; text-align: center;">
+                        ${escapeXml(itemDescription(cartoon, feed))}
+                    </p>
+                    <div style="text-align: center; margin: 20px 0;">
+                        <img src="${escapeXml(urls.image)}"
+                             alt="${escapeXml(imageAlt(cartoon))}"
+                             style="max-width: 100%; height: auto; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.15);"
+                             loading="lazy" />${originalCredit(urls, feed)}
+                    </div>
+                    <p style="font-size: 14px; color: #666; text-align: center; margin-top: 15px;">
+                        <strong>${feed.locale.html('item.credit', { author: `<a href="${origin.homeUrl}" style="color: #007cba; text-decoration: none;">${escapeXml(origin.author.name)}</a>` })}</strong>
+                    </p>
+                </div>
+            ]]></description>
+            <content:encoded><![CDATA[${contentHtml(cartoon, feed)}]]></content:encoded>
+            <pubDate>${cartoon.date.toUTCString()}</pubDate>
+            <dc:date>${cartoon.date.toISOString()}</dc:date>
+            <guid isPermaLink="${guid.isPermaLink}">${escapeXml(guid.value)}</guid>
+${renderMedia(cartoon, feed)}${itemCategories(cartoon, feed).map(category => `
+            <category>${escapeXml(category)}</category>`).join('')}
+            <author>${origin.author.email} (${escapeXml(origin.author.name)})</author>
+            <source url="${origin.feedUrl}">${escapeXml(origin.title)}</source>
+        </item>`;
+}
+
+module.exports = {
+    name: 'rss',
+    fileName: 'feed.xml',
+    contentType: 'application/rss+xml',
+    title: 'RSS 2.0',
+
+    render(cartoons, feed) {
+        const lastBuildDate = cartoons.length > 0 ? cartoons[0].date : feed.now;
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <channel>
+        <title>${escapeXml(feed.title)}</title>
+        <link>${escapeXml(feed.siteUrl)}</link>
+        <description>${escapeXml(feed.description)}</description>
+        <language>${feed.language}</language>
+        <copyright>${escapeXml(feed.locale.t('feed.copyright', { year: feed.now.getFullYear(), author: feed.author.name }))}</copyright>
+        <managingEditor>${feed.author.email} (${escapeXml(feed.author.name)})</managingEditor>
+        <webMaster>${feed.author.email} (${escapeXml(feed.author.name)})</webMaster>
+        <lastBuildDate>${feed.now.toUTCString()}</lastBuildDate>
+        <pubDate>${lastBuildDate.toUTCString()}</pubDate>
+        <ttl>1440</ttl>
+        <generator>${escapeXml(feed.generator)}</generator>
+        <docs>https://cyber.harvard.edu/rss/rss.html</docs>
+        <atom:link href="${feed.links.rss}" rel="self" type="application/rss+xml"/>${feed.hub ? `
+        <atom:link href="${escapeXml(feed.hub)}" rel="hub"/>` : ''}
+        <image>
+            <url>${escapeXml(feed.icon)}</url>
+            <title>${escapeXml(feed.title)}</title>
+            <link>${escapeXml(feed.siteUrl)}</link>
+            <width>32</width>
+            <height>32</height>
+            <description>${escapeXml(feed.locale.t('feed.image', { title: feed.title }))}</description>
+        </image>
+${feed.categories.map(category => `        <category>${escapeXml(category)}</category>`).join('\n')}
+
+${cartoons.map(cartoon => renderItem(cartoon, feed)).join('\n')}
+    </channel>
+</rss>`;
+    }
+};
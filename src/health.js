@@ -0,0 +1,253 @@
+// src/health.js - Compares each run with recent runs to notice when the site layout changed
+const fs = require('fs').promises;
+const path = require('path');
+
+const HEALTH_VERSION = 1;
+
+// Comparisons with earlier runs start once this many runs were recorded
+const MIN_HISTORY = 3;
+// A selector is relied upon when it found cartoons in this share of the recorded runs
+const RELIABLE_SELECTOR = 0.8;
+// Warn when fewer cartoons are found than this share of the usual number
+const FOUND_DROP = 0.5;
+// Share of cartoons dated "now" because neither the image URL nor the post page had a date
+const DATE_FALLBACK_WARN = 0.25;
+const DATE_FALLBACK_FAIL = 0.5;
+// Share of cartoons titled after their filename because the listing and post page had no title
+const TITLE_FALLBACK_WARN = 0.5;
+
+const LEVELS = ['ok', 'warning', 'failing'];
+
+class HealthCheckError extends Error {
+    constructor(health) {
+        const failing = health.checks.filter(check => check.status === 'failing');
+        super(`Health check failed: ${failing.map(check => check.message).join('; ')}`);
+        this.name = 'HealthCheckError';
+        this.health = health;
+    }
+}
+
+function worst(statuses) {
+    return statuses.reduce((result, status) => (LEVELS.indexOf(status) > LEVELS.indexOf(result) ? status : result), 'ok');
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Inline data: images can be kilobytes of base64
+function clip(value, length = 200) {
+    return value && value.length > length ? `${value.substring(0, length)}…` : value || null;
+}
+
+function percentage(ratio) {
+    return `${Math.round(ratio * 100)}%`;
+}
+
+// Keeps the measurements of recent runs of one source and checks a new run against them
+class HealthMonitor {
+    constructor(options = {}) {
+        this.file = options.file || 'docs/health.json';
+        this.historySize = options.history || 30;
+        this.staleDays = options.staleDays || 30;
+        this.dumpDir = options.dumpDir || 'health-dumps';
+        this.log = options.log || (() => {});
+        this.runs = [];
+        this.dirty = false;
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            this.runs = data.runs || [];
+            this.log(`Loaded ${this.runs.length} earlier runs from ${this.file}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.log(`Ignoring unreadable health history ${this.file}: ${error.message}`, 'warn');
+            }
+            this.runs = [];
+        }
+        return this;
+    }
+
+    // What a run looked like: cartoons found, cartoons per selector and guesses the post pages did not correct
+    measure(report, scraped, cartoons, now = new Date()) {
+        return {
+            time: now.toISOString(),
+            found: scraped.length,
+            selectors: { ...report.selectors },
+            dateFallbacks: report.dateFallbacks.filter(fallback => fallback.fallback === 'current-date' && !fallback.resolvedByPost).length,
+            titleFallbacks: report.titleFallbacks.filter(fallback => !fallback.resolvedByPost).length,
+            latestDate: cartoons.length > 0 ? cartoons[0].date.toISOString().split('T')[0] : null
+        };
+    }
+
+    // Runs that did not parse the listing page (304 Not Modified) only have their freshness checked
+    check(run, { listing = true, now = new Date() } = {}) {
+        const history = this.runs.slice(-this.historySize);
+        const checks = listing ?
+                       [this.checkSelectors(run, history), this.checkFound(run, history), this.checkDates(run, history), this.checkTitles(run, history)] :
+                       [];
+        checks.push(this.checkFreshness(run, now));
+
+        const results = checks.filter(Boolean);
+        return {
+            status: worst(results.map(check => check.status)),
+            history: history.length,
+            checks: results
+        };
+    }
+
+    checkSelectors(run, history) {
+        if (history.length < MIN_HISTORY) {
+            return null;
+        }
+        // Selectors removed from the configuration are not drift
+        const reliable = Object.keys(run.selectors).filter(selector =>
+            history.filter(earlier => (earlier.selectors[selector] || 0) > 0).length >= history.length * RELIABLE_SELECTOR);
+        const lost = reliable.filter(selector => run.selectors[selector] === 0);
+
+        if (lost.length > 0 && lost.length === reliable.length) {
+            return { name: 'selectors', status: 'failing', message: `none of the selectors that found cartoons in the last ${history.length} runs matches a cartoon: ${lost.join(', ')}` };
+        }
+        if (lost.length > 0) {
+            return { name: 'selectors', status: 'warning', message: `selectors that found cartoons in the last ${history.length} runs no longer match a cartoon: ${lost.join(', ')}` };
+        }
+        return { name: 'selectors', status: 'ok', message: `${reliable.length} selectors match cartoons as usual` };
+    }
+
+    checkFound(run, history) {
+        if (history.length < MIN_HISTORY) {
+            return null;
+        }
+        const usual = median(history.map(earlier => earlier.found));
+        if (run.found < usual * FOUND_DROP) {
+            return { name: 'found', status: 'warning', message: `found ${run.found} cartoons, usually ${usual}` };
+        }
+        return { name: 'found', status: 'ok', message: `found ${run.found} cartoons, usually ${usual}` };
+    }
+
+    // A share that earlier runs also had is how the site is, not drift
+    usualShare(history, key) {
+        return Math.max(0, ...history.filter(earlier => earlier.found > 0).map(earlier => earlier[key] / earlier.found));
+    }
+
+    checkDates(run, history) {
+        const share = run.found > 0 ? run.dateFallbacks / run.found : 0;
+        const usual = this.usualShare(history, 'dateFallbacks');
+        const message = `${run.dateFallbacks} of ${run.found} cartoons (${percentage(share)}) have no date and were dated today, usually ${percentage(usual)}`;
+        const status = share <= usual ? 'ok' :
+                       share >= DATE_FALLBACK_FAIL ? 'failing' :
+                       share >= DATE_FALLBACK_WARN ? 'warning' : 'ok';
+        return { name: 'dates', status, message };
+    }
+
+    checkTitles(run, history) {
+        const share = run.found > 0 ? run.titleFallbacks / run.found : 0;
+        const usual = this.usualShare(history, 'titleFallbacks');
+        const message = `${run.titleFallbacks} of ${run.found} cartoons (${percentage(share)}) are titled after their filename, usually ${percentage(usual)}`;
+        return { name: 'titles', status: share > usual && share >= TITLE_FALLBACK_WARN ? 'warning' : 'ok', message };
+    }
+
+    // Artists take holidays, so a quiet site is only worth a warning
+    checkFreshness(run, now) {
+        if (!run.latestDate) {
+            return null;
+        }
+        const days = Math.floor((now - new Date(run.latestDate)) / (24 * 60 * 60 * 1000));
+        return {
+            name: 'freshness',
+            status: days > this.staleDays ? 'warning' : 'ok',
+            message: `the newest cartoon is from ${run.latestDate}, ${days} days ago${days > this.staleDays ? ` (more than ${this.staleDays})` : ''}`
+        };
+    }
+
+    // A run that looks exactly like the previous one adds nothing, so the file only changes when the site does
+    record(run) {
+        const withoutTime = ({ time, ...measurements }) => JSON.stringify(measurements);
+        const previous = this.runs[this.runs.length - 1];
+        if (previous && withoutTime(previous) === withoutTime(run)) {
+            return false;
+        }
+        this.runs = [...this.runs, run].slice(-this.historySize);
+        this.dirty = true;
+        return true;
+    }
+
+    async save() {
+        if (!this.dirty) {
+            return;
+        }
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(this.file, JSON.stringify({ version: HEALTH_VERSION, runs: this.runs }, null, 2) + '\n', 'utf8');
+        this.dirty = false;
+        this.log(`Health history written to ${this.file}`);
+    }
+
+    // Writes what the listing page looked like, to adjust the selectors without fetching it again
+    async dump(name, health, page) {
+        const file = path.join(this.dumpDir, `${name}.json`);
+        await fs.mkdir(this.dumpDir, { recursive: true });
+        await fs.writeFile(file, JSON.stringify({ source: name, time: new Date().toISOString(), health, page }, null, 2) + '\n', 'utf8');
+        return file;
+    }
+}
+
+// "article#post-1131.post.type-post > figure.wp-block-image > img.wp-image-1132"
+function describeElement($, element) {
+    const { tagName, attribs } = element;
+    const id = attribs.id ? `#${attribs.id}` : '';
+    const classes = (attribs.class || '').split(/\s+/).filter(Boolean).slice(0, 3).map(name => `.${name}`).join('');
+    return `${tagName}${id}${classes}`;
+}
+
+function elementPath($, element) {
+    return [...$(element).parentsUntil('html').toArray().reverse(), element]
+        .map(node => describeElement($, node))
+        .join(' > ');
+}
+
+// Indented tags of the page down to `depth`, with runs of identical siblings collapsed to "× N"
+function outline($, element, depth, lines = [], indent = '') {
+    const children = $(element).children().toArray().filter(child => !['script', 'style', 'noscript', 'svg'].includes(child.tagName));
+    for (let index = 0; index < children.length && lines.length < 500; index++) {
+        const description = describeElement($, children[index]);
+        let count = 1;
+        while (index + 1 < children.length && describeElement($, children[index + 1]) === description) {
+            count++;
+            index++;
+        }
+        lines.push(`${indent}${description}${count > 1 ? ` × ${count}` : ''}`);
+        if (depth > 1) {
+            outline($, children[index], depth - 1, lines, `${indent}  `);
+        }
+    }
+    return lines;
+}
+
+// Structure of a listing page: what each selector matches, every image with its place in the page and an outline
+function describePage($, url, selectors) {
+    return {
+        url,
+        title: $('title').first().text().trim(),
+        generator: $('meta[name="generator"]').attr('content') || null,
+        bodyClass: $('body').attr('class') || null,
+        selectors: selectors.map(selector => ({ selector, elements: $(selector).length })),
+        images: $('img').toArray().slice(0, 100).map(image => ({
+            path: elementPath($, image),
+            src: clip(image.attribs.src),
+            lazySrc: clip(image.attribs['data-src'] || image.attribs['data-lazy-src']),
+            srcset: clip(image.attribs.srcset || image.attribs['data-srcset'], 500),
+            alt: clip(image.attribs.alt)
+        })),
+        outline: outline($, $('body'), 8)
+    };
+}
+
+module.exports = {
+    HealthMonitor,
+    HealthCheckError,
+    describePage
+};
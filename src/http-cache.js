@@ -0,0 +1,68 @@
+// src/http-cache.js - Remembers ETag/Last-Modified validators for conditional requests
+const fs = require('fs').promises;
+const path = require('path');
+
+class HttpCache {
+    constructor(options = {}) {
+        this.file = options.file || 'docs/http-cache.json';
+        this.log = options.log || (() => {});
+        this.entries = {};
+        this.dirty = false;
+    }
+
+    async load() {
+        try {
+            this.entries = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            this.log(`Loaded HTTP validators for ${Object.keys(this.entries).length} URLs from ${this.file}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.log(`Ignoring unreadable HTTP cache ${this.file}: ${error.message}`, 'warn');
+            }
+            this.entries = {};
+        }
+        return this;
+    }
+
+    headersFor(url) {
+        const entry = this.entries[url];
+        const headers = {};
+        if (entry && entry.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry && entry.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+        return headers;
+    }
+
+    update(url, response) {
+        if (response.status === 304) {
+            return;
+        }
+
+        const etag = response.headers.etag || null;
+        const lastModified = response.headers['last-modified'] || null;
+        const entry = this.entries[url] || {};
+
+        if (entry.etag !== etag || entry.lastModified !== lastModified) {
+            if (etag || lastModified) {
+                this.entries[url] = { etag, lastModified };
+            } else {
+                delete this.entries[url];
+            }
+            this.dirty = true;
+        }
+    }
+
+    async save() {
+        if (!this.dirty) {
+            return;
+        }
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(this.file, JSON.stringify(this.entries, null, 2) + '\n', 'utf8');
+        this.dirty = false;
+        this.log(`HTTP validators written to ${this.file}`);
+    }
+}
+
+module.exports = HttpCache;
@@ -0,0 +1,73 @@
+// src/identity.js - Canonical cartoon identity that survives host, size and query string changes
+const path = require('path');
+const { stripSizeSuffix } = require('./image-urls');
+
+// Non-permalink GUIDs and Atom ids of Evert Kwok cartoons first seen after the switch to canonical ids
+const GUID_PREFIX = 'tag:evertkwok.nl,2019:cartoon/';
+
+// "https://cdn.example/wp-content/uploads/2026/08/1131-Grote-Bose-Wolf-1024x1024.png?ver=2"
+// and "1131-grote-bose-wolf.webp" both become "1131-grote-bose-wolf"
+function normalizeFilename(urlOrFilename) {
+    let pathname = (urlOrFilename || '').split(/[?#]/)[0];
+    if (/^https?:\/\//i.test(pathname)) {
+        pathname = new URL(pathname).pathname;
+    }
+
+    let filename = path.posix.basename(pathname);
+    try {
+        filename = decodeURIComponent(filename);
+    } catch {
+        // Keep malformed escapes as they are
+    }
+
+    return stripSizeSuffix(filename)
+        .toLowerCase()
+        .replace(/\.[a-z0-9]+$/, '')      // WordPress may serve the same upload as WebP
+        .replace(/-scaled$/, '')          // Copy made for uploads above the big image threshold
+        .replace(/-e\d{10,}$/, '');       // Copy made when the image was edited in the media library
+}
+
+// Every key a cartoon can be recognized by: its WordPress post, its normalized
+// filename, the content hash of the image and keys inherited from merged duplicates
+function identityKeys(cartoon) {
+    const keys = [];
+    if (cartoon.postId) {
+        keys.push(`post:${cartoon.postId}`);
+    }
+
+    const filename = normalizeFilename(cartoon.url || cartoon.filename);
+    if (filename) {
+        keys.push(`file:${filename}`);
+    }
+
+    if (cartoon.image && cartoon.image.hash) {
+        keys.push(`hash:${cartoon.image.hash}`);
+    }
+
+    keys.push(...(cartoon.aliases || []));
+    return [...new Set(keys)];
+}
+
+// A shared filename is not enough when the cartoons come from different posts;
+// post IDs, content hashes and keys inherited from merged duplicates always match
+function matchesOnKey(key, a, b) {
+    return !(key.startsWith('file:') && a.postId && b.postId && String(a.postId) !== String(b.postId));
+}
+
+function canonicalId(cartoon) {
+    return cartoon.postId ? `post-${cartoon.postId}` : normalizeFilename(cartoon.url || cartoon.filename);
+}
+
+// Every source has its own prefix, so items stay unique in a combined feed
+function guidFor(cartoon, prefix = GUID_PREFIX) {
+    return `${prefix}${encodeURIComponent(canonicalId(cartoon))}`;
+}
+
+module.exports = {
+    GUID_PREFIX,
+    normalizeFilename,
+    identityKeys,
+    matchesOnKey,
+    canonicalId,
+    guidFor
+};
@@ -0,0 +1,104 @@
+// src/image-hash.js - Perceptual image hashes that survive resizing, recompression and format changes
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const { loadSharp } = require('./image-mirror');
+
+// A difference hash compares each pixel of a 9x8 grayscale thumbnail with its right
+// neighbour: 64 bits that change with the drawing, not with its size or file format
+const HASH_WIDTH = 8;
+const HASH_HEIGHT = 8;
+// Thumbnails with less contrast than this are blank or nearly so; their hashes would all match
+const MIN_CONTRAST = 8;
+// Compression noise in flat areas must not count as one pixel being darker than the next
+const NOISE = 3;
+
+// Hex hash of `pixels`, a (HASH_WIDTH + 1) x HASH_HEIGHT grayscale thumbnail; null for flat images
+function differenceHash(pixels) {
+    const width = HASH_WIDTH + 1;
+    const values = Array.from(pixels).slice(0, width * HASH_HEIGHT);
+    if (Math.max(...values) - Math.min(...values) < MIN_CONTRAST) {
+        return null;
+    }
+
+    let bits = '';
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH; x++) {
+            bits += values[y * width + x + 1] - values[y * width + x] > NOISE ? '1' : '0';
+        }
+    }
+    return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+}
+
+// Number of bits in which two hashes differ
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let index = 0; index < a.length; index++) {
+        let bits = parseInt(a[index], 16) ^ parseInt(b[index], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+class ImageHasher {
+    constructor(options = {}) {
+        // Directory the feeds are published from, mirrored copies are read from there
+        this.publishDir = options.publishDir || 'docs';
+        this.http = options.http || axios;
+        this.userAgent = options.userAgent;
+        this.timeout = options.timeout || 30000;
+        // Decoding images needs sharp, which is an optional dependency
+        this.sharp = options.sharp === undefined ? loadSharp() : options.sharp;
+        this.log = options.log || (() => {});
+    }
+
+    async hashBuffer(buffer) {
+        const { data } = await this.sharp(buffer)
+            .flatten({ background: '#ffffff' })
+            .grayscale()
+            .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: 'fill' })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        return differenceHash(data);
+    }
+
+    // Returns the record stored as cartoon.phash; the hash is null for blank images
+    async hash(cartoon) {
+        return { source: cartoon.url, hash: await this.hashBuffer(await this.read(cartoon)) };
+    }
+
+    async read(cartoon) {
+        return readImage(cartoon, this);
+    }
+}
+
+// The bytes of a cartoon's image; a mirrored copy saves downloading it again. `options` are
+// those of the reader: publishDir, http, userAgent and timeout
+async function readImage(cartoon, options) {
+    if (cartoon.mirror && cartoon.mirror.source === cartoon.url) {
+        try {
+            return await fs.readFile(path.join(options.publishDir, cartoon.mirror.path));
+        } catch {
+            // Gone since the last run, download it instead
+        }
+    }
+
+    const response = await options.http.get(cartoon.url, {
+        headers: { 'User-Agent': options.userAgent },
+        timeout: options.timeout,
+        responseType: 'arraybuffer'
+    });
+    const buffer = Buffer.from(response.data);
+    if (buffer.length === 0) {
+        throw new Error('empty response');
+    }
+    return buffer;
+}
+
+module.exports = ImageHasher;
+module.exports.differenceHash = differenceHash;
+module.exports.hammingDistance = hammingDistance;
+module.exports.readImage = readImage;
@@ -0,0 +1,155 @@
+// src/image-mirror.js - Keeps local copies of cartoon images and their thumbnails
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+
+const THUMBNAIL_DIR = 'thumbs';
+
+// sharp is an optional dependency; without it images are mirrored but not resized
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch {
+        return null;
+    }
+}
+
+class ImageMirror {
+    constructor(options = {}) {
+        this.dir = options.dir || 'docs/images';
+        // Directory the feeds are published from; mirrored paths are stored relative to it
+        this.publishDir = options.publishDir || path.dirname(this.dir);
+        this.http = options.http || axios;
+        this.userAgent = options.userAgent;
+        this.timeout = options.timeout || 30000;
+        this.thumbnailWidth = options.thumbnailWidth || 320;
+        this.sharp = options.sharp === undefined ? loadSharp() : options.sharp;
+        this.log = options.log || (() => {});
+    }
+
+    // Local filename for a cartoon: its archive id plus the extension of the original
+    fileNameFor(cartoon) {
+        const extension = path.extname(new URL(cartoon.url).pathname).toLowerCase() || '.jpg';
+        const base = String(cartoon.id || path.basename(cartoon.filename || 'cartoon', extension))
+            .toLowerCase()
+            .replace(/[^a-z0-9._-]+/g, '-');
+        return `${base}${extension}`;
+    }
+
+    relative(file) {
+        return path.relative(this.publishDir, file).split(path.sep).join('/');
+    }
+
+    async exists(file) {
+        try {
+            await fs.access(file);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // True when the copy of the current image URL is still on disk
+    async isMirrored(cartoon) {
+        const mirror = cartoon.mirror;
+        if (!mirror || mirror.source !== cartoon.url || !await this.exists(path.join(this.publishDir, mirror.path))) {
+            return false;
+        }
+        // Pick up thumbnails once sharp becomes available
+        if (!mirror.thumbnail) {
+            return !this.sharp;
+        }
+        return this.exists(path.join(this.publishDir, mirror.thumbnail.path));
+    }
+
+    // Downloads the image and creates its thumbnail; returns the record stored as cartoon.mirror
+    async mirror(cartoon) {
+        const name = this.fileNameFor(cartoon);
+        const file = path.join(this.dir, name);
+
+        const response = await this.http.get(cartoon.url, {
+            headers: { 'User-Agent': this.userAgent },
+            timeout: this.timeout,
+            responseType: 'arraybuffer'
+        });
+        const buffer = Buffer.from(response.data);
+        if (buffer.length === 0) {
+            throw new Error('empty response');
+        }
+
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(file, buffer);
+
+        let thumbnail = null;
+        try {
+            thumbnail = await this.createThumbnail(buffer, name);
+        } catch (error) {
+            this.log(`Could not create a thumbnail of ${cartoon.url}: ${error.message}`, 'warn');
+        }
+
+        return {
+            source: cartoon.url,
+            path: this.relative(file),
+            length: buffer.length,
+            thumbnail
+        };
+    }
+
+    async createThumbnail(buffer, name) {
+        if (!this.sharp) {
+            return null;
+        }
+
+        const file = path.join(this.dir, THUMBNAIL_DIR, `${path.basename(name, path.extname(name))}.jpg`);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+
+        // Transparent PNGs get a white background, JPEG has no alpha channel
+        const info = await this.sharp(buffer)
+            .resize({ width: this.thumbnailWidth, withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: 80 })
+            .toFile(file);
+
+        return { path: this.relative(file), width: info.width, height: info.height };
+    }
+
+    // Removes mirrored files that no archived cartoon refers to any more
+    async collectGarbage(cartoons) {
+        const referenced = new Set();
+        for (const cartoon of cartoons) {
+            if (cartoon.mirror) {
+                referenced.add(cartoon.mirror.path);
+                if (cartoon.mirror.thumbnail) {
+                    referenced.add(cartoon.mirror.thumbnail.path);
+                }
+            }
+        }
+
+        const removed = [];
+        for (const dir of [this.dir, path.join(this.dir, THUMBNAIL_DIR)]) {
+            let entries;
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            for (const entry of entries) {
+                const file = path.join(dir, entry.name);
+                if (entry.isFile() && !referenced.has(this.relative(file))) {
+                    await fs.unlink(file);
+                    removed.push(file);
+                }
+            }
+        }
+
+        if (removed.length > 0) {
+            this.log(`Removed ${removed.length} mirrored images no longer in the archive`);
+        }
+        return removed;
+    }
+}
+
+module.exports = ImageMirror;
+module.exports.loadSharp = loadSharp;
@@ -0,0 +1,181 @@
+// src/image-probe.js - Reads size, MIME type and pixel dimensions of remote images
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Enough bytes to reach the dimensions in PNG, GIF, WebP and nearly all JPEG headers
+const PROBE_BYTES = 65536;
+
+const EXTENSION_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+class ImageProbe {
+    constructor(options = {}) {
+        this.http = options.http || axios;
+        this.userAgent = options.userAgent;
+        this.timeout = options.timeout || 15000;
+        this.log = options.log || (() => {});
+    }
+
+    async probe(url) {
+        const headers = { 'User-Agent': this.userAgent, Range: `bytes=0-${PROBE_BYTES - 1}` };
+        let response;
+
+        try {
+            response = await this.http.get(url, { headers, timeout: this.timeout, responseType: 'arraybuffer' });
+        } catch (error) {
+            // Some hosts reject ranged requests; a HEAD still gives us size and type. Missing images,
+            // network failures and requests refused by robots.txt or the budget are not worth another try
+            if (!ImageProbe.rangeRejected(error)) {
+                throw error;
+            }
+            this.log(`Ranged request for ${url} failed (${error.message}), trying HEAD`, 'warn');
+            response = await this.http.head(url, { headers: { 'User-Agent': this.userAgent }, timeout: this.timeout });
+        }
+
+        const buffer = response.data ? Buffer.from(response.data) : Buffer.alloc(0);
+        const detected = ImageProbe.readHeader(buffer);
+        const length = ImageProbe.contentLength(response, buffer);
+
+        return {
+            url,
+            length,
+            type: detected ? detected.type : ImageProbe.contentType(response, url),
+            width: detected ? detected.width : null,
+            height: detected ? detected.height : null,
+            hash: ImageProbe.contentHash(buffer, length)
+        };
+    }
+
+    // True when the server refused the ranged request itself: a client error other than a missing
+    // image, or 501 from servers that do not implement ranges
+    static rangeRejected(error) {
+        const status = error.response ? error.response.status : null;
+        return (status >= 400 && status < 500 && ![404, 410].includes(status)) || status === 501;
+    }
+
+    // Fingerprint of the image content, used to recognize re-uploads under another
+    // name; the first bytes plus the total size are distinctive enough for images
+    static contentHash(buffer, length) {
+        if (buffer.length === 0 || !length) {
+            return null;
+        }
+        return crypto.createHash('sha256')
+            .update(`${length}:`)
+            .update(buffer.subarray(0, PROBE_BYTES))
+            .digest('hex')
+            .slice(0, 16);
+    }
+
+    static contentLength(response, buffer) {
+        const range = response.headers['content-range'];
+        const total = range && range.match(/\/(\d+)$/);
+        if (total) {
+            return parseInt(total[1], 10);
+        }
+
+        // Without a range the response is the full image
+        const length = parseInt(response.headers['content-length'], 10);
+        if (response.status !== 206 && length > 0) {
+            return length;
+        }
+        return response.status === 200 && buffer.length > 0 ? buffer.length : null;
+    }
+
+    static contentType(response, url) {
+        const type = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        return type.startsWith('image/') ? type : ImageProbe.typeFromUrl(url);
+    }
+
+    static typeFromUrl(url) {
+        const extension = (url || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+        return EXTENSION_TYPES[extension] || 'image/jpeg';
+    }
+
+    // Returns { type, width, height } from the first bytes of an image, or null
+    static readHeader(buffer) {
+        if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+            return { type: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        }
+
+        if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+            return { type: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        }
+
+        if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+            return ImageProbe.readWebp(buffer);
+        }
+
+        if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+            return ImageProbe.readJpeg(buffer);
+        }
+
+        return null;
+    }
+
+    static readWebp(buffer) {
+        const chunk = buffer.toString('ascii', 12, 16);
+
+        switch (chunk) {
+            case 'VP8 ':
+                return {
+                    type: 'image/webp',
+                    width: buffer.readUInt16LE(26) & 0x3fff,
+                    height: buffer.readUInt16LE(28) & 0x3fff
+                };
+            case 'VP8L': {
+                const bits = buffer.readUInt32LE(21);
+                return {
+                    type: 'image/webp',
+                    width: (bits & 0x3fff) + 1,
+                    height: ((bits >> 14) & 0x3fff) + 1
+                };
+            }
+            case 'VP8X':
+                return {
+                    type: 'image/webp',
+                    width: buffer.readUIntLE(24, 3) + 1,
+                    height: buffer.readUIntLE(27, 3) + 1
+                };
+            default:
+                return { type: 'image/webp', width: null, height: null };
+        }
+    }
+
+    static readJpeg(buffer) {
+        let offset = 2;
+
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) {
+                offset++;
+                continue;
+            }
+
+            const marker = buffer[offset + 1];
+            // SOF0-SOF15 carry the frame size, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return {
+                    type: 'image/jpeg',
+                    width: buffer.readUInt16BE(offset + 7),
+                    height: buffer.readUInt16BE(offset + 5)
+                };
+            }
+
+            // Markers without a length segment
+            if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+                offset += marker === 0xff ? 1 : 2;
+                continue;
+            }
+
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+
+        return { type: 'image/jpeg', width: null, height: null };
+    }
+}
+
+module.exports = ImageProbe;
@@ -0,0 +1,53 @@
+// src/image-urls.js - Helpers for WordPress upload URLs and responsive image markup
+
+// WordPress names resized copies "<name>-<width>x<height>.<ext>"
+const SIZE_SUFFIX = /-(\d+)x(\d+)(\.[a-z0-9]+)(?=$|[?#])/i;
+
+// Parses "a.jpg 300w, b.jpg 768w" or "a.jpg 1x, b.jpg 2x" into { url, width, density }
+function parseSrcset(srcset) {
+    if (!srcset) return [];
+
+    return srcset
+        .split(/,\s+(?=\S)/)
+        .map(entry => entry.trim().split(/\s+/))
+        .filter(([url]) => url && !url.startsWith('data:'))
+        .map(([url, descriptor = '']) => {
+            const width = descriptor.match(/^(\d+)w$/i);
+            const density = descriptor.match(/^(\d+(?:\.\d+)?)x$/i);
+            return {
+                url,
+                width: width ? parseInt(width[1], 10) : null,
+                density: density ? parseFloat(density[1]) : null
+            };
+        });
+}
+
+function sizeFromUrl(url) {
+    const match = (url || '').match(SIZE_SUFFIX);
+    return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+}
+
+// Maps any resized copy back to the original upload
+function stripSizeSuffix(url) {
+    return (url || '').replace(SIZE_SUFFIX, '$3');
+}
+
+// Orders candidates from largest to smallest; an unsized upload is the original and wins
+function rankCandidates(candidates) {
+    const score = candidate => {
+        if (candidate.width) return candidate.width;
+        const size = sizeFromUrl(candidate.url);
+        if (size) return size.width;
+        if (candidate.density) return candidate.density;
+        return Number.MAX_SAFE_INTEGER;
+    };
+
+    return [...candidates].sort((a, b) => score(b) - score(a));
+}
+
+module.exports = {
+    parseSrcset,
+    sizeFromUrl,
+    stripSizeSuffix,
+    rankCandidates
+};
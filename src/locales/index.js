@@ -0,0 +1,70 @@
+// src/locales/index.js - Message catalogs for feed boilerplate, dates and the site, keyed by --locale
+const { escapeXml } = require('../formats/common');
+const en = require('./en.json');
+const nl = require('./nl.json');
+
+// Each catalog holds the `language` tag of the feeds, its `name` in that language, the
+// `dateLocale` used for dates and the messages; add a JSON file here to make a locale available on the command line.
+// Messages missing from a catalog fall back to English
+const catalogs = { nl, en };
+const FALLBACK = 'en';
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), catalog);
+}
+
+class Locale {
+    constructor(code) {
+        this.code = code;
+        this.catalog = catalogs[code];
+        this.language = this.catalog.language;
+        // The language in its own words, for links between the sites of each locale
+        this.name = this.catalog.name;
+        this.dateLocale = this.catalog.dateLocale;
+    }
+
+    // t('site.archiveIntro', { count: 3, author: 'Evert Kwok' }) → "3 cartoons van Evert Kwok, nieuwste eerst"
+    t(key, params = {}) {
+        const message = lookup(this.catalog, key) ?? lookup(catalogs[FALLBACK], key);
+        if (typeof message !== 'string') {
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    // Like t(), but HTML-escapes the message and inserts the parameters as they are, so they can hold links
+    html(key, params = {}) {
+        const placeholders = Object.fromEntries(Object.keys(params).map(name => [name, `\u0000${name}\u0000`]));
+        return escapeXml(this.t(key, placeholders)).replace(/\u0000(\w+)\u0000/g, (match, name) => params[name]);
+    }
+
+    // All messages of a section, for templates: {{t.subscribe}}
+    messages(section) {
+        return { ...catalogs[FALLBACK][section], ...this.catalog[section] };
+    }
+
+    formatDate(date, options) {
+        return date.toLocaleDateString(this.dateLocale, options);
+    }
+
+    // Channel texts can be one string for every locale or { "nl": "...", "en": "..." }
+    localize(value) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return value[this.code] ?? Object.values(value)[0];
+        }
+        return value;
+    }
+}
+
+function getLocale(code) {
+    if (!catalogs[code]) {
+        throw new Error(`Unknown locale "${code}" (available: ${Object.keys(catalogs).join(', ')})`);
+    }
+    return new Locale(code);
+}
+
+module.exports = {
+    catalogs,
+    Locale,
+    getLocale
+};
@@ -0,0 +1,178 @@
+// src/notify.js - WebSub hub pings and webhook posts announcing new cartoons
+const axios = require('axios');
+const { getLocale } = require('./locales');
+const { escapeXml } = require('./formats/common');
+
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord', 'matrix'];
+const NOTIFY_TIMEOUT = 10000;
+// Chat messages show this many cartoons and mention the rest; Discord allows 10 embeds per message
+const CHAT_LIMIT = 10;
+
+// A webhook from the config: "https://...", "discord:https://..." or { "url": "...", "format": "matrix" }.
+// Without a format Slack and Discord URLs are recognized by their host, anything else gets the JSON payload
+function parseWebhook(entry) {
+    let url;
+    let format;
+    if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+        ({ url, format } = entry);
+    } else if (typeof entry === 'string') {
+        const prefixed = entry.match(/^([a-z]+):(https?:\/\/.+)$/);
+        [url, format] = prefixed ? [prefixed[2], prefixed[1]] : [entry, undefined];
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return null;
+    }
+    if (format === undefined) {
+        format = parsed.hostname === 'hooks.slack.com' ? 'slack' :
+                 /^(discord|discordapp)\.com$/.test(parsed.hostname) && parsed.pathname.startsWith('/api/webhooks/') ? 'discord' :
+                 'json';
+    }
+    return WEBHOOK_FORMATS.includes(format) ? { url: parsed.href, format } : null;
+}
+
+// Webhook URLs carry their secret in the path, so logs and reports only name the host
+function describeWebhook(webhook) {
+    return `${webhook.format} webhook on ${new URL(webhook.url).host}`;
+}
+
+function headline(announcement) {
+    const locale = getLocale(announcement.locale);
+    const count = announcement.cartoons.length;
+    return count === 1 ?
+           locale.t('notify.newOne', { feed: announcement.feed.title }) :
+           locale.t('notify.newMany', { count, feed: announcement.feed.title });
+}
+
+function remainder(announcement) {
+    const more = announcement.cartoons.length - CHAT_LIMIT;
+    return more > 0 ? getLocale(announcement.locale).t('notify.more', { count: more }) : null;
+}
+
+// Slack mrkdwn only needs these three escaped
+function escapeSlack(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// The body posted to a webhook of the given format
+function webhookPayload(format, announcement) {
+    const { feed } = announcement;
+    const title = headline(announcement);
+    const shown = announcement.cartoons.slice(0, CHAT_LIMIT);
+    const more = remainder(announcement);
+
+    switch (format) {
+        case 'slack':
+            return {
+                text: title,
+                blocks: [
+                    { type: 'section', text: { type: 'mrkdwn', text: `*<${feed.url}|${escapeSlack(title)}>*` } },
+                    ...shown.flatMap(cartoon => [
+                        { type: 'section', text: { type: 'mrkdwn', text: `<${cartoon.url}|${escapeSlack(cartoon.title)}>` } },
+                        { type: 'image', image_url: cartoon.image, alt_text: cartoon.title }
+                    ]),
+                    ...(more ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(more) }] }] : [])
+                ]
+            };
+        case 'discord':
+            return {
+                content: more ? `${title}\n${more}` : title,
+                embeds: shown.map(cartoon => ({
+                    title: cartoon.title,
+                    url: cartoon.url,
+                    description: cartoon.description,
+                    image: { url: cartoon.image },
+                    timestamp: cartoon.date
+                }))
+            };
+        case 'matrix':
+            // The generic webhook format of Matrix bridges such as matrix-hookshot
+            return {
+                text: [title, ...shown.map(cartoon => `- ${cartoon.title}: ${cartoon.url}`), ...(more ? [more] : [])].join('\n'),
+                html: `<p><strong><a href="${escapeXml(feed.url)}">${escapeXml(title)}</a></strong></p>\n<ul>\n` +
+                      shown.map(cartoon => `<li><a href="${escapeXml(cartoon.url)}">${escapeXml(cartoon.title)}</a></li>\n`).join('') +
+                      `</ul>${more ? `\n<p>${escapeXml(more)}</p>` : ''}`
+            };
+        default:
+            return {
+                event: 'new-cartoons',
+                source: announcement.source,
+                message: title,
+                feed,
+                cartoons: announcement.cartoons
+            };
+    }
+}
+
+// Tells a WebSub hub which feeds changed and posts new cartoons to webhooks. Nothing here
+// fails a run: every ping and post is attempted and its outcome returned for the run report
+class Notifier {
+    constructor(options = {}) {
+        this.hub = options.hub || null;
+        this.webhooks = (options.webhooks || []).map(parseWebhook).filter(Boolean);
+        this.http = options.http || axios;
+        this.userAgent = options.userAgent;
+        this.timeout = options.timeout || NOTIFY_TIMEOUT;
+        this.log = options.log || (() => {});
+    }
+
+    get enabled() {
+        return Boolean(this.hub) || this.webhooks.length > 0;
+    }
+
+    // Everything an announcement asks for: a hub ping per changed feed and, when it lists
+    // cartoons, a post to every webhook
+    async notify(announcement) {
+        const results = [];
+        if (this.hub) {
+            for (const topic of announcement.topics) {
+                results.push(await this.pingHub(topic));
+            }
+        }
+        if (announcement.cartoons.length > 0) {
+            for (const webhook of this.webhooks) {
+                results.push(await this.postWebhook(webhook, announcement));
+            }
+        }
+        return results;
+    }
+
+    // WebSub publish ping; the hub then fetches the feed and pushes it to subscribers
+    async pingHub(topic) {
+        const body = new URLSearchParams({ 'hub.mode': 'publish', 'hub.url': topic });
+        return this.send({ type: 'hub', target: this.hub, topic }, this.hub, body);
+    }
+
+    async postWebhook(webhook, announcement) {
+        return this.send({ type: 'webhook', target: describeWebhook(webhook), format: webhook.format },
+            webhook.url, webhookPayload(webhook.format, announcement));
+    }
+
+    async send(result, url, body) {
+        const headers = this.userAgent ? { 'User-Agent': this.userAgent } : {};
+        try {
+            const response = await this.http.post(url, body, { headers, timeout: this.timeout });
+            this.log(`Notified ${result.target}${result.topic ? ` about ${result.topic}` : ''} (HTTP ${response.status})`);
+            return { ...result, ok: true, status: response.status };
+        } catch (error) {
+            const status = error.response ? error.response.status : null;
+            const message = status ? `HTTP ${status}` : error.message;
+            this.log(`Could not notify ${result.target}${result.topic ? ` about ${result.topic}` : ''}: ${message}`, 'warn');
+            return { ...result, ok: false, status, error: message };
+        }
+    }
+}
+
+module.exports = {
+    WEBHOOK_FORMATS,
+    Notifier,
+    parseWebhook,
+    describeWebhook,
+    webhookPayload
+};
@@ -0,0 +1,158 @@
+// src/ocr.js - Reads the text in the speech bubbles of a cartoon with a local OCR engine
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { loadSharp } = require('./image-mirror');
+const { readImage } = require('./image-hash');
+
+// Tesseract's "sparse text" mode finds text scattered over the drawing instead of expecting a page
+const PAGE_SEGMENTATION = '11';
+// Lettering in smaller images is enlarged to about this width before it is read
+const OCR_WIDTH = 2000;
+const TITLE_LENGTH = 60;
+
+// Runs `command` with `input` on stdin; resolves with its output once it exits successfully
+function runCommand(command, args, { input = null, timeout = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+        // One thread per engine: the runners have few cores and read one image at a time anyway
+        const child = spawn(command, args, { timeout, env: { ...process.env, OMP_THREAD_LIMIT: '1' } });
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        // An engine that fails early stops reading its input, the exit code tells why
+        child.stdin.on('error', () => {});
+        child.on('error', reject);
+        child.on('close', (code, signal) => {
+            const output = { stdout: Buffer.concat(stdout).toString('utf8'), stderr: Buffer.concat(stderr).toString('utf8') };
+            if (code === 0) {
+                resolve(output);
+            } else {
+                const reason = output.stderr.trim().split('\n').pop();
+                reject(new Error(`${command} ${signal ? `was stopped (${signal})` : `exited with ${code}`}${reason ? `: ${reason}` : ''}`));
+            }
+        });
+        child.stdin.end(input || undefined);
+    });
+}
+
+// "DAT IS OM JE BETER TE KUNNEN ZIEN." → "Dat is om je beter te kunnen zien."; names lose their capital,
+// which reads better than lettering in capitals throughout
+function sentenceCase(text) {
+    if (text !== text.toUpperCase()) {
+        return text;
+    }
+    return text.toLowerCase().replace(/(^|[.!?…]\s+)(\p{Ll})/gu, (match, before, letter) => before + letter.toUpperCase());
+}
+
+// Blocks of engine output that are words rather than hatching or bits of the drawing
+function isText(block) {
+    const letters = (block.match(/\p{L}/gu) || []).length;
+    const visible = block.replace(/\s/g, '').length;
+    return /\p{L}{2,}/u.test(block) && letters / visible >= 0.6;
+}
+
+// Engine output → one line per speech bubble: lines of a block are joined, words hyphenated
+// across lines are put back together and stray marks around the text are dropped
+function cleanTranscript(output) {
+    return String(output || '')
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map(block => block
+            .replace(/(\p{L})-\n\s*(\p{L})/gu, '$1$2')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s|~_=<>\\/*—-]+|[\s|~_=<>\\/*—-]+$/g, ''))
+        .filter(isText)
+        .map(sentenceCase)
+        .join('\n');
+}
+
+// At most `length` characters of `text`, cut between words
+function excerpt(text, length) {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    if (flat.length <= length) {
+        return flat;
+    }
+    const cut = flat.slice(0, length - 1);
+    const space = cut.lastIndexOf(' ');
+    return `${(space > length / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:]+$/, '')}…`;
+}
+
+// A title from the first sentence in the cartoon, for cartoons whose page gives none
+function transcriptTitle(text) {
+    const first = String(text || '').split('\n')[0];
+    const sentence = (first.match(/^.*?[.!?…](?=\s|$)/) || [first])[0];
+    return excerpt(sentence, TITLE_LENGTH) || null;
+}
+
+class CartoonOcr {
+    constructor(options = {}) {
+        // The tesseract command line tool with the trained data of `languages` installed, e.g. "nld+eng"
+        this.command = options.command || 'tesseract';
+        this.languages = options.languages || 'nld+eng';
+        // Directory the feeds are published from, mirrored copies are read from there
+        this.publishDir = options.publishDir || 'docs';
+        this.http = options.http || axios;
+        this.userAgent = options.userAgent;
+        this.timeout = options.timeout || 30000;
+        this.ocrTimeout = options.ocrTimeout || 120000;
+        // Enlarging and converting images needs sharp, without it tesseract reads them as they are
+        this.sharp = options.sharp === undefined ? loadSharp() : options.sharp;
+        this.log = options.log || (() => {});
+        this.engine = undefined;
+    }
+
+    // Name and version of the engine, e.g. "tesseract 5.3.4"; null when it is not installed
+    async version() {
+        if (this.engine === undefined) {
+            try {
+                const { stdout, stderr } = await runCommand(this.command, ['--version'], { timeout: 10000 });
+                // Older versions print their version on stderr
+                this.engine = (stdout || stderr).trim().split('\n')[0] || this.command;
+            } catch (error) {
+                this.log(`OCR engine ${this.command} is not available: ${error.message}`);
+                this.engine = null;
+            }
+        }
+        return this.engine;
+    }
+
+    // Grayscale, enlarged and as PNG, which every tesseract build reads
+    async prepare(buffer) {
+        if (!this.sharp) {
+            return buffer;
+        }
+        const { width } = await this.sharp(buffer).metadata();
+        let image = this.sharp(buffer).flatten({ background: '#ffffff' }).grayscale();
+        if (width && width < OCR_WIDTH) {
+            image = image.resize({ width: OCR_WIDTH });
+        }
+        return image.normalise().png().toBuffer();
+    }
+
+    async recognize(buffer) {
+        const { stdout } = await runCommand(this.command, ['stdin', 'stdout', '-l', this.languages, '--psm', PAGE_SEGMENTATION], {
+            input: await this.prepare(buffer),
+            timeout: this.ocrTimeout
+        });
+        return cleanTranscript(stdout);
+    }
+
+    // Returns the record stored as cartoon.transcript; the text is empty for cartoons without words
+    async transcribe(cartoon) {
+        const text = await this.recognize(await readImage(cartoon, this));
+        return { source: cartoon.url, engine: await this.version(), languages: this.languages, text };
+    }
+
+    // Transcripts are made once per image and language setting
+    isCurrent(cartoon) {
+        return Boolean(cartoon.transcript && cartoon.transcript.source === cartoon.url && cartoon.transcript.languages === this.languages);
+    }
+}
+
+module.exports = {
+    CartoonOcr,
+    cleanTranscript,
+    transcriptTitle,
+    excerpt,
+    runCommand
+};
@@ -0,0 +1,242 @@
+// src/polite-http.js - HTTP client that crawls like a good guest: robots.txt, per-host pacing,
+// retries of transient failures only and a request budget per run
+const axios = require('axios');
+const { RobotsRules } = require('./robots');
+
+// Longest wait before a retry; a Retry-After beyond it means the site wants us gone for now
+const MAX_RETRY_DELAY = 60000;
+const ROBOTS_TIMEOUT = 10000;
+// Failures without a response that retrying cannot fix
+const PERMANENT_ERRORS = ['ENOTFOUND', 'ERR_INVALID_URL', 'ERR_BAD_OPTION', 'ERR_BAD_OPTION_VALUE', 'CERT_HAS_EXPIRED'];
+
+class RobotsDisallowedError extends Error {
+    constructor(url, rules) {
+        super(`${url} is disallowed by robots.txt${rules.unreadable ? ` (${rules.unreadable})` : ''}`);
+        this.name = 'RobotsDisallowedError';
+        this.url = url;
+    }
+}
+
+class RequestBudgetError extends Error {
+    constructor(budget) {
+        super(`Request budget of ${budget} used up`);
+        this.name = 'RequestBudgetError';
+        this.budget = budget;
+    }
+}
+
+// Timeouts, dropped connections, 408, 429 and 5xx may succeed later; 404 and friends will not
+function isTransient(error) {
+    if (error instanceof RobotsDisallowedError || error instanceof RequestBudgetError) {
+        return false;
+    }
+    if (error.response) {
+        const status = error.response.status;
+        return status === 408 || status === 429 || status >= 500;
+    }
+    return !PERMANENT_ERRORS.includes(error.code);
+}
+
+// Retry-After holds seconds or an HTTP date; returns milliseconds, null when absent or unreadable
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return parseInt(text, 10) * 1000;
+    }
+    const date = Date.parse(text);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function describeError(error) {
+    return error.response ? `HTTP ${error.response.status}` : error.message;
+}
+
+// Wraps an axios-compatible client with get() and head(). Every request of a run goes through
+// one instance, so the pacing and the budget hold for listing pages, posts and images alike
+class PoliteHttp {
+    constructor(options = {}) {
+        this.http = options.http || axios;
+        this.userAgent = options.userAgent;
+        this.robots = options.robots !== false;
+        // Milliseconds between two requests to the same host; a longer Crawl-delay wins
+        this.hostDelay = options.hostDelay || 0;
+        this.maxRetries = options.maxRetries || 1;
+        this.retryDelay = options.retryDelay || 0;
+        this.maxRetryDelay = options.maxRetryDelay === undefined ? MAX_RETRY_DELAY : options.maxRetryDelay;
+        // Requests per run including retries and robots.txt, 0 for no limit
+        this.maxRequests = options.maxRequests || 0;
+        this.log = options.log || (() => {});
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.now = options.now || Date.now;
+        this.random = options.random || Math.random;
+
+        this.requests = 0;
+        this.retries = 0;
+        this.blocked = [];
+        // Set once a request had to be refused, or skipped because the budget was spent
+        this.exhausted = false;
+        this.loading = new Map();
+        this.rules = new Map();
+        this.nextRequest = new Map();
+    }
+
+    get remaining() {
+        return this.maxRequests ? Math.max(0, this.maxRequests - this.requests) : Infinity;
+    }
+
+    // False once the budget is spent; callers stop there and leave the rest for the next run
+    withinBudget() {
+        if (this.remaining > 0) {
+            return true;
+        }
+        this.exhausted = true;
+        return false;
+    }
+
+    async get(url, config = {}) {
+        return this.request('get', url, config);
+    }
+
+    async head(url, config = {}) {
+        return this.request('head', url, config);
+    }
+
+    async request(method, url, config) {
+        if (this.robots) {
+            const rules = await this.rulesFor(url);
+            if (!rules.isAllowed(url)) {
+                this.blocked.push(url);
+                throw new RobotsDisallowedError(url, rules);
+            }
+        }
+        return this.withRetries(method, url, config);
+    }
+
+    // Responses and errors carry the number of attempts it took, for the run report
+    async withRetries(method, url, config) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await this.send(method, url, config);
+                response.attempts = attempt;
+                return response;
+            } catch (error) {
+                error.attempts = attempt;
+                if (attempt >= this.maxRetries || !isTransient(error)) {
+                    throw error;
+                }
+                const wait = this.retryWait(error, attempt);
+                if (wait === null) {
+                    this.log(`${url} asks to wait longer than ${this.maxRetryDelay}ms before retrying, giving up`, 'warn');
+                    throw error;
+                }
+                this.retries++;
+                this.log(`Attempt ${attempt}/${this.maxRetries} for ${url} failed (${describeError(error)}), retrying in ${wait}ms`, 'warn');
+                await this.sleep(wait);
+            }
+        }
+    }
+
+    async send(method, url, config) {
+        if (!this.withinBudget()) {
+            throw new RequestBudgetError(this.maxRequests);
+        }
+        this.requests++;
+        await this.throttle(new URL(url).origin);
+        return this.http[method](url, config);
+    }
+
+    // Exponential backoff with jitter, so retries after an outage do not arrive in lockstep;
+    // a Retry-After from the server replaces it. Null when the server asks for too long a pause
+    retryWait(error, attempt) {
+        const retryAfter = error.response ? parseRetryAfter((error.response.headers || {})['retry-after'], this.now()) : null;
+        if (retryAfter !== null) {
+            return retryAfter > this.maxRetryDelay ? null : retryAfter;
+        }
+        const backoff = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (attempt - 1));
+        return Math.round(backoff / 2 + this.random() * backoff / 2);
+    }
+
+    // Waits until the host may be asked again and books the next slot
+    async throttle(origin) {
+        const rules = this.rules.get(origin);
+        const crawlDelay = rules && rules.crawlDelay !== null ? rules.crawlDelay * 1000 : 0;
+        const now = this.now();
+        const start = Math.max(now, this.nextRequest.get(origin) || 0);
+        this.nextRequest.set(origin, start + Math.max(this.hostDelay, crawlDelay));
+        if (start > now) {
+            await this.sleep(start - now);
+        }
+    }
+
+    // robots.txt is read once per host and run
+    async rulesFor(url) {
+        const origin = new URL(url).origin;
+        if (!this.loading.has(origin)) {
+            this.loading.set(origin, this.fetchRobots(origin).then(rules => {
+                this.rules.set(origin, rules);
+                return rules;
+            }, error => {
+                // Only a spent budget gets here, and it refuses every later request as well
+                this.loading.delete(origin);
+                throw error;
+            }));
+        }
+        return this.loading.get(origin);
+    }
+
+    // Like RFC 9309: no robots.txt (4xx) allows everything, an unreachable one (5xx, timeouts) allows nothing
+    async fetchRobots(origin) {
+        const url = `${origin}/robots.txt`;
+        let rules;
+        try {
+            const response = await this.withRetries('get', url, {
+                headers: { 'User-Agent': this.userAgent },
+                timeout: ROBOTS_TIMEOUT,
+                responseType: 'text'
+            });
+            rules = new RobotsRules(typeof response.data === 'string' ? response.data : '', this.userAgent);
+            this.log(`Read ${url}: ${rules.rules.length} rules${rules.crawlDelay !== null ? `, Crawl-delay ${rules.crawlDelay}s` : ''}`);
+        } catch (error) {
+            if (error instanceof RequestBudgetError) {
+                throw error;
+            }
+            const status = error.response ? error.response.status : null;
+            if (status >= 400 && status < 500) {
+                this.log(`No ${url} (HTTP ${status}), every page may be fetched`);
+                return RobotsRules.allowAll();
+            }
+            rules = RobotsRules.disallowAll(`${url} could not be read: ${describeError(error)}`);
+            this.log(`${rules.unreadable}, not fetching anything from ${origin} this run`, 'warn');
+        }
+        return rules;
+    }
+
+    // What the run report shows of this run's crawling
+    summary() {
+        const crawlDelays = {};
+        for (const [origin, rules] of this.rules) {
+            if (rules.crawlDelay !== null) {
+                crawlDelays[origin] = rules.crawlDelay;
+            }
+        }
+        return {
+            requests: this.requests,
+            budget: this.maxRequests || null,
+            exhausted: this.exhausted,
+            retries: this.retries,
+            blocked: this.blocked,
+            crawlDelays
+        };
+    }
+}
+
+module.exports = {
+    PoliteHttp,
+    RobotsDisallowedError,
+    RequestBudgetError,
+    isTransient,
+    parseRetryAfter
+};
@@ -0,0 +1,311 @@
+// src/preview/index.js - Local preview server: the publish directory, a reader view of its feeds and regeneration
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('../site/template');
+const { escapeXml } = require('../formats/common');
+const { feedContentType, findFeeds, readFeed, sanitizeHtml } = require('./reader');
+
+const PREVIEW_PATH = '/__preview/';
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+// Editors write a file in several steps, wait for the last one before regenerating
+const WATCH_DEBOUNCE = 300;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon'
+};
+
+function contentTypeFor(file, body) {
+    const extension = path.extname(file).toLowerCase();
+    // feed.xml, atom.xml and feed.json are told apart by their content, topic and locale feeds too
+    const feed = ['.xml', '.json'].includes(extension) ? feedContentType(body.toString('utf8', 0, 1024)) : null;
+    return feed || CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+// Serves a file below `root`, directories through their index.html; false when there is none
+async function serveFile(root, pathname, req, res) {
+    const base = path.resolve(root);
+    let file = path.resolve(base, `.${decodeURIComponent(pathname)}`);
+    if (file !== base && !file.startsWith(base + path.sep)) {
+        return false;
+    }
+
+    let stats;
+    try {
+        stats = await fs.promises.stat(file);
+    } catch {
+        return false;
+    }
+    if (stats.isDirectory()) {
+        // Relative links in the site pages need the trailing slash
+        if (!pathname.endsWith('/')) {
+            res.writeHead(301, { Location: `${pathname}/` });
+            res.end();
+            return true;
+        }
+        file = path.join(file, 'index.html');
+    }
+
+    let body;
+    try {
+        body = await fs.promises.readFile(file);
+    } catch {
+        return false;
+    }
+    res.writeHead(200, {
+        'Content-Type': contentTypeFor(file, body),
+        'Content-Length': body.length,
+        'Cache-Control': 'no-store'
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+    return true;
+}
+
+// Answers a request whose handler failed: 400 for a path that is not valid percent-encoding
+// (decodeURIComponent throws a URIError on "/%E0%A4%A"), 500 for anything else
+function failRequest(req, res, error, log) {
+    const badRequest = error instanceof URIError;
+    if (!badRequest) {
+        log(`${req.method} ${req.url} failed: ${error.message}`, 'error');
+    }
+    if (!res.headersSent) {
+        res.writeHead(badRequest ? 400 : 500, { 'Content-Type': 'text/plain; charset=utf-8' });
+    }
+    res.end(badRequest ? 'Bad request' : error.message);
+}
+
+function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve(`http://${host}:${server.address().port}`);
+        });
+    });
+}
+
+// RFC 822, RFC 3339 and JSON Feed dates all read the same in the preview
+function displayDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : `${date.toLocaleString('en-GB', { dateStyle: 'full', timeStyle: 'short', timeZone: 'UTC' })} UTC`;
+}
+
+// A directory of saved pages served as if it were the cartoonist's site, for --fixtures
+async function startStaticServer(root, { host = '127.0.0.1', port = 0, log = () => {} } = {}) {
+    const handle = async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (!await serveFile(root, pathname, req, res)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+        }
+    };
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => failRequest(req, res, error, log));
+    });
+    const url = await listen(server, port, host);
+    return { url, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Hosts the publish directory on localhost with a reader-style preview of every feed in it at /__preview/.
+// `regenerate` is an async function that writes the feeds again; it runs when the preview asks
+// for it and when one of the `watch` paths changes, after which open previews reload. A `fixtures`
+// server started with startStaticServer() is stopped together with the preview
+class PreviewServer {
+    constructor(options = {}) {
+        this.dir = options.dir || 'docs';
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port ?? 8080;
+        this.regenerate = options.regenerate || null;
+        this.watchPaths = options.watch || [];
+        this.fixtures = options.fixtures || null;
+        this.fixturesUrl = this.fixtures ? this.fixtures.url : null;
+        this.log = options.log || (() => {});
+        this.last = null;
+        this.running = null;
+        this.queued = false;
+        this.clients = new Set();
+        this.watchers = [];
+        this.timer = null;
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => failRequest(req, res, error, this.log));
+        });
+        this.url = await listen(this.server, this.port, this.host);
+        this.watchFiles();
+        return this;
+    }
+
+    async close() {
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.clients.forEach(client => client.end());
+        if (this.server) {
+            await new Promise(resolve => {
+                this.server.close(resolve);
+                this.server.closeAllConnections();
+            });
+        }
+        // Let a regeneration that is still running finish writing
+        await this.running;
+        if (this.fixtures) {
+            await this.fixtures.close();
+        }
+    }
+
+    // Runs one regeneration at a time; changes during a run trigger one more afterwards
+    async regenerateNow(reason = 'requested') {
+        if (!this.regenerate) {
+            return null;
+        }
+        if (this.running) {
+            this.queued = true;
+            return this.running;
+        }
+
+        this.running = (async () => {
+            const startedAt = Date.now();
+            this.log(`Regenerating (${reason})...`);
+            try {
+                const message = await this.regenerate();
+                this.last = { ok: true, time: new Date(), reason, message: message || 'Regenerated', durationMs: Date.now() - startedAt };
+            } catch (error) {
+                this.last = { ok: false, time: new Date(), reason, message: error.message, durationMs: Date.now() - startedAt };
+                this.log(`Regeneration failed: ${error.message}`, 'error');
+            }
+            this.broadcast('regenerated');
+            return this.last;
+        })();
+
+        const result = await this.running;
+        this.running = null;
+        if (this.queued) {
+            this.queued = false;
+            return this.regenerateNow('changed during the last run');
+        }
+        return result;
+    }
+
+    watchFiles() {
+        for (const watched of this.watchPaths) {
+            try {
+                const recursive = fs.statSync(watched).isDirectory();
+                this.watchers.push(fs.watch(watched, { recursive }, (event, file) => {
+                    clearTimeout(this.timer);
+                    this.timer = setTimeout(() => this.regenerateNow(`${file ? path.join(recursive ? watched : '', file) : watched} changed`), WATCH_DEBOUNCE);
+                }));
+                this.log(`Watching ${watched}`);
+            } catch (error) {
+                this.log(`Cannot watch ${watched}: ${error.message}`, 'warn');
+            }
+        }
+    }
+
+    broadcast(event) {
+        this.clients.forEach(client => client.write(`event: ${event}\ndata: ${JSON.stringify(this.last)}\n\n`));
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, this.url);
+        const { pathname } = url;
+
+        if (pathname === PREVIEW_PATH.slice(0, -1)) {
+            res.writeHead(301, { Location: PREVIEW_PATH });
+            res.end();
+        } else if (pathname === PREVIEW_PATH && ['GET', 'HEAD'].includes(req.method)) {
+            const html = await this.renderPreview(url.searchParams.get('feed'));
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+            res.end(req.method === 'HEAD' ? undefined : html);
+        } else if (pathname === `${PREVIEW_PATH}regenerate` && req.method === 'POST') {
+            await this.regenerateNow();
+            const feed = url.searchParams.get('feed');
+            res.writeHead(303, { Location: feed ? `${PREVIEW_PATH}?feed=${encodeURIComponent(feed)}` : PREVIEW_PATH });
+            res.end();
+        } else if (pathname === `${PREVIEW_PATH}events`) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+            res.write(': connected\n\n');
+            this.clients.add(res);
+            req.on('close', () => this.clients.delete(res));
+        } else if (!['GET', 'HEAD'].includes(req.method)) {
+            res.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Method not allowed');
+        } else if (!await serveFile(this.dir, pathname, req, res)) {
+            // Without a generated site the preview is the landing page
+            if (pathname === '/') {
+                res.writeHead(302, { Location: PREVIEW_PATH });
+                res.end();
+                return;
+            }
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+        }
+    }
+
+    statusLine() {
+        if (this.running) {
+            return { status: 'Regenerating…', statusClass: '' };
+        }
+        if (!this.last) {
+            return { status: this.regenerate ? `Serving ${this.dir}` : `Serving ${this.dir}, regeneration is not available`, statusClass: '' };
+        }
+        const time = this.last.time.toLocaleTimeString('en-GB');
+        return this.last.ok ?
+               { status: `✅ ${time}: ${this.last.message} (${this.last.reason}, ${(this.last.durationMs / 1000).toFixed(1)}s)`, statusClass: '' } :
+               { status: `❌ ${time}: ${this.last.message} (${this.last.reason})`, statusClass: ' error' };
+    }
+
+    async renderPreview(selected) {
+        const [layout, itemTemplate] = await Promise.all(['preview', 'item'].map(name =>
+            fs.promises.readFile(path.join(TEMPLATES_DIR, `${name}.html`), 'utf8')));
+        const feeds = await findFeeds(this.dir);
+        const current = feeds.find(feed => feed.path === selected) || feeds[0];
+
+        let feed = null;
+        let items;
+        if (!current) {
+            items = `        <p class="empty">No feeds in ${escapeXml(this.dir)} yet${this.regenerate ? ', regenerate to write them' : ''}.</p>`;
+        } else {
+            try {
+                feed = readFeed(await fs.promises.readFile(path.join(this.dir, current.path), 'utf8'), current.format);
+                items = feed.items.map(item => renderTemplate(itemTemplate, {
+                    ...item,
+                    date: displayDate(item.date),
+                    categories: item.categories.length > 0 ? ` · ${escapeXml(item.categories.join(', '))}` : '',
+                    content: sanitizeHtml(item.html)
+                })).join('') || '        <p class="empty">The feed has no items.</p>';
+            } catch (error) {
+                items = `        <p class="empty">${escapeXml(current.path)} cannot be read: ${escapeXml(error.message)}</p>`;
+            }
+        }
+
+        return renderTemplate(layout, {
+            title: feed ? `${feed.title} (${current.path})` : 'Feed preview',
+            description: feed ? `${feed.items.length} items · ${feed.description}` : '',
+            selected: current ? encodeURIComponent(current.path) : '',
+            disabled: this.regenerate ? '' : ' disabled',
+            feeds: feeds.map(entry => `<a href="?feed=${encodeURIComponent(entry.path)}"${entry === current ? ' class="selected"' : ''}>${escapeXml(entry.path)}</a>`).join(''),
+            items,
+            ...this.statusLine()
+        });
+    }
+}
+
+module.exports = {
+    PREVIEW_PATH,
+    PreviewServer,
+    startStaticServer
+};
@@ -0,0 +1,157 @@
+// src/preview/reader.js - Reads published feeds back the way a feed reader shows them
+const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { getFormat } = require('../formats');
+const { escapeXml } = require('../formats/common');
+
+// Directories of the site that never contain feeds
+const SKIPPED_DIRS = new Set(['archive', 'assets', 'cartoons', 'images', 'node_modules']);
+
+// Which registered format a file is in, from its first bytes; null for anything else
+function sniffFormat(start) {
+    const head = start.replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('{')) {
+        return /"version"\s*:\s*"https:\/\/jsonfeed\.org\/version\//.test(head) ? 'json' : null;
+    }
+    if (head.startsWith('<')) {
+        const root = head.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, '').trimStart();
+        if (/^<rss[\s>]/.test(root)) return 'rss';
+        if (/^<feed[\s>]/.test(root)) return 'atom';
+    }
+    return null;
+}
+
+// Feeds get their registered content type so browsers and readers treat them as feeds
+function feedContentType(start) {
+    const format = sniffFormat(start);
+    return format ? `${getFormat(format).contentType}; charset=utf-8` : null;
+}
+
+async function readStart(file, length = 1024) {
+    const handle = await fs.open(file, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+        return buffer.toString('utf8', 0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Every feed below `dir`, as paths relative to it: feed.xml, feed.en.xml, feeds/wiskunde.xml, ...
+async function findFeeds(dir, depth = 3, prefix = '') {
+    let entries;
+    try {
+        entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const feeds = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory() && depth > 1 && !SKIPPED_DIRS.has(entry.name)) {
+            feeds.push(...await findFeeds(dir, depth - 1, relative));
+        } else if (entry.isFile() && /\.(xml|json)$/.test(entry.name)) {
+            const format = sniffFormat(await readStart(path.join(dir, relative)));
+            if (format) {
+                feeds.push({ path: relative, format });
+            }
+        }
+    }
+    return feeds;
+}
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function text(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? String(value['#text'] ?? '') : String(value);
+}
+
+// Channel and items of a feed in one shape, whatever its format
+function readFeed(content, format = sniffFormat(content)) {
+    if (format === 'json') {
+        const document = JSON.parse(content);
+        return {
+            format,
+            title: document.title,
+            description: document.description || '',
+            link: document.home_page_url || '',
+            items: (document.items || []).map(item => ({
+                title: item.title || '',
+                link: item.url || '',
+                date: item.date_published || '',
+                html: item.content_html || escapeXml(item.content_text || item.summary || ''),
+                image: item.image || '',
+                categories: item.tags || []
+            }))
+        };
+    }
+
+    const document = new XMLParser({ ignoreAttributes: false, parseTagValue: false }).parse(content);
+    if (format === 'rss') {
+        const channel = document.rss.channel;
+        return {
+            format,
+            title: text(channel.title),
+            description: text(channel.description),
+            link: text(channel.link),
+            items: asArray(channel.item).map(item => ({
+                title: text(item.title),
+                link: text(item.link),
+                date: text(item.pubDate),
+                html: text(item['content:encoded']) || text(item.description),
+                image: item.enclosure ? item.enclosure['@_url'] : '',
+                categories: asArray(item.category).map(text)
+            }))
+        };
+    }
+
+    const feed = document.feed;
+    const alternate = links => (asArray(links).find(link => !link['@_rel'] || link['@_rel'] === 'alternate') || {})['@_href'] || '';
+    return {
+        format,
+        title: text(feed.title),
+        description: text(feed.subtitle),
+        link: alternate(feed.link),
+        items: asArray(feed.entry).map(entry => ({
+            title: text(entry.title),
+            link: alternate(entry.link),
+            date: text(entry.published) || text(entry.updated),
+            html: text(entry.content) || text(entry.summary),
+            image: (asArray(entry.link).find(link => link['@_rel'] === 'enclosure') || {})['@_href'] || '',
+            categories: asArray(entry.category).map(category => category['@_term'])
+        }))
+    };
+}
+
+// Readers drop scripts, embedded frames and event handlers, so the preview does too
+function sanitizeHtml(html) {
+    const $ = cheerio.load(html, null, false);
+    $('script, iframe, object, embed, form, link, meta').remove();
+    $('*').each((index, element) => {
+        for (const name of Object.keys(element.attribs)) {
+            const value = element.attribs[name];
+            if (/^on/i.test(name) || (/^(href|src)$/i.test(name) && /^\s*javascript:/i.test(value))) {
+                $(element).removeAttr(name);
+            }
+        }
+    });
+    return $.html();
+}
+
+module.exports = {
+    sniffFormat,
+    feedContentType,
+    findFeeds,
+    readFeed,
+    sanitizeHtml
+};
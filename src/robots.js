@@ -0,0 +1,116 @@
+// src/robots.js - Parses robots.txt and answers which paths a crawler may fetch
+
+// The name a robots.txt group uses for us: the product token of the User-Agent header,
+// "EvertKwokRSSBot" for "Mozilla/5.0 (compatible; EvertKwokRSSBot/1.0; +https://...)"
+function productToken(userAgent) {
+    const tokens = String(userAgent || '').match(/[A-Za-z][\w-]*(?=\/)/g) || [];
+    return tokens.find(token => token.toLowerCase() !== 'mozilla') || tokens[0] || '*';
+}
+
+// "/wp-admin/*.php$" → /^\/wp-admin\/.*\.php$/; patterns match from the start of the path
+function patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Groups of rules as written in the file: consecutive User-agent lines share the rules below them
+function parseRobots(text) {
+    const groups = [];
+    let group = null;
+
+    for (const raw of String(text || '').split(/\r?\n|\r/)) {
+        const line = raw.replace(/#.*$/, '').trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) {
+            continue;
+        }
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            // A User-agent line after rules starts a new group
+            if (!group || group.rules.length > 0 || group.crawlDelay !== null) {
+                group = { agents: [], rules: [], crawlDelay: null };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+        } else if (group && (field === 'allow' || field === 'disallow')) {
+            // An empty Disallow allows everything, so it adds no rule
+            if (value) {
+                group.rules.push({ allow: field === 'allow', pattern: value, regexp: patternToRegExp(value) });
+            }
+        } else if (group && field === 'crawl-delay') {
+            const seconds = Number(value);
+            if (value !== '' && Number.isFinite(seconds) && seconds >= 0) {
+                group.crawlDelay = seconds;
+            }
+        }
+    }
+    return groups;
+}
+
+// The rules of one robots.txt that apply to one crawler
+class RobotsRules {
+    constructor(text, userAgent) {
+        const token = productToken(userAgent).toLowerCase();
+        const groups = parseRobots(text);
+        // Groups naming the crawler replace the "*" group rather than adding to it
+        let matching = groups.filter(group => group.agents.includes(token));
+        if (matching.length === 0) {
+            matching = groups.filter(group => group.agents.includes('*'));
+        }
+        this.rules = matching.flatMap(group => group.rules);
+        const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+        // Seconds between requests the site asks for, null when it does not say
+        this.crawlDelay = delays.length > 0 ? Math.max(...delays) : null;
+        // Why everything is disallowed when the file could not be read
+        this.unreadable = null;
+    }
+
+    // Everything is allowed, for sites without robots.txt
+    static allowAll() {
+        return new RobotsRules('', '*');
+    }
+
+    // Nothing is allowed, for sites whose robots.txt could not be read
+    static disallowAll(reason) {
+        const rules = new RobotsRules('User-agent: *\nDisallow: /', '*');
+        rules.unreadable = reason;
+        return rules;
+    }
+
+    // The most specific matching rule decides, Allow wins a tie
+    isAllowed(url) {
+        const parsed = new URL(url);
+        const target = `${parsed.pathname}${parsed.search}`;
+        let decision = null;
+        for (const rule of this.rules) {
+            if (!rule.regexp.test(target) && !rule.regexp.test(safeDecode(target))) {
+                continue;
+            }
+            if (!decision || rule.pattern.length > decision.pattern.length ||
+                (rule.pattern.length === decision.pattern.length && rule.allow)) {
+                decision = rule;
+            }
+        }
+        return !decision || decision.allow;
+    }
+}
+
+function safeDecode(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch {
+        return text;
+    }
+}
+
+module.exports = {
+    RobotsRules,
+    parseRobots,
+    productToken
+};
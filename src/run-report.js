@@ -0,0 +1,242 @@
+// src/run-report.js - Structured report of a run for --report, the Actions step outputs and summary
+const fs = require('fs').promises;
+const path = require('path');
+
+const REPORT_VERSION = 1;
+
+// What happened to one source during one run; the scraper and its source adapter record
+// into it as they go, so a failed run still reports how far it got
+class RunReport {
+    constructor(source) {
+        this.source = source;
+        this.startedAt = new Date();
+        this.finishedAt = null;
+        this.status = 'running';
+        this.error = null;
+        this.notModified = false;
+        this.items = { found: 0, new: 0, known: 0, published: 0, archived: 0 };
+        this.skippedImages = [];
+        this.dateFallbacks = [];
+        this.titleFallbacks = [];
+        // Re-uploads folded into an earlier cartoon because their images look the same
+        this.duplicates = [];
+        // Cartoon images matched per selector, summed over the listing pages
+        this.selectors = {};
+        this.fetches = [];
+        // Requests, retries, budget and robots.txt of the whole run, images included
+        this.crawl = null;
+        // Pages a backfill visited, whether it reached the end and where it continues if not
+        this.backfill = null;
+        this.outputs = [];
+        this.pages = { rendered: 0, written: 0, removed: 0 };
+        this.health = null;
+        // New cartoons and changed feeds for the hub and webhooks, and how sending them went
+        this.announcement = null;
+        this.notifications = [];
+        this.result = null;
+    }
+
+    // Events of the source adapter, passed in as its `report` callback
+    record(event, details) {
+        switch (event) {
+            case 'skipped-image':
+                this.skippedImages.push({ url: details.url, reason: details.reason });
+                break;
+            case 'date-fallback':
+                this.dateFallbacks.push({ url: details.url, fallback: details.fallback, resolvedByPost: false });
+                break;
+            case 'title-fallback':
+                this.titleFallbacks.push({ url: details.url, title: details.title, resolvedByPost: false });
+                break;
+            case 'selectors':
+                details.matches.forEach(({ selector, cartoons }) => {
+                    this.selectors[selector] = (this.selectors[selector] || 0) + cartoons;
+                });
+                break;
+        }
+    }
+
+    recordFetch(fetch) {
+        this.fetches.push(fetch);
+    }
+
+    // Guessed dates and titles are only a problem when the post page did not provide the real one
+    resolveFallbacks(cartoons) {
+        const byUrl = new Map(cartoons.map(cartoon => [cartoon.url, cartoon]));
+        this.dateFallbacks.forEach(fallback => {
+            const cartoon = byUrl.get(fallback.url);
+            fallback.resolvedByPost = Boolean(cartoon && cartoon.dateSource === 'post');
+        });
+        this.titleFallbacks.forEach(fallback => {
+            const cartoon = byUrl.get(fallback.url);
+            fallback.resolvedByPost = Boolean(cartoon && cartoon.title !== fallback.title);
+        });
+    }
+
+    finish(result) {
+        this.finishedAt = new Date();
+        this.status = result.changed ? 'changed' : 'unchanged';
+        this.result = result;
+    }
+
+    // The combined feed is not published when a source failed
+    skip(reason) {
+        this.finishedAt = new Date();
+        this.status = 'skipped';
+        this.error = reason;
+    }
+
+    fail(error) {
+        this.finishedAt = new Date();
+        this.status = 'failed';
+        this.error = error.message;
+    }
+
+    toJSON() {
+        const finishedAt = this.finishedAt || new Date();
+        return {
+            source: this.source,
+            status: this.status,
+            error: this.error,
+            startedAt: this.startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - this.startedAt,
+            notModified: this.notModified,
+            items: this.items,
+            latestDate: this.result ? this.result.latestDate || null : null,
+            oldestDate: this.result ? this.result.oldestDate || null : null,
+            skippedImages: this.skippedImages,
+            dateFallbacks: this.dateFallbacks,
+            titleFallbacks: this.titleFallbacks,
+            duplicates: this.duplicates,
+            selectors: this.selectors,
+            health: this.health,
+            requests: {
+                count: this.fetches.length,
+                retries: this.fetches.reduce((sum, fetch) => sum + Math.max(fetch.attempts - 1, 0), 0),
+                failed: this.fetches.filter(fetch => fetch.error).length,
+                durationMs: this.fetches.reduce((sum, fetch) => sum + fetch.durationMs, 0)
+            },
+            fetches: this.fetches,
+            crawl: this.crawl,
+            backfill: this.backfill,
+            outputs: this.outputs,
+            pages: this.pages,
+            announcement: this.announcement,
+            notifications: this.notifications
+        };
+    }
+}
+
+// The report of a whole run: every source, and the combined feed when there is one
+function buildRunReport(scrapers, combined = null) {
+    const reports = scrapers.map(scraper => scraper.report.toJSON());
+    const all = combined ? [...reports, combined.report.toJSON()] : reports;
+    return {
+        version: REPORT_VERSION,
+        status: all.some(report => report.status === 'failed') ? 'failed' :
+                all.some(report => report.status === 'changed') ? 'changed' : 'unchanged',
+        startedAt: all.map(report => report.startedAt).sort()[0],
+        finishedAt: all.map(report => report.finishedAt).sort().reverse()[0],
+        sources: reports,
+        combined: combined ? combined.report.toJSON() : null
+    };
+}
+
+async function writeRunReport(file, report) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(report, null, 2) + '\n', 'utf8');
+}
+
+// Step outputs for later workflow steps, summed over all sources
+function actionsOutputs(report) {
+    const sources = report.sources;
+    const dates = key => sources.map(source => source[key]).filter(Boolean).sort();
+    const outputs = {
+        // Sources that succeeded wrote their feeds even when another one failed
+        changed: [...sources, report.combined].some(source => source && source.status === 'changed'),
+        status: report.status,
+        cartoon_count: sources.reduce((sum, source) => sum + source.items.published, 0),
+        new_count: sources.reduce((sum, source) => sum + source.items.new, 0),
+        archive_count: sources.reduce((sum, source) => sum + source.items.archived, 0),
+        latest_date: dates('latestDate').reverse()[0] || '',
+        oldest_date: dates('oldestDate')[0] || '',
+        processing_time: `${((new Date(report.finishedAt) - new Date(report.startedAt)) / 1000).toFixed(2)}s`
+    };
+    const checked = sources.filter(source => source.health);
+    outputs.health = checked.length === 0 ? '' :
+                     checked.some(source => source.health.status === 'failing') ? 'failing' :
+                     checked.some(source => source.health.status === 'warning') ? 'warning' : 'ok';
+    const feed = sources[0] && sources[0].outputs[0];
+    outputs.feed_size = feed ? `${(feed.size / 1024).toFixed(1)} KB` : '';
+    return outputs;
+}
+
+// Markdown for $GITHUB_STEP_SUMMARY
+function actionsSummary(report) {
+    const icons = { changed: '✅', unchanged: '💤', failed: '❌', skipped: '⏭️', running: '⏳', warning: '⚠️', failing: '❌' };
+    const rows = [...report.sources, ...(report.combined ? [{ ...report.combined, source: `${report.combined.source} (combined)` }] : [])];
+    const lines = [
+        `## ${icons[report.status]} Cartoon feeds: ${report.status}`,
+        '',
+        '| Source | Status | Cartoons | New | Skipped images | Date fallbacks | Requests | Retries | Duration |',
+        '|--------|--------|---------:|----:|---------------:|---------------:|---------:|--------:|---------:|',
+        ...rows.map(source => `| ${source.source} | ${icons[source.status]} ${source.status} | ${source.items.published} | ${source.items.new} | ` +
+                              `${source.skippedImages.length} | ${source.dateFallbacks.filter(fallback => !fallback.resolvedByPost).length} | ` +
+                              `${source.requests.count} | ${source.requests.retries} | ${(source.durationMs / 1000).toFixed(1)}s |`)
+    ];
+
+    const failed = rows.filter(source => source.error);
+    if (failed.length > 0) {
+        lines.push('', '### Errors', '', ...failed.map(source => `- **${source.source}**: ${source.error}`));
+    }
+    const health = rows.flatMap(source => (source.health ? source.health.checks : [])
+        .filter(check => check.status !== 'ok')
+        .map(check => `- ${icons[check.status]} ${source.source} ${check.name}: ${check.message}`));
+    if (health.length > 0) {
+        lines.push('', '### Health checks', '', ...health);
+    }
+    const notifications = rows.flatMap(source => source.notifications.filter(notification => !notification.ok)
+        .map(notification => `- ${source.source}: ${notification.target}${notification.topic ? ` (${notification.topic})` : ''}: ${notification.error}`));
+    if (notifications.length > 0) {
+        lines.push('', '### Notifications that could not be sent', '', ...notifications);
+    }
+    const duplicates = rows.flatMap(source => source.duplicates
+        .map(duplicate => `- ${source.source}: ${duplicate.merged.url} merged into ${duplicate.kept.title} (${duplicate.kept.url}), ${duplicate.distance} bits apart`));
+    if (duplicates.length > 0) {
+        lines.push('', '### Merged duplicates', '', ...duplicates);
+    }
+    const crawling = rows.filter(source => source.crawl).flatMap(source => [
+        ...(source.crawl.exhausted ? [`- ${source.source}: request budget of ${source.crawl.budget} used up, the rest waits for the next run`] : []),
+        ...source.crawl.blocked.map(url => `- ${source.source}: ${url} is disallowed by robots.txt`)
+    ]);
+    if (crawling.length > 0) {
+        lines.push('', '### Requests that were not sent', '', ...crawling);
+    }
+    const fallbacks = rows.flatMap(source => source.dateFallbacks.filter(fallback => !fallback.resolvedByPost)
+        .map(fallback => `- ${source.source}: ${fallback.url} (${fallback.fallback})`));
+    if (fallbacks.length > 0) {
+        lines.push('', '### Dates guessed from the image URL', '', ...fallbacks);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Appends to the files GitHub Actions reads step outputs and the job summary from
+async function writeActionsResults(report, env = process.env) {
+    if (env.GITHUB_OUTPUT) {
+        const outputs = actionsOutputs(report);
+        await fs.appendFile(env.GITHUB_OUTPUT, Object.entries(outputs).map(([name, value]) => `${name}=${value}\n`).join(''), 'utf8');
+    }
+    if (env.GITHUB_STEP_SUMMARY) {
+        await fs.appendFile(env.GITHUB_STEP_SUMMARY, actionsSummary(report), 'utf8');
+    }
+}
+
+module.exports = {
+    RunReport,
+    buildRunReport,
+    writeRunReport,
+    actionsOutputs,
+    actionsSummary,
+    writeActionsResults
+};
@@ -1,24 +1,179 @@
-// src/scraper.js - Production Evert Kwok Cartoon Scraper for GitHub Actions
+// src/scraper.js - Cartoon feed pipeline for GitHub Actions: fetch → extract → normalize → render
 const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs').promises;
 const path = require('path');
+const CartoonArchive = require('./archive');
+const ImageProbe = require('./image-probe');
+const ImageMirror = require('./image-mirror');
+const ImageHasher = require('./image-hash');
+const { CartoonOcr, transcriptTitle } = require('./ocr');
+const HttpCache = require('./http-cache');
+const { PoliteHttp } = require('./polite-http');
+const SiteGenerator = require('./site');
+const { formats, getFormat } = require('./formats');
+const { getSource } = require('./sources');
+const { catalogs, getLocale } = require('./locales');
+const { escapeXml, itemLink, itemDescription, imageUrls, transcriptText } = require('./formats/common');
+const { identityKeys, matchesOnKey } = require('./identity');
+const { collectTopics } = require('./topics');
+const { parseFeedRules, parseFeedSpec, withLimits, usesImageSize, applyFeedRules } = require('./feed-rules');
+const { FeedValidationError, validateFeed, formatReport } = require('./feed-validator');
+const { RunReport, buildRunReport, writeRunReport, writeActionsResults } = require('./run-report');
+const { HealthMonitor, HealthCheckError, describePage } = require('./health');
+const { Notifier } = require('./notify');
+const { PREVIEW_PATH, PreviewServer, startStaticServer } = require('./preview');
+const { getDefaults, loadConfig, formatHelp } = require('./config');
 
-class EvertKwokScraper {
+// Runs one source through the pipeline. The source adapter knows the site (where the
+// cartoons are and what they are called), everything else is shared by all sources
+class CartoonScraper {
     constructor(options = {}) {
-        this.baseUrl = 'https://www.evertkwok.nl/cartoon/';
-        this.outputFile = options.outputFile || 'docs/feed.xml';
-        this.verbose = options.verbose || false;
-        this.maxRetries = 3;
-        this.retryDelay = 2000;
+        const defaults = getDefaults(options.outputFile);
+        options = {
+            ...defaults,
+            ...options,
+            channel: { ...defaults.channel, ...(options.channel || {}) },
+            topics: { ...defaults.topics, ...(options.topics || {}) }
+        };
+        
+        this.name = options.name || options.source;
+        this.baseUrl = options.baseUrl;
+        this.outputFile = options.outputFile;
+        this.verbose = options.verbose;
+        this.logFormat = options.logFormat;
+        this.report = new RunReport(this.name);
+        this.formats = options.formats;
+        this.formats.forEach(getFormat);
+        this.userAgent = options.userAgent;
+        // Any axios-compatible client with get(), head() and post(), tests inject a stand-in
+        const http = options.http || axios;
+        // Everything fetched from the sites goes through one polite client per run
+        this.http = new PoliteHttp({
+            http,
+            userAgent: this.userAgent,
+            robots: options.robots,
+            hostDelay: options.hostDelay,
+            maxRetries: options.maxRetries,
+            retryDelay: options.retryDelay,
+            maxRetryDelay: options.maxRetryDelay,
+            maxRequests: options.maxRequests,
+            log: (message, level) => this.log(message, level)
+        });
+        this.channel = options.channel;
+        // The first locale is published under the configured paths, every other one next to it
+        this.locales = options.locales.map(getLocale);
+        this.source = new (getSource(options.source))({
+            baseUrl: options.baseUrl,
+            selectors: options.selectors,
+            excludePatterns: options.excludePatterns,
+            channel: options.channel,
+            guidPrefix: options.guidPrefix,
+            untitled: this.locales[0].t('item.untitled'),
+            log: (message, level) => this.log(message, level),
+            report: (event, details) => this.report.record(event, details)
+        });
+        this.pagesUrl = options.pagesUrl;
+        this.topics = options.topics;
+        this.topicFeeds = options.topicFeeds;
+        this.topicsDir = options.topicsDir;
+        this.topicMinItems = options.topicMinItems;
+        this.archive = new CartoonArchive({
+            file: options.archiveFile,
+            guidPrefix: this.source.guidPrefix,
+            rankTitle: cartoon => this.rankTitle(cartoon),
+            log: message => this.log(message)
+        });
+        this.httpCache = new HttpCache({
+            file: options.httpCacheFile,
+            log: (message, level) => this.log(message, level)
+        });
+        this.health = options.health;
+        this.healthMonitor = new HealthMonitor({
+            file: options.healthFile,
+            history: options.healthHistory,
+            staleDays: options.staleDays,
+            dumpDir: options.healthDumpDir,
+            log: (message, level) => this.log(message, level)
+        });
+        this.conditional = options.conditional;
+        this.backfill = options.backfill;
+        this.maxPages = options.maxPages;
+        this.pageDelay = options.pageDelay;
+        this.stopOnKnown = options.stopOnKnown;
+        this.fetchPosts = options.fetchPosts;
+        this.postDelay = options.postDelay;
+        this.probeImages = options.probeImages;
+        this.probeDelay = options.probeDelay;
+        this.imageProbe = new ImageProbe({
+            http: this.http,
+            userAgent: this.userAgent,
+            log: (message, level) => this.log(message, level)
+        });
+        this.mirrorImages = options.mirror;
+        this.imageMirror = new ImageMirror({
+            dir: options.mirrorDir,
+            publishDir: path.dirname(this.outputFile),
+            http: this.http,
+            userAgent: this.userAgent,
+            thumbnailWidth: options.thumbnailWidth,
+            log: (message, level) => this.log(message, level)
+        });
+        this.dedupeImages = options.dedupeImages;
+        this.dedupeThreshold = options.dedupeThreshold;
+        this.imageHasher = new ImageHasher({
+            publishDir: path.dirname(this.outputFile),
+            http: this.http,
+            userAgent: this.userAgent,
+            log: (message, level) => this.log(message, level)
+        });
+        this.ocr = options.ocr;
+        this.ocrEngine = new CartoonOcr({
+            command: options.ocrCommand,
+            languages: options.ocrLanguages,
+            publishDir: path.dirname(this.outputFile),
+            http: this.http,
+            userAgent: this.userAgent,
+            log: (message, level) => this.log(message, level)
+        });
+        this.site = options.site;
+        this.siteGenerator = new SiteGenerator({
+            dir: path.dirname(this.outputFile),
+            recent: options.siteRecent,
+            log: (message, level) => this.log(message, level)
+        });
+        this.hub = options.hub;
+        this.notify = options.notify;
+        this.notifier = new Notifier({
+            hub: options.hub,
+            webhooks: options.webhooks,
+            http,
+            userAgent: this.userAgent,
+            log: (message, level) => this.log(message, level)
+        });
+        this.demo = options.demo;
+        // Set for the combined feed, which publishes cartoons collected by other scrapers
+        this.aggregate = options.aggregate;
+        this.force = options.force;
+        this.validate = options.validate;
+        this.maxDrop = options.maxDrop;
+        // The main feed's rules, named feeds bring their own
+        this.feedRules = withLimits(options.feedRules ? parseFeedRules(options.feedRules) : {}, {
+            maxItems: options.maxItems,
+            maxAgeDays: options.maxAgeDays
+        });
+        this.feeds = (options.feeds || []).map(parseFeedSpec);
     }
     
     log(message, level = 'info') {
         const timestamp = new Date().toISOString();
-        const prefix = level.toUpperCase().padEnd(5);
         
         if (this.verbose || level === 'error') {
-            console.log(`[${timestamp}] ${prefix} ${message}`);
+            if (this.logFormat === 'json') {
+                console.log(JSON.stringify({ time: timestamp, level, source: this.name, message }));
+            } else {
+                console.log(`[${timestamp}] ${level.toUpperCase().padEnd(5)} ${message}`);
+            }
         }
         
         // Special handling for GitHub Actions
@@ -37,415 +192,515 @@ class EvertKwokScraper {
         }
     }
     
+    // Progress and summary lines; with --log-format=json they become log entries that are always shown
+    print(line = '') {
+        if (this.logFormat !== 'json') {
+            console.log(line);
+        } else if (line.trim() && !/^=+$/.test(line.trim())) {
+            console.log(JSON.stringify({ time: new Date().toISOString(), level: 'info', source: this.name, message: line.trim() }));
+        }
+    }
+    
+    // Ask for the language of the channel first, e.g. "nl-NL,nl;q=0.9,en;q=0.8"
+    acceptLanguage() {
+        const language = this.channel.language;
+        const primary = language.split('-')[0];
+        return [language, primary !== language && `${primary};q=0.9`, primary !== 'en' && 'en;q=0.8'].filter(Boolean).join(',');
+    }
+    
     async delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
     
-    async fetchWithRetry(url, attempt = 1) {
+    // Fetches a listing or post page; retries, pacing and robots.txt are up to this.http
+    async fetchPage(url, options = {}) {
+        const startedAt = Date.now();
+        this.log(`Fetching ${url}`);
+        
+        let response;
         try {
-            this.log(`Fetching ${url} (attempt ${attempt}/${this.maxRetries})`);
-            
-            const response = await axios.get(url, {
+            response = await this.http.get(url, {
                 timeout: 15000,
                 headers: {
-                    'User-Agent': 'Mozilla/5.0 (compatible; EvertKwokRSSBot/1.0; +https://github.com/yourusername/evert-kwok-rss)',
+                    'User-Agent': this.userAgent,
                     'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                    'Accept-Language': 'nl-NL,nl;q=0.9,en;q=0.8',
+                    'Accept-Language': this.acceptLanguage(),
                     'Accept-Encoding': 'gzip, deflate',
-                    'Cache-Control': 'no-cache'
-                }
+                    'Cache-Control': 'no-cache',
+                    ...(options.headers || {})
+                },
+                // 304 is only possible when conditional headers were sent
+                validateStatus: status => (status >= 200 && status < 300) || status === 304
             });
-            
-            this.log(`Successfully fetched ${url} (${response.data.length} bytes)`);
-            return response;
-            
         } catch (error) {
-            this.log(`Attempt ${attempt} failed: ${error.message}`, 'warn');
-            
-            if (attempt < this.maxRetries) {
-                await this.delay(this.retryDelay * attempt);
-                return this.fetchWithRetry(url, attempt + 1);
-            } else {
-                throw error;
-            }
+            this.log(`Fetching ${url} failed: ${error.message}`, 'warn');
+            this.report.recordFetch({
+                url,
+                status: error.response ? error.response.status : null,
+                // Requests refused by robots.txt or the budget were never sent
+                attempts: error.attempts || 0,
+                durationMs: Date.now() - startedAt,
+                error: error.message
+            });
+            throw error;
         }
+        
+        if (response.status === 304) {
+            this.log(`${url} not modified since last run`);
+        } else {
+            this.log(`Successfully fetched ${url} (${response.data.length} bytes)`);
+        }
+        this.report.recordFetch({
+            url,
+            status: response.status,
+            attempts: response.attempts,
+            durationMs: Date.now() - startedAt,
+            bytes: response.status === 304 ? 0 : response.data.length
+        });
+        return response;
     }
     
     async scrapeCartoons() {
         this.log('Starting cartoon scraping process...');
         
+        // Without archived cartoons a 304 would leave us with nothing to publish, or only with
+        // what a seeded archive took over from the published feed
+        const headers = this.conditional && this.archive.exists && this.archive.size > 0 ?
+                        this.httpCache.headersFor(this.baseUrl) :
+                        {};
+        
+        let result;
         try {
-            const response = await this.fetchWithRetry(this.baseUrl);
-            const $ = cheerio.load(response.data);
-            const cartoons = [];
+            result = await this.scrapePage(this.baseUrl, { headers });
+        } catch (error) {
+            throw new Error(`Scraping ${this.baseUrl} failed: ${error.message}`);
+        }
+        
+        if (result.notModified) {
+            this.report.notModified = true;
+            this.log('Listing page unchanged since last run, nothing new to scrape');
+            return [];
+        }
+        
+        const { cartoons } = result;
+        if (cartoons.length === 0) {
+            throw new Error(`No cartoons found on ${this.baseUrl}, the site layout may have changed`);
+        }
+        
+        this.log(`Successfully scraped ${cartoons.length} unique cartoons`);
+        return cartoons;
+    }
+    
+    async scrapePage(pageUrl, options = {}) {
+        const response = await this.fetchPage(pageUrl, options);
+        this.httpCache.update(pageUrl, response);
+        
+        if (response.status === 304) {
+            return { cartoons: [], nextUrl: null, notModified: true };
+        }
+        
+        const $ = cheerio.load(response.data);
+        // Kept for the health checks, which describe the listing page when it stops looking as usual
+        if (pageUrl === this.baseUrl) {
+            this.listingPage = { url: pageUrl, $ };
+        }
+        
+        return {
+            cartoons: this.normalizeCartoons(this.source.extractCartoons($, pageUrl)),
+            nextUrl: this.source.findNextPageUrl($, pageUrl)
+        };
+    }
+    
+    async fetchPostDetails(postUrl) {
+        const response = await this.fetchPage(postUrl);
+        return this.source.extractPostDetails(cheerio.load(response.data));
+    }
+    
+    async backfillCartoons() {
+        this.log(`Starting backfill from ${this.baseUrl} (max ${this.maxPages} pages)...`);
+        
+        const cartoons = [];
+        const visited = new Set();
+        // An earlier backfill that was cut short continues where it stopped after the first page;
+        // newer posts only push cartoons further back, so nothing between is skipped
+        const resumeFrom = this.archive.backfillFrom;
+        let pageUrl = this.baseUrl;
+        let stopped = null;
+        
+        for (let page = 1; page <= this.maxPages && pageUrl && !visited.has(pageUrl); page++) {
+            visited.add(pageUrl);
             
-            // Multiple selectors to find images
-            const selectors = [
-                'img[src*="wp-content/uploads"]',
-                '.wp-block-image img',
-                '.entry-content img',
-                '.post-content img',
-                'article img',
-                '.content img',
-                '.cartoon-image img',
-                'figure img',
-                '.gallery img',
-                '.wp-caption img'
-            ];
+            if (page > 1) {
+                await this.delay(this.pageDelay);
+            }
             
-            this.log(`Searching for images with ${selectors.length} different selectors`);
+            let result;
+            try {
+                result = await this.scrapePage(pageUrl);
+            } catch (error) {
+                if (page === 1) {
+                    throw error;
+                }
+                // A missing page is the end of the archive; anything else leaves pages for the next run
+                if (error.response && error.response.status === 404) {
+                    this.log(`Stopping backfill at page ${page}: ${pageUrl} does not exist`);
+                    pageUrl = null;
+                } else {
+                    this.log(`Stopping backfill at page ${page}, the next backfill continues there: ${error.message}`, 'warn');
+                    stopped = error.message;
+                }
+                break;
+            }
             
-            // Track found URLs to avoid duplicates
-            const foundUrls = new Set();
+            const newCartoons = result.cartoons.filter(cartoon => !this.archive.has(cartoon));
+            cartoons.push(...result.cartoons);
+            this.log(`Page ${page}: ${result.cartoons.length} cartoons, ${newCartoons.length} new (${pageUrl})`);
             
-            for (const selector of selectors) {
-                $(selector).each((index, element) => {
-                    const imgSrc = $(element).attr('src');
-                    
-                    if (imgSrc && imgSrc.includes('wp-content/uploads') && !foundUrls.has(imgSrc)) {
-                        const fullUrl = imgSrc.startsWith('http') ? 
-                                       imgSrc : 
-                                       new URL(imgSrc, this.baseUrl).href;
-                        
-                        // Filter out thumbnails and non-cartoon images
-                        if (!this.isValidCartoonUrl(fullUrl)) {
-                            this.log(`Skipping non-cartoon image: ${fullUrl}`);
-                            // continue;
-                            return;
-                        }
-                        
-                        foundUrls.add(fullUrl);
-                        
-                        const cartoon = {
-                            url: fullUrl,
-                            title: this.extractTitle($, element),
-                            date: this.extractDateFromUrl(fullUrl),
-                            description: this.extractDescription($, element),
-                            filename: path.basename(fullUrl)
-                        };
-                        
-                        cartoons.push(cartoon);
-                        this.log(`Found: ${cartoon.title} - ${cartoon.date.toISOString().split('T')[0]}`);
-                    }
-                });
+            if (result.cartoons.length === 0) {
+                this.log(`Stopping backfill at page ${page}: no cartoons found`);
+                pageUrl = null;
+                break;
             }
             
-            // Remove duplicates and sort by date
-            const uniqueCartoons = this.removeDuplicates(cartoons);
-            uniqueCartoons.sort((a, b) => b.date - a.date);
-            
-            this.log(`Successfully scraped ${uniqueCartoons.length} unique cartoons`);
-            return uniqueCartoons;
+            // The first page always overlaps the archive, and so may the page a backfill resumes at
+            if (page > 1 && pageUrl !== resumeFrom && newCartoons.length === 0 && this.stopOnKnown) {
+                this.log(`Stopping backfill at page ${page}: reached already-known cartoons`);
+                pageUrl = null;
+                break;
+            }
             
-        } catch (error) {
-            this.log(`Scraping failed: ${error.message}`, 'error');
-            this.log('Falling back to demo data...', 'warn');
-            return this.getDemoData();
-        }
-    }
-    
-    isValidCartoonUrl(url) {
-        // Filter out common non-cartoon images
-        const excludePatterns = [
-            'thumbnail',
-            'thumb',
-            'avatar',
-            'logo',
-            'icon',
-            'banner',
-            'header',
-            'footer',
-            'sidebar',
-            '-150x150',
-            '-300x300',
-            'wp-content/themes',
-            'wp-content/plugins'
-        ];
+            pageUrl = page === 1 && resumeFrom && result.nextUrl ? resumeFrom : result.nextUrl;
+            if (pageUrl === resumeFrom && page === 1) {
+                this.log(`Resuming backfill at ${resumeFrom}`);
+            }
+        }
+        
+        // Left over after an error or after --max-pages: where the next backfill picks up
+        const resumeAt = (pageUrl && !visited.has(pageUrl)) || stopped ? pageUrl : null;
+        this.archive.setBackfillFrom(resumeAt);
+        this.report.backfill = { pages: visited.size, complete: !resumeAt, resumeAt, error: stopped };
+        
+        const uniqueCartoons = this.normalizeCartoons(cartoons);
         
-        const urlLower = url.toLowerCase();
-        return !excludePatterns.some(pattern => urlLower.includes(pattern));
+        this.log(`Backfill found ${uniqueCartoons.length} unique cartoons on ${visited.size} pages`);
+        return uniqueCartoons;
+    }
+    
+    // Cartoons of one page or backfill, without duplicates and newest first
+    normalizeCartoons(cartoons) {
+        return this.removeDuplicates(cartoons).sort((a, b) => b.date - a.date);
     }
     
     removeDuplicates(cartoons) {
-        const seen = new Set();
+        // Size variants, other hosts and query strings of the same upload share an identity key
+        const seen = new Map();
         return cartoons.filter(cartoon => {
-            if (seen.has(cartoon.url)) {
+            const keys = identityKeys(cartoon);
+            if (keys.some(key => seen.has(key) && matchesOnKey(key, cartoon, seen.get(key)))) {
                 return false;
             }
-            seen.add(cartoon.url);
+            keys.filter(key => !seen.has(key)).forEach(key => seen.set(key, cartoon));
             return true;
         });
     }
     
-    extractTitle($, element) {
-        // Try multiple approaches to get a meaningful title
-        const candidates = [
-            $(element).attr('alt'),
-            $(element).attr('title'),
-            $(element).siblings('figcaption').text().trim(),
-            $(element).parent().siblings('.wp-caption-text').text().trim(),
-            $(element).closest('figure').find('figcaption').text().trim(),
-            $(element).closest('.wp-block-image').find('figcaption').text().trim(),
-            $(element).closest('.wp-caption').find('.wp-caption-text').text().trim(),
-            $(element).closest('article, .post').find('h1, h2, h3').first().text().trim()
-        ].filter(Boolean);
-        
-        // Find the best candidate
-        for (const candidate of candidates) {
-            if (candidate.length > 3 && 
-                candidate.length < 100 &&
-                candidate.toLowerCase() !== 'cartoon' && 
-                !candidate.match(/^\d+$/) &&
-                !candidate.includes('wp-content')) {
-                return this.cleanTitle(candidate);
-            }
-        }
-        
-        // Fallback: generate from URL
-        return this.generateTitleFromUrl($(element).attr('src'));
-    }
-    
-    cleanTitle(title) {
-        return title
-            .replace(/\s+/g, ' ')           // Normalize whitespace
-            .replace(/[^\w\s\-\.\,\!\?]/g, '') // Keep basic punctuation
-            .trim()
-            .substring(0, 80);              // Reasonable length limit
-    }
-    
-    extractDescription($, element) {
-        const candidates = [
-            $(element).siblings('figcaption').text().trim(),
-            $(element).closest('figure').find('figcaption').text().trim(),
-            $(element).closest('.wp-block-image').find('figcaption').text().trim(),
-            $(element).attr('title'),
-            $(element).parent().siblings('.wp-caption-text').text().trim(),
-            $(element).closest('.wp-caption').find('.wp-caption-text').text().trim(),
-            $(element).closest('article, .post').find('p').first().text().trim()
-        ].filter(Boolean);
-        
-        for (const candidate of candidates) {
-            if (candidate.length > 10 && 
-                candidate.length < 500 && 
-                !candidate.toLowerCase().includes('image') &&
-                !candidate.includes('wp-content')) {
-                return candidate.substring(0, 200) + (candidate.length > 200 ? '...' : '');
-            }
-        }
-        
-        // Generate description from title and context
-        const title = this.extractTitle($, element);
-        return `Educational cartoon by Evert Kwok featuring ${title.toLowerCase()}. Making complex scientific and mathematical concepts accessible through visual humor and clever illustrations.`;
-    }
-    
-    extractDateFromUrl(url) {
-        // Multiple date patterns to try, ordered by specificity
-        const patterns = [
-            { regex: /\/(\d{4})\/(\d{2})\/(\d{2})\//, format: 'ymd', specificity: 3 },
-            { regex: /\/(\d{4})\/(\d{2})\//, format: 'ym', specificity: 2 },
-            { regex: /\/(\d{4})(\d{2})(\d{2})(?:_|\-|\.)?/, format: 'ymd', specificity: 3 },
-            { regex: /(\d{4})-(\d{2})-(\d{2})/, format: 'ymd', specificity: 3 },
-            { regex: /(\d{4})_(\d{2})_(\d{2})/, format: 'ymd', specificity: 3 },
-            { regex: /(\d{8})(?![\d])/, format: 'yyyymmdd', specificity: 3 },
-            { regex: /\/(\d{4})\//, format: 'y', specificity: 1 }
-        ];
+    async enrichWithPostDetails(cartoons) {
+        const withPosts = cartoons.filter(cartoon => cartoon.postUrl);
+        this.log(`Fetching post pages for ${withPosts.length} of ${cartoons.length} cartoons...`);
         
-        // Sort by specificity (most specific first)
-        patterns.sort((a, b) => b.specificity - a.specificity);
-        
-        for (const pattern of patterns) {
-            const match = url.match(pattern.regex);
-            if (match) {
-                try {
-                    let year, month, day;
-                    
-                    switch (pattern.format) {
-                        case 'ymd':
-                            year = parseInt(match[1]);
-                            month = parseInt(match[2]) - 1;
-                            day = parseInt(match[3]);
-                            break;
-                        case 'ym':
-                            year = parseInt(match[1]);
-                            month = parseInt(match[2]) - 1;
-                            day = 1;
-                            break;
-                        case 'y':
-                            year = parseInt(match[1]);
-                            month = 0;
-                            day = 1;
-                            break;
-                        case 'yyyymmdd':
-                            const dateStr = match[1];
-                            year = parseInt(dateStr.substring(0, 4));
-                            month = parseInt(dateStr.substring(4, 6)) - 1;
-                            day = parseInt(dateStr.substring(6, 8));
-                            break;
-                    }
-                    
-                    const date = new Date(year, month, day);
-                    
-                    // Validate date is reasonable
-                    if (date.getFullYear() === year && 
-                        date.getMonth() === month && 
-                        date.getFullYear() >= 2000 && 
-                        date.getFullYear() <= new Date().getFullYear() + 1) {
-                        this.log(`Extracted date ${date.toISOString().split('T')[0]} from ${url}`);
-                        return date;
-                    }
-                } catch (e) {
-                    this.log(`Invalid date extracted from ${url}: ${e.message}`, 'warn');
+        let fetched = 0;
+        for (const [index, cartoon] of withPosts.entries()) {
+            // Post metadata does not change once published, reuse what the archive already knows
+            const archived = this.archive.get(cartoon);
+            if (archived && archived.postUrl === cartoon.postUrl && archived.postFetched) {
+                Object.assign(cartoon, {
+                    postFetched: true,
+                    title: archived.title,
+                    date: archived.date,
+                    dateSource: archived.dateSource,
+                    description: archived.description,
+                    categories: archived.categories || []
+                });
+                continue;
+            }
+            
+            if (this.budgetSpent(`up to ${withPosts.length - index} post pages`)) {
+                break;
+            }
+            if (fetched > 0) {
+                await this.delay(this.postDelay);
+            }
+            fetched++;
+            
+            try {
+                const details = await this.fetchPostDetails(cartoon.postUrl);
+                
+                if (details.title) {
+                    cartoon.title = details.title.substring(0, 120);
                 }
+                if (details.date) {
+                    cartoon.date = details.date;
+                    cartoon.dateSource = 'post';
+                }
+                if (details.caption) {
+                    cartoon.description = details.caption;
+                }
+                cartoon.categories = details.categories;
+                cartoon.postFetched = true;
+                
+                this.log(`Post details: ${cartoon.title} - ${cartoon.date.toISOString().split('T')[0]} (${cartoon.postUrl})`);
+            } catch (error) {
+                this.log(`Could not fetch post ${cartoon.postUrl}: ${error.message}`, 'warn');
             }
         }
         
-        // Fallback to current date
-        this.log(`Could not extract date from ${url}, using current date`, 'warn');
-        return new Date();
+        this.log(`Fetched ${fetched} post pages, ${withPosts.length - fetched} taken from the archive`);
+        return cartoons.sort((a, b) => b.date - a.date);
     }
     
-    generateTitleFromUrl(url) {
-        if (!url) return 'Cartoon';
+    // True once the request budget of this run is spent; loops over cartoons stop there
+    budgetSpent(what) {
+        if (this.http.withinBudget()) {
+            return false;
+        }
+        this.log(`Request budget of ${this.http.maxRequests} used up, leaving ${what} for the next run`, 'warn');
+        return true;
+    }
+    
+    async probeCartoonImages(cartoons) {
+        // Probe results live on the archived records, so known images are never requested again
+        // Images probed before content hashes existed are probed once more
+        const unprobed = cartoons.filter(cartoon => !cartoon.image || cartoon.image.url !== cartoon.url || !('hash' in cartoon.image));
+        this.log(`Probing ${unprobed.length} images (${cartoons.length - unprobed.length} already known)...`);
         
-        const filename = url.split('/').pop().split('.')[0];
+        for (const [index, cartoon] of unprobed.entries()) {
+            if (this.budgetSpent(`${unprobed.length - index} images to probe`)) {
+                break;
+            }
+            if (index > 0) {
+                await this.delay(this.probeDelay);
+            }
+            
+            try {
+                cartoon.image = await this.imageProbe.probe(cartoon.url);
+                this.archive.markDirty();
+                this.log(`Image ${cartoon.filename}: ${cartoon.image.type}, ${cartoon.image.length} bytes, ${cartoon.image.width}x${cartoon.image.height}`);
+            } catch (error) {
+                this.log(`Could not probe ${cartoon.url}: ${error.message}`, 'warn');
+            }
+        }
+    }
+    
+    async hashCartoonImages(cartoons) {
+        // Hashes live on the archived records like probe results, each image is hashed once
+        const unhashed = cartoons.filter(cartoon => !cartoon.phash || cartoon.phash.source !== cartoon.url);
+        if (!this.imageHasher.sharp) {
+            if (unhashed.length > 0) {
+                this.log('sharp is not installed, re-uploads with other content cannot be recognized', 'warn');
+            }
+            return;
+        }
+        this.log(`Hashing ${unhashed.length} images (${cartoons.length - unhashed.length} already known)...`);
         
-        return filename
-            .replace(/^\d+/, '')              // Remove leading numbers
-            .replace(/[_-]/g, ' ')            // Replace underscores/hyphens with spaces
-            .replace(/([a-z])([A-Z])/g, '$1 $2') // Add spaces before capitals
-            .replace(/\s+/g, ' ')             // Normalize whitespace
-            .trim()
-            .replace(/^./, char => char.toUpperCase()) // Capitalize first letter
-            .substring(0, 50) // Limit length
-            || 'Educational Cartoon';
+        for (const [index, cartoon] of unhashed.entries()) {
+            if (this.budgetSpent(`${unhashed.length - index} images to hash`)) {
+                break;
+            }
+            if (index > 0) {
+                await this.delay(this.probeDelay);
+            }
+            
+            try {
+                cartoon.phash = await this.imageHasher.hash(cartoon);
+                this.archive.markDirty();
+            } catch (error) {
+                this.log(`Could not hash ${cartoon.url}: ${error.message}`, 'warn');
+            }
+        }
+    }
+    
+    async transcribeCartoonImages(cartoons) {
+        // Transcripts live on the archived records like hashes, each image is read once
+        const pending = cartoons.filter(cartoon => !this.ocrEngine.isCurrent(cartoon));
+        if (pending.length === 0) {
+            return;
+        }
+        const engine = await this.ocrEngine.version();
+        if (!engine) {
+            this.log(`${this.ocrEngine.command} is not installed, cartoons get no transcripts`, 'warn');
+            return;
+        }
+        this.log(`Reading the text in ${pending.length} images with ${engine} (${cartoons.length - pending.length} already known)...`);
+        
+        for (const [index, cartoon] of pending.entries()) {
+            if (this.budgetSpent(`${pending.length - index} images to read`)) {
+                break;
+            }
+            if (index > 0) {
+                await this.delay(this.probeDelay);
+            }
+            
+            try {
+                const transcript = await this.ocrEngine.transcribe(cartoon);
+                this.titleFromTranscript(cartoon, transcript);
+                cartoon.transcript = transcript;
+                this.archive.markDirty();
+                this.log(`Text in ${cartoon.filename}: ${cartoon.transcript.text ? JSON.stringify(cartoon.transcript.text.split('\n')[0]) : 'none'}`);
+            } catch (error) {
+                this.log(`Could not read the text in ${cartoon.url}: ${error.message}`, 'warn');
+            }
+        }
+    }
+    
+    // A title made up from the filename gives way to the first sentence in the cartoon
+    titleFromTranscript(cartoon, transcript) {
+        const title = transcript && transcript.source === cartoon.url && transcriptTitle(transcript.text);
+        if (title && this.isGeneratedTitle(cartoon)) {
+            cartoon.title = title;
+        }
+    }
+    
+    // True for titles made up from the filename or the transcript rather than found on a page
+    isGeneratedTitle(cartoon) {
+        const fromUrl = typeof this.source.generateTitleFromUrl === 'function' &&
+                        cartoon.title === this.source.generateTitleFromUrl(cartoon.url);
+        return fromUrl || Boolean(transcriptText(cartoon) && cartoon.title === transcriptTitle(transcriptText(cartoon)));
+    }
+    
+    // Which of two merged cartoons names the drawing best: titles from post pages over those
+    // on the listing, and both over titles made up from the filename or the text in the cartoon
+    rankTitle(cartoon) {
+        return (cartoon.postFetched ? 2 : 0) + (this.isGeneratedTitle(cartoon) ? 0 : 1);
+    }
+    
+    async mirrorCartoonImages(cartoons) {
+        const pending = [];
+        for (const cartoon of cartoons) {
+            if (!await this.imageMirror.isMirrored(cartoon)) {
+                pending.push(cartoon);
+            }
+        }
+        this.log(`Mirroring ${pending.length} images to ${this.imageMirror.dir} (${cartoons.length - pending.length} already mirrored)...`);
+        if (!this.imageMirror.sharp && pending.length > 0) {
+            this.log('sharp is not installed, mirrored images get no thumbnails', 'warn');
+        }
+        
+        for (const [index, cartoon] of pending.entries()) {
+            if (this.budgetSpent(`${pending.length - index} images to mirror`)) {
+                break;
+            }
+            if (index > 0) {
+                await this.delay(this.probeDelay);
+            }
+            
+            try {
+                cartoon.mirror = await this.imageMirror.mirror(cartoon);
+                this.archive.markDirty();
+                this.log(`Mirrored ${cartoon.url} to ${cartoon.mirror.path}`);
+            } catch (error) {
+                // The feed falls back to hotlinking until the next run succeeds
+                this.log(`Could not mirror ${cartoon.url}: ${error.message}`, 'warn');
+            }
+        }
+    }
+    
+    // Feed metadata shared by all formats; topic feeds and other locales get their own title and self links
+    getRepoUrl() {
+        return process.env.GITHUB_REPOSITORY ? 
+               `https://github.com/${process.env.GITHUB_REPOSITORY}` : 
+               'https://github.com/yourusername/evert-kwok-rss';
+    }
+    
+    getPagesUrl() {
+        return (this.pagesUrl || 
+                this.getRepoUrl().replace('github.com', 'github.io').replace(/\/([^\/]+)$/, '/$1')).replace(/\/$/, '');
+    }
+    
+    // Where a file in the publish directory is served: docs/feeds/wiskunde.xml → <pages URL>/feeds/wiskunde.xml
+    publicUrl(file) {
+        return `${this.getPagesUrl()}/${path.relative(path.dirname(this.outputFile), file).split(path.sep).join('/')}`;
+    }
+    
+    getFeedContext(topic = null, locale = this.locales[0]) {
+        const repoUrl = this.getRepoUrl();
+        const pagesUrl = this.getPagesUrl();
+        
+        // Every format links to its siblings, so all of them share one set of URLs
+        const links = {};
+        for (const name of Object.keys(formats)) {
+            links[name] = this.publicUrl(this.getOutputFile(name, topic, locale));
+        }
+        const title = locale.localize(this.channel.title);
+        const description = locale.localize(this.channel.description);
+        // Named feeds (those with rules) keep the channel's title unless they were given one
+        const heading = !topic ? null : topic.rules ? topic.title : topic.name;
+        
+        return {
+            title: heading ? `${title}: ${heading}` : title,
+            description: heading ? `${heading} - ${description}` : description,
+            siteUrl: this.channel.link,
+            homeUrl: this.channel.homeUrl,
+            icon: this.channel.icon,
+            language: locale.language,
+            locale,
+            author: this.channel.author,
+            categories: topic && !topic.rules ? [topic.name] : locale.localize(this.channel.categories),
+            topics: this.topics,
+            guidPrefix: this.source.guidPrefix,
+            generator: 'Evert Kwok Cartoon Scraper v2.0 (GitHub Actions)',
+            mirror: Boolean(this.mirrorImages),
+            now: new Date(),
+            repoUrl,
+            pagesUrl,
+            links,
+            hub: this.hub
+        };
+    }
+    
+    getOutputFile(formatName, topic = null, locale = this.locales[0]) {
+        let file;
+        if (topic && topic.rules) {
+            // Named feeds sit next to the main feed: latest.xml, latest.atom.xml, latest.feed.json
+            const suffix = formatName === 'rss' ? 'xml' : getFormat(formatName).fileName;
+            file = path.join(path.dirname(this.outputFile), `${topic.name}.${suffix}`);
+        } else if (topic) {
+            // Topic feeds are named after the topic: feeds/wiskunde.xml, feeds/wiskunde.atom.xml, ...
+            const suffix = formatName === 'rss' ? 'xml' : getFormat(formatName).fileName;
+            file = path.join(this.topicsDir, `${topic.slug}.${suffix}`);
+        } else if (formatName === 'rss') {
+            // The RSS feed keeps the --output path, other formats are written next to it
+            file = this.outputFile;
+        } else {
+            file = path.join(path.dirname(this.outputFile), getFormat(formatName).fileName);
+        }
+        
+        // Other locales get their code before the extension: feed.en.xml, atom.en.xml, feeds/wiskunde.en.xml
+        if (locale === this.locales[0]) {
+            return file;
+        }
+        const extension = path.extname(file);
+        return `${file.slice(0, -extension.length)}.${locale.code}${extension}`;
+    }
+    
+    // Every configured format in every locale, the primary locale first
+    getOutputFiles() {
+        return this.locales.flatMap(locale => this.formats.map(name => this.getOutputFile(name, null, locale)));
+    }
+    
+    async generateFeed(formatName, cartoons, topic = null, locale = this.locales[0]) {
+        return getFormat(formatName).render(cartoons, this.getFeedContext(topic, locale));
     }
     
     async generateRSS(cartoons) {
-        const now = new Date();
-        const lastBuildDate = cartoons.length > 0 ? cartoons[0].date : now;
-        const repoUrl = process.env.GITHUB_REPOSITORY ? 
-                       `https://github.com/${process.env.GITHUB_REPOSITORY}` : 
-                       'https://github.com/yourusername/evert-kwok-rss';
-        const pagesUrl = process.env.GITHUB_PAGES_URL || 
-                        repoUrl.replace('github.com', 'github.io').replace(/\/([^\/]+)$/, '/$1');
-        
-        const rssXml = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/" xmlns:dc="http://purl.org/dc/elements/1.1/">
-    <channel>
-        <title>Evert Kwok Educational Cartoons</title>
-        <link>https://www.evertkwok.nl/cartoon/</link>
-        <description>Latest educational cartoons by Evert Kwok - Mathematical and scientific concepts explained through humor and visual storytelling. Automatically updated daily.</description>
-        <language>nl-NL</language>
-        <copyright>© ${new Date().getFullYear()} Evert Kwok. All rights reserved.</copyright>
-        <managingEditor>info@evertkwok.nl (Evert Kwok)</managingEditor>
-        <webMaster>info@evertkwok.nl (Evert Kwok)</webMaster>
-        <lastBuildDate>${now.toUTCString()}</lastBuildDate>
-        <pubDate>${lastBuildDate.toUTCString()}</pubDate>
-        <ttl>1440</ttl>
-        <generator>Evert Kwok Cartoon Scraper v2.0 (GitHub Actions)</generator>
-        <docs>https://cyber.harvard.edu/rss/rss.html</docs>
-        <atom:link href="${pagesUrl}/feed.xml" rel="self" type="application/rss+xml"/>
-        <image>
-            <url>https://www.evertkwok.nl/wp-content/uploads/2019/07/cropped-Evert-Kwok-favicon-32x32.png</url>
-            <title>Evert Kwok Educational Cartoons</title>
-            <link>https://www.evertkwok.nl/cartoon/</link>
-            <width>32</width>
-            <height>32</height>
-            <description>RSS feed for Evert Kwok's educational cartoons</description>
-        </image>
-        <category>Education</category>
-        <category>Science</category>
-        <category>Mathematics</category>
-        <category>Cartoons</category>
-        <category>Dutch Content</category>
-        
-${cartoons.map((cartoon, index) => `        <item>
-            <title>${this.escapeXml(cartoon.title)}</title>
-            <link>${this.escapeXml(cartoon.url)}</link>
-            <description><![CDATA[
-                <div style="max-width: 600px; margin: 0 auto; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6;">
-                    <p style="font-size: 16px; color: #333; margin-bottom: 20px; text-align: center;">
-                        ${this.escapeXml(cartoon.description)}
-                    </p>
-                    <div style="text-align: center; margin: 20px 0;">
-                        <img src="${this.escapeXml(cartoon.url)}" 
-                             alt="${this.escapeXml(cartoon.title)}" 
-                             style="max-width: 100%; height: auto; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.15);" 
-                             loading="lazy" />
-                    </div>
-                    <p style="font-size: 14px; color: #666; text-align: center; margin-top: 15px;">
-                        <strong>🎨 Educational cartoon by <a href="https://www.evertkwok.nl" style="color: #007cba; text-decoration: none;">Evert Kwok</a></strong>
-                    </p>
-                </div>
-            ]]></description>
-            <content:encoded><![CDATA[
-                <div style="max-width: 800px; margin: 0 auto; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
-                    <header style="text-align: center; margin-bottom: 30px; padding: 20px; background: linear-gradient(135deg, #f8f9fa, #e9ecef); border-radius: 12px;">
-                        <h1 style="color: #007cba; margin: 0 0 10px 0; font-size: 24px;">${this.escapeXml(cartoon.title)}</h1>
-                        <p style="color: #666; margin: 0; font-size: 16px;">📅 ${cartoon.date.toLocaleDateString('nl-NL', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
-                    </header>
-                    
-                    <div style="text-align: center; margin: 30px 0;">
-                        <img src="${this.escapeXml(cartoon.url)}" 
-                             alt="${this.escapeXml(cartoon.title)}" 
-                             style="max-width: 100%; height: auto; border-radius: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.12); transition: transform 0.3s ease;" 
-                             onmouseover="this.style.transform='scale(1.02)'" 
-                             onmouseout="this.style.transform='scale(1)'"
-                             loading="lazy" />
-                    </div>
-                    
-                    <div style="background: #f8f9fa; padding: 25px; border-radius: 12px; margin: 30px 0; border-left: 4px solid #007cba;">
-                        <p style="font-size: 16px; line-height: 1.8; color: #333; margin: 0;">
-                            ${this.escapeXml(cartoon.description)}
-                        </p>
-                    </div>
-                    
-                    <footer style="text-align: center; margin-top: 40px; padding: 20px; background: #f1f3f4; border-radius: 12px;">
-                        <p style="margin: 0; font-size: 14px; color: #666;">
-                            🎓 <strong>About the Artist:</strong> <a href="https://www.evertkwok.nl" style="color: #007cba; text-decoration: none;">Evert Kwok</a> creates educational cartoons that make complex scientific and mathematical concepts accessible through humor and visual storytelling.
-                        </p>
-                        <p style="margin: 10px 0 0 0; font-size: 12px; color: #888;">
-                            📡 This content is delivered via an automated RSS feed. <a href="${pagesUrl}" style="color: #007cba;">Learn more</a>
-                        </p>
-                    </footer>
-                </div>
-            ]]></content:encoded>
-            <pubDate>${cartoon.date.toUTCString()}</pubDate>
-            <dc:date>${cartoon.date.toISOString()}</dc:date>
-            <guid isPermaLink="true">${this.escapeXml(cartoon.url)}</guid>
-            <enclosure url="${this.escapeXml(cartoon.url)}" type="image/jpeg" length="0"/>
-            <media:content url="${this.escapeXml(cartoon.url)}" type="image/jpeg" medium="image">
-                <media:title>${this.escapeXml(cartoon.title)}</media:title>
-                <media:description>${this.escapeXml(cartoon.description)}</media:description>
-                <media:keywords>education, cartoon, science, mathematics, humor, evert kwok</media:keywords>
-            </media:content>
-            <category>Education</category>
-            <category>Cartoons</category>
-            <category>Science</category>
-            <category>Mathematics</category>
-            <category>Humor</category>
-            <category>Visual Learning</category>
-            <author>info@evertkwok.nl (Evert Kwok)</author>
-            <source url="${pagesUrl}/feed.xml">Evert Kwok Educational Cartoons</source>
-        </item>`).join('\n')}
-    </channel>
-</rss>`;
-        
-        return rssXml;
+        return this.generateFeed('rss', cartoons);
     }
     
     escapeXml(str) {
-        if (!str) return '';
-        return str.toString()
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;');
+        return escapeXml(str);
     }
     
     getDemoData() {
-        this.log('Using demo data as fallback', 'warn');
+        this.log('Using demo data', 'warn');
         
         // Create realistic demo data with proper date distribution
         const baseDate = new Date('2020-01-01');
@@ -503,7 +758,7 @@ ${cartoons.map((cartoon, index) => `        <item>
         return demos.map((demo, index) => {
             const date = new Date();
             date.setMonth(date.getMonth() - demo.monthsAgo);
-            date.setDate(Math.floor(Math.random() * 28) + 1); // Random day in month
+            date.setDate(1 + (index * 3) % 28); // Spread over the month, but stable between runs
             
             return {
                 url: `https://www.evertkwok.nl/wp-content/uploads/${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, '0')}/${demo.filename}`,
@@ -515,6 +770,199 @@ ${cartoons.map((cartoon, index) => `        <item>
         }).sort((a, b) => b.date - a.date);
     }
     
+    async isFeedUnchanged(file, content) {
+        let existing;
+        try {
+            existing = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            return false;
+        }
+        
+        // The build date and copyright year move with the clock, not with the content
+        const normalize = xml => xml
+            .replace(/<lastBuildDate>[^<]*<\/lastBuildDate>/, '')
+            .replace(/© \d{4}/g, '©');
+        return normalize(existing) === normalize(content);
+    }
+    
+    // Without an archive the published feed is the only record of what readers have seen
+    async seedArchive() {
+        const file = this.getOutputFile('rss');
+        let published;
+        try {
+            published = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+        const seeded = this.archive.seedFromRss(published);
+        this.log(`Seeded the archive with ${seeded} items of ${file}, they keep their GUIDs`);
+    }
+    
+    async countPublishedItems() {
+        try {
+            const published = await fs.readFile(this.getOutputFile('rss'), 'utf8');
+            return (published.match(/<item>/g) || []).length;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            throw error;
+        }
+    }
+    
+    async checkItemCountDrop(itemCount) {
+        const previousCount = await this.countPublishedItems();
+        const minimumCount = Math.ceil(previousCount * (1 - this.maxDrop));
+        
+        if (previousCount === 0 || itemCount >= minimumCount) {
+            return;
+        }
+        
+        const message = `Item count dropped from ${previousCount} to ${itemCount} ` +
+                        `(more than ${Math.round(this.maxDrop * 100)}% of the published feed)`;
+        if (this.force) {
+            this.log(`${message}, writing anyway because of --force`, 'warn');
+            return;
+        }
+        throw new Error(`${message}, refusing to overwrite ${this.getOutputFile('rss')} (use --force to override)`);
+    }
+    
+    validateOutputs(outputs) {
+        const reports = outputs.map(output => validateFeed(output.content, { format: output.name, file: output.file }));
+        
+        reports.forEach(report => {
+            report.warnings.forEach(warning => this.log(`${report.file}: ${warning}`, 'warn'));
+        });
+        
+        if (reports.some(report => report.errors.length > 0)) {
+            throw new FeedValidationError(reports);
+        }
+        this.log(`Validated ${reports.length} feed(s): ${reports.map(report => `${report.items} items in ${report.file}`).join(', ')}`);
+        return reports;
+    }
+    
+    // Standalone `validate` command: checks published files, by default the configured outputs
+    async validateFiles(files = this.getOutputFiles()) {
+        const reports = [];
+        
+        for (const file of files) {
+            let report;
+            try {
+                report = validateFeed(await fs.readFile(file, 'utf8'), { file });
+            } catch (error) {
+                report = { file, format: null, items: 0, errors: [`cannot be read: ${error.message}`], warnings: [] };
+            }
+            console.log(formatReport(report));
+            reports.push(report);
+        }
+        
+        return reports;
+    }
+    
+    async renderOutputs(cartoons, topic = null) {
+        const outputs = [];
+        for (const locale of this.locales) {
+            for (const name of this.formats) {
+                const content = await this.generateFeed(name, cartoons, topic, locale);
+                const file = this.getOutputFile(name, topic, locale);
+                outputs.push({
+                    name,
+                    file,
+                    locale: locale.code,
+                    content,
+                    size: Buffer.byteLength(content, 'utf8'),
+                    unchanged: await this.isFeedUnchanged(file, content)
+                });
+            }
+        }
+        return outputs;
+    }
+    
+    // Feeds in the topics directory of topics that no longer have enough cartoons
+    async findStaleTopicFeeds(topicOutputs) {
+        const rendered = new Set(topicOutputs.map(output => path.resolve(output.file)));
+        let entries;
+        try {
+            entries = await fs.readdir(this.topicsDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        return entries
+            .filter(entry => entry.isFile())
+            .map(entry => path.join(this.topicsDir, entry.name))
+            .filter(file => !rendered.has(path.resolve(file)));
+    }
+    
+    // Named feeds of earlier runs that are no longer configured. The directory of the main feed holds
+    // files that are not ours, so only feeds linking to themselves as their own URL are taken
+    async findStaleNamedFeeds(rendered) {
+        const dir = path.dirname(this.outputFile);
+        const written = new Set(rendered.map(output => path.resolve(output.file)));
+        // Main feeds of every format and locale, configured or not, are never taken for named feeds
+        const mainFiles = new Set([path.basename(this.outputFile), ...Object.values(formats).map(format => format.fileName)].flatMap(file => {
+            const extension = path.extname(file);
+            return [file, ...Object.keys(catalogs).map(code => `${file.slice(0, -extension.length)}.${code}${extension}`)];
+        }));
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        const stale = [];
+        for (const entry of entries) {
+            const file = path.join(dir, entry.name);
+            if (!entry.isFile() || !/\.(xml|json)$/.test(entry.name) || mainFiles.has(entry.name) || written.has(path.resolve(file))) {
+                continue;
+            }
+            const content = await fs.readFile(file, 'utf8');
+            if (content.includes(this.publicUrl(file))) {
+                stale.push(file);
+            }
+        }
+        return stale;
+    }
+    
+    async renderSite(cartoons) {
+        this.log('Generating site pages...');
+        // One site per locale: the first at the top of the publish directory, the others in en/ and so on
+        const languages = this.locales.map((locale, index) => ({
+            base: index === 0 ? '' : `${locale.code}/`,
+            lang: locale.language.split('-')[0],
+            name: locale.name
+        }));
+        const pages = [];
+        for (const [index, locale] of this.locales.entries()) {
+            pages.push(...await this.siteGenerator.render(cartoons, this.getFeedContext(null, locale), { base: languages[index].base, languages }));
+        }
+        
+        for (const page of pages) {
+            page.file = path.join(this.siteGenerator.dir, page.path);
+            page.unchanged = await this.siteGenerator.isUnchanged(page.file, page.content);
+        }
+        return pages;
+    }
+    
+    async writeSite(pages, stalePages) {
+        const changedPages = pages.filter(page => !page.unchanged);
+        
+        for (const page of changedPages) {
+            await this.ensureDirectoryExists(page.file);
+            await fs.writeFile(page.file, page.content, 'utf8');
+        }
+        await this.siteGenerator.removeStale(stalePages);
+        this.log(`Site written to ${this.siteGenerator.dir}: ${changedPages.length} of ${pages.length} pages changed`);
+    }
+    
     async ensureDirectoryExists(filePath) {
         const dir = path.dirname(filePath);
         try {
@@ -528,65 +976,43 @@ ${cartoons.map((cartoon, index) => `        <item>
     async run() {
         const startTime = Date.now();
         
-        console.log('');
-        console.log('🎨 Evert Kwok Cartoon RSS Scraper v2.0');
-        console.log('==========================================');
-        console.log(`🕐 Started at: ${new Date().toISOString()}`);
-        console.log(`🎯 Source: ${this.baseUrl}`);
-        console.log(`📄 Output: ${this.outputFile}`);
-        console.log(`🔧 Environment: ${process.env.GITHUB_ACTIONS ? 'GitHub Actions' : 'Local'}`);
-        console.log('');
+        this.print();
+        this.print('🎨 Cartoon RSS Scraper v2.0');
+        this.print('==========================================');
+        this.print(`🕐 Started at: ${new Date().toISOString()}`);
+        this.print(`🎯 Source: ${this.name} (${this.baseUrl})`);
+        this.print(`📄 Output: ${this.getOutputFiles().join(', ')}`);
+        this.print(`🗄️  Archive: ${this.archive.file}`);
+        if (this.backfill) {
+            this.print(`⏪ Backfill: up to ${this.maxPages} pages, ${this.pageDelay}ms between pages`);
+        }
+        if (this.demo) {
+            this.print('🧪 Demo mode: publishing fabricated demo data');
+        }
+        this.print(`🔧 Environment: ${process.env.GITHUB_ACTIONS ? 'GitHub Actions' : 'Local'}`);
+        this.print();
         
         try {
-            // Scrape cartoons
-            const cartoons = await this.scrapeCartoons();
+            let cartoons;
+            let added;
+            let healthRun = null;
             
-            if (cartoons.length === 0) {
-                this.log('No cartoons found!', 'error');
-                process.exit(1);
+            if (this.demo) {
+                // Demo data is fabricated, so it must never reach the archive
+                this.log('Demo mode: using fabricated demo data, the archive is left untouched', 'warn');
+                cartoons = this.getDemoData();
+                added = cartoons;
+            } else {
+                ({ cartoons, added, healthRun } = await this.collect());
             }
             
-            // Generate RSS
-            this.log('Generating RSS feed...');
-            const rssXml = await this.generateRSS(cartoons);
-            
-            // Ensure output directory exists
-            await this.ensureDirectoryExists(this.outputFile);
-            
-            // Write RSS file
-            await fs.writeFile(this.outputFile, rssXml, 'utf8');
-            this.log(`RSS feed written to ${this.outputFile}`);
-            
-            // Generate summary statistics
-            const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-            const oldestCartoon = cartoons[cartoons.length - 1];
-            const newestCartoon = cartoons[0];
-            
-            console.log('');
-            console.log('✅ RSS Generation Complete!');
-            console.log('============================');
-            console.log(`📊 Total cartoons: ${cartoons.length}`);
-            console.log(`📅 Date range: ${oldestCartoon.date.toISOString().split('T')[0]} to ${newestCartoon.date.toISOString().split('T')[0]}`);
-            console.log(`📄 RSS file size: ${(rssXml.length / 1024).toFixed(1)} KB`);
-            console.log(`⏱️  Processing time: ${elapsed}s`);
-            console.log(`🔗 Feed URL: ${process.env.GITHUB_PAGES_URL || 'https://yourusername.github.io/evert-kwok-rss'}/feed.xml`);
-            console.log('');
-            
-            // Set GitHub Actions outputs
-            if (process.env.GITHUB_ACTIONS) {
-                console.log(`::set-output name=cartoon_count::${cartoons.length}`);
-                console.log(`::set-output name=latest_date::${newestCartoon.date.toISOString().split('T')[0]}`);
-                console.log(`::set-output name=oldest_date::${oldestCartoon.date.toISOString().split('T')[0]}`);
-                console.log(`::set-output name=processing_time::${elapsed}s`);
-                console.log(`::set-output name=feed_size::${(rssXml.length / 1024).toFixed(1)} KB`);
+            const result = await this.publish(cartoons, added, startTime);
+            // Only runs that got published become part of what later runs are compared with
+            if (healthRun) {
+                this.healthMonitor.record(healthRun);
+                await this.healthMonitor.save();
             }
-            
-            return {
-                cartoonCount: cartoons.length,
-                latestDate: newestCartoon.date.toISOString().split('T')[0],
-                processingTime: elapsed,
-                feedSize: (rssXml.length / 1024).toFixed(1) + ' KB'
-            };
+            return result;
             
         } catch (error) {
             this.log(`Fatal error: ${error.message}`, 'error');
@@ -594,64 +1020,714 @@ ${cartoons.map((cartoon, index) => `        <item>
                 this.log(`Stack trace: ${error.stack}`, 'error');
             }
             
+            this.report.fail(error);
+            
             // In GitHub Actions, we want to fail the workflow
             if (process.env.GITHUB_ACTIONS) {
                 console.log('::error::RSS generation failed');
-                process.exit(1);
-            } else {
+            }
+            throw error;
+        } finally {
+            this.report.crawl = this.http.summary();
+        }
+    }
+    
+    // Fetch, extract and normalize: merges the scraped cartoons into the archive and
+    // returns the cartoons to publish, with the health measurement of the run to record once published
+    async collect() {
+        // Load previously seen cartoons so items that scroll off the page stay in the feed
+        await this.archive.load();
+        if (!this.archive.exists) {
+            await this.seedArchive();
+        }
+        await this.httpCache.load();
+        
+        // Scrape cartoons, walking older pages when backfilling
+        let scraped;
+        try {
+            scraped = this.backfill ?
+                      await this.backfillCartoons() :
+                      await this.scrapeCartoons();
+        } catch (error) {
+            // A listing page without cartoons is the clearest sign that the layout changed
+            if (this.health && this.listingPage) {
+                await this.dumpListingPage({ status: 'failing', checks: [{ name: 'cartoons', status: 'failing', message: error.message }] });
+            }
+            throw error;
+        }
+        
+        // Prefer the real title, date and caption from each cartoon's post page
+        if (this.fetchPosts) {
+            scraped = await this.enrichWithPostDetails(scraped);
+        }
+        this.report.resolveFallbacks(scraped);
+        // Titles read from the cartoons on earlier runs, so the merge does not put the filename back
+        scraped.forEach(cartoon => {
+            const archived = this.archive.get(cartoon);
+            this.titleFromTranscript(cartoon, archived && archived.transcript);
+        });
+        let { added } = this.archive.merge(scraped);
+        // `pool` holds every cartoon of the main and the named feeds, whose images are probed and mirrored
+        let { cartoons, pool } = this.selectCartoons();
+        Object.assign(this.report.items, { found: scraped.length, new: added.length, known: scraped.length - added.length });
+        
+        let healthRun = null;
+        if (this.health) {
+            healthRun = await this.checkHealth(scraped, cartoons);
+        }
+        
+        if (this.probeImages) {
+            await this.probeCartoonImages(pool);
+            
+            // Re-uploads under another name are only recognizable by their content, and rules
+            // on the image size can only judge probed images
+            if (this.archive.removeContentDuplicates() > 0 || [this.feedRules, ...this.feeds.map(feed => feed.rules)].some(usesImageSize)) {
+                ({ cartoons, pool } = this.selectCartoons());
+                await this.probeCartoonImages(pool);
+            }
+        }
+        
+        // Resized or recompressed re-uploads differ in content, not in what they look like
+        if (this.dedupeImages) {
+            await this.hashCartoonImages(pool);
+            const duplicates = this.archive.removeSimilarImages(this.dedupeThreshold);
+            if (duplicates.length > 0) {
+                duplicates.forEach(duplicate => this.log(`Merged ${duplicate.merged.url} into ${duplicate.kept.url} (${duplicate.distance} bits apart)`));
+                this.report.duplicates.push(...duplicates);
+                ({ cartoons, pool } = this.selectCartoons());
+                if (this.probeImages) {
+                    await this.probeCartoonImages(pool);
+                }
+                await this.hashCartoonImages(pool);
+            }
+        }
+        
+        // Cartoons folded into an earlier one are not new
+        added = added.filter(record => this.archive.cartoons.get(record.id) === record);
+        Object.assign(this.report.items, { new: added.length, known: scraped.length - added.length });
+        
+        if (this.mirrorImages) {
+            await this.mirrorCartoonImages(pool);
+        }
+        
+        // After mirroring, so the text is read from the local copies
+        if (this.ocr) {
+            await this.transcribeCartoonImages(pool);
+        }
+        
+        return { cartoons, added, healthRun };
+    }
+    
+    // The main feed's cartoons, chosen from the archive by --max-items, --max-age and --feed-rules,
+    // and the pool of every cartoon that the main or a named feed publishes, newest first
+    selectCartoons() {
+        const archived = this.archive.getCartoons();
+        const cartoons = applyFeedRules(archived, this.feedRules, { topics: this.topics });
+        const published = new Set(cartoons);
+        this.selectNamedFeeds(archived).forEach(view => view.cartoons.forEach(cartoon => published.add(cartoon)));
+        return { cartoons, pool: archived.filter(cartoon => published.has(cartoon)) };
+    }
+    
+    // Named feeds choose from all cartoons on their own, so full.xml can go further back than the main feed
+    selectNamedFeeds(cartoons) {
+        return this.feeds.map(feed => ({ feed, cartoons: applyFeedRules(cartoons, feed.rules, { topics: this.topics }) }));
+    }
+    
+    // Compares this run with recent runs; failing checks stop the run before anything is written.
+    // Returns the measurement of the run to record, null when it says nothing about the listing page
+    async checkHealth(scraped, cartoons) {
+        await this.healthMonitor.load();
+        // Backfills walk many pages and 304 responses parse none, neither says how the listing page usually looks
+        const listing = !this.report.notModified && !this.backfill;
+        const run = this.healthMonitor.measure(this.report, scraped, cartoons);
+        const health = this.healthMonitor.check(run, { listing });
+        this.report.health = health;
+        
+        health.checks.filter(check => check.status !== 'ok').forEach(check => {
+            this.log(`Health check ${check.name}: ${check.message}`, check.status === 'failing' ? 'error' : 'warn');
+        });
+        this.log(`Health: ${health.status} (${health.checks.length} checks against ${health.history} earlier runs)`);
+        
+        if (health.status !== 'ok' && listing && this.listingPage) {
+            await this.dumpListingPage(health);
+        }
+        if (health.status === 'failing') {
+            if (!this.force) {
+                throw new HealthCheckError(health);
+            }
+            this.log('Health checks failed, publishing anyway because of --force', 'warn');
+        }
+        
+        return listing ? run : null;
+    }
+    
+    async dumpListingPage(health) {
+        const { url, $ } = this.listingPage;
+        this.report.health = health;
+        try {
+            health.dump = await this.healthMonitor.dump(this.name, health, describePage($, url, this.source.selectors));
+            this.log(`Structure of ${url} written to ${health.dump}`, 'warn');
+        } catch (error) {
+            this.log(`Could not write the page structure: ${error.message}`, 'warn');
+        }
+    }
+    
+    // What a run that added cartoons tells the WebSub hub and webhooks: the feeds it wrote and the
+    // new cartoons in them. Backfilled cartoons are old news and those of the combined feed were
+    // announced by their own source, so for these only the hub hears about the changed feeds
+    announce(cartoons, added) {
+        if (this.demo || added.length === 0) {
+            return null;
+        }
+        
+        const feed = this.getFeedContext();
+        const addedUrls = new Set(added.map(cartoon => cartoon.url));
+        const announced = this.backfill || this.aggregate ? [] : cartoons.filter(cartoon => addedUrls.has(cartoon.url));
+        return {
+            source: this.name,
+            locale: feed.locale.code,
+            feed: { title: feed.title, url: feed.links[this.formats[0]], siteUrl: feed.siteUrl },
+            topics: this.report.outputs.filter(output => output.written).map(output => this.publicUrl(output.file)),
+            cartoons: announced.map(cartoon => ({
+                title: cartoon.title,
+                url: itemLink(cartoon),
+                image: imageUrls(cartoon, feed).image,
+                date: cartoon.date.toISOString(),
+                description: itemDescription(cartoon, feed)
+            }))
+        };
+    }
+    
+    // Render: writes the feeds, topic feeds and site when anything changed
+    async publish(cartoons, added, startTime = Date.now()) {
+        // The archive and validators belong to scraped sources, not to demo data or combined feeds
+        const ownsArchive = !this.demo && !this.aggregate;
+        this.published = cartoons;
+        this.added = added;
+        
+        if (cartoons.length === 0) {
+            throw new Error('No cartoons to publish, keeping the previous feed');
+        }
+        
+        // Refuse to replace a published feed with a much smaller one
+        await this.checkItemCountDrop(cartoons.length);
+        
+        // Render every requested format from the same cartoon list
+        this.log(`Generating ${this.formats.map(name => getFormat(name).title).join(', ')} feeds...`);
+        const outputs = await this.renderOutputs(cartoons);
+        
+        // Named feeds pick from the archive by rules of their own, e.g. latest.xml and full.xml
+        const feedOutputs = [];
+        const namedFeeds = this.selectNamedFeeds(ownsArchive ? this.archive.getCartoons() : cartoons);
+        for (const { feed, cartoons: selected } of namedFeeds) {
+            this.log(`Generating ${feed.file} with ${selected.length} cartoons`);
+            feedOutputs.push(...await this.renderOutputs(selected, feed));
+        }
+        const staleNamedFeeds = await this.findStaleNamedFeeds([...outputs, ...feedOutputs]);
+        
+        // Topic feeds are filtered views of the same list
+        const topicOutputs = [];
+        let staleTopicFeeds = [];
+        if (this.topicFeeds) {
+            const topics = collectTopics(cartoons, this.topics, this.topicMinItems);
+            this.log(`Generating feeds for ${topics.length} topics: ${topics.map(topic => `${topic.name} (${topic.cartoons.length})`).join(', ')}`);
+            for (const topic of topics) {
+                topicOutputs.push(...await this.renderOutputs(topic.cartoons, topic));
+            }
+            staleTopicFeeds = await this.findStaleTopicFeeds(topicOutputs);
+        }
+        
+        // Never publish a feed that readers would choke on
+        if (this.validate) {
+            this.validateOutputs([...outputs, ...feedOutputs, ...topicOutputs]);
+        }
+        
+        // The site is rendered from the same list, so pages and feeds never disagree
+        const pages = this.site ? await this.renderSite(cartoons) : [];
+        const stalePages = this.site ? await this.siteGenerator.findStale(pages) : [];
+        
+        // Leave everything as it is when nothing changed, so lastBuildDate stays stable
+        const changed = this.demo || this.archive.dirty ||
+                        [...outputs, ...feedOutputs, ...topicOutputs, ...pages].some(output => !output.unchanged) ||
+                        staleNamedFeeds.length > 0 || staleTopicFeeds.length > 0 || stalePages.length > 0;
+        
+        const newestDate = cartoons[0].date.toISOString().split('T')[0];
+        const oldestDate = cartoons[cartoons.length - 1].date.toISOString().split('T')[0];
+        Object.assign(this.report.items, { published: cartoons.length, archived: this.archive.size });
+        this.report.outputs = [...outputs, ...feedOutputs, ...topicOutputs].map(({ name, file, locale, size, unchanged }) => ({
+            name, file, locale, size, written: changed && !unchanged
+        }));
+        this.report.pages = {
+            rendered: pages.length,
+            written: changed ? pages.filter(page => !page.unchanged).length : 0,
+            removed: changed ? stalePages.length : 0
+        };
+        
+        if (!changed) {
+            if (ownsArchive) {
+                await this.httpCache.save();
+            }
+            
+            this.print();
+            this.print('💤 No changes: feeds and archive are already up to date');
+            this.print();
+            
+            const result = {
+                changed: false,
+                cartoonCount: cartoons.length,
+                newCount: 0,
+                archiveCount: this.archive.size,
+                latestDate: newestDate,
+                oldestDate
+            };
+            this.report.finish(result);
+            return result;
+        }
+        
+        if (ownsArchive) {
+            await this.archive.save();
+        }
+        
+        if (this.mirrorImages && ownsArchive) {
+            await this.imageMirror.collectGarbage(this.archive.getCartoons());
+        }
+        
+        for (const output of [...outputs, ...feedOutputs, ...topicOutputs]) {
+            // Ensure output directory exists
+            await this.ensureDirectoryExists(output.file);
+            
+            await fs.writeFile(output.file, output.content, 'utf8');
+            this.log(`${getFormat(output.name).title} feed written to ${output.file}`);
+        }
+        
+        for (const file of staleNamedFeeds) {
+            await fs.unlink(file);
+            this.log(`Removed named feed that is no longer configured: ${file}`);
+        }
+        
+        for (const file of staleTopicFeeds) {
+            await fs.unlink(file);
+            this.log(`Removed feed of a topic that fell below ${this.topicMinItems} cartoons: ${file}`);
+        }
+        
+        if (this.site) {
+            await this.writeSite(pages, stalePages);
+        }
+        
+        // Only remember the validators once the content behind them has been published
+        if (ownsArchive) {
+            await this.httpCache.save();
+        }
+        
+        // Subscribers hear about new cartoons once the feeds linking them have been written
+        const announcement = this.announce(cartoons, added);
+        if (announcement) {
+            this.report.announcement = announcement;
+            if (this.notify && this.notifier.enabled) {
+                this.report.notifications = await this.notifier.notify(announcement);
+            }
+        }
+        
+        // Generate summary statistics
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+        const feedSize = `${(outputs[0].size / 1024).toFixed(1)} KB`;
+        
+        this.print();
+        this.print('✅ RSS Generation Complete!');
+        this.print('============================');
+        this.print(`📊 Total cartoons: ${cartoons.length}`);
+        this.print(`🆕 New this run: ${added.length}`);
+        this.print(`🗄️  Archived cartoons: ${this.archive.size}`);
+        this.print(`📅 Date range: ${oldestDate} to ${newestDate}`);
+        outputs.forEach(output => {
+            this.print(`📄 ${getFormat(output.name).title} file size: ${(output.size / 1024).toFixed(1)} KB (${output.file})`);
+        });
+        if (namedFeeds.length > 0) {
+            this.print(`🗂️  Named feeds: ${namedFeeds.map(({ feed, cartoons: selected }) => `${feed.file} (${selected.length})`).join(', ')}`);
+        }
+        if (this.topicFeeds) {
+            this.print(`🏷️  Topic feeds: ${topicOutputs.length / this.formats.length / this.locales.length} (${this.topicsDir})`);
+        }
+        if (this.site) {
+            this.print(`🌐 Site pages: ${pages.length} (${this.siteGenerator.dir})`);
+        }
+        if (this.ocr) {
+            this.print(`📝 Transcripts: ${cartoons.filter(cartoon => transcriptText(cartoon)).length} of ${cartoons.length} cartoons have text`);
+        }
+        if (this.report.duplicates.length > 0) {
+            this.print(`🧬 Merged duplicates: ${this.report.duplicates.length}`);
+        }
+        if (this.report.backfill) {
+            const { pages, resumeAt } = this.report.backfill;
+            this.print(`⏪ Backfill: ${pages} pages${resumeAt ? `, continues at ${resumeAt} next time` : ', reached the end'}`);
+        }
+        if (this.http.requests > 0) {
+            const crawl = this.http.summary();
+            const notes = [
+                crawl.retries > 0 && `${crawl.retries} retries`,
+                crawl.blocked.length > 0 && `${crawl.blocked.length} disallowed by robots.txt`,
+                crawl.exhausted && 'budget used up'
+            ].filter(Boolean);
+            this.print(`📡 Requests: ${crawl.requests}${crawl.budget ? ` of ${crawl.budget}` : ''}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+        }
+        if (this.report.health) {
+            const attention = this.report.health.checks.filter(check => check.status !== 'ok');
+            this.print(`🩺 Health: ${this.report.health.status}${attention.length > 0 ? ` (${attention.map(check => check.name).join(', ')})` : ''}`);
+        }
+        if (this.report.notifications.length > 0) {
+            const failed = this.report.notifications.filter(notification => !notification.ok).length;
+            this.print(`📣 Notifications: ${this.report.notifications.length - failed} sent${failed > 0 ? `, ${failed} failed` : ''}`);
+        } else if (announcement && !this.notify && this.notifier.enabled) {
+            this.print('📣 Notifications: postponed, send them with the notify command');
+        }
+        this.print(`⏱️  Processing time: ${elapsed}s`);
+        this.print(`🔗 Feed URL: ${this.getFeedContext().links.rss}`);
+        this.print();
+        
+        const result = {
+            changed: true,
+            cartoonCount: cartoons.length,
+            newCount: added.length,
+            archiveCount: this.archive.size,
+            latestDate: newestDate,
+            oldestDate,
+            processingTime: elapsed,
+            feedSize,
+            outputs: outputs.map(({ name, file, locale, size }) => ({ name, file, locale, size })),
+            namedFeeds: feedOutputs.map(({ name, file, locale, size }) => ({ name, file, locale, size })),
+            topicFeeds: topicOutputs.map(({ name, file, locale, size }) => ({ name, file, locale, size })),
+            pageCount: pages.length
+        };
+        this.report.finish(result);
+        return result;
+    }
+}
+
+// Cartoons of several scrapers in one list, newest first. Items keep the artist, GUID and
+// mirrored image of their own source
+function combineCartoons(scrapers, outputFile) {
+    const publishDir = path.dirname(outputFile);
+    const cartoons = [];
+    
+    for (const scraper of scrapers) {
+        const feed = scraper.getFeedContext();
+        // The title stays per locale, so every locale of the combined feed names the source in its own language
+        const origin = { author: feed.author, homeUrl: feed.homeUrl, title: scraper.channel.title, feedUrl: feed.links.rss };
+        
+        for (const cartoon of scraper.published || []) {
+            const combined = { ...cartoon, origin };
+            // Mirrored paths are relative to the source's feed; outside the combined feed's directory the original is used
+            if (cartoon.mirror) {
+                const relocate = file => path.relative(publishDir, path.join(path.dirname(scraper.outputFile), file)).split(path.sep).join('/');
+                const mirrorPath = relocate(cartoon.mirror.path);
+                combined.mirror = mirrorPath.startsWith('..') ? null : {
+                    ...cartoon.mirror,
+                    path: mirrorPath,
+                    thumbnail: cartoon.mirror.thumbnail && { ...cartoon.mirror.thumbnail, path: relocate(cartoon.mirror.thumbnail.path) }
+                };
+            }
+            cartoons.push(combined);
+        }
+    }
+    
+    return cartoons.sort((a, b) => b.date - a.date);
+}
+
+// Runs every source, then the combined feed when all of them succeeded; returns the failed scrapers
+async function runSources(scrapers, combined = null) {
+    const failed = [];
+    
+    for (const scraper of scrapers) {
+        try {
+            await scraper.run();
+        } catch (error) {
+            // One broken site must not keep the others from updating
+            failed.push(scraper);
+            if (scrapers.length === 1) {
                 throw error;
             }
+            console.error(`❌ ${scraper.name}: ${error.message}`);
         }
     }
+    
+    if (combined && failed.length === 0) {
+        combined.print(`🔀 Combining ${scrapers.length} sources into ${combined.outputFile}`);
+        try {
+            await combined.publish(combineCartoons(scrapers, combined.outputFile), scrapers.flatMap(scraper => scraper.added || []));
+        } catch (error) {
+            combined.report.fail(error);
+            throw error;
+        }
+    } else if (combined) {
+        combined.report.skip('not every source succeeded');
+        console.error(`⚠️  Keeping the previous combined feed ${combined.outputFile} because not every source succeeded`);
+    }
+    
+    return failed;
+}
+
+// One scraper per configured source, or a single one for the top-level options, and the
+// combined feed when several sources are configured
+function createScrapers(loaded) {
+    const options = loaded.config;
+    const scrapers = loaded.sources.map(source => new CartoonScraper(source));
+    const combined = loaded.sources.length > 1 && options.combinedOutput ?
+                     new CartoonScraper({ ...options, name: 'combined', outputFile: options.combinedOutput, aggregate: true, site: false }) :
+                     null;
+    return { scrapers, combined };
+}
+
+// A source scraping saved pages served from `fixturesUrl`, writing to `dir` instead of the published files
+function fixtureSource(source, { fixturesUrl, pagesUrl, dir }) {
+    const listing = new URL(source.baseUrl);
+    return {
+        ...source,
+        baseUrl: new URL(`${listing.pathname}${listing.search}`, fixturesUrl).href,
+        pagesUrl,
+        outputFile: path.join(dir, path.basename(source.outputFile)),
+        archiveFile: path.join(dir, 'archive.json'),
+        httpCacheFile: path.join(dir, 'http-cache.json'),
+        healthFile: path.join(dir, 'health.json'),
+        healthDumpDir: path.join(dir, 'health-dumps'),
+        mirrorDir: path.join(dir, 'images'),
+        topicsDir: path.join(dir, 'feeds'),
+        // Edited fixtures can shrink the feed as much as they like
+        force: true,
+        retryDelay: 0,
+        hostDelay: 0,
+        pageDelay: 0,
+        postDelay: 0,
+        probeDelay: 0
+    };
+}
+
+// The `serve` command: hosts the publish directory with a reader preview of its feeds. Regenerating
+// scrapes the real site into the published files; with --fixtures it scrapes saved pages into
+// --preview-dir instead, right at the start and whenever the fixtures or the config file change
+async function startPreview(args, { env = process.env, cwd = process.cwd() } = {}) {
+    const loaded = loadConfig({ args, env, cwd });
+    const options = loaded.config;
+    if (options.fixtures && loaded.sources.length > 1) {
+        throw new Error('--fixtures works with a single source, the saved pages belong to one site');
+    }
+    
+    const log = (message, level) => (level === 'error' ? console.error(`❌ ${message}`) : console.log(`👀 ${message}`));
+    const fixtures = options.fixtures ? await startStaticServer(options.fixtures, { log }) : null;
+    const dir = fixtures ? options.previewDir : path.dirname(options.outputFile);
+    const preview = new PreviewServer({
+        dir,
+        port: options.port,
+        fixtures,
+        watch: options.watch ? [options.fixtures, loaded.configFile].filter(Boolean) : [],
+        log,
+        regenerate: async () => {
+            // Read the config again, so changes show up without a restart
+            const current = loadConfig({ args, env, cwd });
+            if (fixtures) {
+                current.sources = current.sources.map(source => fixtureSource(source, { fixturesUrl: fixtures.url, pagesUrl: preview.url, dir }));
+            }
+            const { scrapers, combined } = createScrapers(current);
+            const failed = await runSources(scrapers, combined);
+            if (failed.length > 0) {
+                throw new Error(failed.map(scraper => `${scraper.name}: ${scraper.report.error}`).join('; '));
+            }
+            const published = scrapers.reduce((sum, scraper) => sum + scraper.report.items.published, 0);
+            return `${buildRunReport(scrapers, combined).status}, ${published} cartoons`;
+        }
+    });
+    await preview.start();
+    
+    if (fixtures) {
+        await preview.regenerateNow(`fixtures in ${options.fixtures}`);
+    }
+    return preview;
+}
+
+// The `notify` command: sends what a run recorded with --report announced, usually a run with
+// --no-notify whose feeds have been deployed since. Each source uses its own hub and webhooks
+async function notifyFromReport(loaded, { http } = {}) {
+    const options = loaded.config;
+    if (!options.report) {
+        throw new Error('notify needs the report of the run to announce, e.g. --report=run.json');
+    }
+    const report = JSON.parse(await fs.readFile(options.report, 'utf8'));
+    
+    const results = [];
+    for (const entry of [...report.sources, report.combined].filter(Boolean)) {
+        if (!entry.announcement) {
+            continue;
+        }
+        const settings = loaded.sources.find(source => (source.name || source.source) === entry.source) || options;
+        const notifier = new Notifier({ hub: settings.hub, webhooks: settings.webhooks, http, userAgent: settings.userAgent });
+        for (const result of await notifier.notify(entry.announcement)) {
+            results.push({ source: entry.source, ...result });
+        }
+    }
+    return results;
 }
 
 // CLI Usage and Module Export
 if (require.main === module) {
-    const args = process.argv.slice(2);
-    const options = {};
-    
-    // Parse command line arguments
-    args.forEach(arg => {
-        if (arg === '--verbose' || arg === '-v') {
-            options.verbose = true;
-        } else if (arg.startsWith('--output=')) {
-            options.outputFile = arg.split('=')[1];
-        } else if (arg === '--help' || arg === '-h') {
-            console.log(`
-🎨 Evert Kwok Cartoon RSS Scraper
+    let loaded;
+    try {
+        loaded = loadConfig({ args: process.argv.slice(2) });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error('Run with --help for the available options.');
+        process.exit(1);
+    }
+    
+    if (loaded.help) {
+        console.log(`
+🎨 Cartoon RSS Scraper
 
-Usage: node src/scraper.js [options]
+Usage: node src/scraper.js [command] [options]
+
+Commands:
+  generate                 Scrape the site and write the feeds (default)
+  validate [FILES...]      Check feeds without scraping (default: the configured outputs)
+  serve                    Preview the feeds and site on localhost and regenerate them on demand
+  notify                   Ping the hub and post to webhooks for a run recorded with --report
 
 Options:
-  --verbose, -v          Enable verbose logging
-  --output=FILE          Specify output file (default: docs/feed.xml)
-  --help, -h             Show this help message
+  --config=FILE            Config file (default: evert-kwok-rss.config.json when present)
+${formatHelp()}
+  --help, -h               Show this help message
 
 Examples:
   node src/scraper.js --verbose
   node src/scraper.js --output=my-feed.xml
   node src/scraper.js --verbose --output=docs/feed.xml
+  node src/scraper.js --max-items=50 --max-age=365
+  node src/scraper.js --backfill --max-pages=50 --verbose
+  node src/scraper.js --formats=rss,atom,json
+  node src/scraper.js --locale=nl,en
+  node src/scraper.js --config=my-fork.config.json
+  node src/scraper.js --source=wordpress --base-url=https://example.com/comics/
+  node src/scraper.js --validate --formats=rss,atom,json
+  node src/scraper.js validate docs/feed.xml docs/atom.xml
+  node src/scraper.js --report=run.json --log-format=json
+  node src/scraper.js --health --stale-days=14
+  node src/scraper.js serve --fixtures=test/fixtures/site --site --formats=rss,atom,json
+  node src/scraper.js --hub=https://pubsubhubbub.appspot.com/ --webhook=discord:https://...
+  node src/scraper.js notify --report=run.json
 
 Environment Variables:
-  GITHUB_ACTIONS         Detected automatically in GitHub Actions
-  GITHUB_REPOSITORY      Used for generating proper URLs
-  GITHUB_PAGES_URL       Used for RSS feed self-reference URL
-            `);
-            process.exit(0);
-        }
-    });
+  EKR_<OPTION>             Every option as environment variable, e.g. EKR_MAX_ITEMS=50
+  EKR_CONFIG               Config file to load
+  GITHUB_ACTIONS           Detected automatically in GitHub Actions
+  GITHUB_OUTPUT            Step outputs (changed, cartoon_count, new_count, ...) are appended here
+  GITHUB_STEP_SUMMARY      A summary table of the run is appended here
+  GITHUB_REPOSITORY        Used for generating proper URLs
+  GITHUB_PAGES_URL         Used for RSS feed self-reference URL
+        `);
+        process.exit(0);
+    }
     
-    // Run the scraper
-    const scraper = new EvertKwokScraper(options);
-    scraper.run().catch(error => {
-        console.error('');
-        console.error('❌ Unhandled error occurred:');
-        console.error(error.message);
-        if (process.env.NODE_ENV === 'development') {
-            console.error(error.stack);
-        }
+    const [command = 'generate', ...files] = loaded.positionals;
+    if (!['generate', 'validate', 'serve', 'notify'].includes(command) || (command !== 'validate' && files.length > 0)) {
+        console.error(`❌ Unknown command "${loaded.positionals.join(' ')}" (available: generate, validate, serve, notify)`);
+        console.error('Run with --help for the available options.');
         process.exit(1);
-    });
+    }
+    
+    const options = loaded.config;
+    if (loaded.configFile && options.verbose) {
+        console.log(`Using config file ${loaded.configFile}`);
+    }
+    
+    if (options.demo && process.env.GITHUB_ACTIONS) {
+        console.error('❌ --demo is meant for local development and is not allowed in GitHub Actions');
+        process.exit(1);
+    }
+    
+    const { scrapers, combined } = createScrapers(loaded);
+    
+    if (command === 'serve') {
+        startPreview(process.argv.slice(2)).then(preview => {
+            console.log('');
+            console.log(`🌐 Serving ${preview.dir} at ${preview.url}/`);
+            console.log(`📰 Feed preview: ${preview.url}${PREVIEW_PATH}`);
+            if (preview.fixturesUrl) {
+                console.log(`🧪 Fixtures: ${preview.fixturesUrl}/`);
+            }
+            console.log('Press Ctrl+C to stop');
+            ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => preview.close().then(() => process.exit(0))));
+        }).catch(error => {
+            console.error(`❌ Could not start the preview: ${error.message}`);
+            process.exit(1);
+        });
+    } else if (command === 'notify') {
+        notifyFromReport(loaded).then(results => {
+            if (results.length === 0) {
+                console.log('💤 Nothing to announce: the run added no cartoons or no hub or webhooks are configured');
+                return;
+            }
+            results.forEach(result => {
+                const target = `${result.source}: ${result.target}${result.topic ? ` (${result.topic})` : ''}`;
+                console.log(result.ok ? `✅ ${target}` : `⚠️  ${target}: ${result.error}`);
+                if (!result.ok && process.env.GITHUB_ACTIONS) {
+                    console.log(`::warning::Could not notify ${target}: ${result.error}`);
+                }
+            });
+            const failed = results.filter(result => !result.ok).length;
+            console.log(`📣 Notifications: ${results.length - failed} sent${failed > 0 ? `, ${failed} failed` : ''}`);
+            // The feeds are out either way, but a subscriber that was not told should fail the step
+            if (failed > 0) {
+                process.exit(1);
+            }
+        }).catch(error => {
+            console.error(`❌ Could not send notifications: ${error.message}`);
+            process.exit(1);
+        });
+    } else if (command === 'validate') {
+        const validating = files.length > 0 ? [scrapers[0]] : [...scrapers, combined].filter(Boolean);
+        (async () => {
+            const reports = [];
+            for (const scraper of validating) {
+                reports.push(...await scraper.validateFiles(files.length > 0 ? files : undefined));
+            }
+            process.exit(reports.some(report => report.errors.length > 0) ? 1 : 0);
+        })().catch(error => {
+            console.error(`❌ Validation failed: ${error.message}`);
+            process.exit(1);
+        });
+    } else {
+        // The report and the Actions outputs cover every source, also when one of them failed
+        const report = async () => {
+            const runReport = buildRunReport(scrapers, combined);
+            if (options.report) {
+                await writeRunReport(options.report, runReport);
+            }
+            if (process.env.GITHUB_ACTIONS) {
+                await writeActionsResults(runReport);
+            }
+        };
+        
+        // Run the scraper
+        runSources(scrapers, combined).then(async failed => {
+            await report();
+            if (failed.length > 0) {
+                console.error('');
+                console.error(`❌ RSS generation failed for ${failed.map(scraper => scraper.name).join(', ')}, their previous feeds were left untouched`);
+                process.exit(1);
+            }
+        }).catch(async error => {
+            await report().catch(reportError => console.error(`❌ Could not write the run report: ${reportError.message}`));
+            console.error('');
+            console.error('❌ RSS generation failed, the previous feed was left untouched:');
+            console.error(error.message);
+            if (process.env.NODE_ENV === 'development') {
+                console.error(error.stack);
+            }
+            process.exit(1);
+        });
+    }
 }
 
-module.exports = EvertKwokScraper;
\ No newline at end of file
+module.exports = CartoonScraper;
+module.exports.EvertKwokScraper = CartoonScraper;
+module.exports.combineCartoons = combineCartoons;
+module.exports.runSources = runSources;
+module.exports.startPreview = startPreview;
+module.exports.notifyFromReport = notifyFromReport;
@@ -0,0 +1,293 @@
+// src/site/index.js - Renders the GitHub Pages site from the same cartoons as the feeds
+const fs = require('fs').promises;
+const path = require('path');
+const { renderTemplate } = require('./template');
+const { escapeXml, itemCategories, itemDescription, imageAlt, imageUrls, imageInfo, itemLink, formatLongDate } = require('../formats/common');
+const { canonicalId } = require('../identity');
+const { catalogs } = require('../locales');
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const TEMPLATES = ['layout', 'index', 'archive', 'month', 'cartoon', 'cartoon-head', 'card'];
+
+// Directories below the publish directory that belong to the generator; anything
+// in them that is not rendered any more is removed. Sites of other locales live in
+// a directory named after the locale, e.g. en/
+const OWNED_DIRS = ['cartoons', 'archive', ...Object.keys(catalogs)];
+
+class SiteGenerator {
+    constructor(options = {}) {
+        this.dir = options.dir || 'docs';
+        this.recent = options.recent || 24;
+        this.templatesDir = options.templatesDir || TEMPLATES_DIR;
+        this.log = options.log || (() => {});
+        this.templates = null;
+    }
+
+    async loadTemplates() {
+        if (!this.templates) {
+            this.templates = {};
+            for (const name of TEMPLATES) {
+                this.templates[name] = await fs.readFile(path.join(this.templatesDir, `${name}.html`), 'utf8');
+            }
+            this.templates.css = await fs.readFile(path.join(this.templatesDir, 'site.css'), 'utf8');
+        }
+        return this.templates;
+    }
+
+    slugFor(cartoon) {
+        return String(cartoon.id || canonicalId(cartoon)).toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+    }
+
+    cartoonPage(cartoon) {
+        return `cartoons/${this.slugFor(cartoon)}/`;
+    }
+
+    monthKey(date) {
+        return date.toISOString().slice(0, 7);
+    }
+
+    monthPage(key) {
+        return `archive/${key.replace('-', '/')}/`;
+    }
+
+    monthTitle(key, locale) {
+        return locale.formatDate(new Date(`${key}-01T00:00:00Z`), { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    // Relative prefix from a page back to the site root, e.g. "../../" for cartoons/x/
+    rootFor(page) {
+        return '../'.repeat(page.split('/').filter(Boolean).length);
+    }
+
+    // <link rel="alternate"> tags and footer links to the same page in every other locale
+    languageLinks(pagePath, base, languages, pagesUrl) {
+        if (languages.length < 2) {
+            return { alternates: '', languages: '' };
+        }
+        const others = languages.filter(language => language.base !== base);
+        const root = this.rootFor(`${base}${pagePath}`);
+        return {
+            alternates: languages.map(language => `    <link rel="alternate" hreflang="${language.lang}" href="${pagesUrl}/${language.base}${pagePath}">`).join('\n'),
+            languages: others.map(language => ` | 🌐 <a href="${root}${language.base}${pagePath}" hreflang="${language.lang}" lang="${language.lang}">${escapeXml(language.name)}</a>`).join('')
+        };
+    }
+
+    // Returns [{ path, content }] for every page of the site in the locale of `feed`, paths relative to the
+    // publish directory. The first locale is rendered at the top, others below `base`, e.g. "en/", with
+    // links between the `languages` ([{ base, lang, name }]) on every page
+    async render(cartoons, feed, { base = '', languages = [] } = {}) {
+        const templates = await this.loadTemplates();
+        const { locale } = feed;
+        const monthTitle = key => this.monthTitle(key, locale);
+        const months = new Map();
+        for (const cartoon of cartoons) {
+            const key = this.monthKey(cartoon.date);
+            if (!months.has(key)) {
+                months.set(key, []);
+            }
+            months.get(key).push(cartoon);
+        }
+        const monthKeys = Array.from(months.keys()).sort().reverse();
+
+        // Every locale shares the stylesheet at the top
+        const pages = base ? [] : [{ path: 'assets/site.css', content: templates.css }];
+        const page = (pagePath, data, head = '') => {
+            const file = pagePath.endsWith('/') || pagePath === '' ? `${pagePath}index.html` : pagePath;
+            const root = this.rootFor(pagePath);
+            const body = renderTemplate(templates[data.template], { ...this.common(feed), ...data, root });
+            pages.push({
+                path: `${base}${file}`,
+                content: renderTemplate(templates.layout, {
+                    ...this.common(feed),
+                    ...data,
+                    ...this.languageLinks(pagePath, base, languages, feed.pagesUrl),
+                    root,
+                    assets: `${this.rootFor(`${base}${pagePath}`)}assets/`,
+                    url: `${feed.pagesUrl}/${base}${pagePath}`,
+                    head,
+                    body
+                })
+            });
+        };
+        const cards = (items, pagePath) => items.map(cartoon => this.renderCard(cartoon, feed, this.rootFor(pagePath))).join('\n');
+        const navLink = (href, label) => (href ? `<a href="${href}">${label}</a>` : '<span></span>');
+
+        const latest = cartoons[0];
+        const author = feed.author.name;
+        page('', {
+            template: 'index',
+            title: feed.title,
+            heading: locale.t('site.heading', { author }),
+            about: locale.html('site.about', { site: `<a href="${escapeXml(feed.siteUrl)}" target="_blank">${escapeXml(locale.t('site.artistSite', { author }))}</a>` }),
+            description: feed.description,
+            count: cartoons.length,
+            latestDate: latest ? latest.date.toISOString().split('T')[0] : '-',
+            latestTitle: latest ? latest.title : '',
+            latestPage: latest ? this.cartoonPage(latest) : '',
+            archiveMonths: monthKeys.length,
+            updated: `${feed.now.toISOString().replace('T', ' ').slice(0, 19)} UTC`,
+            cards: cards(cartoons.slice(0, this.recent), '')
+        });
+
+        const years = new Map();
+        monthKeys.forEach(key => {
+            const year = key.slice(0, 4);
+            years.set(year, [...(years.get(year) || []), key]);
+        });
+        page('archive/', {
+            template: 'archive',
+            title: locale.t('site.archiveTitle', { title: feed.title }),
+            description: locale.t('site.archiveDescription', { count: cartoons.length, author }),
+            intro: locale.t('site.archiveIntro', { count: cartoons.length, author }),
+            years: Array.from(years.entries()).map(([year, keys]) => `                <li>
+                    <h2>${year}</h2>
+                    <div class="months">${keys.map(key => `<a href="${key.slice(5)}/">${monthTitle(key)} (${months.get(key).length})</a>`).join(' ')}</div>
+                </li>`).join('\n')
+        });
+
+        monthKeys.forEach((key, index) => {
+            const pagePath = this.monthPage(key);
+            const root = this.rootFor(pagePath);
+            const newer = monthKeys[index - 1];
+            const older = monthKeys[index + 1];
+            page(pagePath, {
+                template: 'month',
+                title: locale.t('site.monthTitle', { month: monthTitle(key), title: feed.title }),
+                description: locale.t('site.monthDescription', { month: monthTitle(key), author }),
+                month: monthTitle(key),
+                intro: locale.t('site.monthIntro', { count: months.get(key).length, author }),
+                cards: cards(months.get(key), pagePath),
+                newer: navLink(newer && `${root}${this.monthPage(newer)}`, `← ${newer && monthTitle(newer)}`),
+                older: navLink(older && `${root}${this.monthPage(older)}`, `${older && monthTitle(older)} →`)
+            });
+        });
+
+        cartoons.forEach((cartoon, index) => {
+            const pagePath = this.cartoonPage(cartoon);
+            const root = this.rootFor(pagePath);
+            const urls = imageUrls(cartoon, feed);
+            const image = imageInfo(cartoon);
+            const newer = cartoons[index - 1];
+            const older = cartoons[index + 1];
+            const data = {
+                template: 'cartoon',
+                title: cartoon.title,
+                description: itemDescription(cartoon, feed),
+                alt: imageAlt(cartoon),
+                isoDate: cartoon.date.toISOString(),
+                displayDate: formatLongDate(cartoon.date, locale),
+                month: monthTitle(this.monthKey(cartoon.date)),
+                monthPage: this.monthPage(this.monthKey(cartoon.date)),
+                postUrl: itemLink(cartoon),
+                viewOn: locale.t('site.viewOn', { host: new URL(itemLink(cartoon)).hostname }),
+                image: urls.image,
+                dimensions: image.width && image.height ? ` width="${image.width}" height="${image.height}"` : '',
+                imageDimensions: image.width && image.height ?
+                                 `    <meta property="og:image:width" content="${image.width}">\n    <meta property="og:image:height" content="${image.height}">` :
+                                 '',
+                tags: itemCategories(cartoon, feed).map(category => `<span>${escapeXml(category)}</span>`).join(' '),
+                newer: navLink(newer && `${root}${this.cartoonPage(newer)}`, `← ${newer && escapeXml(newer.title)}`),
+                older: navLink(older && `${root}${this.cartoonPage(older)}`, `${older && escapeXml(older.title)} →`)
+            };
+            page(pagePath, data, renderTemplate(templates['cartoon-head'], {
+                ...this.common(feed),
+                ...data,
+                url: `${feed.pagesUrl}/${base}${pagePath}`
+            }));
+        });
+
+        return pages;
+    }
+
+    // Values every template can use; {{t.name}} is a message of the site section of the locale
+    common(feed) {
+        const { locale } = feed;
+        const author = feed.author.name;
+        return {
+            lang: feed.language.split('-')[0],
+            t: locale.messages('site'),
+            visitArtist: locale.t('site.visitArtist', { author }),
+            disclaimer: locale.t('site.disclaimer', { author }),
+            generator: feed.generator,
+            feedTitle: feed.title,
+            author: feed.author.name,
+            homeUrl: feed.homeUrl,
+            siteUrl: feed.siteUrl,
+            repoUrl: feed.repoUrl,
+            links: feed.links
+        };
+    }
+
+    renderCard(cartoon, feed, root) {
+        const urls = imageUrls(cartoon, feed);
+        return renderTemplate(this.templates.card, {
+            root,
+            page: this.cartoonPage(cartoon),
+            thumbnail: urls.thumbnail ? urls.thumbnail.url : urls.image,
+            title: cartoon.title,
+            isoDate: cartoon.date.toISOString(),
+            displayDate: formatLongDate(cartoon.date, feed.locale)
+        });
+    }
+
+    // Files in generator-owned directories that the current render no longer produces
+    async findStale(pages) {
+        const rendered = new Set(pages.map(page => path.join(this.dir, page.path)));
+        const stale = [];
+
+        const walk = async dir => {
+            let entries;
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+            for (const entry of entries) {
+                const file = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(file);
+                } else if (!rendered.has(file)) {
+                    stale.push(file);
+                }
+            }
+        };
+
+        for (const dir of OWNED_DIRS) {
+            await walk(path.join(this.dir, dir));
+        }
+        return stale;
+    }
+
+    // The "last updated" time moves with the clock, not with the content
+    static normalize(html) {
+        return html.replace(/<span data-updated>[^<]*<\/span>/g, '');
+    }
+
+    async isUnchanged(file, content) {
+        try {
+            return SiteGenerator.normalize(await fs.readFile(file, 'utf8')) === SiteGenerator.normalize(content);
+        } catch {
+            return false;
+        }
+    }
+
+    async removeStale(files) {
+        for (const file of files) {
+            await fs.unlink(file);
+        }
+        // Drop directories emptied by the removal, e.g. cartoons/<id>/
+        for (const dir of new Set(files.map(file => path.dirname(file)))) {
+            try {
+                await fs.rmdir(dir);
+            } catch {
+                // Not empty
+            }
+        }
+        if (files.length > 0) {
+            this.log(`Removed ${files.length} pages of cartoons that left the feed`);
+        }
+    }
+}
+
+module.exports = SiteGenerator;
@@ -0,0 +1,21 @@
+// src/site/template.js - Minimal templates: {{name}} is HTML-escaped, {{{name}}} is inserted as is
+const { escapeXml } = require('../formats/common');
+
+function lookup(data, key) {
+    return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), data);
+}
+
+// One pass, so inserted values are never interpreted as template tags themselves
+function renderTemplate(template, data) {
+    return template.replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (match, rawKey, escapedKey) => {
+        const value = lookup(data, rawKey || escapedKey);
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return rawKey ? String(value) : escapeXml(String(value));
+    });
+}
+
+module.exports = {
+    renderTemplate
+};
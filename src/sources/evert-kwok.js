@@ -0,0 +1,32 @@
+// src/sources/evert-kwok.js - Evert Kwok's educational cartoons on evertkwok.nl
+const WordPressSource = require('./wordpress');
+const { GUID_PREFIX } = require('../identity');
+
+class EvertKwokSource extends WordPressSource {}
+
+EvertKwokSource.defaults = {
+    ...WordPressSource.defaults,
+    baseUrl: 'https://www.evertkwok.nl/cartoon/',
+    guidPrefix: GUID_PREFIX,
+    channel: {
+        title: {
+            nl: 'Evert Kwok - Educatieve cartoons',
+            en: 'Evert Kwok Educational Cartoons'
+        },
+        description: {
+            nl: 'De nieuwste educatieve cartoons van Evert Kwok - wiskunde en natuurwetenschappen uitgelegd met humor en beeld. Dagelijks automatisch bijgewerkt.',
+            en: 'Latest educational cartoons by Evert Kwok - Mathematical and scientific concepts explained through humor and visual storytelling. Automatically updated daily.'
+        },
+        link: 'https://www.evertkwok.nl/cartoon/',
+        homeUrl: 'https://www.evertkwok.nl',
+        icon: 'https://www.evertkwok.nl/wp-content/uploads/2019/07/cropped-Evert-Kwok-favicon-32x32.png',
+        language: 'nl-NL',
+        author: { name: 'Evert Kwok', email: 'info@evertkwok.nl' },
+        categories: {
+            nl: ['Onderwijs', 'Wetenschap', 'Wiskunde', 'Cartoons'],
+            en: ['Education', 'Science', 'Mathematics', 'Cartoons', 'Dutch Content']
+        }
+    }
+};
+
+module.exports = EvertKwokSource;
@@ -0,0 +1,27 @@
+// src/sources/index.js - Registry of source adapters, keyed by --source name
+const WordPressSource = require('./wordpress');
+const EvertKwokSource = require('./evert-kwok');
+
+// Each adapter is a class with static `defaults` (baseUrl, channel, selectors, ...) whose
+// instances implement the site-specific steps of the pipeline:
+//   extractCartoons($, pageUrl)   cartoons on a listing page
+//   findNextPageUrl($, pageUrl)   the next older listing page, for backfill
+//   extractPostDetails($)         title, date, caption and categories from a post page
+// Fetching, deduplication, the archive and rendering are shared by all sources
+const sources = {
+    'evert-kwok': EvertKwokSource,
+    wordpress: WordPressSource
+};
+
+function getSource(name) {
+    const source = sources[name];
+    if (!source) {
+        throw new Error(`Unknown source "${name}" (available: ${Object.keys(sources).join(', ')})`);
+    }
+    return source;
+}
+
+module.exports = {
+    sources,
+    getSource
+};
@@ -0,0 +1,459 @@
+// src/sources/wordpress.js - Cartoons published as images in WordPress posts
+const path = require('path');
+const { parseSrcset, stripSizeSuffix, rankCandidates } = require('../image-urls');
+
+// Images anywhere in the uploads folder, with the selectors common WordPress themes use
+const DEFAULT_SELECTORS = [
+    'img[src*="wp-content/uploads"]',
+    'img[data-src*="wp-content/uploads"]',
+    'img[data-lazy-src*="wp-content/uploads"]',
+    'img[srcset*="wp-content/uploads"]',
+    'picture img',
+    '.wp-block-image img',
+    '.entry-content img',
+    '.post-content img',
+    'article img',
+    '.content img',
+    '.cartoon-image img',
+    'figure img',
+    '.gallery img',
+    '.wp-caption img'
+];
+
+const DEFAULT_EXCLUDE_PATTERNS = [
+    'thumbnail',
+    'thumb',
+    'avatar',
+    'logo',
+    'icon',
+    'banner',
+    'header',
+    'footer',
+    'sidebar',
+    '-150x150',
+    '-300x300',
+    'wp-content/themes',
+    'wp-content/plugins'
+];
+
+// Generic adapter for cartoonists who publish on WordPress. The pipeline fetches the
+// pages; the adapter only finds cartoons, older listing pages and post details in them
+class WordPressSource {
+    constructor(options = {}) {
+        const defaults = this.constructor.defaults;
+        this.baseUrl = options.baseUrl || defaults.baseUrl;
+        this.selectors = options.selectors || defaults.selectors;
+        this.excludePatterns = options.excludePatterns || defaults.excludePatterns;
+        this.channel = options.channel || defaults.channel;
+        // Tag URIs only need a date at which the host belonged to the site, any fixed year will do
+        this.guidPrefix = options.guidPrefix || defaults.guidPrefix ||
+                          (this.baseUrl && `tag:${new URL(this.baseUrl).hostname.replace(/^www\./, '')},2000:cartoon/`);
+        // Title of cartoons whose filename has no words in it, in the language of the feed
+        this.untitled = options.untitled || 'Cartoon';
+        this.log = options.log || (() => {});
+        // Skipped images, guessed dates and titles and the selectors that matched end up in the
+        // run report and the health checks: report('skipped-image', { url, reason })
+        this.report = options.report || (() => {});
+    }
+
+    extractCartoons($, pageUrl) {
+        const cartoons = [];
+
+        // Multiple selectors to find images
+        const selectors = this.selectors;
+
+        this.log(`Searching for images with ${selectors.length} different selectors`);
+
+        // Track found URLs to avoid duplicates
+        const foundUrls = new Set();
+        const skippedUrls = new Set();
+        // Cartoon images each selector matches, also those an earlier selector found first
+        const matches = selectors.map(selector => ({ selector, cartoons: 0 }));
+
+        for (const [position, selector] of selectors.entries()) {
+            $(selector).each((index, element) => {
+                const imgSrc = this.pickImageUrl($, element);
+
+                if (imgSrc && imgSrc.includes('wp-content/uploads')) {
+                    const fullUrl = imgSrc.startsWith('http') ? 
+                                   imgSrc : 
+                                   new URL(imgSrc, pageUrl).href;
+
+                    // Every size variant maps to the same original, so it is found only once
+                    if (foundUrls.has(fullUrl)) {
+                        matches[position].cartoons++;
+                        return;
+                    }
+
+                    // Filter out thumbnails and non-cartoon images
+                    const skipReason = this.skipReason(fullUrl);
+                    if (skipReason) {
+                        if (!skippedUrls.has(fullUrl)) {
+                            this.log(`Skipping non-cartoon image: ${fullUrl} (${skipReason})`);
+                            this.report('skipped-image', { url: fullUrl, reason: skipReason });
+                            skippedUrls.add(fullUrl);
+                        }
+                        return;
+                    }
+
+                    foundUrls.add(fullUrl);
+                    matches[position].cartoons++;
+
+                    const listingTitle = this.findTitle($, element);
+                    const title = listingTitle || this.generateTitleFromUrl(fullUrl);
+                    if (!listingTitle) {
+                        this.report('title-fallback', { url: fullUrl, title });
+                    }
+
+                    const cartoon = {
+                        url: fullUrl,
+                        title,
+                        date: this.extractDateFromUrl(fullUrl),
+                        dateSource: 'url',
+                        description: this.extractDescription($, element),
+                        filename: path.basename(fullUrl),
+                        postUrl: this.extractPostUrl($, element, pageUrl),
+                        postId: this.extractPostId($, element)
+                    };
+
+                    cartoons.push(cartoon);
+                    this.log(`Found: ${cartoon.title} - ${cartoon.date.toISOString().split('T')[0]}`);
+                }
+            });
+        }
+        this.report('selectors', { pageUrl, matches });
+
+        // A post ID only identifies a cartoon when the post contains a single one
+        const perPost = new Map();
+        cartoons.forEach(cartoon => perPost.set(cartoon.postId, (perPost.get(cartoon.postId) || 0) + 1));
+        cartoons.forEach(cartoon => {
+            if (!cartoon.postId || perPost.get(cartoon.postId) > 1) {
+                delete cartoon.postId;
+            }
+        });
+
+        return cartoons;
+    }
+
+    extractImageCandidates($, element) {
+        const img = $(element);
+        const candidates = [];
+
+        // Plain and lazy-loaded sources, as used by WordPress core and common lazy-load plugins
+        for (const attribute of ['src', 'data-src', 'data-lazy-src', 'data-orig-file', 'data-large-file']) {
+            const url = img.attr(attribute);
+            if (url && !url.startsWith('data:')) {
+                candidates.push({ url, width: null, density: null });
+            }
+        }
+
+        for (const attribute of ['srcset', 'data-srcset', 'data-lazy-srcset']) {
+            candidates.push(...parseSrcset(img.attr(attribute)));
+        }
+
+        img.closest('picture').find('source').each((index, source) => {
+            candidates.push(...parseSrcset($(source).attr('srcset') || $(source).attr('data-srcset')));
+        });
+
+        return candidates.filter(candidate => candidate.url.includes('wp-content/uploads'));
+    }
+
+    pickImageUrl($, element) {
+        const [largest] = rankCandidates(this.extractImageCandidates($, element));
+        return largest ? this.normalizeUploadUrl(largest.url) : null;
+    }
+
+    normalizeUploadUrl(url) {
+        return stripSizeSuffix(url);
+    }
+
+    findNextPageUrl($, pageUrl) {
+        // WordPress themes advertise older pages in several ways, most explicit first
+        const selectors = [
+            'link[rel="next"]',
+            'a[rel="next"]',
+            'a.next.page-numbers',
+            '.nav-previous a',
+            '.nav-links .next',
+            '.older-posts a',
+            'a.older-posts'
+        ];
+
+        for (const selector of selectors) {
+            const href = $(selector).first().attr('href');
+            if (href) {
+                return new URL(href, pageUrl).href;
+            }
+        }
+
+        const olderLink = $('a').filter((index, element) => {
+            const text = $(element).text().trim().toLowerCase();
+            return /^(oudere berichten|older posts|vorige pagina|volgende pagina)/.test(text);
+        }).first().attr('href');
+
+        if (olderLink) {
+            return new URL(olderLink, pageUrl).href;
+        }
+
+        // Numbered pagination without rel="next" uses the standard /page/N/ permalinks; the next one
+        // only exists when the page links to it, the last page does not
+        const url = new URL(pageUrl);
+        const match = url.pathname.match(/^(.*?\/)page\/(\d+)\/?$/);
+        url.pathname = match ?
+                       `${match[1]}page/${parseInt(match[2], 10) + 1}/` :
+                       `${url.pathname.replace(/\/?$/, '/')}page/2/`;
+        const linked = $('a[href]').toArray().some(element => {
+            try {
+                return new URL($(element).attr('href'), pageUrl).href === url.href;
+            } catch {
+                return false;
+            }
+        });
+        return linked ? url.href : null;
+    }
+
+    isValidCartoonUrl(url) {
+        return this.skipReason(url) === null;
+    }
+
+    // Why an image is not a cartoon, or null when it is one
+    skipReason(url) {
+        // Filter out common non-cartoon images
+        const urlLower = url.toLowerCase();
+        const pattern = this.excludePatterns.find(candidate => urlLower.includes(candidate));
+        return pattern ? `matches exclude pattern "${pattern}"` : null;
+    }
+
+    extractTitle($, element) {
+        // Fallback: generate from URL
+        return this.findTitle($, element) || this.generateTitleFromUrl(this.pickImageUrl($, element) || $(element).attr('src'));
+    }
+
+    // A meaningful title from the markup around the image, or null
+    findTitle($, element) {
+        // Try multiple approaches to get a meaningful title
+        const candidates = [
+            $(element).attr('alt'),
+            $(element).attr('title'),
+            $(element).siblings('figcaption').text().trim(),
+            $(element).parent().siblings('.wp-caption-text').text().trim(),
+            $(element).closest('figure').find('figcaption').text().trim(),
+            $(element).closest('.wp-block-image').find('figcaption').text().trim(),
+            $(element).closest('.wp-caption').find('.wp-caption-text').text().trim(),
+            $(element).closest('article, .post').find('h1, h2, h3').first().text().trim()
+        ].filter(Boolean);
+
+        // Find the best candidate
+        for (const candidate of candidates) {
+            if (candidate.length > 3 && 
+                candidate.length < 100 &&
+                candidate.toLowerCase() !== 'cartoon' && 
+                !candidate.match(/^\d+$/) &&
+                !candidate.includes('wp-content')) {
+                return this.cleanTitle(candidate);
+            }
+        }
+
+        return null;
+    }
+
+    cleanTitle(title) {
+        return title
+            .replace(/\s+/g, ' ')           // Normalize whitespace
+            .replace(/[^\w\s\-\.\,\!\?]/g, '') // Keep basic punctuation
+            .trim()
+            .substring(0, 80);              // Reasonable length limit
+    }
+
+    extractDescription($, element) {
+        const candidates = [
+            $(element).siblings('figcaption').text().trim(),
+            $(element).closest('figure').find('figcaption').text().trim(),
+            $(element).closest('.wp-block-image').find('figcaption').text().trim(),
+            $(element).attr('title'),
+            $(element).parent().siblings('.wp-caption-text').text().trim(),
+            $(element).closest('.wp-caption').find('.wp-caption-text').text().trim(),
+            $(element).closest('article, .post').find('p').first().text().trim()
+        ].filter(Boolean);
+
+        for (const candidate of candidates) {
+            if (candidate.length > 10 && 
+                candidate.length < 500 && 
+                !candidate.toLowerCase().includes('image') &&
+                !candidate.includes('wp-content')) {
+                return candidate.substring(0, 200) + (candidate.length > 200 ? '...' : '');
+            }
+        }
+
+        // Without a caption the feeds describe the cartoon in their own language
+        return null;
+    }
+
+    extractDateFromUrl(url) {
+        // Multiple date patterns to try, ordered by specificity
+        const patterns = [
+            { regex: /\/(\d{4})\/(\d{2})\/(\d{2})\//, format: 'ymd', specificity: 3 },
+            { regex: /\/(\d{4})\/(\d{2})\//, format: 'ym', specificity: 2 },
+            { regex: /\/(\d{4})(\d{2})(\d{2})(?:_|\-|\.)?/, format: 'ymd', specificity: 3 },
+            { regex: /(\d{4})-(\d{2})-(\d{2})/, format: 'ymd', specificity: 3 },
+            { regex: /(\d{4})_(\d{2})_(\d{2})/, format: 'ymd', specificity: 3 },
+            { regex: /(\d{8})(?![\d])/, format: 'yyyymmdd', specificity: 3 },
+            { regex: /\/(\d{4})\//, format: 'y', specificity: 1 }
+        ];
+
+        // Sort by specificity (most specific first)
+        patterns.sort((a, b) => b.specificity - a.specificity);
+
+        for (const pattern of patterns) {
+            const match = url.match(pattern.regex);
+            if (match) {
+                try {
+                    let year, month, day;
+
+                    switch (pattern.format) {
+                        case 'ymd':
+                            year = parseInt(match[1]);
+                            month = parseInt(match[2]) - 1;
+                            day = parseInt(match[3]);
+                            break;
+                        case 'ym':
+                            year = parseInt(match[1]);
+                            month = parseInt(match[2]) - 1;
+                            day = 1;
+                            break;
+                        case 'y':
+                            year = parseInt(match[1]);
+                            month = 0;
+                            day = 1;
+                            break;
+                        case 'yyyymmdd':
+                            const dateStr = match[1];
+                            year = parseInt(dateStr.substring(0, 4));
+                            month = parseInt(dateStr.substring(4, 6)) - 1;
+                            day = parseInt(dateStr.substring(6, 8));
+                            break;
+                    }
+
+                    const date = new Date(year, month, day);
+
+                    // Validate date is reasonable
+                    if (date.getFullYear() === year && 
+                        date.getMonth() === month && 
+                        date.getFullYear() >= 2000 && 
+                        date.getFullYear() <= new Date().getFullYear() + 1) {
+                        this.log(`Extracted date ${date.toISOString().split('T')[0]} from ${url}`);
+                        // Only a month or year in the URL, the day is a guess
+                        if (pattern.specificity < 3) {
+                            this.report('date-fallback', { url, fallback: pattern.format === 'ym' ? 'first-of-month' : 'first-of-year' });
+                        }
+                        return date;
+                    }
+                } catch (e) {
+                    this.log(`Invalid date extracted from ${url}: ${e.message}`, 'warn');
+                }
+            }
+        }
+
+        // Fallback to current date
+        this.log(`Could not extract date from ${url}, using current date`, 'warn');
+        this.report('date-fallback', { url, fallback: 'current-date' });
+        return new Date();
+    }
+
+    extractPostUrl($, element, pageUrl) {
+        const isPostLink = href => href &&
+                                   !href.startsWith('#') &&
+                                   !href.includes('wp-content/uploads') &&
+                                   !/\.(jpe?g|png|gif|webp)(\?.*)?$/i.test(href);
+
+        // Images are often wrapped in a link to their post, otherwise use the article heading
+        const candidates = [
+            $(element).closest('a').attr('href'),
+            $(element).closest('article, .post').find('a[rel="bookmark"]').first().attr('href'),
+            $(element).closest('article, .post').find('.entry-title a, h1 a, h2 a, h3 a').first().attr('href')
+        ];
+
+        const href = candidates.find(isPostLink);
+        return href ? new URL(href, pageUrl).href : null;
+    }
+
+    extractPostId($, element) {
+        // WordPress marks up every post as <article id="post-1131" class="post-1131 ...">
+        const post = $(element).closest('article, .post');
+        const match = (post.attr('id') || '').match(/^post-(\d+)$/) ||
+                      (post.attr('class') || '').match(/\bpost-(\d+)\b/);
+        return match ? match[1] : null;
+    }
+
+    // Title, date, caption and categories from a single post page
+    extractPostDetails($) {
+        const meta = property => $(`meta[property="${property}"], meta[name="${property}"]`).first().attr('content');
+
+        // Titles carry the site name as suffix, e.g. "1131 Grote boze wolf – Evert Kwok"
+        const siteName = meta('og:site_name') || this.channel.author.name;
+        const rawTitle = meta('og:title') || $('h1.entry-title').first().text() || $('title').first().text();
+        let title = (rawTitle || '').replace(/\s+/g, ' ').trim();
+        const suffix = title.match(/\s+[-–|]\s+([^-–|]+)$/);
+        if (suffix && suffix[1].trim().toLowerCase() === siteName.toLowerCase()) {
+            title = title.substring(0, suffix.index).trim();
+        }
+
+        const dateCandidates = [
+            meta('article:published_time'),
+            $('time.entry-date.published, time.published').first().attr('datetime'),
+            $('time[datetime]').first().attr('datetime')
+        ].filter(Boolean);
+        const date = dateCandidates
+            .map(value => new Date(value))
+            .find(value => !isNaN(value.getTime()));
+
+        const categories = new Set();
+        $('meta[property="article:section"], meta[property="article:tag"]').each((index, element) => {
+            categories.add($(element).attr('content').trim());
+        });
+        $('a[rel~="tag"], a[rel~="category"]').each((index, element) => {
+            categories.add($(element).text().trim());
+        });
+
+        const captionCandidates = [
+            $('.entry-content figcaption, .wp-caption-text').first().text(),
+            $('.entry-content p, .post-content p').first().text(),
+            meta('og:description')
+        ];
+        const caption = captionCandidates
+            .map(candidate => (candidate || '').replace(/\s+/g, ' ').trim())
+            .find(candidate => candidate.length > 3);
+
+        return {
+            title: title || null,
+            date: date || null,
+            categories: Array.from(categories).filter(Boolean),
+            caption: caption || null
+        };
+    }
+
+    generateTitleFromUrl(url) {
+        if (!url) return this.untitled;
+
+        const filename = url.split('/').pop().split('.')[0];
+
+        return filename
+            .replace(/^\d+/, '')              // Remove leading numbers
+            .replace(/[_-]/g, ' ')            // Replace underscores/hyphens with spaces
+            .replace(/([a-z])([A-Z])/g, '$1 $2') // Add spaces before capitals
+            .replace(/\s+/g, ' ')             // Normalize whitespace
+            .trim()
+            .replace(/^./, char => char.toUpperCase()) // Capitalize first letter
+            .substring(0, 50) // Limit length
+            || this.untitled;
+    }
+}
+
+// Settings of every source using this adapter; sources without a baseUrl and channel of
+// their own must set them in the config file
+WordPressSource.defaults = {
+    selectors: DEFAULT_SELECTORS,
+    excludePatterns: DEFAULT_EXCLUDE_PATTERNS
+};
+
+module.exports = WordPressSource;
@@ -0,0 +1,81 @@
+// src/topics.js - Item categories from post tags or a keyword-to-topic mapping
+const compiled = new WeakMap();
+
+// "Wiskunde" and "wiskunde" are one topic; "Ruimte & Sterren" becomes "ruimte-sterren"
+function fold(text) {
+    return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function topicSlug(name) {
+    return fold(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Keywords match whole words; a trailing * matches any word starting with it ("reken*" finds "rekenmachine")
+function keywordPattern(keyword) {
+    const prefix = keyword.endsWith('*');
+    const escaped = fold(prefix ? keyword.slice(0, -1) : keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return `${escaped}${prefix ? '' : '(?![\\p{L}\\p{N}])'}`;
+}
+
+function compile(topics) {
+    if (!compiled.has(topics)) {
+        const keywords = Object.entries(topics.keywords || {}).map(([name, words]) => ({
+            name,
+            pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.map(keywordPattern).join('|')})`, 'u')
+        }));
+        const names = new Map(Object.keys(topics.keywords || {}).map(name => [topicSlug(name), name]));
+        const ignore = new Set((topics.ignore || []).map(topicSlug));
+        compiled.set(topics, { keywords, names, ignore });
+    }
+    return compiled.get(topics);
+}
+
+// Topics of a cartoon: the tags and categories of its post when it has any, otherwise
+// every topic whose keywords occur in the title or caption
+function classify(cartoon, topics = {}) {
+    const { keywords, names, ignore } = compile(topics);
+    const result = new Map();
+
+    for (const category of cartoon.categories || []) {
+        const slug = topicSlug(category);
+        if (slug && !ignore.has(slug) && !result.has(slug)) {
+            // Use the spelling of the mapping when a tag matches a configured topic
+            result.set(slug, names.get(slug) || category);
+        }
+    }
+
+    if (result.size === 0) {
+        const text = fold(`${cartoon.title || ''} ${cartoon.description || ''}`);
+        for (const topic of keywords) {
+            if (topic.pattern.test(text)) {
+                result.set(topicSlug(topic.name), topic.name);
+            }
+        }
+    }
+
+    return Array.from(result.values());
+}
+
+// Topics with their cartoons, most used first; topics below minItems get no feed of their own
+function collectTopics(cartoons, topics = {}, minItems = 1) {
+    const collected = new Map();
+    for (const cartoon of cartoons) {
+        for (const name of classify(cartoon, topics)) {
+            const slug = topicSlug(name);
+            if (!collected.has(slug)) {
+                collected.set(slug, { name, slug, cartoons: [] });
+            }
+            collected.get(slug).cartoons.push(cartoon);
+        }
+    }
+
+    return Array.from(collected.values())
+        .filter(topic => topic.cartoons.length >= minItems)
+        .sort((a, b) => b.cartoons.length - a.cartoons.length || a.slug.localeCompare(b.slug));
+}
+
+module.exports = {
+    topicSlug,
+    classify,
+    collectTopics
+};
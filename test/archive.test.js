@@ -0,0 +1,269 @@
+// test/archive.test.js - Cartoon history across runs, retention, identity, deduplication and GUID migration
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const CartoonArchive = require('../src/archive');
+const { applyFeedRules } = require('../src/feed-rules');
+const { normalizeFilename, guidFor } = require('../src/identity');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+const WOLF = 'https://www.evertkwok.nl/wp-content/uploads/2026/08/1131-grote-bose-wolf.png';
+const BOS = 'https://www.evertkwok.nl/wp-content/uploads/2026/07/416bos.jpg';
+
+function cartoon(url, extra = {}) {
+    return { url, title: 'Grote boze wolf', date: new Date('2026-08-03T07:00:00Z'), ...extra };
+}
+
+const bos = () => cartoon(BOS, { title: 'Bos', date: new Date('2026-07-14T06:30:00Z') });
+const filenames = records => records.map(record => path.basename(record.url));
+
+// A scraper whose listing holds `cartoons` instead of what is on evertkwok.nl
+function listingScraper(dir, cartoons, options = {}) {
+    const scraper = createScraper(dir, { probeImages: false, ...options });
+    scraper.scrapeCartoons = async () => cartoons.map(listed => ({ ...listed }));
+    return scraper;
+}
+
+async function legacyArchive(records) {
+    const file = path.join(await createTempDir(), 'archive.json');
+    await fs.writeFile(file, JSON.stringify({ version: 1, cartoons: records }), 'utf8');
+    return new CartoonArchive({ file }).load();
+}
+
+describe('normalizeFilename', () => {
+    it('ignores host, size variant, query string, case and extension', () => {
+        for (const url of [
+            WOLF,
+            'https://cdn.example.net/wp-content/uploads/2026/08/1131-grote-bose-wolf-1024x1024.png?ver=2',
+            'https://www.evertkwok.nl/wp-content/uploads/2026/08/1131-Grote-Bose-Wolf.webp',
+            'https://www.evertkwok.nl/wp-content/uploads/2026/08/1131-grote-bose-wolf-scaled.png',
+            '1131-grote-bose-wolf-e1754200000000.png'
+        ]) {
+            assert.equal(normalizeFilename(url), '1131-grote-bose-wolf', url);
+        }
+    });
+});
+
+describe('merge', () => {
+    it('adds new cartoons and keeps when known ones were first seen', () => {
+        const archive = new CartoonArchive({ file: '/nonexistent/archive.json' });
+        const monday = new Date('2026-08-03T06:00:00Z');
+        const tuesday = new Date('2026-08-04T06:00:00Z');
+
+        assert.equal(archive.merge([cartoon(WOLF)], monday).added.length, 1);
+        const { added, updated } = archive.merge([cartoon(WOLF, { title: '1131 Grote boze wolf' }), bos()], tuesday);
+
+        assert.deepEqual(filenames(added), ['416bos.jpg']);
+        assert.equal(updated, 1);
+        const wolf = archive.get(cartoon(WOLF));
+        assert.equal(wolf.title, '1131 Grote boze wolf');
+        assert.deepEqual([wolf.firstSeen, wolf.lastSeen], [monday, tuesday]);
+        assert.equal(archive.size, 2);
+    });
+
+    it('keeps the published date of known cartoons', () => {
+        const archive = new CartoonArchive();
+        archive.merge([cartoon(WOLF)]);
+        archive.merge([cartoon(WOLF, { date: new Date('2026-09-01T00:00:00Z') })]);
+        assert.equal(archive.getCartoons()[0].date.toISOString(), '2026-08-03T07:00:00.000Z');
+    });
+});
+
+describe('retention', () => {
+    const now = new Date('2026-08-10T00:00:00Z');
+    const archive = new CartoonArchive();
+    archive.merge([cartoon(WOLF), bos()]);
+
+    const feed = rules => applyFeedRules(archive.getCartoons(), rules, { now });
+
+    it('keeps every cartoon without limits', () => {
+        assert.equal(feed({}).length, 2);
+        assert.equal(feed({ maxItems: 0, maxAgeDays: 0 }).length, 2);
+    });
+
+    it('publishes the newest cartoons up to --max-items and younger than --max-age', () => {
+        assert.deepEqual(filenames(feed({ maxItems: 1 })), ['1131-grote-bose-wolf.png']);
+        // Old enough to leave out the cartoon of 14 July, young enough for that of 3 August
+        assert.deepEqual(filenames(feed({ maxAgeDays: 14 })), ['1131-grote-bose-wolf.png']);
+        assert.equal(archive.size, 2);
+    });
+});
+
+describe('history across runs', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('keeps publishing cartoons that scrolled off the listing', async () => {
+        const dir = await createTempDir();
+        const first = listingScraper(dir, [cartoon(WOLF), bos()]);
+        await first.run();
+        const firstSeen = first.archive.getCartoons().map(record => record.firstSeen.toISOString());
+
+        // The wolf makes way for newer cartoons on the site
+        const second = listingScraper(dir, [bos()]);
+        const result = await second.run();
+
+        assert.deepEqual([result.cartoonCount, result.newCount, result.archiveCount], [2, 0, 2]);
+        assert.deepEqual(second.archive.getCartoons().map(record => record.firstSeen.toISOString()), firstSeen);
+        const saved = JSON.parse(await fs.readFile(path.join(dir, 'archive.json'), 'utf8'));
+        assert.equal(saved.count, 2);
+    });
+
+    it('bounds the feed by --max-items while the archive keeps everything', async () => {
+        const dir = await createTempDir();
+        const result = await listingScraper(dir, [cartoon(WOLF), bos()], { maxItems: 1 }).run();
+
+        assert.deepEqual([result.cartoonCount, result.archiveCount], [1, 2]);
+        const feed = await fs.readFile(path.join(dir, 'feed.xml'), 'utf8');
+        assert.equal((feed.match(/<item>/g) || []).length, 1);
+        assert.equal(JSON.parse(await fs.readFile(path.join(dir, 'archive.json'), 'utf8')).count, 2);
+    });
+
+    it('starts a new archive from the published feed so its items keep their GUIDs', async () => {
+        // A feed as written before there was an archive: image URLs, size variants included, as permalink GUIDs
+        const dir = await createTempDir();
+        const uploads = 'https://www.evertkwok.nl/wp-content/uploads';
+        const item = (title, url, date) => `<item><title>${title}</title><link>${url}</link><pubDate>${date}</pubDate>` +
+            `<guid isPermaLink="true">${url}</guid><enclosure url="${url}" type="image/jpeg" length="0"/></item>`;
+        await fs.writeFile(path.join(dir, 'feed.xml'), `<?xml version="1.0" encoding="UTF-8"?><rss version="2.0"><channel><title>Evert Kwok</title>${[
+            item('Bose Wolf', `${uploads}/2026/08/1131-grote-bose-wolf-1024x1024.png`, 'Sat, 01 Aug 2026 00:00:00 GMT'),
+            item('Bos', `${uploads}/2026/07/416bos-768x512.jpg`, 'Wed, 01 Jul 2026 00:00:00 GMT'),
+            item('Prikkels', `${uploads}/2026/06/468prikkels.jpg`, 'Mon, 01 Jun 2026 00:00:00 GMT')
+        ].join('')}</channel></rss>`);
+
+        const scraper = listingScraper(dir, [cartoon(WOLF), cartoon(BOS, { title: '416 Bos', date: new Date('2026-07-14T06:30:00Z') })]);
+        const result = await scraper.run();
+
+        // The scraped cartoons take over the GUIDs of their published items, the one that left the listing stays
+        assert.equal(result.cartoonCount, 3);
+        assert.deepEqual(scraper.published.map(record => [record.title, record.guid, record.guidIsPermaLink]), [
+            ['Grote boze wolf', `${uploads}/2026/08/1131-grote-bose-wolf-1024x1024.png`, true],
+            ['416 Bos', `${uploads}/2026/07/416bos-768x512.jpg`, true],
+            ['Prikkels', `${uploads}/2026/06/468prikkels.jpg`, true]
+        ]);
+        const feed = await fs.readFile(path.join(dir, 'feed.xml'), 'utf8');
+        assert.ok(feed.includes(`<guid isPermaLink="true">${uploads}/2026/08/1131-grote-bose-wolf-1024x1024.png</guid>`));
+        assert.ok(!feed.includes('isPermaLink="false"'));
+        const saved = JSON.parse(await fs.readFile(path.join(dir, 'archive.json'), 'utf8'));
+        assert.deepEqual(saved.cartoons.map(record => record.guidIsPermaLink), [true, true, true]);
+    });
+});
+
+describe('archive identity', () => {
+    it('recognizes an upload under another host, size or query string', () => {
+        const archive = new CartoonArchive();
+        archive.merge([cartoon(WOLF)]);
+        const { added } = archive.merge([cartoon('https://cdn.example.net/wp-content/uploads/2026/08/1131-grote-bose-wolf-768x768.png?ver=3')]);
+
+        assert.equal(added.length, 0);
+        assert.equal(archive.size, 1);
+    });
+
+    it('recognizes a cartoon by its post even when the filename changes', () => {
+        const archive = new CartoonArchive();
+        archive.merge([cartoon(WOLF, { postId: '1131' })]);
+        const { added } = archive.merge([cartoon('https://www.evertkwok.nl/wp-content/uploads/2026/08/wolf-v2.png', { postId: '1131' })]);
+
+        assert.equal(added.length, 0);
+        assert.equal(archive.getCartoons()[0].guid, 'tag:evertkwok.nl,2019:cartoon/post-1131');
+    });
+
+    it('keeps cartoons from different posts apart even with the same filename', () => {
+        const archive = new CartoonArchive();
+        archive.merge([
+            cartoon('https://www.evertkwok.nl/wp-content/uploads/2024/05/potje.jpg', { postId: '900' }),
+            cartoon('https://www.evertkwok.nl/wp-content/uploads/2026/05/potje.jpg', { postId: '1100' })
+        ]);
+
+        assert.equal(archive.size, 2);
+        assert.notEqual(archive.getCartoons()[0].guid, archive.getCartoons()[1].guid);
+    });
+
+    it('merges re-uploads with identical content into the first published item', () => {
+        const archive = new CartoonArchive();
+        archive.merge([cartoon(WOLF, { postId: '1131' })], new Date('2026-08-03'));
+        archive.merge([cartoon('https://www.evertkwok.nl/wp-content/uploads/2026/09/wolf-opnieuw.png', { postId: '1140' })], new Date('2026-09-01'));
+
+        const image = { type: 'image/png', length: 135, hash: 'abc123' };
+        archive.getCartoons().forEach(record => { record.image = { ...image, url: record.url }; });
+
+        assert.equal(archive.removeContentDuplicates(), 1);
+        assert.equal(archive.size, 1);
+        assert.equal(archive.getCartoons()[0].guid, 'tag:evertkwok.nl,2019:cartoon/post-1131');
+
+        // The next scrape of the re-upload is recognized instead of added again
+        const { added } = archive.merge([cartoon('https://www.evertkwok.nl/wp-content/uploads/2026/09/wolf-opnieuw.png', { postId: '1140' })]);
+        assert.equal(added.length, 0);
+    });
+});
+
+describe('GUID migration', () => {
+    it('keeps the image URL as permalink GUID for already-published items', async () => {
+        const archive = await legacyArchive([
+            { url: WOLF, title: 'Grote boze wolf', date: '2026-08-03T07:00:00.000Z', firstSeen: '2026-08-03T08:00:00.000Z' }
+        ]);
+        archive.merge([
+            cartoon(WOLF, { postId: '1131' }),
+            cartoon('https://www.evertkwok.nl/wp-content/uploads/2026/09/1140-nieuw.png', { date: new Date('2026-09-01T07:00:00Z') })
+        ]);
+
+        const [nieuw, wolf] = archive.getCartoons();
+        assert.equal(archive.dirty, true);
+        assert.deepEqual([wolf.guid, wolf.guidIsPermaLink], [WOLF, true]);
+        assert.deepEqual([nieuw.guid, nieuw.guidIsPermaLink], ['tag:evertkwok.nl,2019:cartoon/1140-nieuw', false]);
+
+        const rss = await createScraper('/tmp').generateFeed('rss', archive.getCartoons());
+        assert.ok(rss.includes(`<guid isPermaLink="true">${WOLF}</guid>`));
+        assert.ok(rss.includes('<guid isPermaLink="false">tag:evertkwok.nl,2019:cartoon/1140-nieuw</guid>'));
+    });
+
+    it('folds duplicate records of old archives together', async () => {
+        const archive = await legacyArchive([
+            { url: WOLF, title: 'Grote boze wolf', date: '2026-08-03T07:00:00.000Z', firstSeen: '2026-08-03T08:00:00.000Z' },
+            { url: WOLF.replace('.png', '.webp'), title: 'Grote boze wolf', date: '2026-08-03T07:00:00.000Z', firstSeen: '2026-08-10T08:00:00.000Z' }
+        ]);
+
+        assert.equal(archive.size, 1);
+        assert.equal(archive.getCartoons()[0].guid, WOLF);
+    });
+
+    it('drops the English descriptions older versions generated for cartoons without a caption', async () => {
+        const archive = await legacyArchive([
+            { url: WOLF, title: 'Grote boze wolf', date: '2026-08-03T07:00:00.000Z', description: 'Educational cartoon by Evert Kwok featuring grote boze wolf. Making complex scientific and mathematical concepts accessible through visual humor and clever illustrations.' },
+            { url: WOLF.replace('wolf', 'heks'), title: 'Heks', date: '2026-08-04T07:00:00.000Z', description: 'Wie is er bang voor de heks?' }
+        ]);
+
+        const [heks, wolf] = archive.getCartoons();
+        assert.equal(wolf.description, null);
+        assert.equal(heks.description, 'Wie is er bang voor de heks?');
+    });
+
+    it('survives a save and load', async () => {
+        const dir = await createTempDir();
+        const first = new CartoonArchive({ file: path.join(dir, 'archive.json') });
+        first.merge([cartoon(WOLF)]);
+        await first.save();
+
+        const second = await new CartoonArchive({ file: path.join(dir, 'archive.json') }).load();
+        assert.equal(second.dirty, false);
+        assert.equal(second.get(cartoon(WOLF)).guid, guidFor(cartoon(WOLF)));
+    });
+});
+
+describe('removeDuplicates', () => {
+    it('drops size variants and CDN copies of a cartoon already on the page', () => {
+        const scraper = createScraper('/tmp');
+        const unique = scraper.removeDuplicates([
+            cartoon(WOLF),
+            cartoon('https://i0.wp.com/www.evertkwok.nl/wp-content/uploads/2026/08/1131-grote-bose-wolf.png?w=640'),
+            cartoon('https://www.evertkwok.nl/wp-content/uploads/2026/07/416bos.jpg')
+        ]);
+        assert.equal(unique.length, 2);
+    });
+});
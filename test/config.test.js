@@ -0,0 +1,137 @@
+// test/config.test.js - Defaults, config file, environment and command line, validation and sources
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { ConfigError, getDefaults, parseArgs, validateConfig, resolveSources, loadConfig, formatHelp } = require('../src/config');
+const { createTempDir } = require('./helpers/scraper');
+
+const load = (args = [], env = {}, cwd = '/nonexistent') => loadConfig({ args, env, cwd });
+
+async function configDir(data) {
+    const dir = await createTempDir();
+    await fs.writeFile(path.join(dir, 'evert-kwok-rss.config.json'), JSON.stringify(data));
+    return dir;
+}
+
+describe('loadConfig', () => {
+    it('takes the config file over the defaults, the environment over the file and flags over both', async () => {
+        const cwd = await configDir({ maxItems: 10, formats: ['rss', 'atom'], verbose: true });
+        assert.equal(load([], {}).config.maxItems, 1000);
+        assert.equal(load([], {}, cwd).config.maxItems, 10);
+        assert.equal(load([], { EKR_MAX_ITEMS: '20' }, cwd).config.maxItems, 20);
+        assert.equal(load(['--max-items=30'], { EKR_MAX_ITEMS: '20' }, cwd).config.maxItems, 30);
+
+        const { config, configFile } = load(['--no-posts'], { EKR_FORMATS: 'rss, json', EKR_LOCALE: 'nl,en' }, cwd);
+        assert.deepEqual(config.formats, ['rss', 'json']);
+        assert.deepEqual(config.locales, ['nl', 'en']);
+        assert.equal(config.fetchPosts, false);
+        assert.equal(config.verbose, true);
+        assert.equal(configFile, path.join(cwd, 'evert-kwok-rss.config.json'));
+        // Empty variables count as not set
+        assert.equal(load([], { EKR_MAX_ITEMS: '' }, cwd).config.maxItems, 10);
+    });
+
+    it('reads the file named by --config or EKR_CONFIG and insists that it exists', async () => {
+        const dir = await configDir({ maxItems: 5 });
+        const file = path.join(dir, 'evert-kwok-rss.config.json');
+        assert.equal(load([`--config=${file}`]).config.maxItems, 5);
+        assert.equal(load([], { EKR_CONFIG: file }).config.maxItems, 5);
+        assert.throws(() => load(['--config=/nonexistent/ekr.json']), /Invalid configuration in \/nonexistent\/ekr\.json:\n {2}- cannot read config file/);
+    });
+
+    it('keeps the archive, cache, health history, mirror and topic feeds next to --output unless they are set', async () => {
+        const { config } = load(['--output=/tmp/ekr/out/feed.xml', '--topic-feeds', '--mirror']);
+        assert.deepEqual([config.archiveFile, config.httpCacheFile, config.healthFile, config.mirrorDir, config.topicsDir], [
+            '/tmp/ekr/out/archive.json', '/tmp/ekr/out/http-cache.json', '/tmp/ekr/out/health.json', '/tmp/ekr/out/images', '/tmp/ekr/out/feeds'
+        ]);
+        assert.equal(load(['--output=public/feed.xml', '--archive=var/archive.json']).config.archiveFile, 'var/archive.json');
+        assert.equal(load(['--output=/tmp/ekr/out/feed.xml', '--http-cache=/tmp/cache.json']).config.httpCacheFile, '/tmp/cache.json');
+        assert.equal(load([], { EKR_HEALTH_FILE: 'var/health.json' }).config.healthFile, 'var/health.json');
+        assert.equal(load(['--output=test-feed.xml']).config.httpCacheFile, 'http-cache.json');
+
+        const cwd = await configDir({ outputFile: 'site/feed.xml' });
+        assert.equal(load([], {}, cwd).config.topicsDir, path.join('site', 'feeds'));
+        assert.equal(getDefaults().httpCacheFile, path.join('docs', 'http-cache.json'));
+        assert.equal(getDefaults().archiveFile, path.join('docs', 'archive.json'));
+        assert.match(formatHelp(), /--archive=FILE +Cartoon archive to load and update \(default: archive\.json next to --output\)/);
+        assert.match(formatHelp(), /--mirror-dir=DIR +Where mirrored images are stored, inside the directory of --output \(default: images next to --output\)/);
+    });
+
+    it('lists every problem at once', async () => {
+        const cwd = await configDir({ maxItems: -1, formats: ['rss', 'pdf'], locales: ['fr'], colour: 'blue' });
+        assert.throws(() => load([], {}, cwd), error => error instanceof ConfigError && /unknown keys: colour/.test(error.message));
+
+        const error = (() => {
+            try {
+                load(['--max-items=lots', '--formats=rss,pdf', '--locale=fr', '--base-url=ftp://example.com', '--max-drop=2', '--log-format=xml']);
+            } catch (failure) {
+                return failure;
+            }
+        })();
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.errors, [
+            'maxItems (--max-items, EKR_MAX_ITEMS) must be a whole number of at least 0, got "lots"',
+            'baseUrl (--base-url, EKR_BASE_URL) must be an absolute http(s) URL, got "ftp://example.com"',
+            'maxDrop (--max-drop, EKR_MAX_DROP) must be a number between 0 and 1, got 2',
+            'logFormat (--log-format, EKR_LOG_FORMAT) must be one of text, json, got "xml"',
+            'locales contains unknown locales: fr (available: nl, en)',
+            'formats contains unknown formats: pdf (available: rss, atom, json)'
+        ]);
+    });
+
+    it('rejects unknown flags and flags without their value', () => {
+        assert.deepEqual(parseArgs(['--nope', '--max-items', 'validate']).errors, ['unknown option --nope', '--max-items needs a value (--max-items=N)']);
+        assert.deepEqual(parseArgs(['validate', 'docs/feed.xml', '-v']).positionals, ['validate', 'docs/feed.xml']);
+        assert.throws(() => load(['--nope']), /Invalid configuration in command line:\n {2}- unknown option --nope/);
+    });
+});
+
+describe('validateConfig', () => {
+    const valid = overrides => ({ ...getDefaults(), ...overrides });
+
+    it('accepts the defaults', () => {
+        assert.deepEqual(validateConfig(valid({})), []);
+    });
+
+    it('keeps published directories inside the output directory', () => {
+        assert.deepEqual(validateConfig(valid({ mirror: true, mirrorDir: 'images' })), [
+            'mirrorDir (--mirror-dir) must be a directory inside docs, got "images"'
+        ]);
+        // Only checked when the feature is on
+        assert.deepEqual(validateConfig(valid({ topicsDir: '../feeds' })), []);
+    });
+
+    it('checks the channel and topics from the config file', () => {
+        const errors = validateConfig(valid({
+            channel: { ...getDefaults().channel, link: 'not a url', author: { name: 'Evert' }, extra: 1 },
+            topics: { keywords: { Wiskunde: 'reken*' }, ignore: [] }
+        }));
+        assert.deepEqual(errors, [
+            'channel.link must be an absolute http(s) URL',
+            'channel.author must have a name and a valid email',
+            'channel has unknown keys: extra',
+            'topics.keywords must map each topic to a list of keywords'
+        ]);
+    });
+});
+
+describe('resolveSources', () => {
+    const config = overrides => ({ ...getDefaults('out/feed.xml'), outputFile: 'out/feed.xml', ...overrides });
+
+    it('gives every source its own directory below the output', () => {
+        const [source] = resolveSources(config({ sources: [{ name: 'evert-kwok', maxItems: 5 }] }));
+        assert.equal(source.outputFile, path.join('out', 'evert-kwok', 'feed.xml'));
+        assert.equal(source.httpCacheFile, path.join('out', 'evert-kwok', 'http-cache.json'));
+        assert.equal(source.maxItems, 5);
+    });
+
+    it('names the entry with the problem', () => {
+        assert.throws(() => resolveSources(config({ sources: [{ name: 'Evert Kwok' }, { name: 'kat', adapter: 'tumblr' }, { name: 'evert-kwok', colour: 'blue' }] })), error =>
+            error instanceof ConfigError && error.errors.join('\n') === [
+                'sources[0] (Evert Kwok) must be an object with a name of lowercase letters, digits and dashes',
+                'sources[1] (kat).adapter must be one of evert-kwok, wordpress, got "tumblr"',
+                'sources[2] (evert-kwok) has unknown keys: colour'
+            ].join('\n'));
+    });
+});
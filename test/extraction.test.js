@@ -0,0 +1,195 @@
+// test/extraction.test.js - Heuristics that turn listing markup into cartoon records
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const CartoonScraper = require('../src/scraper');
+const EvertKwokSource = require('../src/sources/evert-kwok');
+
+const scraper = new CartoonScraper();
+const source = new EvertKwokSource();
+
+function firstImage(html) {
+    const $ = cheerio.load(html);
+    return { $, element: $('img').get(0) };
+}
+
+function ymd(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+}
+
+describe('extractDateFromUrl', () => {
+    it('uses the WordPress upload year and month', () => {
+        const date = source.extractDateFromUrl('https://www.evertkwok.nl/wp-content/uploads/2026/07/416bos.jpg');
+        assert.deepEqual(ymd(date), [2026, 7, 1]);
+    });
+
+    it('prefers a full date in the filename over the upload folder', () => {
+        const date = source.extractDateFromUrl('https://www.evertkwok.nl/wp-content/uploads/2025/11/20251103_piethagoras.jpg');
+        assert.deepEqual(ymd(date), [2025, 11, 3]);
+    });
+
+    it('understands dashed dates', () => {
+        const date = source.extractDateFromUrl('https://example.com/images/cartoon-2024-02-29.png');
+        assert.deepEqual(ymd(date), [2024, 2, 29]);
+    });
+
+    it('rejects impossible dates and falls back to now', () => {
+        const before = Date.now();
+        const date = source.extractDateFromUrl('https://example.com/images/cartoon-1999-13-45.png');
+        assert.ok(date.getTime() >= before);
+    });
+});
+
+describe('extractTitle', () => {
+    it('uses the alt text', () => {
+        const { $, element } = firstImage('<img src="/wp-content/uploads/2026/07/416bos.jpg" alt="Door de bomen">');
+        assert.equal(source.extractTitle($, element), 'Door de bomen');
+    });
+
+    it('falls back to the figure caption when alt is useless', () => {
+        const { $, element } = firstImage(`
+            <figure class="wp-block-image">
+                <img src="/wp-content/uploads/2026/07/416bos.jpg" alt="cartoon">
+                <figcaption>Het bos in</figcaption>
+            </figure>`);
+        assert.equal(source.extractTitle($, element), 'Het bos in');
+    });
+
+    it('generates a title from the original upload when nothing else is available', () => {
+        const { $, element } = firstImage('<img src="data:image/gif;base64,R0lGOD" data-src="/wp-content/uploads/2026/08/1131-grote-bose-wolf-768x768.jpg">');
+        assert.equal(source.extractTitle($, element), 'Grote bose wolf');
+    });
+});
+
+describe('extractDescription', () => {
+    it('uses a long enough caption', () => {
+        const { $, element } = firstImage(`
+            <figure>
+                <img src="/wp-content/uploads/2026/07/416bos.jpg" alt="Bos">
+                <figcaption>Door de bomen het bos niet meer zien</figcaption>
+            </figure>`);
+        assert.equal(source.extractDescription($, element), 'Door de bomen het bos niet meer zien');
+    });
+
+    it('truncates long captions to 200 characters', () => {
+        const caption = 'a'.repeat(300);
+        const { $, element } = firstImage(`<figure><img src="/x.jpg" alt="Bos"><figcaption>${caption}</figcaption></figure>`);
+        assert.equal(source.extractDescription($, element), `${'a'.repeat(200)}...`);
+    });
+
+    it('leaves cartoons without a caption to be described by the feed', () => {
+        const { $, element } = firstImage('<img src="/wp-content/uploads/2026/07/416bos.jpg" alt="Bos en hei">');
+        assert.equal(source.extractDescription($, element), null);
+    });
+});
+
+describe('cleanTitle', () => {
+    it('normalizes whitespace and strips symbols', () => {
+        assert.equal(source.cleanTitle('  Grote   boze\nwolf™! '), 'Grote boze wolf!');
+    });
+
+    it('limits titles to 80 characters', () => {
+        assert.equal(source.cleanTitle('x'.repeat(100)).length, 80);
+    });
+});
+
+describe('generateTitleFromUrl', () => {
+    it('turns a filename into words', () => {
+        assert.equal(source.generateTitleFromUrl('https://www.evertkwok.nl/wp-content/uploads/2026/08/1131-grote_bose-wolf.jpg'), 'Grote bose wolf');
+    });
+
+    it('splits camel case', () => {
+        assert.equal(source.generateTitleFromUrl('/uploads/DeKatVanSchrodinger.png'), 'De Kat Van Schrodinger');
+    });
+
+    it('has fallbacks for missing or numeric names', () => {
+        assert.equal(source.generateTitleFromUrl(undefined), 'Cartoon');
+        assert.equal(source.generateTitleFromUrl('/uploads/12345.jpg'), 'Cartoon');
+    });
+});
+
+describe('isValidCartoonUrl', () => {
+    it('accepts regular uploads', () => {
+        assert.equal(source.isValidCartoonUrl('https://www.evertkwok.nl/wp-content/uploads/2026/07/416bos.jpg'), true);
+    });
+
+    it('rejects theme assets, logos and thumbnails', () => {
+        assert.equal(source.isValidCartoonUrl('https://www.evertkwok.nl/wp-content/themes/kwok/logo.png'), false);
+        assert.equal(source.isValidCartoonUrl('https://www.evertkwok.nl/wp-content/uploads/2019/07/Evert-Kwok-Logo.png'), false);
+        assert.equal(source.isValidCartoonUrl('https://www.evertkwok.nl/wp-content/uploads/2026/07/416bos-150x150.jpg'), false);
+    });
+
+    it('uses the configured exclude patterns', () => {
+        const custom = new EvertKwokSource({ excludePatterns: ['bos'] });
+        assert.equal(custom.isValidCartoonUrl('https://www.evertkwok.nl/wp-content/uploads/2026/07/416bos.jpg'), false);
+        assert.equal(custom.isValidCartoonUrl('https://www.evertkwok.nl/wp-content/uploads/2019/07/logo.png'), true);
+    });
+});
+
+describe('removeDuplicates', () => {
+    it('keeps the first cartoon for every URL', () => {
+        const cartoons = [
+            { url: 'https://a.test/1.jpg', title: 'first' },
+            { url: 'https://a.test/2.jpg', title: 'second' },
+            { url: 'https://a.test/1.jpg', title: 'duplicate' }
+        ];
+        assert.deepEqual(scraper.removeDuplicates(cartoons).map(cartoon => cartoon.title), ['first', 'second']);
+    });
+});
+
+describe('escapeXml', () => {
+    it('escapes the five XML entities', () => {
+        assert.equal(scraper.escapeXml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    });
+
+    it('returns an empty string for missing values', () => {
+        assert.equal(scraper.escapeXml(undefined), '');
+        assert.equal(scraper.escapeXml(null), '');
+    });
+
+    it('stringifies numbers', () => {
+        assert.equal(scraper.escapeXml(42), '42');
+    });
+});
+
+describe('image candidates', () => {
+    it('picks the largest srcset candidate and maps it to the original upload', () => {
+        const { $, element } = firstImage(`
+            <img src="/wp-content/uploads/2026/07/416bos-300x200.jpg"
+                 srcset="/wp-content/uploads/2026/07/416bos-300x200.jpg 300w, /wp-content/uploads/2026/07/416bos-1536x1024.jpg 1536w">`);
+        assert.equal(source.pickImageUrl($, element), '/wp-content/uploads/2026/07/416bos.jpg');
+    });
+
+    it('reads picture sources', () => {
+        const { $, element } = firstImage(`
+            <picture>
+                <source srcset="/wp-content/uploads/2026/06/400kat-1200x800.webp 1200w">
+                <img src="/wp-content/uploads/2026/06/400kat-600x400.jpg">
+            </picture>`);
+        assert.equal(source.pickImageUrl($, element), '/wp-content/uploads/2026/06/400kat.webp');
+    });
+
+    it('reads lazy-loaded images behind a placeholder', () => {
+        const pick = html => {
+            const { $, element } = firstImage(html);
+            return source.pickImageUrl($, element);
+        };
+        assert.equal(pick(`
+            <img src="data:image/gif;base64,R0lGODlhAQABAAAAACw="
+                 data-lazy-src="/wp-content/uploads/2026/07/416bos-300x200.jpg"
+                 data-lazy-srcset="/wp-content/uploads/2026/07/416bos-300x200.jpg 300w, /wp-content/uploads/2026/07/416bos-768x512.jpg 768w">`), '/wp-content/uploads/2026/07/416bos.jpg');
+        assert.equal(pick('<img data-src="/wp-content/uploads/2026/05/390vos-1024x683.png">'), '/wp-content/uploads/2026/05/390vos.png');
+        // Images from elsewhere are not cartoons
+        assert.equal(pick('<img src="https://gravatar.com/avatar/1.jpg" srcset="https://gravatar.com/avatar/1.jpg 2x">'), null);
+    });
+
+    it('finds a cartoon once when the listing shows several sizes of it', () => {
+        const $ = cheerio.load(`
+            <article class="post-1131"><h2><a href="/wolf/">1131 Grote boze wolf</a></h2>
+                <img class="wp-post-image" src="/wp-content/uploads/2026/08/wolf-300x200.png">
+                <img class="wp-image-1" src="/wp-content/uploads/2026/08/wolf-1024x683.png" srcset="/wp-content/uploads/2026/08/wolf.png 2000w">
+            </article>`);
+        const cartoons = source.extractCartoons($, 'https://www.evertkwok.nl/cartoon/');
+        assert.deepEqual(cartoons.map(cartoon => cartoon.url), ['https://www.evertkwok.nl/wp-content/uploads/2026/08/wolf.png']);
+    });
+});
@@ -0,0 +1,115 @@
+// test/failed-runs.test.js - Failed runs keep the published feed, shrinking feeds are refused and demo data stays local
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const EvertKwokScraper = require('../src/scraper');
+
+const LISTED = [
+    { url: 'https://www.evertkwok.nl/wp-content/uploads/2026/08/1131-grote-bose-wolf.png', title: 'Grote boze wolf', date: new Date('2026-08-03T07:00:00Z') },
+    { url: 'https://www.evertkwok.nl/wp-content/uploads/2026/07/416bos.jpg', title: 'Bos', date: new Date('2026-07-14T06:30:00Z') }
+];
+
+async function createTempDir() {
+    return fs.mkdtemp(path.join(os.tmpdir(), 'evert-kwok-rss-'));
+}
+
+// A scraper that finds `cartoons` on the listing, or scrapes `baseUrl` when none are given
+function createScraper(dir, cartoons, options = {}) {
+    const scraper = new EvertKwokScraper({
+        outputFile: path.join(dir, 'feed.xml'),
+        archiveFile: path.join(dir, 'archive.json'),
+        probeImages: false,
+        robots: false,
+        hostDelay: 0,
+        ...options
+    });
+    scraper.retryDelay = 0;
+    if (cartoons) {
+        scraper.scrapeCartoons = async () => cartoons.map(listed => ({ ...listed, filename: path.basename(listed.url) }));
+    }
+    return scraper;
+}
+
+async function published(dir) {
+    return Promise.all(['feed.xml', 'archive.json'].map(file => fs.readFile(path.join(dir, file), 'utf8')));
+}
+
+describe('failed and suspicious runs', () => {
+    let server;
+    let actions;
+
+    before(async () => {
+        // Runs that fail in GitHub Actions end the process
+        actions = process.env.GITHUB_ACTIONS;
+        delete process.env.GITHUB_ACTIONS;
+        mock.method(console, 'log', () => {});
+        server = http.createServer((req, res) => {
+            if (req.url === '/leeg/') {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end('<html><body><p>Geen cartoons</p></body></html>');
+            } else {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found');
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        server.url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        if (actions !== undefined) {
+            process.env.GITHUB_ACTIONS = actions;
+        }
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('keep the published feed and archive when scraping fails', async () => {
+        const dir = await createTempDir();
+        await createScraper(dir, LISTED).run();
+        const before = await published(dir);
+
+        await assert.rejects(createScraper(dir, null, { baseUrl: `${server.url}/does-not-exist/` }).run(), /Scraping .* failed: Request failed with status code 404/);
+        await assert.rejects(createScraper(dir, null, { baseUrl: `${server.url}/leeg/` }).run(), /No cartoons found on .*\/leeg\/, the site layout may have changed/);
+        assert.deepEqual(await published(dir), before);
+    });
+
+    it('refuses a feed with far fewer items than the published one unless --max-drop or --force allows it', async () => {
+        const dir = await createTempDir();
+        const items = Array.from({ length: 10 }, (unused, index) => `<item><title>${index}</title></item>`).join('');
+        const feed = `<?xml version="1.0"?><rss version="2.0"><channel>${items}</channel></rss>`;
+        await fs.writeFile(path.join(dir, 'feed.xml'), feed);
+
+        await assert.rejects(createScraper(dir, LISTED).run(), /Item count dropped from 10 to 2 \(more than 50% of the published feed\), refusing to overwrite .*feed\.xml \(use --force to override\)/);
+        assert.equal(await fs.readFile(path.join(dir, 'feed.xml'), 'utf8'), feed);
+        await assert.rejects(fs.access(path.join(dir, 'archive.json')));
+
+        assert.equal((await createScraper(dir, LISTED, { maxDrop: 0.9 }).run()).cartoonCount, 2);
+        await fs.writeFile(path.join(dir, 'feed.xml'), feed);
+        assert.equal((await createScraper(dir, LISTED, { force: true }).run()).cartoonCount, 2);
+    });
+
+    it('publishes demo data only when asked to and keeps it out of the archive', async () => {
+        const dir = await createTempDir();
+        const demo = createScraper(dir, null, { demo: true });
+        demo.scrapeCartoons = async () => assert.fail('demo runs do not scrape');
+        const result = await demo.run();
+
+        assert.ok(result.cartoonCount > 0);
+        assert.match(await fs.readFile(path.join(dir, 'feed.xml'), 'utf8'), /<item>/);
+        await assert.rejects(fs.access(path.join(dir, 'archive.json')));
+
+        // Never on the live feed
+        const cli = promisify(execFile)(process.execPath, [path.join(__dirname, '..', 'src', 'scraper.js'), '--demo', `--output=${path.join(dir, 'live.xml')}`], {
+            env: { PATH: process.env.PATH, GITHUB_ACTIONS: 'true' },
+            cwd: dir
+        });
+        await assert.rejects(cli, error => error.code === 1 && /--demo is meant for local development and is not allowed in GitHub Actions/.test(error.stderr));
+        await assert.rejects(fs.access(path.join(dir, 'live.xml')));
+    });
+});
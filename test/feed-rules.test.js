@@ -0,0 +1,137 @@
+// test/feed-rules.test.js - Query-style feed rules, the main feed's selection and named feeds
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { parseFeedRules, parseFeedSpec, withLimits, applyFeedRules } = require('../src/feed-rules');
+const { loadConfig } = require('../src/config');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+function cartoon(title, daysAgo, extra = {}) {
+    return { title, date: new Date(NOW.getTime() - daysAgo * 24 * 60 * 60 * 1000), ...extra };
+}
+
+describe('feed rules', () => {
+    it('are read from a query string', () => {
+        assert.deepEqual(parseFeedRules('?max-items=20&max-age=90&topic=Wiskunde|Natuurkunde&exclude=reclame%7Cadvertentie&min-width=400'), {
+            maxItems: 20,
+            maxAgeDays: 90,
+            topics: ['wiskunde', 'natuurkunde'],
+            exclude: /reclame|advertentie/im,
+            minWidth: 400
+        });
+        // A plus stays a plus, unlike in URLs
+        assert.ok(parseFeedRules('include=^a+b').include.test('AAB'));
+        assert.deepEqual(parseFeedRules(''), {});
+
+        assert.throws(() => parseFeedRules('limit=20'), /unknown rule "limit" \(known: max-items, max-age, include, exclude, topic, exclude-topic, min-width, min-height, title\)/);
+        assert.throws(() => parseFeedRules('max-items=twenty'), /"twenty" is not a whole number/);
+        assert.throws(() => parseFeedRules('include=(wolf'), /is not a regular expression/);
+        assert.throws(() => parseFeedRules('max-items=1&max-items=2'), /"max-items" is given twice/);
+        assert.throws(() => parseFeedRules('exclude='), /"exclude" has no value/);
+    });
+
+    it('name a feed by its file', () => {
+        assert.deepEqual(parseFeedSpec('latest.xml?max-items=20&title=Nieuwste%20cartoons'), {
+            name: 'latest', slug: 'latest', file: 'latest.xml', title: 'Nieuwste cartoons', rules: { maxItems: 20, title: 'Nieuwste cartoons' }
+        });
+        assert.deepEqual(parseFeedSpec('full.xml').rules, {});
+        assert.throws(() => parseFeedSpec('../full.xml'), /"..\/full.xml" is not a file name like latest.xml/);
+        assert.throws(() => parseFeedSpec('full.json'), /not a file name/);
+    });
+
+    it('choose cartoons by age, text, topic and image size, then cut the list', () => {
+        const cartoons = [
+            cartoon('Breuken', 1, { image: { width: 1200, height: 800 } }),
+            cartoon('Reclame voor het boek', 2, { image: { width: 1200, height: 800 } }),
+            cartoon('Zwaartekracht', 3, { image: { width: 300, height: 200 } }),
+            cartoon('Wolf', 5, { categories: ['Natuur'] }),
+            cartoon('Pi', 200, { image: { width: 1200, height: 800 } })
+        ];
+        const topics = { keywords: { Wiskunde: ['breuk*', 'pi'], Natuurkunde: ['zwaartekracht'] } };
+        const titles = (query, limits = {}) => applyFeedRules(cartoons, withLimits(parseFeedRules(query), limits), { topics, now: NOW }).map(item => item.title);
+
+        assert.deepEqual(titles('max-age=90&exclude=reclame'), ['Breuken', 'Zwaartekracht', 'Wolf']);
+        assert.deepEqual(titles('include=^(wolf|pi)$'), ['Wolf', 'Pi']);
+        assert.deepEqual(titles('topic=wiskunde|natuur'), ['Breuken', 'Wolf', 'Pi']);
+        assert.deepEqual(titles('exclude-topic=Wiskunde&max-items=2'), ['Reclame voor het boek', 'Zwaartekracht']);
+        // Unprobed images have no size yet and pass
+        assert.deepEqual(titles('min-width=800'), ['Breuken', 'Reclame voor het boek', 'Wolf', 'Pi']);
+        // --max-items and --max-age add to the rules; the stricter limit wins
+        assert.deepEqual(titles('max-items=4', { maxItems: 2, maxAgeDays: 0 }), ['Breuken', 'Reclame voor het boek']);
+        assert.deepEqual(titles('max-items=1', { maxItems: 3 }), ['Breuken']);
+    });
+
+    it('are checked with the rest of the configuration', () => {
+        const load = args => loadConfig({ args, env: {}, cwd: '/nonexistent' });
+        assert.deepEqual(load(['--feeds=latest.xml?max-items=20 full.xml']).config.feeds, ['latest.xml?max-items=20', 'full.xml']);
+        // A comma in a regular expression stays part of its rule
+        const { config } = loadConfig({ args: [], env: { EKR_FEEDS: ' kort.xml?include=^.{1,12}$\n full.xml ' }, cwd: '/nonexistent' });
+        assert.deepEqual(config.feeds, ['kort.xml?include=^.{1,12}$', 'full.xml']);
+        assert.equal(parseFeedSpec(config.feeds[0]).rules.include.source, '^.{1,12}$');
+        assert.throws(() => load(['--feed-rules=newest=5']), /feedRules \(--feed-rules, EKR_FEED_RULES\) must be rules like "max-items=20&exclude=reclame": unknown rule "newest"/);
+        assert.throws(() => load(['--feeds=latest.xml?max-items=-1']), /feeds \(--feeds, EKR_FEEDS\) has an invalid feed "latest.xml\?max-items=-1": "-1" is not a whole number/);
+        assert.throws(() => load(['--feeds=latest.xml atom.xml?max-items=5']), /feeds \(--feeds\) would overwrite atom.xml/);
+    });
+});
+
+describe('named feeds', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer();
+        mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    it('are written next to the main feed from the same run', async () => {
+        const dir = await createTempDir();
+        const scraper = createScraper(dir, {
+            baseUrl: `${server.url}/cartoon/`,
+            formats: ['rss', 'atom'],
+            feedRules: 'exclude=wolf',
+            feeds: ['latest.xml?max-items=1&title=Nieuwste', 'full.xml']
+        });
+        const result = await scraper.run();
+
+        // The main feed's rules do not bind the named feeds
+        assert.deepEqual(scraper.published.map(item => item.title), ['416 Bos']);
+        const latest = await fs.readFile(path.join(dir, 'latest.xml'), 'utf8');
+        assert.equal((latest.match(/<item>/g) || []).length, 1);
+        assert.match(latest, /<title>Evert Kwok - Educatieve cartoons: Nieuwste<\/title>/);
+        assert.match(latest, /<title>1131 Grote boze wolf<\/title>/);
+        assert.match(latest, /<atom:link href="[^"]*\/latest\.xml" rel="self"/);
+
+        const full = await fs.readFile(path.join(dir, 'full.atom.xml'), 'utf8');
+        assert.equal((full.match(/<entry>/g) || []).length, 2);
+        assert.match(full, /<title>Evert Kwok - Educatieve cartoons<\/title>/);
+
+        assert.deepEqual(result.namedFeeds.map(output => path.basename(output.file)), ['latest.xml', 'latest.atom.xml', 'full.xml', 'full.atom.xml']);
+        assert.ok(scraper.report.outputs.some(output => output.file.endsWith('full.atom.xml') && output.written));
+        // Images of every published cartoon are probed, not just those of the main feed
+        const wolf = scraper.archive.getCartoons().find(item => item.title === '1131 Grote boze wolf');
+        assert.equal(wolf.image.type, 'image/png');
+    });
+
+    it('are removed once they are no longer configured', async () => {
+        const dir = await createTempDir();
+        const options = { baseUrl: `${server.url}/cartoon/`, formats: ['rss', 'json'], probeImages: false };
+        await createScraper(dir, { ...options, feeds: ['latest.xml?max-items=1', 'full.xml'] }).run();
+        // Files next to the feeds that this run did not write as named feeds stay
+        await fs.writeFile(path.join(dir, 'podcast.xml'), '<rss version="2.0"><channel><title>Elders</title></channel></rss>');
+
+        const result = await createScraper(dir, { ...options, feeds: ['latest.xml?max-items=1'] }).run();
+
+        assert.equal(result.changed, true);
+        assert.deepEqual((await fs.readdir(dir)).filter(file => /\.(xml|json)$/.test(file)).sort(), [
+            'archive.json', 'feed.json', 'feed.xml', 'http-cache.json', 'latest.feed.json', 'latest.xml', 'podcast.xml'
+        ]);
+    });
+});
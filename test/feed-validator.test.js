@@ -0,0 +1,146 @@
+// test/feed-validator.test.js - Checks that run before a feed is published
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { validateFeed, detectFormat, FeedValidationError } = require('../src/feed-validator');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+const scraper = createScraper('/tmp', { pagesUrl: 'https://example.github.io/evert-kwok-rss' });
+const cartoons = [
+    {
+        url: 'https://www.evertkwok.nl/wp-content/uploads/2026/08/1131-grote-bose-wolf.png',
+        postUrl: 'https://www.evertkwok.nl/2026/08/grote-boze-wolf/',
+        title: '1131 Grote boze wolf',
+        description: 'Wie is er bang voor de grote boze wolf?',
+        date: new Date('2026-08-03T07:00:00Z'),
+        image: { type: 'image/png', length: 135, width: 64, height: 48 }
+    },
+    {
+        url: 'https://www.evertkwok.nl/wp-content/uploads/2026/07/416bos.jpg',
+        title: '416 Bos',
+        description: 'Door de bomen het bos niet meer zien.',
+        date: new Date('2026-07-14T06:30:00Z')
+    }
+];
+
+function render(format, items = cartoons) {
+    return scraper.generateFeed(format, items);
+}
+
+describe('validateFeed', () => {
+    for (const format of ['rss', 'atom', 'json']) {
+        it(`accepts the generated ${format} feed`, async () => {
+            const report = validateFeed(await render(format));
+            assert.equal(report.format, format);
+            assert.deepEqual(report.errors, []);
+            assert.equal(report.items, 2);
+        });
+    }
+
+    it('reports invalid XML characters with their position', async () => {
+        const report = validateFeed(await render('rss', [{ ...cartoons[0], title: 'Grote\u0008boze wolf' }]));
+        assert.ok(report.errors.length > 0);
+        assert.ok(report.errors.every(error => /^line \d+, column \d+: invalid XML character U\+0008$/.test(error)));
+    });
+
+    it('reports XML that is not well-formed', () => {
+        const report = validateFeed('<?xml version="1.0"?>\n<rss version="2.0"><channel><title>x</channel></rss>');
+        assert.match(report.errors[0], /not well-formed XML/);
+    });
+
+    it('requires the RSS channel elements', () => {
+        const report = validateFeed('<rss version="2.0"><channel><title>Cartoons</title></channel></rss>');
+        assert.deepEqual(report.errors, [
+            'channel: required element <link> is missing or empty',
+            'channel: required element <description> is missing or empty'
+        ]);
+    });
+
+    it('finds duplicate GUIDs, bad dates, relative URLs and broken enclosures', async () => {
+        const xml = (await render('rss'))
+            .replace('cartoon/416bos</guid>', 'cartoon/1131-grote-bose-wolf</guid>')
+            .replace('<pubDate>Tue, 14 Jul 2026 06:30:00 GMT</pubDate>', '<pubDate>2026-07-14</pubDate>')
+            .replace('<link>https://www.evertkwok.nl/2026/08/grote-boze-wolf/</link>', '<link>/2026/08/grote-boze-wolf/</link>')
+            .replace('type="image/jpeg" length="0"', 'type="jpeg" length="-1"');
+
+        const { errors } = validateFeed(xml);
+
+        assert.ok(errors.includes('item 2 ("416 Bos"): guid "tag:evertkwok.nl,2019:cartoon/1131-grote-bose-wolf" is also used by item 1'));
+        assert.ok(errors.includes('item 2 ("416 Bos"): pubDate "2026-07-14" is not an RFC 822 date'));
+        assert.ok(errors.includes('item 1 ("1131 Grote boze wolf"): link "/2026/08/grote-boze-wolf/" is not an absolute http(s) URL'));
+        assert.ok(errors.includes('item 2 ("416 Bos"): enclosure type "jpeg" is not a MIME type'));
+        assert.ok(errors.includes('item 2 ("416 Bos"): enclosure length "-1" is not a whole number of bytes'));
+    });
+
+    it('requires permalink GUIDs to be URLs', () => {
+        const item = guid => `<rss version="2.0"><channel><title>t</title><link>https://a.test/</link><description>d</description>
+            <item><title>x</title>${guid}</item></channel></rss>`;
+        assert.match(validateFeed(item('<guid>evertkwok-1131</guid>')).errors[0], /is a permalink but not an absolute URL/);
+        assert.deepEqual(validateFeed(item('<guid isPermaLink="false">evertkwok-1131</guid>')).errors, []);
+    });
+
+    it('reports undeclared namespace prefixes', () => {
+        const report = validateFeed(`<rss version="2.0"><channel><title>t</title><link>https://a.test/</link><description>d</description>
+            <item><title>x</title><media:content url="https://a.test/x.jpg"/></item></channel></rss>`);
+        assert.deepEqual(report.errors, ['namespace prefix "media" is used but never declared']);
+    });
+
+    it('checks Atom dates and ids', async () => {
+        const xml = (await render('atom'))
+            .replace('<updated>2026-07-14T06:30:00.000Z</updated>', '<updated>14 juli 2026</updated>')
+            .replace('cartoon/416bos</id>', 'cartoon/1131-grote-bose-wolf</id>');
+
+        assert.deepEqual(validateFeed(xml).errors, [
+            'entry 2 ("416 Bos"): updated "14 juli 2026" is not an RFC 3339 date',
+            'entry 2 ("416 Bos"): id "tag:evertkwok.nl,2019:cartoon/1131-grote-bose-wolf" is also used by entry 1'
+        ]);
+    });
+
+    it('checks JSON Feed items', async () => {
+        const document = JSON.parse(await render('json'));
+        document.items[1].id = document.items[0].id;
+        document.items[1].attachments[0].url = 'uploads/416bos.jpg';
+
+        assert.deepEqual(validateFeed(JSON.stringify(document)).errors, [
+            `item 2 ("416 Bos"): id "${document.items[0].id}" is also used by item 1`,
+            'item 2 ("416 Bos"): attachment url "uploads/416bos.jpg" is not an absolute http(s) URL'
+        ]);
+    });
+});
+
+describe('detectFormat', () => {
+    it('recognizes feeds by their root', () => {
+        assert.equal(detectFormat('<?xml version="1.0"?>\n<!-- feed -->\n<rss version="2.0"/>'), 'rss');
+        assert.equal(detectFormat('<feed xmlns="http://www.w3.org/2005/Atom"/>'), 'atom');
+        assert.equal(detectFormat('\n{ "version": "https://jsonfeed.org/version/1.1" }'), 'json');
+        assert.equal(detectFormat('<!DOCTYPE html><html></html>'), null);
+    });
+});
+
+describe('--validate', () => {
+    it('keeps the previous feed when the new one is broken', async () => {
+        const dir = await createTempDir();
+        const outputFile = path.join(dir, 'feed.xml');
+        await fs.writeFile(outputFile, '<previous/>', 'utf8');
+
+        const http = {
+            get: async () => ({
+                status: 200,
+                headers: {},
+                data: '<figure><img src="/wp-content/uploads/2026/08/wolf.png" alt="Wolf"><figcaption>Wie is er bang voor de grote boze wolf\u0007?</figcaption></figure>'
+            })
+        };
+        const broken = createScraper(dir, { http, validate: true, fetchPosts: false, probeImages: false });
+
+        mock.method(console, 'log', () => {});
+        try {
+            await assert.rejects(broken.run(), FeedValidationError);
+        } finally {
+            mock.restoreAll();
+        }
+
+        assert.equal(await fs.readFile(outputFile, 'utf8'), '<previous/>');
+        await assert.rejects(fs.access(path.join(dir, 'archive.json')));
+    });
+});
@@ -0,0 +1,106 @@
+// test/formats.test.js - RSS, Atom and JSON Feed rendered from the same cartoons, and --formats
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const { formats, getFormat } = require('../src/formats');
+const CartoonArchive = require('../src/archive');
+const EvertKwokScraper = require('../src/scraper');
+
+const WOLF = 'https://www.evertkwok.nl/wp-content/uploads/2026/08/1131-grote-bose-wolf.png';
+const BOS = 'https://www.evertkwok.nl/wp-content/uploads/2026/07/416bos.jpg';
+
+// Archived records, as the formats get them
+function records() {
+    const archive = new CartoonArchive({ file: '/nonexistent/archive.json' });
+    archive.merge([
+        {
+            url: WOLF,
+            postUrl: 'https://www.evertkwok.nl/2026/08/grote-boze-wolf/',
+            title: 'Wolf & <Co>',
+            date: new Date('2026-08-03T07:00:00Z'),
+            description: 'Wie is er bang voor de grote boze wolf?',
+            categories: ['Wiskunde']
+        },
+        { url: BOS, title: 'Bos', date: new Date('2026-07-14T06:30:00Z') }
+    ]);
+    return archive.getCartoons();
+}
+
+describe('formats', () => {
+    const scraper = new EvertKwokScraper({ outputFile: '/tmp/ekr/feed.xml' });
+    const feed = scraper.getFeedContext();
+    const xml = content => cheerio.load(content, { xmlMode: true });
+
+    it('give every item the same id, link, title and date', () => {
+        const rss = xml(getFormat('rss').render(records(), feed));
+        const atom = xml(getFormat('atom').render(records(), feed));
+        const json = JSON.parse(getFormat('json').render(records(), feed));
+
+        const fromRss = rss('item').toArray().map(element => rss(element)).map(item => [
+            item.children('guid').text(), item.children('link').text(), item.children('title').text(), new Date(item.children('pubDate').text()).toISOString()
+        ]);
+        const fromAtom = atom('entry').toArray().map(element => atom(element)).map(entry => [
+            entry.children('id').text(), entry.children('link[rel="alternate"]').attr('href'), entry.children('title').text(), entry.children('published').text()
+        ]);
+        const fromJson = json.items.map(item => [item.id, item.url, item.title, item.date_published]);
+
+        assert.deepEqual(fromRss[0], ['tag:evertkwok.nl,2019:cartoon/1131-grote-bose-wolf', 'https://www.evertkwok.nl/2026/08/grote-boze-wolf/', 'Wolf & <Co>', '2026-08-03T07:00:00.000Z']);
+        assert.deepEqual(fromAtom, fromRss);
+        assert.deepEqual(fromJson, fromRss);
+        // Cartoons without a post link to their image
+        assert.equal(fromRss[1][1], BOS);
+    });
+
+    it('carry the image as enclosure and attachment', () => {
+        const rss = xml(getFormat('rss').render(records(), feed));
+        const atom = xml(getFormat('atom').render(records(), feed));
+        const json = JSON.parse(getFormat('json').render(records(), feed));
+
+        assert.deepEqual([rss('item enclosure').first().attr('url'), rss('item enclosure').first().attr('type')], [WOLF, 'image/png']);
+        assert.deepEqual([atom('entry link[rel="enclosure"]').first().attr('href'), atom('entry link[rel="enclosure"]').first().attr('type')], [WOLF, 'image/png']);
+        assert.deepEqual(json.items[0].attachments, [{ url: WOLF, mime_type: 'image/png' }]);
+        assert.deepEqual(json.items[0].tags, ['Wiskunde']);
+    });
+
+    it('point to themselves and to each other', () => {
+        assert.deepEqual(feed.links, { rss: `${feed.pagesUrl}/feed.xml`, atom: `${feed.pagesUrl}/atom.xml`, json: `${feed.pagesUrl}/feed.json` });
+        assert.equal(xml(getFormat('rss').render([], feed))('atom\\:link[rel="self"]').attr('href'), feed.links.rss);
+        assert.equal(xml(getFormat('atom').render([], feed))('feed > link[rel="self"]').attr('href'), feed.links.atom);
+        assert.equal(JSON.parse(getFormat('json').render([], feed)).feed_url, feed.links.json);
+    });
+
+    it('are looked up by name', () => {
+        assert.deepEqual(Object.values(formats).map(format => [format.name, format.fileName, format.contentType]), [
+            ['rss', 'feed.xml', 'application/rss+xml'],
+            ['atom', 'atom.xml', 'application/atom+xml'],
+            ['json', 'feed.json', 'application/feed+json']
+        ]);
+        assert.throws(() => getFormat('pdf'), /Unknown feed format "pdf" \(available: rss, atom, json\)/);
+        assert.throws(() => new EvertKwokScraper({ formats: ['rss', 'pdf'] }), /Unknown feed format "pdf"/);
+    });
+});
+
+describe('--formats', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('writes only the formats asked for, next to the output', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'evert-kwok-rss-'));
+        const scraper = new EvertKwokScraper({ outputFile: path.join(dir, 'feed.xml'), archiveFile: path.join(dir, 'archive.json'), probeImages: false, formats: ['rss', 'json'] });
+        scraper.scrapeCartoons = async () => records().map(record => ({ ...record, postUrl: undefined }));
+        await scraper.run();
+
+        const files = await fs.readdir(dir);
+        assert.ok(files.includes('feed.xml') && files.includes('feed.json'));
+        assert.equal(files.includes('atom.xml'), false);
+        assert.equal(JSON.parse(await fs.readFile(path.join(dir, 'feed.json'), 'utf8')).items.length, 2);
+    });
+});
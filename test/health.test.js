@@ -0,0 +1,188 @@
+// test/health.test.js - Health checks against recent runs and the page structure dump
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { HealthMonitor } = require('../src/health');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+const NOW = new Date('2026-08-10T06:00:00Z');
+
+function run(overrides = {}) {
+    return {
+        time: '2026-08-01T06:00:00.000Z',
+        found: 10,
+        selectors: { 'article img': 10, '.entry-content img': 10, 'figure img': 0 },
+        dateFallbacks: 0,
+        titleFallbacks: 0,
+        latestDate: '2026-08-03',
+        ...overrides
+    };
+}
+
+function monitorWith(runs, options = {}) {
+    const monitor = new HealthMonitor(options);
+    monitor.runs = runs;
+    return monitor;
+}
+
+function statuses(health) {
+    return Object.fromEntries(health.checks.map(check => [check.name, check.status]));
+}
+
+describe('HealthMonitor', () => {
+    it('passes a run that looks like the earlier ones', () => {
+        const health = monitorWith([run(), run(), run()]).check(run(), { now: NOW });
+        assert.equal(health.status, 'ok');
+        assert.deepEqual(statuses(health), { selectors: 'ok', found: 'ok', dates: 'ok', titles: 'ok', freshness: 'ok' });
+    });
+
+    it('warns when a selector stops matching and fails when all of them do', () => {
+        const history = [run(), run(), run()];
+        const drifted = monitorWith(history).check(run({ selectors: { 'article img': 0, '.entry-content img': 10, 'figure img': 0 } }), { now: NOW });
+        assert.equal(drifted.status, 'warning');
+        assert.match(drifted.checks[0].message, /no longer match a cartoon: article img$/);
+
+        const broken = monitorWith(history).check(run({ found: 2, selectors: { 'article img': 0, '.entry-content img': 0, 'figure img': 2 } }), { now: NOW });
+        assert.equal(broken.status, 'failing');
+        assert.deepEqual(statuses(broken), { selectors: 'failing', found: 'warning', dates: 'ok', titles: 'ok', freshness: 'ok' });
+        assert.equal(broken.checks[1].message, 'found 2 cartoons, usually 10');
+    });
+
+    it('only compares with earlier runs once there are enough of them', () => {
+        const health = monitorWith([run()]).check(run({ found: 1, selectors: { 'article img': 0 } }), { now: NOW });
+        assert.deepEqual(Object.keys(statuses(health)), ['dates', 'titles', 'freshness']);
+    });
+
+    it('fails on dates guessed as today unless the site always lacked them', () => {
+        const guessed = run({ dateFallbacks: 6, titleFallbacks: 6 });
+        assert.deepEqual(statuses(monitorWith([]).check(guessed, { now: NOW })), { dates: 'failing', titles: 'warning', freshness: 'ok' });
+        assert.deepEqual(statuses(monitorWith([run({ dateFallbacks: 7 })]).check(guessed, { now: NOW })), { dates: 'ok', titles: 'warning', freshness: 'ok' });
+        assert.equal(statuses(monitorWith([]).check(run({ dateFallbacks: 3 }), { now: NOW })).dates, 'warning');
+    });
+
+    it('warns when the newest cartoon is older than --stale-days', () => {
+        const health = monitorWith([], { staleDays: 5 }).check(run(), { listing: false, now: NOW });
+        assert.equal(health.status, 'warning');
+        assert.deepEqual(health.checks, [{ name: 'freshness', status: 'warning', message: 'the newest cartoon is from 2026-08-03, 7 days ago (more than 5)' }]);
+    });
+
+    it('only records runs that differ from the previous one and keeps the history short', () => {
+        const monitor = monitorWith([], { history: 2 });
+        assert.equal(monitor.record(run()), true);
+        assert.equal(monitor.record(run({ time: '2026-08-02T06:00:00.000Z' })), false);
+        monitor.record(run({ found: 9 }));
+        monitor.record(run({ found: 8 }));
+        assert.deepEqual(monitor.runs.map(earlier => earlier.found), [9, 8]);
+    });
+});
+
+describe('--health', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer();
+        mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    // The fixtures do not get newer, so freshness is left out of these runs
+    function healthScraper(dir, options = {}) {
+        return createScraper(dir, {
+            baseUrl: `${server.url}/cartoon/`,
+            health: true,
+            healthFile: path.join(dir, 'health.json'),
+            healthDumpDir: path.join(dir, 'health-dumps'),
+            staleDays: 100000,
+            ...options
+        });
+    }
+
+    async function seedHistory(dir, selectors) {
+        const runs = [1, 2, 3].map(day => run({ time: `2026-08-0${day}T06:00:00.000Z`, found: 2, selectors }));
+        await fs.writeFile(path.join(dir, 'health.json'), JSON.stringify({ version: 1, runs }));
+    }
+
+    it('records the selectors that matched and the fallbacks of every run', async () => {
+        const dir = await createTempDir();
+        const scraper = healthScraper(dir);
+        await scraper.run();
+
+        assert.equal(scraper.report.health.status, 'ok');
+        const { runs } = JSON.parse(await fs.readFile(path.join(dir, 'health.json'), 'utf8'));
+        assert.equal(runs.length, 1);
+        assert.equal(runs[0].found, 2);
+        assert.equal(runs[0].selectors['article img'], 2);
+        assert.equal(runs[0].selectors['.gallery img'], 0);
+        assert.equal(runs[0].dateFallbacks, 0);
+        await assert.rejects(fs.access(path.join(dir, 'health-dumps')));
+    });
+
+    it('warns about selector drift and writes the structure of the listing page', async () => {
+        const dir = await createTempDir();
+        await seedHistory(dir, { 'article img': 2, '.cartoon-image img': 2 });
+        const scraper = healthScraper(dir);
+        await scraper.run();
+
+        const { health } = scraper.report;
+        assert.equal(health.status, 'warning');
+        assert.match(health.checks.find(check => check.name === 'selectors').message, /no longer match a cartoon: \.cartoon-image img$/);
+
+        const dump = JSON.parse(await fs.readFile(path.join(dir, 'health-dumps', 'evert-kwok.json'), 'utf8'));
+        assert.equal(dump.health.status, 'warning');
+        assert.equal(dump.page.url, `${server.url}/cartoon/`);
+        assert.deepEqual(dump.page.selectors.find(match => match.selector === 'article img'), { selector: 'article img', elements: 2 });
+        assert.ok(dump.page.images.some(image => image.path.endsWith('article#post-1131.post-1131.post.type-post > div.entry-content > figure.wp-block-image.size-large > img')));
+        assert.ok(dump.page.outline.includes('    div.entry-content'));
+    });
+
+    it('keeps the published feed when every selector that used to match stopped matching', async () => {
+        const dir = await createTempDir();
+        await seedHistory(dir, { '.cartoon-image img': 2, 'article img': 0 });
+        const scraper = healthScraper(dir, { selectors: ['.cartoon-image img', 'article img'] });
+
+        await assert.rejects(scraper.run(), { name: 'HealthCheckError', message: /none of the selectors that found cartoons in the last 3 runs matches a cartoon: \.cartoon-image img/ });
+        await assert.rejects(fs.access(path.join(dir, 'feed.xml')));
+        assert.equal(scraper.report.status, 'failed');
+        assert.equal(scraper.report.health.status, 'failing');
+        await fs.access(path.join(dir, 'health-dumps', 'evert-kwok.json'));
+
+        // --force publishes anyway and accepts the new layout
+        const forced = healthScraper(dir, { selectors: ['.cartoon-image img', 'article img'], force: true });
+        await forced.run();
+        await fs.access(path.join(dir, 'feed.xml'));
+        const { runs } = JSON.parse(await fs.readFile(path.join(dir, 'health.json'), 'utf8'));
+        assert.equal(runs.length, 4);
+    });
+
+    it('records only runs that were published', async () => {
+        const dir = await createTempDir();
+        // A published feed with many more items makes this run refuse to publish
+        const items = Array.from({ length: 10 }, (unused, index) => `<item><title>${index}</title></item>`).join('');
+        await fs.writeFile(path.join(dir, 'feed.xml'), `<?xml version="1.0"?><rss version="2.0"><channel>${items}</channel></rss>`);
+
+        const scraper = healthScraper(dir);
+        await assert.rejects(scraper.run(), /Item count dropped from 10 to 2/);
+        assert.equal(scraper.report.health.status, 'ok');
+        await assert.rejects(fs.access(path.join(dir, 'health.json')));
+
+        await healthScraper(dir, { force: true }).run();
+        const { runs } = JSON.parse(await fs.readFile(path.join(dir, 'health.json'), 'utf8'));
+        assert.equal(runs.length, 1);
+    });
+
+    it('describes the listing page when it has no cartoons at all', async () => {
+        const dir = await createTempDir();
+        const scraper = healthScraper(dir, { selectors: ['.cartoon-image img'] });
+        await assert.rejects(scraper.run(), /No cartoons found/);
+
+        const dump = JSON.parse(await fs.readFile(path.join(dir, 'health-dumps', 'evert-kwok.json'), 'utf8'));
+        assert.equal(dump.health.checks[0].name, 'cartoons');
+        assert.ok(dump.page.images.length > 0);
+    });
+});
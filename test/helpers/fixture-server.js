@@ -0,0 +1,59 @@
+// test/helpers/fixture-server.js - Local HTTP stand-in serving saved pages from test/fixtures
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+// Serves `root` on a random port; directories resolve to index.html and every
+// response carries an ETag so conditional requests can be exercised
+async function startFixtureServer(root = path.join(__dirname, '..', 'fixtures', 'site')) {
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers });
+
+        const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        const file = path.join(root, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+
+        let body;
+        try {
+            body = await fs.readFile(file);
+        } catch {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+
+        const etag = `"${body.length}-${path.basename(file)}"`;
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag });
+            res.end();
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Content-Length': body.length,
+            ETag: etag
+        });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startFixtureServer };
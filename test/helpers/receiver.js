@@ -0,0 +1,36 @@
+// test/helpers/receiver.js - Local HTTP stand-in for a WebSub hub and webhook endpoints
+const http = require('http');
+
+// Records every request on a random port and answers with `statuses[path]`, 204 by default
+async function startReceiver(statuses = {}) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            requests.push({
+                method: req.method,
+                path: req.url,
+                headers: req.headers,
+                body,
+                json: /json/.test(req.headers['content-type'] || '') ? JSON.parse(body) : null,
+                form: /x-www-form-urlencoded/.test(req.headers['content-type'] || '') ? new URLSearchParams(body) : null
+            });
+            res.writeHead(statuses[req.url] || 204);
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startReceiver };
@@ -0,0 +1,29 @@
+// test/helpers/scraper.js - Scraper instances that write to a temporary directory
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CartoonScraper = require('../../src/scraper');
+
+async function createTempDir() {
+    return fs.mkdtemp(path.join(os.tmpdir(), 'evert-kwok-rss-'));
+}
+
+// Fast, quiet defaults: no politeness delays, a single attempt per request and no
+// robots.txt, which stand-in clients and fixture sites do not have
+function createScraper(dir, options = {}) {
+    return new CartoonScraper({
+        outputFile: path.join(dir, 'feed.xml'),
+        archiveFile: path.join(dir, 'archive.json'),
+        httpCacheFile: path.join(dir, 'http-cache.json'),
+        maxRetries: 1,
+        retryDelay: 0,
+        robots: false,
+        hostDelay: 0,
+        pageDelay: 0,
+        postDelay: 0,
+        probeDelay: 0,
+        ...options
+    });
+}
+
+module.exports = { createTempDir, createScraper };
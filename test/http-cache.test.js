@@ -0,0 +1,164 @@
+// test/http-cache.test.js - ETag/Last-Modified validators and runs that find nothing new
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const HttpCache = require('../src/http-cache');
+const EvertKwokScraper = require('../src/scraper');
+
+const LISTING = 'https://www.evertkwok.nl/cartoon/';
+
+const PAGES = {
+    '/cartoon/': `<html><body>
+        <article><h2 class="entry-title"><a href="/2026/08/grote-boze-wolf/">1131 Grote boze wolf</a></h2>
+            <img src="/wp-content/uploads/2026/08/1131-grote-bose-wolf.png" alt="Grote boze wolf"></article>
+        <article><h2 class="entry-title"><a href="/2026/07/bos/">416 Bos</a></h2>
+            <img src="/wp-content/uploads/2026/07/416bos.jpg" alt="Bos"></article>
+    </body></html>`,
+    '/2026/08/grote-boze-wolf/': '<html><body><article><h1 class="entry-title">1131 Grote boze wolf</h1><time class="entry-date" datetime="2026-08-03T09:00:00+02:00"></time></article></body></html>',
+    '/2026/07/bos/': '<html><body><article><h1 class="entry-title">416 Bos</h1><time class="entry-date" datetime="2026-07-14T08:30:00+02:00"></time></article></body></html>'
+};
+
+async function createTempDir() {
+    return fs.mkdtemp(path.join(os.tmpdir(), 'evert-kwok-rss-'));
+}
+
+function createScraper(dir, options = {}) {
+    return new EvertKwokScraper({
+        outputFile: path.join(dir, 'feed.xml'),
+        archiveFile: path.join(dir, 'archive.json'),
+        httpCacheFile: path.join(dir, 'http-cache.json'),
+        probeImages: false,
+        postDelay: 0,
+        retryDelay: 0,
+        robots: false,
+        hostDelay: 0,
+        ...options
+    });
+}
+
+describe('HttpCache', () => {
+    it('sends back the validators of the last full response', () => {
+        const cache = new HttpCache({ file: '/nonexistent/http-cache.json' });
+        assert.deepEqual(cache.headersFor(LISTING), {});
+
+        cache.update(LISTING, { status: 200, headers: { etag: '"abc"', 'last-modified': 'Mon, 03 Aug 2026 07:00:00 GMT' } });
+        assert.deepEqual(cache.headersFor(LISTING), { 'If-None-Match': '"abc"', 'If-Modified-Since': 'Mon, 03 Aug 2026 07:00:00 GMT' });
+        assert.equal(cache.dirty, true);
+    });
+
+    it('keeps the validators on 304 and forgets them when the site stops sending any', () => {
+        const cache = new HttpCache({ file: '/nonexistent/http-cache.json' });
+        cache.update(LISTING, { status: 200, headers: { etag: '"abc"' } });
+        cache.dirty = false;
+
+        cache.update(LISTING, { status: 304, headers: {} });
+        cache.update(LISTING, { status: 200, headers: { etag: '"abc"' } });
+        assert.equal(cache.dirty, false);
+
+        cache.update(LISTING, { status: 200, headers: {} });
+        assert.deepEqual(cache.headersFor(LISTING), {});
+        assert.equal(cache.dirty, true);
+    });
+
+    it('only writes when something changed and survives an unreadable file', async () => {
+        const file = path.join(await createTempDir(), 'http-cache.json');
+        const cache = new HttpCache({ file });
+        await cache.save();
+        await assert.rejects(fs.access(file));
+
+        cache.update(LISTING, { status: 200, headers: { etag: '"abc"' } });
+        await cache.save();
+        assert.deepEqual((await new HttpCache({ file }).load()).headersFor(LISTING), { 'If-None-Match': '"abc"' });
+
+        await fs.writeFile(file, '{ not json');
+        assert.deepEqual((await new HttpCache({ file }).load()).entries, {});
+    });
+});
+
+describe('conditional runs', () => {
+    let server;
+    const requests = [];
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        // Every page carries an ETag so conditional requests can be answered with 304
+        server = http.createServer((req, res) => {
+            requests.push({ url: req.url, headers: req.headers });
+            const body = PAGES[req.url];
+            if (!body) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found');
+                return;
+            }
+
+            const etag = `"${body.length}"`;
+            if (req.headers['if-none-match'] === etag) {
+                res.writeHead(304, { ETag: etag });
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ETag: etag });
+            res.end(body);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        server.url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const options = () => ({ baseUrl: `${server.url}/cartoon/` });
+    const read = dir => Promise.all(['feed.xml', 'archive.json', 'http-cache.json'].map(file => fs.readFile(path.join(dir, file), 'utf8')));
+
+    it('write nothing when the listing answers 304', async () => {
+        const dir = await createTempDir();
+        assert.equal((await createScraper(dir, options()).run()).cartoonCount, 2);
+        const files = await read(dir);
+
+        const from = requests.length;
+        const result = await createScraper(dir, options()).run();
+
+        assert.equal(result.changed, false);
+        // Post pages are not fetched for a listing that did not change
+        assert.deepEqual(requests.slice(from).map(request => request.url), ['/cartoon/']);
+        assert.ok(requests[from].headers['if-none-match']);
+        assert.deepEqual(await read(dir), files);
+    });
+
+    it('leave the feed alone when a full download finds the same cartoons', async () => {
+        const dir = await createTempDir();
+        await createScraper(dir, options()).run();
+        const files = await read(dir);
+
+        const result = await createScraper(dir, { ...options(), conditional: false }).run();
+        assert.equal(result.changed, false);
+        assert.deepEqual(await read(dir), files);
+    });
+
+    it('ask again when the archive is gone', async () => {
+        const dir = await createTempDir();
+        await createScraper(dir, options()).run();
+        await fs.unlink(path.join(dir, 'archive.json'));
+
+        const from = requests.length;
+        const result = await createScraper(dir, options()).run();
+
+        const listing = requests.slice(from).find(request => request.url === '/cartoon/');
+        assert.equal(listing.headers['if-none-match'], undefined);
+        assert.equal(result.cartoonCount, 2);
+    });
+
+    it('remember validators only once the feed behind them was published', async () => {
+        const dir = await createTempDir();
+        const items = Array.from({ length: 10 }, (unused, index) => `<item><title>${index}</title></item>`).join('');
+        await fs.writeFile(path.join(dir, 'feed.xml'), `<?xml version="1.0"?><rss version="2.0"><channel>${items}</channel></rss>`);
+
+        await assert.rejects(createScraper(dir, options()).run(), /Item count dropped/);
+        await assert.rejects(fs.access(path.join(dir, 'http-cache.json')));
+    });
+});
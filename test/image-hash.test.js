@@ -0,0 +1,187 @@
+// test/image-hash.test.js - Perceptual hashes and merging re-uploads that look the same
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const CartoonArchive = require('../src/archive');
+const ImageHasher = require('../src/image-hash');
+const { differenceHash, hammingDistance } = require('../src/image-hash');
+const { loadSharp } = require('../src/image-mirror');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+const sharp = loadSharp();
+const NO_SHARP = !sharp && 'sharp is not installed';
+
+const WOLF = '<circle cx="120" cy="150" r="80" fill="#333"/><rect x="230" y="60" width="120" height="180" fill="#888"/><path d="M0 300 L200 200 L400 300 Z" fill="#555"/>';
+const BOS = '<rect x="30" y="30" width="100" height="240" fill="#2a2"/><circle cx="300" cy="100" r="60" fill="#a62"/><rect x="180" y="200" width="200" height="60" fill="#444"/>';
+
+function drawing(shapes) {
+    return sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300"><rect width="400" height="300" fill="#fff"/>${shapes}</svg>`)).png().toBuffer();
+}
+
+describe('differenceHash', () => {
+    it('sets a bit where a pixel is clearly darker than its right neighbour', () => {
+        const rising = Array.from({ length: 72 }, (unused, index) => (index % 9) * 20);
+        assert.equal(differenceHash(rising), 'ffffffffffffffff');
+        assert.equal(differenceHash(rising.map(value => 160 - value)), '0000000000000000');
+    });
+
+    it('gives blank images no hash, they would all look alike', () => {
+        assert.equal(differenceHash(new Array(72).fill(255)), null);
+        assert.equal(differenceHash(Array.from({ length: 72 }, (unused, index) => 250 + (index % 3))), null);
+    });
+
+    it('counts the bits in which two hashes differ', () => {
+        assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+        assert.equal(hammingDistance('4833331b1b330f33', '4833331b1b330f32'), 1);
+        assert.equal(hammingDistance('4833331b1b330f33', '4833331b1b330f33'), 0);
+    });
+
+    it('stays the same when a drawing is resized and recompressed', { skip: NO_SHARP }, async () => {
+        const hasher = new ImageHasher({ sharp });
+        const original = await drawing(WOLF);
+        const [wolf, resized, converted, bos] = await Promise.all([
+            original,
+            sharp(original).resize(280).jpeg({ quality: 60 }).toBuffer(),
+            sharp(original).webp().toBuffer(),
+            drawing(BOS)
+        ].map(async buffer => hasher.hashBuffer(await buffer)));
+
+        assert.ok(hammingDistance(wolf, resized) <= 2, `${wolf} ${resized}`);
+        assert.ok(hammingDistance(wolf, converted) <= 2, `${wolf} ${converted}`);
+        assert.ok(hammingDistance(wolf, bos) > 16, `${wolf} ${bos}`);
+    });
+});
+
+describe('removeSimilarImages', () => {
+    function record(url, extra) {
+        return { url, title: 'Grote bose wolf', date: new Date('2026-08-01T00:00:00Z'), dateSource: 'url', ...extra };
+    }
+    const rankTitle = cartoon => (cartoon.postFetched ? 2 : 0);
+
+    it('folds a look-alike into the first cartoon with the earliest date and best title', () => {
+        const archive = new CartoonArchive({ rankTitle });
+        archive.merge([record('https://a.test/uploads/2026/08/grote-bose-wolf.png', { postId: '1131', phash: { hash: '4833331b1b330f33' } })], new Date('2026-08-03'));
+        archive.merge([
+            record('https://a.test/uploads/2026/09/wolf-instagram.jpg', {
+                postId: '1140', title: 'Grote boze wolf', postFetched: true,
+                date: new Date('2026-08-03T07:00:00Z'), dateSource: 'post', phash: { hash: '4833331b1b330f30' }
+            }),
+            record('https://a.test/uploads/2026/07/bos.jpg', { postId: '1130', title: 'Bos', phash: { hash: '7373737373656561' } })
+        ], new Date('2026-09-01'));
+
+        const merged = archive.removeSimilarImages(6);
+        assert.deepEqual(merged, [{
+            kept: { id: 'post-1131', url: 'https://a.test/uploads/2026/08/grote-bose-wolf.png', title: 'Grote boze wolf' },
+            merged: { id: 'post-1140', url: 'https://a.test/uploads/2026/09/wolf-instagram.jpg', title: 'Grote boze wolf' },
+            distance: 2
+        }]);
+
+        // The first published item keeps its GUID and its place in the feed: the earliest date wins,
+        // also over a later one from a post page
+        const wolf = archive.getCartoons().find(cartoon => cartoon.id === 'post-1131');
+        assert.equal(archive.size, 2);
+        assert.equal(wolf.guid, 'tag:evertkwok.nl,2019:cartoon/post-1131');
+        assert.deepEqual([wolf.date.toISOString(), wolf.dateSource], ['2026-08-01T00:00:00.000Z', 'duplicates']);
+
+        // Scraping the re-upload again neither adds it nor overwrites the merged cartoon
+        const { added } = archive.merge([record('https://a.test/uploads/2026/09/wolf-instagram.jpg', { postId: '1140', title: 'Wolf voor Instagram' })]);
+        assert.equal(added.length, 0);
+        assert.equal(wolf.title, 'Grote boze wolf');
+        assert.equal(wolf.url, 'https://a.test/uploads/2026/08/grote-bose-wolf.png');
+    });
+
+    it('keeps the picked title and date when the first cartoon is scraped again', async () => {
+        const file = path.join(await createTempDir(), 'archive.json');
+        const archive = new CartoonArchive({ file, rankTitle });
+        archive.merge([record('https://a.test/uploads/2025/11/piethagoras.png', { postId: '900', title: 'Piethagoras', date: new Date('2025-11-01T00:00:00Z'), phash: { hash: '4833331b1b330f33' } })], new Date('2025-11-02'));
+        archive.merge([record('https://a.test/uploads/2026/03/pythagoras-groot.png', {
+            postId: '1000', title: 'De stelling van Pythagoras', postFetched: true,
+            date: new Date('2026-03-04T08:00:00Z'), dateSource: 'post', phash: { hash: '4833331b1b330f31' }
+        })], new Date('2026-03-04'));
+        archive.removeSimilarImages(6);
+        await archive.save();
+
+        // The next run loads the archive and finds the original on the listing, with a later post date
+        const next = await new CartoonArchive({ file, rankTitle }).load();
+        const { updated } = next.merge([record('https://a.test/uploads/2025/11/piethagoras.png', {
+            postId: '900', title: 'Piethagoras', date: new Date('2025-11-05T09:00:00Z'), dateSource: 'post', phash: { hash: '4833331b1b330f33' }
+        })]);
+        const [kept] = next.getCartoons();
+        assert.equal(updated, 0);
+        assert.equal(next.dirty, false);
+        assert.deepEqual([kept.id, kept.title, kept.date.toISOString()], ['post-900', 'De stelling van Pythagoras', '2025-11-01T00:00:00.000Z']);
+    });
+
+    it('leaves cartoons apart that differ in more bits than the threshold', () => {
+        const archive = new CartoonArchive();
+        archive.merge([
+            record('https://a.test/uploads/a.png', { postId: '1', phash: { hash: '4833331b1b330f33' } }),
+            record('https://a.test/uploads/b.png', { postId: '2', phash: { hash: '4833331b1b330fcc' } }),
+            record('https://a.test/uploads/c.png', { postId: '3', phash: { hash: null } })
+        ]);
+        assert.deepEqual(archive.removeSimilarImages(6), []);
+        assert.equal(archive.size, 3);
+    });
+});
+
+describe('--dedupe-images', () => {
+    let site;
+    let server;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        if (!sharp) {
+            return;
+        }
+        // The fixture site with a real drawing for the wolf and a smaller JPEG of it in a later post
+        site = await createTempDir();
+        await fs.cp(path.join(__dirname, 'fixtures', 'site'), site, { recursive: true });
+        const wolf = await drawing(WOLF);
+        await fs.writeFile(path.join(site, 'wp-content', 'uploads', '2026', '08', '1131-grote-bose-wolf.png'), wolf);
+        await fs.mkdir(path.join(site, 'wp-content', 'uploads', '2026', '09'), { recursive: true });
+        await fs.writeFile(path.join(site, 'wp-content', 'uploads', '2026', '09', 'wolf-instagram.jpg'), await sharp(wolf).resize(300).jpeg({ quality: 70 }).toBuffer());
+
+        const listing = path.join(site, 'cartoon', 'index.html');
+        await fs.writeFile(listing, (await fs.readFile(listing, 'utf8')).replace('    </main>', `        <article id="post-1140" class="post-1140 post type-post">
+            <h2 class="entry-title"><a href="/2026/09/wolf-instagram/" rel="bookmark">Wolf voor Instagram</a></h2>
+            <img src="/wp-content/uploads/2026/09/wolf-instagram.jpg" alt="">
+        </article>
+    </main>`));
+        server = await startFixtureServer(site);
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        if (server) {
+            await server.close();
+        }
+    });
+
+    it('publishes a re-upload of a known drawing once and reports the merge', { skip: NO_SHARP }, async () => {
+        const dir = await createTempDir();
+        const options = { baseUrl: `${server.url}/cartoon/`, dedupeImages: true };
+        const scraper = createScraper(dir, options);
+        await scraper.run();
+
+        assert.deepEqual(scraper.published.map(cartoon => cartoon.title), ['1131 Grote boze wolf', '416 Bos']);
+        const [duplicate] = scraper.report.duplicates;
+        assert.equal(scraper.report.duplicates.length, 1);
+        assert.equal(duplicate.kept.url, `${server.url}/wp-content/uploads/2026/08/1131-grote-bose-wolf.png`);
+        assert.equal(duplicate.merged.url, `${server.url}/wp-content/uploads/2026/09/wolf-instagram.jpg`);
+        assert.equal(scraper.report.items.new, 2);
+
+        // The hash is stored with the cartoon, so the next run hashes nothing and adds nothing
+        const archive = JSON.parse(await fs.readFile(path.join(dir, 'archive.json'), 'utf8'));
+        const wolf = archive.cartoons.find(cartoon => cartoon.id === 'post-1131');
+        assert.match(wolf.phash.hash, /^[0-9a-f]{16}$/);
+        assert.ok(wolf.aliases.includes('post:1140'));
+
+        const again = createScraper(dir, { ...options, conditional: false });
+        await again.run();
+        assert.equal(again.report.items.new, 0);
+        assert.deepEqual(again.report.duplicates, []);
+        assert.equal(again.published.length, 2);
+    });
+});
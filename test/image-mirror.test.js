@@ -0,0 +1,79 @@
+// test/image-mirror.test.js - Local copies of cartoon images
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const ImageMirror = require('../src/image-mirror');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+describe('--mirror', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer();
+        mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    it('serves the feed images from the mirror and credits the original', async () => {
+        const dir = await createTempDir();
+        const scraper = createScraper(dir, {
+            baseUrl: `${server.url}/cartoon/`,
+            pagesUrl: 'https://example.github.io/evert-kwok-rss',
+            mirror: true,
+            mirrorDir: path.join(dir, 'images'),
+            validate: true
+        });
+        // Only the PNG fixture exists, the JPEG falls back to hotlinking
+        await scraper.run();
+
+        const stored = await fs.readFile(path.join(dir, 'images', 'post-1131.png'));
+        assert.equal(stored.length, 135);
+
+        const rss = new XMLParser({ ignoreAttributes: false }).parse(await fs.readFile(path.join(dir, 'feed.xml'), 'utf8'));
+        const [wolf, bos] = rss.rss.channel.item;
+        const media = wolf['media:content'];
+
+        assert.equal(wolf.enclosure['@_url'], 'https://example.github.io/evert-kwok-rss/images/post-1131.png');
+        assert.equal(media['@_url'], 'https://example.github.io/evert-kwok-rss/images/post-1131.png');
+        assert.equal(media['media:credit']['#text'], 'Evert Kwok');
+        assert.equal(media['media:backLinks']['media:backLink'], `${server.url}/wp-content/uploads/2026/08/1131-grote-bose-wolf.png`);
+        assert.match(wolf['content:encoded'], /Origineel: <a href="http:\/\/127\.0\.0\.1:\d+\/wp-content\/uploads\/2026\/08\/1131-grote-bose-wolf\.png"/);
+        assert.equal(bos.enclosure['@_url'], `${server.url}/wp-content/uploads/2026/07/416bos.jpg`);
+
+        if (scraper.imageMirror.sharp) {
+            assert.equal(media['media:thumbnail']['@_url'], 'https://example.github.io/evert-kwok-rss/images/thumbs/post-1131.jpg');
+            await fs.access(path.join(dir, 'images', 'thumbs', 'post-1131.jpg'));
+        }
+    });
+});
+
+describe('ImageMirror', () => {
+    it('removes files that no archived cartoon refers to', async () => {
+        const dir = await createTempDir();
+        const mirror = new ImageMirror({ dir: path.join(dir, 'images'), sharp: null });
+        await fs.mkdir(path.join(dir, 'images', 'thumbs'), { recursive: true });
+        for (const name of ['keep.png', 'gone.png', 'thumbs/keep.jpg', 'thumbs/gone.jpg']) {
+            await fs.writeFile(path.join(dir, 'images', name), 'x');
+        }
+
+        const removed = await mirror.collectGarbage([
+            { mirror: { path: 'images/keep.png', thumbnail: { path: 'images/thumbs/keep.jpg' } } }
+        ]);
+
+        assert.deepEqual(removed.map(file => path.relative(dir, file)).sort(), ['images/gone.png', 'images/thumbs/gone.jpg']);
+        assert.deepEqual((await fs.readdir(path.join(dir, 'images'))).sort(), ['keep.png', 'thumbs']);
+    });
+
+    it('names copies after the archive id', () => {
+        const mirror = new ImageMirror({ sharp: null });
+        assert.equal(mirror.fileNameFor({ id: 'post-1131', url: 'https://a.test/uploads/Wolf.PNG?ver=2' }), 'post-1131.png');
+        assert.equal(mirror.fileNameFor({ id: 'SK2025 012/tas', url: 'https://a.test/uploads/tas.jpg' }), 'sk2025-012-tas.jpg');
+    });
+});
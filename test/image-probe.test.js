@@ -0,0 +1,139 @@
+// test/image-probe.test.js - Image types, dimensions and sizes read from the first bytes of a ranged request
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ImageProbe = require('../src/image-probe');
+const { RequestBudgetError, RobotsDisallowedError } = require('../src/polite-http');
+
+// SOI, an APP0 segment to skip and a baseline frame of 640x480
+const JPEG = Buffer.from([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+    0xff, 0xc0, 0x00, 0x11, 0x08, 0x01, 0xe0, 0x02, 0x80, 0x03, 0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01
+]);
+const GIF = Buffer.concat([Buffer.from('GIF89a', 'ascii'), Buffer.from([0x40, 0x01, 0xc8, 0x00, 0xf7, 0x00, 0x00])]);
+
+// RIFF container with one chunk of `payload` at offset 20
+function webp(chunk, payload) {
+    const header = Buffer.alloc(20);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(12 + payload.length, 4);
+    header.write('WEBP', 8, 'ascii');
+    header.write(chunk, 12, 'ascii');
+    header.writeUInt32LE(payload.length, 16);
+    return Buffer.concat([header, payload]);
+}
+
+function vp8x(width, height) {
+    const payload = Buffer.alloc(10);
+    payload.writeUIntLE(width - 1, 4, 3);
+    payload.writeUIntLE(height - 1, 7, 3);
+    return webp('VP8X', payload);
+}
+
+function vp8l(width, height) {
+    const payload = Buffer.alloc(10);
+    payload[0] = 0x2f;
+    payload.writeUInt32LE((width - 1) | ((height - 1) << 14), 1);
+    return webp('VP8L', payload);
+}
+
+function vp8(width, height) {
+    const payload = Buffer.alloc(10);
+    payload.set([0x9d, 0x01, 0x2a], 3);
+    payload.writeUInt16LE(width, 6);
+    payload.writeUInt16LE(height, 8);
+    return webp('VP8 ', payload);
+}
+
+function httpError(status) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers: {} } });
+}
+
+// Stand-in client: `get` answers or fails as given, `head` answers with the size and type
+function client(get) {
+    const calls = [];
+    return {
+        calls,
+        async get(url, options) {
+            calls.push(['GET', options.headers.Range]);
+            return get();
+        },
+        async head() {
+            calls.push(['HEAD']);
+            return { status: 200, headers: { 'content-length': '4096', 'content-type': 'image/png' } };
+        }
+    };
+}
+
+describe('readHeader', () => {
+    it('reads JPEG frames after the segments before them', () => {
+        assert.deepEqual(ImageProbe.readHeader(JPEG), { type: 'image/jpeg', width: 640, height: 480 });
+    });
+
+    it('reads the three kinds of WebP', () => {
+        assert.deepEqual(ImageProbe.readHeader(vp8x(1200, 900)), { type: 'image/webp', width: 1200, height: 900 });
+        assert.deepEqual(ImageProbe.readHeader(vp8l(300, 200)), { type: 'image/webp', width: 300, height: 200 });
+        assert.deepEqual(ImageProbe.readHeader(vp8(800, 600)), { type: 'image/webp', width: 800, height: 600 });
+    });
+
+    it('reads GIF screen sizes', () => {
+        assert.deepEqual(ImageProbe.readHeader(GIF), { type: 'image/gif', width: 320, height: 200 });
+    });
+
+    it('knows the type of a truncated header without guessing its size', () => {
+        assert.deepEqual(ImageProbe.readHeader(JPEG.subarray(0, 24)), { type: 'image/jpeg', width: null, height: null });
+        assert.deepEqual(ImageProbe.readHeader(webp('ALPH', Buffer.alloc(10))), { type: 'image/webp', width: null, height: null });
+        assert.equal(ImageProbe.readHeader(GIF.subarray(0, 8)), null);
+        assert.equal(ImageProbe.readHeader(vp8x(1200, 900).subarray(0, 28)), null);
+        assert.equal(ImageProbe.readHeader(Buffer.from('<html>')), null);
+    });
+});
+
+describe('contentLength', () => {
+    const buffer = Buffer.alloc(100);
+
+    it('takes the total size from Content-Range', () => {
+        assert.equal(ImageProbe.contentLength({ status: 206, headers: { 'content-range': 'bytes 0-65535/123456', 'content-length': '65536' } }, buffer), 123456);
+    });
+
+    it('takes Content-Length only from full responses', () => {
+        assert.equal(ImageProbe.contentLength({ status: 200, headers: { 'content-length': '4096' } }, buffer), 4096);
+        assert.equal(ImageProbe.contentLength({ status: 206, headers: { 'content-length': '65536' } }, buffer), null);
+        assert.equal(ImageProbe.contentLength({ status: 206, headers: { 'content-range': 'bytes 0-65535/*' } }, buffer), null);
+        // A full response without the header is as long as its body
+        assert.equal(ImageProbe.contentLength({ status: 200, headers: {} }, buffer), 100);
+    });
+});
+
+describe('probe', () => {
+    const url = 'https://www.evertkwok.nl/wp-content/uploads/2026/08/wolf.jpg';
+
+    it('reads the first bytes with a ranged request', async () => {
+        const http = client(() => ({ status: 206, headers: { 'content-range': 'bytes 0-38/5000' }, data: JPEG }));
+        const image = await new ImageProbe({ http }).probe(url);
+
+        assert.deepEqual({ ...image, hash: typeof image.hash }, { url, length: 5000, type: 'image/jpeg', width: 640, height: 480, hash: 'string' });
+        assert.deepEqual(http.calls, [['GET', 'bytes=0-65535']]);
+    });
+
+    it('falls back to HEAD when the host rejects ranged requests', async () => {
+        const http = client(() => {
+            throw httpError(416);
+        });
+        const image = await new ImageProbe({ http }).probe(url);
+
+        assert.deepEqual(http.calls, [['GET', 'bytes=0-65535'], ['HEAD']]);
+        assert.deepEqual(image, { url, length: 4096, type: 'image/png', width: null, height: null, hash: null });
+    });
+
+    it('does not ask again for images that are missing or were refused', async () => {
+        const failures = [httpError(404), httpError(503), new RequestBudgetError(10), new RobotsDisallowedError(url, {}), Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' })];
+        for (const failure of failures) {
+            const http = client(() => {
+                throw failure;
+            });
+            await assert.rejects(new ImageProbe({ http }).probe(url), failure);
+            assert.deepEqual(http.calls, [['GET', 'bytes=0-65535']]);
+        }
+    });
+});
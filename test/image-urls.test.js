@@ -0,0 +1,52 @@
+// test/image-urls.test.js - srcset parsing and WordPress size variants of an upload
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSrcset, sizeFromUrl, stripSizeSuffix, rankCandidates } = require('../src/image-urls');
+
+const UPLOADS = 'https://www.evertkwok.nl/wp-content/uploads/2026/07';
+
+describe('parseSrcset', () => {
+    it('reads width and density descriptors', () => {
+        assert.deepEqual(parseSrcset(`${UPLOADS}/416bos-300x200.jpg 300w, ${UPLOADS}/416bos-768x512.jpg 768w`), [
+            { url: `${UPLOADS}/416bos-300x200.jpg`, width: 300, density: null },
+            { url: `${UPLOADS}/416bos-768x512.jpg`, width: 768, density: null }
+        ]);
+        assert.deepEqual(parseSrcset('/a.jpg 1x, /b.jpg 1.5x, /c.jpg'), [
+            { url: '/a.jpg', width: null, density: 1 },
+            { url: '/b.jpg', width: null, density: 1.5 },
+            { url: '/c.jpg', width: null, density: null }
+        ]);
+    });
+
+    it('keeps commas inside URLs and skips placeholders', () => {
+        assert.deepEqual(parseSrcset('https://i0.wp.com/x.jpg?resize=300,200 300w, data:image/gif;base64,R0lGOD 1w').map(candidate => candidate.url), [
+            'https://i0.wp.com/x.jpg?resize=300,200'
+        ]);
+        assert.deepEqual(parseSrcset(''), []);
+        assert.deepEqual(parseSrcset(undefined), []);
+    });
+});
+
+describe('size variants', () => {
+    it('map to the original upload', () => {
+        assert.equal(stripSizeSuffix(`${UPLOADS}/416bos-1536x1024.jpg`), `${UPLOADS}/416bos.jpg`);
+        assert.equal(stripSizeSuffix(`${UPLOADS}/416bos-768x512.jpg?ver=2`), `${UPLOADS}/416bos.jpg?ver=2`);
+        // Dimensions elsewhere in the name are part of the name
+        assert.equal(stripSizeSuffix(`${UPLOADS}/1920x1080-poster.jpg`), `${UPLOADS}/1920x1080-poster.jpg`);
+    });
+
+    it('tell their size', () => {
+        assert.deepEqual(sizeFromUrl(`${UPLOADS}/416bos-768x512.jpg`), { width: 768, height: 512 });
+        assert.equal(sizeFromUrl(`${UPLOADS}/416bos.jpg`), null);
+    });
+
+    it('rank below the original, the largest first', () => {
+        const ranked = rankCandidates([
+            { url: `${UPLOADS}/416bos-300x200.jpg`, width: null, density: null },
+            { url: `${UPLOADS}/416bos-768x512.jpg`, width: 768, density: null },
+            { url: `${UPLOADS}/416bos.jpg`, width: null, density: null },
+            { url: `${UPLOADS}/416bos-1536x1024.jpg`, width: null, density: null }
+        ]);
+        assert.deepEqual(ranked.map(candidate => candidate.url.split('/').pop()), ['416bos.jpg', '416bos-1536x1024.jpg', '416bos-768x512.jpg', '416bos-300x200.jpg']);
+    });
+});
@@ -0,0 +1,88 @@
+// test/locales.test.js - Message catalogs and a feed per locale
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { getLocale } = require('../src/locales');
+const { itemDescription } = require('../src/formats/common');
+const { loadConfig } = require('../src/config');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+describe('Locale', () => {
+    it('fills in parameters and escapes messages for HTML without escaping the parameters', () => {
+        const nl = getLocale('nl');
+        assert.equal(nl.t('site.monthIntro', { count: 3, author: 'Evert Kwok' }), '3 cartoons van Evert Kwok');
+        assert.equal(getLocale('en').html('site.visitArtist', { author: '<b>Tom & Jerry</b>' }), '🎨 Visit <b>Tom & Jerry</b>&apos;s Website');
+        assert.equal(nl.t('site.missing'), 'site.missing');
+    });
+
+    it('formats dates and picks channel texts per locale', () => {
+        const date = new Date('2026-08-03T12:00:00Z');
+        assert.equal(getLocale('nl').formatDate(date, { month: 'long', year: 'numeric', timeZone: 'UTC' }), 'augustus 2026');
+        assert.equal(getLocale('en').formatDate(date, { month: 'long', year: 'numeric', timeZone: 'UTC' }), 'August 2026');
+        assert.equal(getLocale('en').localize({ nl: 'Cartoons', en: 'Comics' }), 'Comics');
+        assert.equal(getLocale('en').localize('Cartoons'), 'Cartoons');
+    });
+
+    it('describes cartoons without a caption in the language of the feed', () => {
+        const feed = locale => ({ locale: getLocale(locale), author: { name: 'Evert Kwok' }, links: {} });
+        assert.equal(itemDescription({ title: 'Bos' }, feed('nl')), 'Cartoon van Evert Kwok: Bos');
+        assert.equal(itemDescription({ title: 'Bos' }, feed('en')), 'Cartoon by Evert Kwok: Bos');
+        assert.equal(itemDescription({ title: 'Bos', description: 'Door de bomen' }, feed('en')), 'Door de bomen');
+    });
+
+    it('rejects locales without a catalog', () => {
+        assert.throws(() => loadConfig({ args: ['--locale=nl,fr'], env: {}, cwd: '/nonexistent' }),
+            /locales contains unknown locales: fr \(available: nl, en\)/);
+    });
+});
+
+describe('--locale', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer();
+        mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    it('writes the first locale to the usual paths and every other one next to it', async () => {
+        const dir = await createTempDir();
+        const scraper = createScraper(dir, {
+            baseUrl: `${server.url}/cartoon/`,
+            pagesUrl: 'https://example.github.io/evert-kwok-rss',
+            formats: ['rss', 'atom'],
+            locales: ['nl', 'en'],
+            validate: true
+        });
+        const result = await scraper.run();
+
+        assert.deepEqual(result.outputs.map(output => path.basename(output.file)), ['feed.xml', 'atom.xml', 'feed.en.xml', 'atom.en.xml']);
+
+        const parser = new XMLParser({ ignoreAttributes: false });
+        const nl = parser.parse(await fs.readFile(path.join(dir, 'feed.xml'), 'utf8')).rss.channel;
+        assert.equal(nl.language, 'nl-NL');
+        assert.equal(nl.title, 'Evert Kwok - Educatieve cartoons');
+        assert.match(nl.copyright, /Alle rechten voorbehouden/);
+        assert.match(nl.item[0]['content:encoded'], /📅 \S+ 3 augustus 2026/);
+        assert.match(nl.item[0]['content:encoded'], /Over de tekenaar:/);
+
+        const en = parser.parse(await fs.readFile(path.join(dir, 'feed.en.xml'), 'utf8')).rss.channel;
+        assert.equal(en.language, 'en');
+        assert.equal(en.title, 'Evert Kwok Educational Cartoons');
+        assert.equal(en['atom:link']['@_href'], 'https://example.github.io/evert-kwok-rss/feed.en.xml');
+        assert.match(en.item[0]['content:encoded'], /📅 Monday,? 3 August 2026/);
+        assert.match(en.item[0].description, /Cartoon by <a/);
+        // Captions come from the site and stay in its language
+        assert.equal(en.item[1]['media:content']['media:description'], 'Door de bomen het bos niet meer zien.');
+
+        const atom = parser.parse(await fs.readFile(path.join(dir, 'atom.en.xml'), 'utf8')).feed;
+        assert.equal(atom['@_xml:lang'], 'en');
+    });
+});
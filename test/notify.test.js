@@ -0,0 +1,173 @@
+// test/notify.test.js - WebSub hub links and pings, webhook payloads and the notify command
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { notifyFromReport } = require('../src/scraper');
+const { parseWebhook, webhookPayload } = require('../src/notify');
+const { buildRunReport, writeRunReport } = require('../src/run-report');
+const { loadConfig } = require('../src/config');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { startReceiver } = require('./helpers/receiver');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+const PAGES_URL = 'https://example.github.io/cartoons';
+
+function announcement(count) {
+    return {
+        source: 'evert-kwok',
+        locale: 'en',
+        feed: { title: 'Cartoons', url: `${PAGES_URL}/feed.xml`, siteUrl: 'https://example.com/cartoon/' },
+        topics: [`${PAGES_URL}/feed.xml`],
+        cartoons: Array.from({ length: count }, (unused, index) => ({
+            title: `Cartoon <${index + 1}>`,
+            url: `https://example.com/${index + 1}/`,
+            image: `https://example.com/${index + 1}.jpg`,
+            date: '2026-08-03T07:00:00.000Z',
+            description: `Cartoon by Evert Kwok: Cartoon ${index + 1}`
+        }))
+    };
+}
+
+describe('webhooks', () => {
+    it('take their format from a prefix, an object or the host', () => {
+        assert.deepEqual(parseWebhook('https://hooks.slack.com/services/T0/B0/secret'), { url: 'https://hooks.slack.com/services/T0/B0/secret', format: 'slack' });
+        assert.deepEqual(parseWebhook('https://discord.com/api/webhooks/1/secret'), { url: 'https://discord.com/api/webhooks/1/secret', format: 'discord' });
+        assert.deepEqual(parseWebhook('matrix:https://hookshot.example.org/webhook/abc'), { url: 'https://hookshot.example.org/webhook/abc', format: 'matrix' });
+        assert.deepEqual(parseWebhook({ url: 'https://example.org/hook', format: 'discord' }), { url: 'https://example.org/hook', format: 'discord' });
+        assert.deepEqual(parseWebhook('https://example.org/hook'), { url: 'https://example.org/hook', format: 'json' });
+        assert.equal(parseWebhook('teams:https://example.org/hook'), null);
+        assert.equal(parseWebhook('ftp://example.org/hook'), null);
+        assert.throws(() => loadConfig({ args: ['--webhook=teams:https://example.org/hook'], env: {}, cwd: '/nonexistent' }), /webhooks \(--webhook, EKR_WEBHOOKS\) must be a list of http\(s\) URLs/);
+    });
+
+    it('describe new cartoons in the format of each chat service', () => {
+        const slack = webhookPayload('slack', announcement(1));
+        assert.equal(slack.text, '🎨 New cartoon in Cartoons');
+        assert.deepEqual(slack.blocks.slice(1), [
+            { type: 'section', text: { type: 'mrkdwn', text: '<https://example.com/1/|Cartoon &lt;1&gt;>' } },
+            { type: 'image', image_url: 'https://example.com/1.jpg', alt_text: 'Cartoon <1>' }
+        ]);
+
+        // Chat messages list ten cartoons and mention the rest, JSON lists them all
+        const discord = webhookPayload('discord', announcement(12));
+        assert.equal(discord.content, '🎨 12 new cartoons in Cartoons\n…and 2 more');
+        assert.equal(discord.embeds.length, 10);
+        assert.deepEqual(discord.embeds[0], {
+            title: 'Cartoon <1>', url: 'https://example.com/1/', description: 'Cartoon by Evert Kwok: Cartoon 1',
+            image: { url: 'https://example.com/1.jpg' }, timestamp: '2026-08-03T07:00:00.000Z'
+        });
+        assert.equal(webhookPayload('json', announcement(12)).cartoons.length, 12);
+
+        const matrix = webhookPayload('matrix', { ...announcement(2), locale: 'nl' });
+        assert.equal(matrix.text, '🎨 2 nieuwe cartoons in Cartoons\n- Cartoon <1>: https://example.com/1/\n- Cartoon <2>: https://example.com/2/');
+        assert.match(matrix.html, /<li><a href="https:\/\/example\.com\/1\/">Cartoon &lt;1&gt;<\/a><\/li>/);
+    });
+});
+
+describe('notifications', () => {
+    let server;
+    let receiver;
+
+    before(async () => {
+        server = await startFixtureServer();
+        receiver = await startReceiver({ '/broken': 500 });
+        mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await Promise.all([server.close(), receiver.close()]);
+    });
+
+    function notifyingScraper(dir, options = {}) {
+        return createScraper(dir, {
+            baseUrl: `${server.url}/cartoon/`,
+            pagesUrl: PAGES_URL,
+            formats: ['rss', 'atom', 'json'],
+            hub: `${receiver.url}/hub`,
+            webhooks: [`slack:${receiver.url}/slack`, `discord:${receiver.url}/discord`, `${receiver.url}/broken`],
+            ...options
+        });
+    }
+
+    it('advertises the hub in every format', async () => {
+        const dir = await createTempDir();
+        await notifyingScraper(dir, { notify: false }).run();
+
+        const rss = await fs.readFile(path.join(dir, 'feed.xml'), 'utf8');
+        assert.match(rss, new RegExp(`<atom:link href="${receiver.url}/hub" rel="hub"/>`));
+        const atom = await fs.readFile(path.join(dir, 'atom.xml'), 'utf8');
+        assert.match(atom, new RegExp(`<link rel="hub" href="${receiver.url}/hub"/>`));
+        const json = JSON.parse(await fs.readFile(path.join(dir, 'feed.json'), 'utf8'));
+        assert.deepEqual(json.hubs, [{ type: 'WebSub', url: `${receiver.url}/hub` }]);
+    });
+
+    it('pings the hub and posts to webhooks when a run adds cartoons', async () => {
+        const dir = await createTempDir();
+        receiver.requests.length = 0;
+        const scraper = notifyingScraper(dir);
+        await scraper.run();
+
+        const pings = receiver.requests.filter(request => request.path === '/hub');
+        assert.deepEqual(pings.map(ping => [ping.form.get('hub.mode'), ping.form.get('hub.url')]),
+            ['feed.xml', 'atom.xml', 'feed.json'].map(file => ['publish', `${PAGES_URL}/${file}`]));
+
+        const discord = receiver.requests.find(request => request.path === '/discord').json;
+        assert.equal(discord.content, '🎨 2 nieuwe cartoons in Evert Kwok - Educatieve cartoons');
+        assert.deepEqual(discord.embeds.map(embed => embed.url), [`${server.url}/2026/08/grote-boze-wolf/`, `${server.url}/2026/07/bos/`]);
+        assert.equal(receiver.requests.find(request => request.path === '/slack').json.text, discord.content);
+
+        // A failing webhook is reported without failing the run, and without its secret path
+        const report = scraper.report.toJSON();
+        assert.equal(report.status, 'changed');
+        assert.deepEqual(report.notifications.filter(notification => !notification.ok),
+            [{ type: 'webhook', target: `json webhook on ${new URL(receiver.url).host}`, format: 'json', ok: false, status: 500, error: 'HTTP 500' }]);
+        assert.equal(report.notifications.length, 6);
+        assert.equal(report.announcement.cartoons.length, 2);
+
+        // Nothing new, nothing to tell
+        receiver.requests.length = 0;
+        const again = notifyingScraper(dir);
+        await again.run();
+        assert.equal(again.report.announcement, null);
+        assert.deepEqual(receiver.requests, []);
+    });
+
+    it('sends the announcements of an earlier run with the notify command', async () => {
+        const dir = await createTempDir();
+        const scraper = notifyingScraper(dir, { notify: false, webhooks: null });
+        receiver.requests.length = 0;
+        await scraper.run();
+        assert.deepEqual(receiver.requests, []);
+
+        const file = path.join(dir, 'run.json');
+        await writeRunReport(file, buildRunReport([scraper]));
+        const loaded = loadConfig({ args: ['notify', `--report=${file}`, `--webhook=${receiver.url}/json`], env: {}, cwd: '/nonexistent' });
+        const results = await notifyFromReport(loaded);
+
+        assert.deepEqual(results.map(result => [result.source, result.type, result.ok]), [['evert-kwok', 'webhook', true]]);
+        const payload = receiver.requests[0].json;
+        assert.equal(payload.event, 'new-cartoons');
+        assert.deepEqual(payload.feed, { title: 'Evert Kwok - Educatieve cartoons', url: `${PAGES_URL}/feed.xml`, siteUrl: 'https://www.evertkwok.nl/cartoon/' });
+        assert.deepEqual(payload.cartoons.map(cartoon => cartoon.title), ['1131 Grote boze wolf', '416 Bos']);
+    });
+
+    it('fails the notify command when a notification could not be sent', async () => {
+        const dir = await createTempDir();
+        const scraper = notifyingScraper(dir, { notify: false, webhooks: null });
+        await scraper.run();
+        const file = path.join(dir, 'run.json');
+        await writeRunReport(file, buildRunReport([scraper]));
+
+        const notify = webhook => promisify(execFile)(process.execPath, [path.join(__dirname, '..', 'src', 'scraper.js'), 'notify', `--report=${file}`, `--webhook=${webhook}`], {
+            env: { PATH: process.env.PATH },
+            cwd: dir
+        });
+        const sent = await notify(`${receiver.url}/json`);
+        assert.match(sent.stdout, /📣 Notifications: 1 sent\n/);
+        await assert.rejects(notify(`${receiver.url}/broken`), error => error.code === 1 && /📣 Notifications: 0 sent, 1 failed/.test(error.stdout));
+    });
+});
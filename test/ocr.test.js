@@ -0,0 +1,128 @@
+// test/ocr.test.js - Text read from the cartoons: transcripts, alt text and titles for cartoons without one
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { CartoonOcr, cleanTranscript, transcriptTitle } = require('../src/ocr');
+const { itemDescription, imageAlt } = require('../src/formats/common');
+const { getLocale } = require('../src/locales');
+const { loadConfig } = require('../src/config');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+// What tesseract prints for a cartoon: capitals, a hyphenated word and hatching mistaken for text
+const OUTPUT = 'HÉ, WAT HEB JIJ\nGROTE OGEN!\n\n~~ | =\n\nDAT IS OM JE BE-\nTER TE KUNNEN ZIEN.\n\n';
+const TEXT = 'Hé, wat heb jij grote ogen!\nDat is om je beter te kunnen zien.';
+
+// A stand-in for the tesseract command that logs its arguments and prints OUTPUT
+async function fakeTesseract(dir) {
+    const file = path.join(dir, 'tesseract');
+    await fs.writeFile(file, `#!${process.execPath}
+const fs = require('fs');
+const args = process.argv.slice(2);
+if (args[0] === '--version') {
+    console.log('tesseract 5.3.4\\n leptonica-1.84.1');
+} else {
+    fs.readFileSync(0);
+    fs.appendFileSync(${JSON.stringify(path.join(dir, 'calls.log'))}, args.join(' ') + '\\n');
+    process.stdout.write(${JSON.stringify(OUTPUT)});
+}
+`, { mode: 0o755 });
+    return file;
+}
+
+async function calls(dir) {
+    return (await fs.readFile(path.join(dir, 'calls.log'), 'utf8').catch(() => '')).split('\n').filter(Boolean);
+}
+
+describe('transcripts', () => {
+    it('keep one line per speech bubble and drop what is not text', () => {
+        assert.equal(cleanTranscript(OUTPUT), TEXT);
+        // Mixed-case lettering keeps its capitals
+        assert.equal(cleanTranscript('Waar is\nAmsterdam?\n'), 'Waar is Amsterdam?');
+        assert.equal(cleanTranscript('|| ~ 8\n\n'), '');
+    });
+
+    it('give a title from the first sentence', () => {
+        assert.equal(transcriptTitle(TEXT), 'Hé, wat heb jij grote ogen!');
+        assert.equal(transcriptTitle('Dit is een heel lange zin zonder punt die maar doorgaat en doorgaat over de wolf'), 'Dit is een heel lange zin zonder punt die maar doorgaat en…');
+        assert.equal(transcriptTitle(''), null);
+    });
+
+    it('describe and label images without a caption', () => {
+        const feed = { locale: getLocale('en'), author: { name: 'Evert Kwok' }, links: {} };
+        const url = 'https://www.evertkwok.nl/wp-content/uploads/2026/08/wolf.png';
+        const cartoon = { url, title: 'Grote boze wolf', transcript: { source: url, text: TEXT } };
+
+        assert.equal(itemDescription(cartoon, feed), `Cartoon by Evert Kwok: Grote boze wolf. “Hé, wat heb jij grote ogen! Dat is om je beter te kunnen zien.”`);
+        assert.equal(itemDescription(cartoon, feed, { quote: false }), 'Cartoon by Evert Kwok: Grote boze wolf');
+        assert.equal(itemDescription({ ...cartoon, description: 'Wie is er bang?' }, feed), 'Wie is er bang?');
+        assert.equal(imageAlt(cartoon), 'Grote boze wolf: Hé, wat heb jij grote ogen! Dat is om je beter te kunnen zien.');
+        // A transcript of an earlier upload does not describe the current image
+        assert.equal(imageAlt({ ...cartoon, url: url.replace('wolf', 'wolf-2') }), 'Grote boze wolf');
+    });
+
+    it('are off by default and read in Dutch and English', () => {
+        const load = args => loadConfig({ args, env: {}, cwd: '/nonexistent' }).config;
+        assert.deepEqual([load([]).ocr, load([]).ocrLanguages], [false, 'nld+eng']);
+        assert.throws(() => load(['--ocr-languages=nld eng']), /ocrLanguages \(--ocr-languages\) must be tesseract languages like "nld\+eng"/);
+    });
+
+    it('are left out when the engine is not installed', async () => {
+        const ocr = new CartoonOcr({ command: path.join(__dirname, 'no-such-tesseract') });
+        assert.equal(await ocr.version(), null);
+    });
+});
+
+describe('reading cartoons', () => {
+    let server;
+    let tools;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        // Without a title or caption on the listing the wolf is named after its filename
+        const site = await createTempDir();
+        await fs.cp(path.join(__dirname, 'fixtures', 'site'), site, { recursive: true });
+        const listing = path.join(site, 'cartoon', 'index.html');
+        const html = await fs.readFile(listing, 'utf8');
+        await fs.writeFile(listing, html
+            .replace('1131 Grote boze wolf</a>', '</a>')
+            .replace('alt="Grote boze wolf"', 'alt=""')
+            .replace(/<figcaption>.*<\/figcaption>/, ''));
+        server = await startFixtureServer(site);
+        tools = await createTempDir();
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    it('stores the text in the archive, shows it in the feed and names untitled cartoons by it', async () => {
+        const dir = await createTempDir();
+        const options = { baseUrl: `${server.url}/cartoon/`, fetchPosts: false, ocr: true, ocrCommand: await fakeTesseract(tools) };
+        const scraper = createScraper(dir, options);
+        await scraper.run();
+
+        const wolf = scraper.archive.getCartoons().find(cartoon => cartoon.url.includes('wolf'));
+        assert.deepEqual(wolf.transcript, { source: wolf.url, engine: 'tesseract 5.3.4', languages: 'nld+eng', text: TEXT });
+        assert.equal(wolf.title, 'Hé, wat heb jij grote ogen!');
+        // The image of the other cartoon is missing, it is read on a later run
+        const bos = scraper.archive.getCartoons().find(cartoon => cartoon.url.includes('416bos'));
+        assert.ok(!bos.transcript);
+        assert.deepEqual(await calls(tools), ['stdin stdout -l nld+eng --psm 11']);
+
+        const feed = await fs.readFile(path.join(dir, 'feed.xml'), 'utf8');
+        assert.match(feed, /<h2[^>]*>📝 Tekst in de cartoon<\/h2>\s*<p[^>]*>Hé, wat heb jij grote ogen!<\/p>\s*<p[^>]*>Dat is om je beter te kunnen zien\.<\/p>/);
+        assert.match(feed, /alt="Hé, wat heb jij grote ogen! Dat is om je beter te kunnen zien\."/);
+        // Without a caption the description quotes the cartoon
+        assert.match(feed, /<media:description>Cartoon van Evert Kwok: Hé, wat heb jij grote ogen!\. „Hé, wat heb jij grote ogen! Dat is om je beter te kunnen zien\.”<\/media:description>/);
+
+        // Known images are not read again, and the filename does not take the title back
+        const again = createScraper(dir, { ...options, conditional: false });
+        await again.run();
+        assert.equal(again.report.status, 'unchanged');
+        assert.equal((await calls(tools)).length, 1);
+        assert.equal(again.published.find(cartoon => cartoon.url.includes('wolf')).title, 'Hé, wat heb jij grote ogen!');
+    });
+});
@@ -0,0 +1,241 @@
+// test/polite-http.test.js - robots.txt, per-host pacing, retries of transient failures and the request budget
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { RobotsRules, productToken } = require('../src/robots');
+const { PoliteHttp, RobotsDisallowedError, RequestBudgetError, parseRetryAfter } = require('../src/polite-http');
+const { actionsSummary, buildRunReport } = require('../src/run-report');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; EvertKwokRSSBot/1.0; +https://github.com/example/evert-kwok-rss)';
+
+// A stand-in client answering from `routes`: per URL a list of statuses, responses or errors, one per
+// request, the last one repeating
+function stubHttp(routes) {
+    const requested = [];
+    const answer = async (method, url) => {
+        requested.push(`${method.toUpperCase()} ${url}`);
+        const queue = routes[url] || [404];
+        const next = queue.length > 1 ? queue.shift() : queue[0];
+        if (next instanceof Error) {
+            throw next;
+        }
+        const response = typeof next === 'number' ? { status: next, headers: {}, data: '' } : { headers: {}, ...next };
+        if (response.status >= 400) {
+            throw Object.assign(new Error(`Request failed with status code ${response.status}`), { response });
+        }
+        return response;
+    };
+    return {
+        requested,
+        get: async url => answer('get', url),
+        head: async url => answer('head', url)
+    };
+}
+
+function politeHttp(http, options = {}) {
+    // Sleeping only moves a fake clock forward
+    const waits = [];
+    let now = Date.parse('2026-10-19T06:00:00Z');
+    const client = new PoliteHttp({
+        http,
+        userAgent: USER_AGENT,
+        maxRetries: 4,
+        retryDelay: 1000,
+        random: () => 0,
+        now: () => now,
+        sleep: async ms => {
+            waits.push(ms);
+            now += ms;
+        },
+        ...options
+    });
+    return { client, waits };
+}
+
+describe('robots.txt', () => {
+    const robots = [
+        'User-agent: *',
+        'Disallow: /',
+        '',
+        '# Feed readers may read the cartoons, but not search or the admin',
+        'User-agent: EvertKwokRSSBot',
+        'User-agent: OtherBot',
+        'Disallow: /wp-admin/',
+        'Allow: /wp-admin/admin-ajax.php',
+        'Disallow: /*?s=',
+        'Disallow: /*.pdf$',
+        'Crawl-delay: 5'
+    ].join('\n');
+
+    it('applies the group naming our product token instead of the "*" group', () => {
+        assert.equal(productToken(USER_AGENT), 'EvertKwokRSSBot');
+        const rules = new RobotsRules(robots, USER_AGENT);
+
+        assert.ok(rules.isAllowed('https://www.evertkwok.nl/cartoon/'));
+        assert.ok(!rules.isAllowed('https://www.evertkwok.nl/wp-admin/options.php'));
+        // The longer Allow beats the shorter Disallow
+        assert.ok(rules.isAllowed('https://www.evertkwok.nl/wp-admin/admin-ajax.php'));
+        assert.ok(!rules.isAllowed('https://www.evertkwok.nl/cartoon/?s=wolf'));
+        assert.ok(!rules.isAllowed('https://www.evertkwok.nl/boek.pdf'));
+        assert.ok(rules.isAllowed('https://www.evertkwok.nl/boek.pdf?download=1'));
+        assert.equal(rules.crawlDelay, 5);
+
+        const others = new RobotsRules(robots, 'SomeCrawler/2.0');
+        assert.ok(!others.isAllowed('https://www.evertkwok.nl/cartoon/'));
+        assert.equal(others.crawlDelay, null);
+    });
+
+    it('allows everything without rules and nothing when the file could not be read', () => {
+        assert.ok(RobotsRules.allowAll().isAllowed('https://www.evertkwok.nl/wp-admin/'));
+        assert.ok(new RobotsRules('User-agent: *\nDisallow:\n', USER_AGENT).isAllowed('https://www.evertkwok.nl/cartoon/'));
+        assert.ok(!RobotsRules.disallowAll('unreachable').isAllowed('https://www.evertkwok.nl/'));
+    });
+});
+
+describe('PoliteHttp', () => {
+    it('reads robots.txt once per host and refuses disallowed URLs without requesting them', async () => {
+        const http = stubHttp({
+            'https://a.test/robots.txt': [{ status: 200, data: 'User-agent: *\nDisallow: /private/\n' }],
+            'https://a.test/cartoon/': [200],
+            'https://b.test/cartoon/': [200]
+        });
+        const { client } = politeHttp(http);
+
+        await client.get('https://a.test/cartoon/');
+        await assert.rejects(client.get('https://a.test/private/page/'), RobotsDisallowedError);
+        await client.get('https://b.test/cartoon/');
+
+        assert.deepEqual(http.requested, [
+            'GET https://a.test/robots.txt', 'GET https://a.test/cartoon/',
+            'GET https://b.test/robots.txt', 'GET https://b.test/cartoon/'
+        ]);
+        assert.deepEqual(client.summary().blocked, ['https://a.test/private/page/']);
+    });
+
+    it('stays away from a host whose robots.txt cannot be read', async () => {
+        const http = stubHttp({ 'https://a.test/robots.txt': [503], 'https://a.test/cartoon/': [200] });
+        const { client } = politeHttp(http, { maxRetries: 2 });
+
+        await assert.rejects(client.get('https://a.test/cartoon/'), /is disallowed by robots\.txt \(https:\/\/a\.test\/robots\.txt could not be read: HTTP 503\)/);
+        assert.deepEqual(http.requested, ['GET https://a.test/robots.txt', 'GET https://a.test/robots.txt']);
+    });
+
+    it('retries timeouts, 429 and 5xx with growing pauses but not 404', async () => {
+        const http = stubHttp({
+            'https://a.test/flaky/': [503, Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' }), 502, 200],
+            'https://a.test/missing/': [404]
+        });
+        const { client, waits } = politeHttp(http, { robots: false });
+
+        const response = await client.get('https://a.test/flaky/');
+        assert.equal(response.attempts, 4);
+        // Half of 1, 2 and 4 seconds plus a random share of the other half, which is 0 here
+        assert.deepEqual(waits, [500, 1000, 2000]);
+
+        const error = await client.get('https://a.test/missing/').catch(failure => failure);
+        assert.equal(error.response.status, 404);
+        assert.equal(error.attempts, 1);
+        assert.equal(client.summary().retries, 3);
+    });
+
+    it('waits as long as Retry-After asks, and gives up when that is too long', async () => {
+        const http = stubHttp({
+            'https://a.test/busy/': [{ status: 429, headers: { 'retry-after': '7' } }, 200],
+            'https://a.test/closed/': [{ status: 503, headers: { 'retry-after': '3600' } }, 200]
+        });
+        const { client, waits } = politeHttp(http, { robots: false });
+
+        await client.get('https://a.test/busy/');
+        assert.deepEqual(waits, [7000]);
+        await assert.rejects(client.get('https://a.test/closed/'), /status code 503/);
+        assert.deepEqual(waits, [7000]);
+
+        assert.equal(parseRetryAfter('Wed, 21 Oct 2026 07:28:10 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT')), 10000);
+        assert.equal(parseRetryAfter('soon'), null);
+    });
+
+    it('spaces requests to one host by the host delay or a longer Crawl-delay', async () => {
+        const http = stubHttp({
+            'https://a.test/robots.txt': [{ status: 200, data: 'User-agent: *\nCrawl-delay: 2\n' }],
+            'https://a.test/1/': [200],
+            'https://a.test/2/': [200],
+            'https://b.test/1/': [200],
+            'https://b.test/2/': [200]
+        });
+        const { client, waits } = politeHttp(http, { hostDelay: 500 });
+
+        await client.get('https://a.test/1/');
+        await client.get('https://a.test/2/');
+        assert.equal(waits.length, 2);
+        // After robots.txt the host delay applies, after the first page the Crawl-delay
+        assert.deepEqual(waits, [500, 2000]);
+
+        await client.get('https://b.test/1/');
+        assert.equal(waits.length, 3);
+        assert.deepEqual(client.summary().crawlDelays, { 'https://a.test': 2 });
+    });
+
+    it('refuses requests beyond the budget, retries and robots.txt included', async () => {
+        const http = stubHttp({ 'https://a.test/flaky/': [500, 200], 'https://a.test/next/': [200] });
+        const { client } = politeHttp(http, { maxRequests: 3 });
+
+        await client.get('https://a.test/flaky/');
+        assert.equal(client.remaining, 0);
+        await assert.rejects(client.get('https://a.test/next/'), RequestBudgetError);
+        assert.deepEqual(client.summary(), { requests: 3, budget: 3, exhausted: true, retries: 1, blocked: [], crawlDelays: {} });
+    });
+});
+
+describe('polite crawling', () => {
+    let server;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        const site = await createTempDir();
+        await fs.cp(path.join(__dirname, 'fixtures', 'site'), site, { recursive: true });
+        await fs.writeFile(path.join(site, 'robots.txt'), 'User-agent: *\nDisallow: /\n\nUser-agent: EvertKwokRSSBot\nDisallow: /2026/07/\n');
+        server = await startFixtureServer(site);
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    it('skips post pages robots.txt disallows and reports them', async () => {
+        const scraper = createScraper(await createTempDir(), { baseUrl: `${server.url}/cartoon/`, robots: true });
+        await scraper.run();
+
+        const report = scraper.report.toJSON();
+        assert.equal(report.status, 'changed');
+        assert.deepEqual(report.crawl.blocked, [`${server.url}/2026/07/bos/`]);
+        assert.ok(!server.requests.some(request => request.url === '/2026/07/bos/'));
+        const refused = report.fetches.find(fetch => fetch.url === `${server.url}/2026/07/bos/`);
+        assert.deepEqual([refused.attempts, refused.status], [0, null]);
+        assert.equal(report.requests.retries, 0);
+        assert.match(actionsSummary(buildRunReport([scraper])), /### Requests that were not sent\n\n- evert-kwok: .*\/2026\/07\/bos\/ is disallowed by robots\.txt/);
+    });
+
+    it('leaves the work beyond the request budget for the next run', async () => {
+        const dir = await createTempDir();
+        const options = { baseUrl: `${server.url}/cartoon/`, robots: true, maxRequests: 3 };
+        const scraper = createScraper(dir, options);
+        await scraper.run();
+
+        // robots.txt, the listing and one post page; the images wait
+        const report = scraper.report.toJSON();
+        assert.deepEqual([report.crawl.requests, report.crawl.exhausted], [3, true]);
+        assert.equal(report.items.published, 2);
+        assert.ok(scraper.published.every(cartoon => !cartoon.image));
+        assert.match(actionsSummary(buildRunReport([scraper])), /request budget of 3 used up/);
+
+        // With a fresh budget the next run probes them
+        const again = createScraper(dir, { ...options, maxRequests: 0, conditional: false });
+        await again.run();
+        assert.equal(again.report.crawl.exhausted, false);
+        assert.ok(again.published.some(cartoon => cartoon.image));
+    });
+});
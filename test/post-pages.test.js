@@ -0,0 +1,134 @@
+// test/post-pages.test.js - Title, date, caption and tags read from cartoon post pages
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const EvertKwokScraper = require('../src/scraper');
+
+const WOLF = 'https://www.evertkwok.nl/wp-content/uploads/2026/08/1131-grote-bose-wolf.png';
+
+const PAGES = {
+    '/2026/07/bos/': `
+        <head>
+            <title>Bos | Evert Kwok</title>
+            <meta property="og:title" content="416 Bos – Evert Kwok">
+            <meta property="article:published_time" content="2026-07-14T06:30:00+00:00">
+        </head>
+        <body><time datetime="2026-07-20T10:00:00+02:00">20 juli</time></body>`,
+    '/2025/11/piethagoras/': `
+        <h1 class="entry-title">Piethagoras - de stelling</h1>
+        <time datetime="2025-11-03T08:00:00+01:00">3 november</time>
+        <div class="entry-content"><p>Ok</p><p>Tweede alinea</p></div>
+        <meta property="og:description" content="Piethagoras legt de stelling uit">`,
+    '/2026/08/grote-boze-wolf/': `
+        <meta property="article:section" content="Wiskunde">
+        <meta property="article:tag" content="sprookjes">
+        <h1 class="entry-title">1131 Grote boze wolf</h1>
+        <time class="entry-date published" datetime="2026-08-03T07:00:00+00:00">3 augustus</time>
+        <div class="entry-content"><figure><figcaption>Wie is er bang voor de grote boze wolf?</figcaption></figure></div>
+        <a href="/tag/sprookjes/" rel="tag">sprookjes</a>
+        <a href="/category/natuurkunde/" rel="category tag">Natuurkunde</a>`,
+    '/leeg/': '<p></p>'
+};
+
+// Serves PAGES on a random port and remembers which paths were asked for
+async function startServer() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const page = PAGES[req.url];
+        res.writeHead(page ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(page || 'Not found');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+function createScraper(dir, cartoons, options = {}) {
+    const scraper = new EvertKwokScraper({
+        outputFile: path.join(dir, 'feed.xml'),
+        archiveFile: path.join(dir, 'archive.json'),
+        probeImages: false,
+        postDelay: 0,
+        robots: false,
+        hostDelay: 0,
+        ...options
+    });
+    scraper.scrapeCartoons = async () => cartoons.map(listed => ({ ...listed }));
+    return scraper;
+}
+
+describe('post pages', () => {
+    let server;
+    const scraper = new EvertKwokScraper({ robots: false, hostDelay: 0 });
+
+    before(async () => {
+        server = await startServer();
+        mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    it('drop the site name from the title and give the published time', async () => {
+        const post = await scraper.fetchPostDetails(`${server.url}/2026/07/bos/`);
+        assert.equal(post.title, '416 Bos');
+        assert.equal(post.date.toISOString(), '2026-07-14T06:30:00.000Z');
+    });
+
+    it('fall back to the heading, a time element and the description', async () => {
+        const post = await scraper.fetchPostDetails(`${server.url}/2025/11/piethagoras/`);
+        // A dash only goes when the site name follows it
+        assert.equal(post.title, 'Piethagoras - de stelling');
+        assert.equal(post.date.toISOString(), '2025-11-03T07:00:00.000Z');
+        // Captions of three characters or less say nothing
+        assert.equal(post.caption, 'Piethagoras legt de stelling uit');
+    });
+
+    it('list tags and categories once', async () => {
+        const post = await scraper.fetchPostDetails(`${server.url}/2026/08/grote-boze-wolf/`);
+        assert.deepEqual(post.categories, ['Wiskunde', 'sprookjes', 'Natuurkunde']);
+        assert.deepEqual(await scraper.fetchPostDetails(`${server.url}/leeg/`), { title: null, date: null, categories: [], caption: null });
+    });
+
+    it('give each cartoon its title, date and caption, and are read once', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'evert-kwok-rss-'));
+        const listed = [{ url: WOLF, title: 'Grote boze wolf', date: new Date('2026-08-01T00:00:00Z'), filename: path.basename(WOLF), postUrl: `${server.url}/2026/08/grote-boze-wolf/` }];
+        const first = createScraper(dir, listed);
+        await first.run();
+
+        const [wolf] = first.archive.getCartoons();
+        assert.deepEqual([wolf.title, wolf.date.toISOString(), wolf.dateSource], ['1131 Grote boze wolf', '2026-08-03T07:00:00.000Z', 'post']);
+        assert.equal(wolf.description, 'Wie is er bang voor de grote boze wolf?');
+        assert.deepEqual(wolf.categories, ['Wiskunde', 'sprookjes', 'Natuurkunde']);
+        assert.match(await fs.readFile(path.join(dir, 'feed.xml'), 'utf8'), /<title>1131 Grote boze wolf<\/title>/);
+
+        // Post metadata does not change once published, the archive already knows it
+        const from = server.requests.length;
+        const again = createScraper(dir, listed);
+        await again.run();
+        assert.equal(server.requests.length, from);
+        assert.equal(again.archive.getCartoons()[0].title, '1131 Grote boze wolf');
+    });
+
+    it('keep the listing details of a cartoon whose post page is missing', async () => {
+        const missing = createScraper('/nonexistent', []);
+        missing.fetchPostDetails = async url => {
+            throw new Error(`Request failed with status code 404 (${url})`);
+        };
+        const [wolf] = await missing.enrichWithPostDetails([
+            { url: WOLF, title: 'Grote boze wolf', date: new Date('2026-08-01T00:00:00Z'), postUrl: `${server.url}/2026/08/weg/` }
+        ]);
+        assert.equal(wolf.title, 'Grote boze wolf');
+        assert.notEqual(wolf.dateSource, 'post');
+        assert.equal(wolf.postUrl, `${server.url}/2026/08/weg/`);
+    });
+});
@@ -0,0 +1,159 @@
+// test/preview.test.js - The serve command: content types, the reader preview and regeneration
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { startPreview } = require('../src/scraper');
+const { sniffFormat, readFeed, sanitizeHtml } = require('../src/preview/reader');
+const { createTempDir } = require('./helpers/scraper');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'site');
+
+function previewArgs(dir, ...args) {
+    return ['serve', `--fixtures=${FIXTURES}`, `--preview-dir=${dir}`, '--port=0', '--no-probe', '--formats=rss,atom,json', ...args];
+}
+
+async function waitFor(condition, timeout = 5000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeout) {
+            throw new Error('Timed out');
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+describe('feed reader', () => {
+    it('recognizes feeds by their content', () => {
+        assert.equal(sniffFormat('<?xml version="1.0"?>\n<rss version="2.0">'), 'rss');
+        assert.equal(sniffFormat('<?xml version="1.0"?>\n<!-- generated -->\n<feed xmlns="http://www.w3.org/2005/Atom">'), 'atom');
+        assert.equal(sniffFormat('{\n  "version": "https://jsonfeed.org/version/1.1",'), 'json');
+        assert.equal(sniffFormat('{\n  "version": 3,\n  "cartoons": []'), null);
+        assert.equal(sniffFormat('<!DOCTYPE html>'), null);
+    });
+
+    it('drops what readers drop from item content', () => {
+        const html = sanitizeHtml('<p onclick="x()">Hi</p><script>alert(1)</script><a href="javascript:x()">link</a><img src="a.png" onmouseover="y()" style="width: 1px">');
+        assert.equal(html, '<p>Hi</p><a>link</a><img src="a.png" style="width: 1px">');
+    });
+
+    it('reads items the same way from every format', () => {
+        const json = readFeed(JSON.stringify({
+            version: 'https://jsonfeed.org/version/1.1',
+            title: 'Cartoons',
+            items: [{ title: 'Bos', url: 'https://example.com/bos/', date_published: '2026-07-01T00:00:00Z', content_html: '<p>Bos</p>', tags: ['Natuur'] }]
+        }));
+        const atom = readFeed(`<?xml version="1.0"?><feed xmlns="http://www.w3.org/2005/Atom"><title>Cartoons</title>
+            <entry><title>Bos</title><link href="https://example.com/bos/"/><published>2026-07-01T00:00:00Z</published>
+            <content type="html">&lt;p&gt;Bos&lt;/p&gt;</content><category term="Natuur"/></entry></feed>`);
+        for (const feed of [json, atom]) {
+            assert.equal(feed.title, 'Cartoons');
+            assert.deepEqual(feed.items.map(({ title, link, html, categories }) => ({ title, link, html, categories })),
+                [{ title: 'Bos', link: 'https://example.com/bos/', html: '<p>Bos</p>', categories: ['Natuur'] }]);
+        }
+    });
+});
+
+describe('serve', () => {
+    let dir;
+    let preview;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        dir = await createTempDir();
+        preview = await startPreview(previewArgs(dir, '--no-watch', '--locale=nl,en'), { env: {}, cwd: '/nonexistent' });
+    });
+
+    after(async () => {
+        await preview.close();
+        mock.restoreAll();
+    });
+
+    it('builds the feeds from the fixtures into the preview directory', async () => {
+        assert.equal(preview.last.ok, true, preview.last.message);
+        assert.equal(preview.last.message, 'changed, 2 cartoons');
+        const feed = await fs.readFile(path.join(dir, 'feed.xml'), 'utf8');
+        assert.match(feed, new RegExp(`<link>${preview.fixturesUrl}/2026/08/grote-boze-wolf/</link>`));
+        // Links to the feed itself point at the preview
+        assert.match(feed, new RegExp(`<atom:link href="${preview.url}/feed.xml" rel="self"`));
+    });
+
+    it('serves feeds with their own content types', async () => {
+        const types = {};
+        for (const file of ['feed.xml', 'atom.xml', 'feed.json', 'feed.en.xml', 'archive.json']) {
+            types[file] = (await fetch(`${preview.url}/${file}`)).headers.get('content-type');
+        }
+        assert.deepEqual(types, {
+            'feed.xml': 'application/rss+xml; charset=utf-8',
+            'atom.xml': 'application/atom+xml; charset=utf-8',
+            'feed.json': 'application/feed+json; charset=utf-8',
+            'feed.en.xml': 'application/rss+xml; charset=utf-8',
+            'archive.json': 'application/json; charset=utf-8'
+        });
+        assert.equal((await fetch(`${preview.url}/../package.json`)).status, 404);
+        assert.equal((await fetch(`${preview.url}/%2e%2e/package.json`)).status, 404);
+    });
+
+    it('answers malformed paths with 400 and keeps serving', async () => {
+        for (const url of [preview.fixturesUrl, preview.url]) {
+            const response = await fetch(`${url}/%E0%A4%A`);
+            assert.equal(response.status, 400);
+            assert.equal(await response.text(), 'Bad request');
+        }
+        assert.equal((await fetch(`${preview.fixturesUrl}/cartoon/`)).status, 200);
+        assert.equal((await fetch(`${preview.url}/feed.xml`)).status, 200);
+    });
+
+    it('shows the items of any feed the way a reader does', async () => {
+        const landing = await fetch(`${preview.url}/`, { redirect: 'manual' });
+        assert.equal(landing.headers.get('location'), '/__preview/');
+
+        const html = await (await fetch(`${preview.url}/__preview/?feed=atom.en.xml`)).text();
+        assert.match(html, /<title>Preview: Evert Kwok Educational Cartoons \(atom\.en\.xml\)<\/title>/);
+        assert.match(html, /<a href="\?feed=feed\.json">feed\.json<\/a>/);
+        assert.match(html, /<a href="\?feed=atom\.en\.xml" class="selected">/);
+        assert.match(html, /<h2><a href="[^"]+\/2026\/08\/grote-boze-wolf\/">1131 Grote boze wolf<\/a><\/h2>/);
+        assert.match(html, /Monday,? 3 August 2026,? at 07:00 UTC · sprookjes, Wiskunde/);
+        assert.match(html, /📅 Monday,? 3 August 2026/);
+        assert.doesNotMatch(html, /onmouseover/);
+    });
+
+    it('regenerates on request', async () => {
+        const response = await fetch(`${preview.url}/__preview/regenerate?feed=feed.json`, { method: 'POST', redirect: 'manual' });
+        assert.equal(response.status, 303);
+        assert.equal(response.headers.get('location'), '/__preview/?feed=feed.json');
+        assert.equal(preview.last.reason, 'requested');
+        assert.equal(preview.last.message, 'unchanged, 2 cartoons');
+    });
+});
+
+describe('serve --fixtures with watching', () => {
+    it('regenerates when a fixture changes and tells open previews', async () => {
+        mock.method(console, 'log', () => {});
+        const fixtures = await createTempDir();
+        await fs.cp(FIXTURES, fixtures, { recursive: true });
+        const dir = await createTempDir();
+        const preview = await startPreview(['serve', `--fixtures=${fixtures}`, `--preview-dir=${dir}`, '--port=0', '--no-probe'], { env: {}, cwd: '/nonexistent' });
+
+        try {
+            const events = await fetch(`${preview.url}/__preview/events`);
+            const reader = events.body.getReader();
+            await reader.read();
+
+            const listing = path.join(fixtures, 'cartoon', 'index.html');
+            const html = await fs.readFile(listing, 'utf8');
+            await fs.writeFile(listing, html.replace('Grote boze wolf', 'Kleine boze wolf'));
+
+            await waitFor(() => preview.last.reason !== `fixtures in ${fixtures}`);
+            assert.equal(preview.last.reason, `${path.join(fixtures, 'cartoon', 'index.html')} changed`);
+            assert.equal(preview.last.ok, true, preview.last.message);
+
+            const { value } = await reader.read();
+            assert.match(Buffer.from(value).toString(), /^event: regenerated\n/);
+            await reader.cancel();
+        } finally {
+            await preview.close();
+            mock.restoreAll();
+        }
+    });
+});
@@ -0,0 +1,113 @@
+// test/run-report.test.js - The --report file, Actions step outputs and summary, and JSON logs
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { RunReport, buildRunReport, writeRunReport, writeActionsResults } = require('../src/run-report');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+describe('run report', () => {
+    let server;
+    let logs;
+
+    before(async () => {
+        server = await startFixtureServer();
+        logs = mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    it('records skipped images, guessed dates, requests and outputs', async () => {
+        const dir = await createTempDir();
+        const scraper = createScraper(dir, { baseUrl: `${server.url}/cartoon/`, formats: ['rss', 'json'] });
+        await scraper.run();
+
+        const report = scraper.report.toJSON();
+        assert.equal(report.status, 'changed');
+        assert.deepEqual(report.items, { found: 2, new: 2, known: 0, published: 2, archived: 2 });
+        assert.equal(report.latestDate, '2026-08-03');
+
+        const logo = report.skippedImages.find(image => image.url.endsWith('Evert-Kwok-logo.png'));
+        assert.equal(logo.reason, 'matches exclude pattern "logo"');
+        // The listing only has the month of 416bos.jpg, its post page has the real date
+        assert.deepEqual(report.dateFallbacks.find(fallback => fallback.url.endsWith('416bos.jpg')),
+            { url: `${server.url}/wp-content/uploads/2026/07/416bos.jpg`, fallback: 'first-of-month', resolvedByPost: true });
+
+        const listing = report.fetches.find(fetch => fetch.url === `${server.url}/cartoon/`);
+        assert.equal(listing.status, 200);
+        assert.equal(listing.attempts, 1);
+        assert.ok(listing.bytes > 0);
+        assert.equal(report.requests.count, report.fetches.length);
+        assert.deepEqual(report.outputs.map(output => [path.basename(output.file), output.written]), [['feed.xml', true], ['feed.json', true]]);
+
+        // A second run finds nothing to write
+        const again = createScraper(dir, { baseUrl: `${server.url}/cartoon/`, formats: ['rss', 'json'] });
+        await again.run();
+        assert.equal(again.report.status, 'unchanged');
+        assert.equal(again.report.notModified, true);
+        assert.deepEqual(again.report.toJSON().outputs.map(output => output.written), [false, false]);
+    });
+
+    it('reports how far a failed run got', async () => {
+        const scraper = createScraper(await createTempDir(), { baseUrl: `${server.url}/does-not-exist/` });
+        await assert.rejects(scraper.run());
+
+        const report = scraper.report.toJSON();
+        assert.equal(report.status, 'failed');
+        assert.match(report.error, /404/);
+        assert.deepEqual(report.fetches.map(fetch => [fetch.status, fetch.error !== undefined]), [[404, true]]);
+        assert.equal(report.requests.failed, 1);
+    });
+
+    it('writes the report, step outputs and summary for a whole run', async () => {
+        const dir = await createTempDir();
+        const changed = new RunReport('evert-kwok');
+        changed.items = { found: 3, new: 1, known: 2, published: 3, archived: 5 };
+        changed.outputs = [{ name: 'rss', file: 'docs/feed.xml', locale: 'nl', size: 2048, written: true }];
+        changed.record('date-fallback', { url: 'https://example.com/2026/07/a.png', fallback: 'first-of-month' });
+        changed.finish({ changed: true, latestDate: '2026-08-03', oldestDate: '2026-01-02' });
+        const failed = new RunReport('other');
+        failed.fail(new Error('Scraping https://example.org/ failed: timeout'));
+        const combined = new RunReport('combined');
+        combined.skip('not every source succeeded');
+
+        const report = buildRunReport([{ report: changed }, { report: failed }], { report: combined });
+        assert.equal(report.status, 'failed');
+        assert.equal(report.combined.status, 'skipped');
+
+        await writeRunReport(path.join(dir, 'reports', 'run.json'), report);
+        assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'reports', 'run.json'), 'utf8')), JSON.parse(JSON.stringify(report)));
+
+        const env = { GITHUB_OUTPUT: path.join(dir, 'output'), GITHUB_STEP_SUMMARY: path.join(dir, 'summary.md') };
+        await fs.writeFile(env.GITHUB_OUTPUT, 'earlier=step\n');
+        await writeActionsResults(report, env);
+
+        const outputs = await fs.readFile(env.GITHUB_OUTPUT, 'utf8');
+        assert.match(outputs, /^earlier=step\nchanged=true\nstatus=failed\ncartoon_count=3\nnew_count=1\narchive_count=5\n/);
+        assert.match(outputs, /latest_date=2026-08-03\noldest_date=2026-01-02\n/);
+        assert.match(outputs, /feed_size=2\.0 KB\n$/);
+
+        const summary = await fs.readFile(env.GITHUB_STEP_SUMMARY, 'utf8');
+        assert.match(summary, /^## ❌ Cartoon feeds: failed/);
+        assert.match(summary, /\| evert-kwok \| ✅ changed \| 3 \| 1 \| 0 \| 1 \|/);
+        assert.match(summary, /- \*\*other\*\*: Scraping https:\/\/example\.org\/ failed: timeout/);
+        assert.match(summary, /- \*\*combined \(combined\)\*\*: not every source succeeded/);
+        assert.match(summary, /- evert-kwok: https:\/\/example\.com\/2026\/07\/a\.png \(first-of-month\)/);
+    });
+
+    it('prints one JSON object per line with --log-format=json', async () => {
+        logs.mock.resetCalls();
+        const scraper = createScraper(await createTempDir(), { baseUrl: `${server.url}/cartoon/`, logFormat: 'json', verbose: true });
+        await scraper.run();
+
+        const lines = logs.mock.calls.map(call => call.arguments.join(' '));
+        assert.ok(lines.length > 0);
+        const entries = lines.map(line => JSON.parse(line));
+        assert.ok(entries.every(entry => entry.time && entry.level && entry.source === scraper.name && entry.message));
+        assert.ok(entries.some(entry => entry.message === '✅ RSS Generation Complete!'));
+    });
+});
@@ -0,0 +1,236 @@
+// test/scrape.test.js - End-to-end scraping against saved pages served by a local stand-in
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+function parseXml(xml) {
+    const result = XMLValidator.validate(xml);
+    assert.equal(result, true, result.err && `${result.err.msg} (line ${result.err.line})`);
+    return new XMLParser({ ignoreAttributes: false }).parse(xml);
+}
+
+function asArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+describe('scraping fixtures', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer();
+        // run() reports progress on the console, keep the test output readable
+        mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    it('finds the cartoons on the listing page', async () => {
+        const scraper = createScraper(await createTempDir(), { baseUrl: `${server.url}/cartoon/` });
+        const cartoons = await scraper.scrapeCartoons();
+
+        assert.deepEqual(cartoons.map(cartoon => cartoon.filename), ['1131-grote-bose-wolf.png', '416bos.jpg']);
+        assert.equal(cartoons[0].url, `${server.url}/wp-content/uploads/2026/08/1131-grote-bose-wolf.png`);
+        assert.equal(cartoons[0].title, 'Grote boze wolf');
+        assert.equal(cartoons[0].postUrl, `${server.url}/2026/08/grote-boze-wolf/`);
+        assert.equal(cartoons[0].postId, '1131');
+        assert.equal(cartoons[1].url, `${server.url}/wp-content/uploads/2026/07/416bos.jpg`);
+    });
+
+    it('fails instead of returning demo data when the site is unreachable', async () => {
+        const scraper = createScraper(await createTempDir(), { baseUrl: `${server.url}/does-not-exist/` });
+        await assert.rejects(scraper.scrapeCartoons(), /Scraping .* failed: Request failed with status code 404/);
+    });
+
+    it('takes title, date, caption and categories from post pages', async () => {
+        const scraper = createScraper(await createTempDir(), { baseUrl: `${server.url}/cartoon/` });
+        const [wolf, bos] = await scraper.enrichWithPostDetails(await scraper.scrapeCartoons());
+
+        assert.equal(wolf.title, '1131 Grote boze wolf');
+        assert.equal(wolf.date.toISOString(), '2026-08-03T07:00:00.000Z');
+        assert.equal(wolf.description, 'Wie is er bang voor de grote boze wolf en zijn rekenmachine?');
+        assert.deepEqual(wolf.categories, ['sprookjes', 'Wiskunde']);
+
+        assert.equal(bos.title, '416 Bos');
+        assert.equal(bos.date.toISOString(), '2026-07-14T06:30:00.000Z');
+        assert.equal(bos.description, 'Door de bomen het bos niet meer zien.');
+    });
+
+    it('backfills older pages until pagination runs out', async () => {
+        const scraper = createScraper(await createTempDir(), { baseUrl: `${server.url}/cartoon/`, backfill: true });
+        const cartoons = await scraper.backfillCartoons();
+
+        assert.deepEqual(cartoons.map(cartoon => cartoon.filename), ['1131-grote-bose-wolf.png', '416bos.jpg', '20251103_piethagoras.jpg']);
+        assert.equal(cartoons[2].title, '538piethagoras');
+        // The last page links to no older one, so the backfill ends there instead of on a 404
+        assert.deepEqual(server.requests.slice(-2).map(request => request.url), ['/cartoon/', '/cartoon/page/2/']);
+        assert.deepEqual(scraper.report.backfill, { pages: 2, complete: true, resumeAt: null, error: null });
+    });
+
+    it('writes well-formed feeds with probed image metadata', async () => {
+        const dir = await createTempDir();
+        const scraper = createScraper(dir, { baseUrl: `${server.url}/cartoon/`, formats: ['rss', 'atom', 'json'], validate: true });
+        const result = await scraper.run();
+
+        assert.equal(result.changed, true);
+        assert.equal(result.cartoonCount, 2);
+
+        const rss = parseXml(await fs.readFile(path.join(dir, 'feed.xml'), 'utf8'));
+        const items = asArray(rss.rss.channel.item);
+        assert.equal(items.length, 2);
+        assert.equal(items[0].title, '1131 Grote boze wolf');
+        assert.equal(items[0].link, `${server.url}/2026/08/grote-boze-wolf/`);
+        assert.equal(items[0].guid['#text'], 'tag:evertkwok.nl,2019:cartoon/post-1131');
+        assert.equal(items[0].guid['@_isPermaLink'], 'false');
+        assert.equal(items[0].enclosure['@_type'], 'image/png');
+        assert.equal(items[0].enclosure['@_length'], '135');
+        assert.equal(items[0]['media:content']['@_width'], '64');
+        assert.equal(items[0]['media:content']['@_height'], '48');
+
+        const atom = parseXml(await fs.readFile(path.join(dir, 'atom.xml'), 'utf8'));
+        assert.equal(asArray(atom.feed.entry).length, 2);
+
+        const json = JSON.parse(await fs.readFile(path.join(dir, 'feed.json'), 'utf8'));
+        assert.equal(json.version, 'https://jsonfeed.org/version/1.1');
+        assert.equal(json.items.length, 2);
+    });
+
+    it('leaves the feed alone when the listing has not changed', async () => {
+        const dir = await createTempDir();
+        const options = { baseUrl: `${server.url}/cartoon/`, probeImages: false };
+        await createScraper(dir, options).run();
+        const published = await fs.readFile(path.join(dir, 'feed.xml'), 'utf8');
+
+        const result = await createScraper(dir, options).run();
+
+        assert.equal(result.changed, false);
+        assert.ok(server.requests.at(-1).headers['if-none-match']);
+        assert.equal(await fs.readFile(path.join(dir, 'feed.xml'), 'utf8'), published);
+    });
+});
+
+describe('backfill pagination', () => {
+    let server;
+    let site;
+
+    // A copy of the fixture site with a third page, linked from the second by a numbered page link only
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        site = await createTempDir();
+        await fs.cp(path.join(__dirname, 'fixtures', 'site'), site, { recursive: true });
+        const second = path.join(site, 'cartoon', 'page', '2', 'index.html');
+        const html = await fs.readFile(second, 'utf8');
+        await fs.writeFile(second, html.replace('<div class="nav-next">', '<a class="page-numbers" href="/cartoon/page/3/">3</a>\n            <div class="nav-next">'));
+        await fs.mkdir(path.join(site, 'cartoon', 'page', '3'));
+        await fs.writeFile(path.join(site, 'cartoon', 'page', '3', 'index.html'), html
+            .replace('Pagina 2', 'Pagina 3')
+            .replace('post-1001', 'post-901')
+            .replace('2025/11/20251103_piethagoras.jpg', '2025/06/20250602_rekenen.jpg'));
+        server = await startFixtureServer(site);
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    const paths = requests => requests.map(request => request.url).filter(url => url.startsWith('/cartoon/'));
+
+    it('follows numbered page links and stops on the page without one', async () => {
+        const scraper = createScraper(await createTempDir(), { baseUrl: `${server.url}/cartoon/`, backfill: true });
+        const from = server.requests.length;
+        const cartoons = await scraper.backfillCartoons();
+
+        assert.equal(cartoons.length, 4);
+        assert.deepEqual(paths(server.requests.slice(from)), ['/cartoon/', '/cartoon/page/2/', '/cartoon/page/3/']);
+        assert.equal(scraper.report.backfill.complete, true);
+    });
+
+    it('ends quietly on a missing page', async () => {
+        const missing = await createTempDir();
+        await fs.cp(site, missing, { recursive: true });
+        await fs.rm(path.join(missing, 'cartoon', 'page', '3'), { recursive: true });
+        const broken = await startFixtureServer(missing);
+        try {
+            const scraper = createScraper(await createTempDir(), { baseUrl: `${broken.url}/cartoon/`, backfill: true });
+            assert.equal((await scraper.backfillCartoons()).length, 3);
+            assert.deepEqual(scraper.report.backfill, { pages: 3, complete: true, resumeAt: null, error: null });
+        } finally {
+            await broken.close();
+        }
+    });
+
+    it('reports a backfill cut short by the request budget and continues there on the next run', async () => {
+        const dir = await createTempDir();
+        const options = { baseUrl: `${server.url}/cartoon/`, backfill: true, fetchPosts: false, probeImages: false };
+        const first = createScraper(dir, { ...options, maxRequests: 2 });
+        await first.run();
+
+        const resumeAt = `${server.url}/cartoon/page/3/`;
+        assert.deepEqual(first.report.backfill, { pages: 3, complete: false, resumeAt, error: 'Request budget of 2 used up' });
+        assert.equal(first.report.toJSON().backfill.resumeAt, resumeAt);
+        assert.equal(JSON.parse(await fs.readFile(path.join(dir, 'archive.json'), 'utf8')).backfillFrom, resumeAt);
+        assert.equal(first.archive.getCartoons().length, 3);
+
+        // Page 2 is already archived, the next backfill goes from the listing straight to page 3
+        const from = server.requests.length;
+        const second = createScraper(dir, options);
+        await second.run();
+
+        assert.deepEqual(paths(server.requests.slice(from)), ['/cartoon/', '/cartoon/page/3/']);
+        assert.equal(second.report.backfill.complete, true);
+        assert.equal(second.archive.getCartoons().length, 4);
+        assert.equal('backfillFrom' in JSON.parse(await fs.readFile(path.join(dir, 'archive.json'), 'utf8')), false);
+    });
+
+    it('leaves the rest for the next run when --max-pages is reached', async () => {
+        const scraper = createScraper(await createTempDir(), { baseUrl: `${server.url}/cartoon/`, backfill: true, maxPages: 2 });
+        await scraper.backfillCartoons();
+
+        assert.deepEqual(scraper.report.backfill, { pages: 2, complete: false, resumeAt: `${server.url}/cartoon/page/3/`, error: null });
+        assert.equal(scraper.archive.backfillFrom, `${server.url}/cartoon/page/3/`);
+    });
+});
+
+describe('injected HTTP client', () => {
+    it('never touches the network', async () => {
+        const requested = [];
+        const http = {
+            get: async url => {
+                requested.push(url);
+                return { status: 200, headers: {}, data: '<article><img src="/wp-content/uploads/2024/05/test.jpg" alt="Stubbed cartoon"></article>' };
+            },
+            head: async () => ({ status: 200, headers: {} })
+        };
+
+        const scraper = createScraper(await createTempDir(), { http });
+        const cartoons = await scraper.scrapeCartoons();
+
+        assert.deepEqual(requested, ['https://www.evertkwok.nl/cartoon/']);
+        assert.equal(cartoons[0].url, 'https://www.evertkwok.nl/wp-content/uploads/2024/05/test.jpg');
+        assert.equal(cartoons[0].title, 'Stubbed cartoon');
+    });
+
+    it('retries failed requests', async () => {
+        let attempts = 0;
+        const http = {
+            get: async () => {
+                attempts++;
+                if (attempts < 3) throw new Error('socket hang up');
+                return { status: 200, headers: {}, data: '<img src="/wp-content/uploads/2024/05/test.jpg" alt="Third time">' };
+            }
+        };
+
+        const scraper = createScraper(await createTempDir(), { http, maxRetries: 3 });
+        const cartoons = await scraper.scrapeCartoons();
+
+        assert.equal(attempts, 3);
+        assert.equal(cartoons[0].title, 'Third time');
+    });
+});
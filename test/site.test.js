@@ -0,0 +1,130 @@
+// test/site.test.js - Gallery, archive and per-cartoon pages
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { renderTemplate } = require('../src/site/template');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+describe('renderTemplate', () => {
+    it('escapes double braces and inserts triple braces as they are', () => {
+        const html = renderTemplate('<h1>{{title}}</h1>{{{body}}}<a href="{{links.rss}}">{{missing}}</a>', {
+            title: 'Tom & "Jerry"',
+            body: '<p>{{title}}</p>',
+            links: { rss: 'https://example.test/feed.xml?a=1&b=2' }
+        });
+
+        assert.equal(html, '<h1>Tom &amp; &quot;Jerry&quot;</h1><p>{{title}}</p><a href="https://example.test/feed.xml?a=1&amp;b=2"></a>');
+    });
+});
+
+describe('--site', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer();
+        mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    it('renders the gallery, archive and a page per cartoon', async () => {
+        const dir = await createTempDir();
+        const scraper = createScraper(dir, {
+            baseUrl: `${server.url}/cartoon/`,
+            pagesUrl: 'https://example.github.io/evert-kwok-rss',
+            site: true
+        });
+        const result = await scraper.run();
+
+        const index = await fs.readFile(path.join(dir, 'index.html'), 'utf8');
+        assert.match(index, /<div class="number">2<\/div>/);
+        assert.match(index, /href="cartoons\/post-1131\/"/);
+        assert.match(index, /<link rel="stylesheet" href="assets\/site.css">/);
+        assert.match(index, /href="https:\/\/example.github.io\/evert-kwok-rss\/feed.xml"/);
+
+        const cartoon = await fs.readFile(path.join(dir, 'cartoons', 'post-1131', 'index.html'), 'utf8');
+        assert.match(cartoon, /<meta property="og:url" content="https:\/\/example.github.io\/evert-kwok-rss\/cartoons\/post-1131\/">/);
+        assert.match(cartoon, /<meta property="og:image" content="http:\/\/127\.0\.0\.1:\d+\/wp-content\/uploads\/2026\/08\/1131-grote-bose-wolf.png">/);
+        assert.match(cartoon, /<meta property="og:image:width" content="64">/);
+        assert.match(cartoon, /<link rel="stylesheet" href="..\/..\/assets\/site.css">/);
+        assert.match(cartoon, /<span>Wiskunde<\/span>/);
+
+        const archive = await fs.readFile(path.join(dir, 'archive', 'index.html'), 'utf8');
+        assert.match(archive, /<a href="08\/">augustus 2026 \(1\)<\/a> <a href="07\/">juli 2026 \(1\)<\/a>/);
+
+        const august = await fs.readFile(path.join(dir, 'archive', '2026', '08', 'index.html'), 'utf8');
+        assert.match(august, /href="..\/..\/..\/cartoons\/post-1131\/"/);
+        assert.match(august, /<a href="..\/..\/..\/archive\/2026\/07\/">juli 2026 →<\/a>/);
+
+        await fs.access(path.join(dir, 'assets', 'site.css'));
+        assert.equal(result.pageCount, 7);
+    });
+
+    it('renders a site per locale, the first one at the top', async () => {
+        const dir = await createTempDir();
+        const options = { baseUrl: `${server.url}/cartoon/`, pagesUrl: 'https://example.github.io/evert-kwok-rss', locales: ['nl', 'en'], site: true };
+        const result = await createScraper(dir, options).run();
+
+        const index = await fs.readFile(path.join(dir, 'index.html'), 'utf8');
+        assert.match(index, /<html lang="nl">/);
+        assert.match(index, /<link rel="alternate" hreflang="en" href="https:\/\/example.github.io\/evert-kwok-rss\/en\/">/);
+        assert.match(index, / \| 🌐 <a href="en\/" hreflang="en" lang="en">English<\/a>/);
+
+        const english = await fs.readFile(path.join(dir, 'en', 'cartoons', 'post-1131', 'index.html'), 'utf8');
+        assert.match(english, /<html lang="en">/);
+        assert.match(english, /<link rel="canonical" href="https:\/\/example.github.io\/evert-kwok-rss\/en\/cartoons\/post-1131\/">/);
+        assert.match(english, /<link rel="stylesheet" href="..\/..\/..\/assets\/site.css">/);
+        assert.match(english, /href="..\/..\/archive\/2026\/08\/">August 2026<\/a>/);
+        assert.match(english, /href="https:\/\/example.github.io\/evert-kwok-rss\/feed.en.xml"/);
+        assert.match(english, /<a href="..\/..\/..\/cartoons\/post-1131\/" hreflang="nl" lang="nl">Nederlands<\/a>/);
+        // The stylesheet is shared
+        assert.equal(result.pageCount, 13);
+
+        // Without the locale its site goes
+        await createScraper(dir, { ...options, locales: ['nl'] }).run();
+        assert.equal(await exists(path.join(dir, 'en', 'cartoons', 'post-1131', 'index.html')), false);
+        assert.doesNotMatch(await fs.readFile(path.join(dir, 'index.html'), 'utf8'), /hreflang/);
+    });
+
+    it('reports no change when only the clock moved', async () => {
+        const dir = await createTempDir();
+        const options = { baseUrl: `${server.url}/cartoon/`, site: true };
+        await createScraper(dir, options).run();
+        const file = path.join(dir, 'index.html');
+        const html = await fs.readFile(file, 'utf8');
+        await fs.writeFile(file, html.replace(/<span data-updated>[^<]*<\/span>/, '<span data-updated>2020-01-01 00:00:00 UTC</span>'));
+
+        const result = await createScraper(dir, options).run();
+
+        assert.equal(result.changed, false);
+        assert.match(await fs.readFile(file, 'utf8'), /2020-01-01 00:00:00 UTC/);
+    });
+
+    it('removes pages of cartoons that left the feed', async () => {
+        const dir = await createTempDir();
+        const options = { baseUrl: `${server.url}/cartoon/`, site: true };
+        await createScraper(dir, options).run();
+        await fs.mkdir(path.join(dir, 'cartoons', 'verdwenen'), { recursive: true });
+        await fs.writeFile(path.join(dir, 'cartoons', 'verdwenen', 'index.html'), '<html></html>');
+
+        const result = await createScraper(dir, options).run();
+
+        assert.equal(result.changed, true);
+        assert.equal(await exists(path.join(dir, 'cartoons', 'verdwenen')), false);
+        assert.equal(await exists(path.join(dir, 'cartoons', 'post-1131', 'index.html')), true);
+    });
+});
@@ -0,0 +1,132 @@
+// test/sources.test.js - Source adapters, several sources per run and the combined feed
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { getDefaults, resolveSources } = require('../src/config');
+const { runSources } = require('../src/scraper');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+const KAT_CHANNEL = {
+    title: 'Kat & Co',
+    description: 'Strips over een kat',
+    link: 'https://kat.example/strips/',
+    homeUrl: 'https://kat.example',
+    icon: 'https://kat.example/icon.png',
+    language: 'en',
+    author: { name: 'Kim Kat', email: 'kim@kat.example' },
+    categories: ['Comics']
+};
+
+function configWith(overrides) {
+    return { ...getDefaults(), outputFile: 'docs/feed.xml', ...overrides };
+}
+
+describe('resolveSources', () => {
+    it('uses the top-level options when no sources are configured', () => {
+        const config = configWith({});
+        assert.deepEqual(resolveSources(config), [config]);
+    });
+
+    it('publishes every source in a directory of its own with the defaults of its adapter', () => {
+        const [evert, kat] = resolveSources(configWith({
+            maxItems: 50,
+            sources: [
+                { name: 'evert-kwok' },
+                { name: 'kat', adapter: 'wordpress', baseUrl: 'https://kat.example/strips/', channel: KAT_CHANNEL }
+            ]
+        }));
+
+        assert.equal(evert.source, 'evert-kwok');
+        assert.equal(evert.outputFile, path.join('docs', 'evert-kwok', 'feed.xml'));
+        assert.equal(evert.channel.author.name, 'Evert Kwok');
+        assert.equal(kat.source, 'wordpress');
+        assert.equal(kat.archiveFile, path.join('docs', 'kat', 'archive.json'));
+        assert.equal(kat.channel.title, 'Kat & Co');
+        assert.equal(kat.maxItems, 50);
+    });
+
+    it('reports sources that lack what their adapter cannot provide', () => {
+        assert.throws(() => resolveSources(configWith({
+            sources: [{ name: 'kat', adapter: 'wordpress' }, { name: 'kat', adapter: 'tumblr' }]
+        })), error => {
+            assert.ok(error.errors.includes('sources[0] (kat): baseUrl (--base-url, EKR_BASE_URL) must be an absolute http(s) URL, got undefined'));
+            assert.ok(error.errors.includes('sources[0] (kat): channel.title must be a non-empty string or an object of them per locale (nl, en)'));
+            assert.ok(error.errors.includes('sources[1] (kat) has the same name as an earlier source'));
+            assert.ok(error.errors.some(message => message.startsWith('sources[1] (kat).adapter must be one of evert-kwok, wordpress')));
+            return true;
+        });
+    });
+});
+
+describe('several sources', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer();
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    it('writes a feed per source and a combined feed with items of both', async () => {
+        const dir = await createTempDir();
+        const evert = createScraper(path.join(dir, 'evert-kwok'), {
+            name: 'evert-kwok',
+            baseUrl: `${server.url}/cartoon/`,
+            pagesUrl: 'https://example.github.io/comics'
+        });
+        const kat = createScraper(path.join(dir, 'kat'), {
+            name: 'kat',
+            source: 'wordpress',
+            baseUrl: `${server.url}/cartoon/`,
+            channel: KAT_CHANNEL,
+            pagesUrl: 'https://example.github.io/comics'
+        });
+        const combined = createScraper(dir, {
+            outputFile: path.join(dir, 'all.xml'),
+            pagesUrl: 'https://example.github.io/comics',
+            aggregate: true,
+            validate: true
+        });
+
+        const failed = await runSources([evert, kat], combined);
+
+        assert.deepEqual(failed, []);
+        await fs.access(path.join(dir, 'evert-kwok', 'feed.xml'));
+        await fs.access(path.join(dir, 'kat', 'feed.xml'));
+        await assert.rejects(fs.access(path.join(dir, 'archive.json')));
+
+        const items = new XMLParser({ ignoreAttributes: false }).parse(await fs.readFile(path.join(dir, 'all.xml'), 'utf8')).rss.channel.item;
+        assert.equal(items.length, 4);
+        assert.deepEqual(items.map(item => item.guid['#text']).sort(), [
+            'tag:127.0.0.1,2000:cartoon/post-1130',
+            'tag:127.0.0.1,2000:cartoon/post-1131',
+            'tag:evertkwok.nl,2019:cartoon/post-1130',
+            'tag:evertkwok.nl,2019:cartoon/post-1131'
+        ]);
+        const katItem = items.find(item => item.guid['#text'].startsWith('tag:127.0.0.1'));
+        assert.equal(katItem.author, 'kim@kat.example (Kim Kat)');
+        assert.equal(katItem.source['@_url'], 'https://example.github.io/comics/feed.xml');
+        assert.equal(katItem.source['#text'], 'Kat & Co');
+    });
+
+    it('keeps the combined feed when a source fails', async () => {
+        const dir = await createTempDir();
+        const broken = createScraper(path.join(dir, 'broken'), { name: 'broken', baseUrl: `${server.url}/does-not-exist/` });
+        const evert = createScraper(path.join(dir, 'evert-kwok'), { name: 'evert-kwok', baseUrl: `${server.url}/cartoon/` });
+        const combined = createScraper(dir, { outputFile: path.join(dir, 'all.xml'), aggregate: true });
+
+        const failed = await runSources([broken, evert], combined);
+
+        assert.deepEqual(failed.map(scraper => scraper.name), ['broken']);
+        await fs.access(path.join(dir, 'evert-kwok', 'feed.xml'));
+        await assert.rejects(fs.access(path.join(dir, 'all.xml')));
+    });
+});
@@ -0,0 +1,98 @@
+// test/topics.test.js - Item categories and per-topic feeds
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { DEFAULT_TOPICS } = require('../src/config');
+const { classify, collectTopics, topicSlug } = require('../src/topics');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { createTempDir, createScraper } = require('./helpers/scraper');
+
+describe('classify', () => {
+    it('prefers the tags and categories of the post', () => {
+        const topics = classify({ title: 'Rekenen', categories: ['sprookjes', 'wiskunde', 'Cartoons', 'Wiskunde'] }, DEFAULT_TOPICS);
+        assert.deepEqual(topics, ['sprookjes', 'Wiskunde']);
+    });
+
+    it('falls back to keywords in the title and caption', () => {
+        const topics = classify({ title: '538 Piethagoras', description: 'Een driehoek met een rekenmachine onder de sterren.' }, DEFAULT_TOPICS);
+        assert.deepEqual(topics, ['Wiskunde', 'Sterrenkunde']);
+    });
+
+    it('matches whole words unless the keyword ends in *', () => {
+        const topics = { keywords: { Wiskunde: ['som', 'reken*'] }, ignore: [] };
+        assert.deepEqual(classify({ title: 'Sommige mensen' }, topics), []);
+        assert.deepEqual(classify({ title: 'Een lastige som.' }, topics), ['Wiskunde']);
+        assert.deepEqual(classify({ title: 'De rekenmachine' }, topics), ['Wiskunde']);
+    });
+
+    it('ignores case and accents', () => {
+        const topics = { keywords: { 'Café & Chemie': ['reactie'] }, ignore: [] };
+        assert.deepEqual(classify({ title: 'Een RÉACTIE' }, topics), ['Café & Chemie']);
+        assert.equal(topicSlug('Café & Chemie'), 'cafe-chemie');
+    });
+});
+
+describe('collectTopics', () => {
+    it('leaves out topics with too few cartoons', () => {
+        const cartoons = [
+            { title: 'a', categories: ['Wiskunde', 'Natuur'] },
+            { title: 'b', categories: ['wiskunde'] }
+        ];
+        const topics = collectTopics(cartoons, DEFAULT_TOPICS, 2);
+        assert.deepEqual(topics.map(topic => [topic.slug, topic.cartoons.length]), [['wiskunde', 2]]);
+    });
+});
+
+describe('--topic-feeds', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer();
+        mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.close();
+    });
+
+    it('writes a feed per topic and removes feeds of topics that disappeared', async () => {
+        const dir = await createTempDir();
+        await fs.mkdir(path.join(dir, 'feeds'));
+        await fs.writeFile(path.join(dir, 'feeds', 'verdwenen.xml'), '<rss/>');
+
+        const scraper = createScraper(dir, {
+            baseUrl: `${server.url}/cartoon/`,
+            pagesUrl: 'https://example.github.io/evert-kwok-rss',
+            formats: ['rss', 'json'],
+            topicFeeds: true,
+            topicsDir: path.join(dir, 'feeds'),
+            topicMinItems: 1,
+            validate: true
+        });
+        const result = await scraper.run();
+
+        assert.deepEqual((await fs.readdir(path.join(dir, 'feeds'))).sort(), [
+            'natuur.feed.json', 'natuur.xml', 'sprookjes.feed.json', 'sprookjes.xml', 'wiskunde.feed.json', 'wiskunde.xml'
+        ]);
+        assert.equal(result.topicFeeds.length, 6);
+
+        const parser = new XMLParser({ ignoreAttributes: false });
+        const wiskunde = parser.parse(await fs.readFile(path.join(dir, 'feeds', 'wiskunde.xml'), 'utf8')).rss.channel;
+        assert.equal(wiskunde.title, 'Evert Kwok - Educatieve cartoons: Wiskunde');
+        assert.equal(wiskunde['atom:link']['@_href'], 'https://example.github.io/evert-kwok-rss/feeds/wiskunde.xml');
+        assert.equal(wiskunde.item.title, '1131 Grote boze wolf');
+        assert.deepEqual(wiskunde.item.category, ['sprookjes', 'Wiskunde']);
+
+        // Bos has no tags, its caption mentions "bos" and "bomen"
+        const main = parser.parse(await fs.readFile(path.join(dir, 'feed.xml'), 'utf8')).rss.channel;
+        assert.equal(main.item[1].category, 'Natuur');
+        assert.equal(main.item[1]['media:content']['media:keywords'], 'natuur');
+
+        const json = JSON.parse(await fs.readFile(path.join(dir, 'feeds', 'natuur.feed.json'), 'utf8'));
+        assert.equal(json.feed_url, 'https://example.github.io/evert-kwok-rss/feeds/natuur.feed.json');
+        assert.deepEqual(json.items.map(item => item.tags), [['Natuur']]);
+    });
+});